@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const childProcess = require('child_process');
+const uuid = require('uuid');
+
+const execFile = util.promisify(childProcess.execFile);
+
+// 单次探测命令的超时时间
+const PROBE_TIMEOUT = 30000;
+
+// 用于探测PBRT能否运行的最小场景
+const PROBE_SCENE = `Film "rgb" "integer xresolution" [4] "integer yresolution" [4]
+Sampler "independent" "integer pixelsamples" 1
+Camera "perspective"
+WorldBegin
+LightSource "infinite" "rgb L" [1 1 1]
+`;
+
+let cachedCapabilities = null;
+
+/**
+ * 运行命令并返回输出，命令不存在或失败时返回错误信息而不是抛出异常
+ * @param {string} command 命令
+ * @param {Array} args 参数
+ * @param {Object} [options] execFile 选项
+ * @returns {Promise<Object>} { ok, stdout, stderr, error }
+ */
+async function runProbe(command, args, options = {}) {
+    try {
+        const result = await execFile(command, args, { timeout: PROBE_TIMEOUT, ...options });
+        return { ok: true, stdout: result.stdout, stderr: result.stderr, error: null };
+    } catch (error) {
+        return {
+            ok: false,
+            stdout: error.stdout || '',
+            stderr: error.stderr || '',
+            error: error.code === 'ENOENT' ? `未找到命令 ${command}` : (error.stderr || error.message).trim()
+        };
+    }
+}
+
+/**
+ * 用最小场景分别以CPU和GPU模式运行PBRT，获取版本号并判断GPU模式是否可用
+ * @param {number} gpuDevice GPU设备号
+ * @returns {Promise<Object>} { pbrt, gpu }
+ */
+async function probePbrt(gpuDevice) {
+    const probeDir = path.join(os.tmpdir(), `pbrtapi-probe-${uuid.v4()}`);
+    fs.mkdirSync(probeDir, { recursive: true });
+    const scenePath = path.join(probeDir, 'probe.pbrt');
+    fs.writeFileSync(scenePath, PROBE_SCENE, 'utf8');
+
+    try {
+        const cpuOutput = path.join(probeDir, 'cpu.exr');
+        const cpu = await runProbe('pbrt', ['--nthreads', '1', '--outfile', cpuOutput, scenePath], { cwd: probeDir });
+        const versionMatch = /pbrt version\s+(\S+)(?:\s+\(built ([^)]+)\))?/i.exec(`${cpu.stdout}\n${cpu.stderr}`);
+        const pbrt = {
+            available: cpu.ok && fs.existsSync(cpuOutput),
+            version: versionMatch ? versionMatch[1] : null,
+            build: versionMatch && versionMatch[2] ? versionMatch[2] : null,
+            error: cpu.ok ? null : cpu.error
+        };
+
+        const gpuOutput = path.join(probeDir, 'gpu.exr');
+        const gpu = pbrt.available ?
+            await runProbe('pbrt', ['--gpu', '--gpu-device', `${gpuDevice}`, '--outfile', gpuOutput, scenePath], { cwd: probeDir }) :
+            { ok: false, error: 'PBRT不可用' };
+        return {
+            pbrt,
+            gpu: {
+                available: gpu.ok && fs.existsSync(gpuOutput),
+                device: gpuDevice,
+                error: gpu.ok ? null : gpu.error
+            }
+        };
+    } finally {
+        fs.rmSync(probeDir, { recursive: true, force: true });
+    }
+}
+
+async function probeAssimp() {
+    const result = await runProbe('assimp', ['version']);
+    const match = /Version\s+([\d.]+)/i.exec(result.stdout);
+    return {
+        available: result.ok,
+        version: match ? match[1] : null,
+        error: result.ok ? null : result.error
+    };
+}
+
+async function probeImageMagick() {
+    const result = await runProbe('convert', ['-version']);
+    const match = /ImageMagick\s+([\d.\-]+)/.exec(result.stdout);
+    return {
+        available: result.ok && !!match,
+        version: match ? match[1] : null,
+        error: result.ok ? (match ? null : 'convert 不是 ImageMagick') : result.error
+    };
+}
+
+async function probeFfmpeg() {
+    const result = await runProbe('ffmpeg', ['-version']);
+    const match = /ffmpeg version\s+(\S+)/.exec(result.stdout);
+    return {
+        available: result.ok,
+        version: match ? match[1] : null,
+        error: result.ok ? null : result.error
+    };
+}
+
+function probeGltfPipeline() {
+    // 模型转换通过 npx gltf-pipeline 调用，检查本地依赖是否已安装
+    try {
+        const packageJson = require('gltf-pipeline/package.json');
+        return { available: true, version: packageJson.version, error: null };
+    } catch (err) {
+        return { available: false, version: null, error: '未安装 gltf-pipeline 依赖' };
+    }
+}
+
+/**
+ * 检测渲染和转换依赖的外部工具，结果会被缓存
+ * @param {Object} [options] 选项
+ * @param {number} [options.gpuDevice=0] 用于探测的GPU设备号
+ * @param {boolean} [options.refresh=false] 忽略缓存重新检测
+ * @returns {Promise<Object>} { pbrt, gpu, assimp, imagemagick, ffmpeg, gltfPipeline, detectedAt }
+ */
+function detectCapabilities(options = {}) {
+    if (!cachedCapabilities || options.refresh) {
+        cachedCapabilities = (async () => {
+            const [pbrtResult, assimp, imagemagick, ffmpeg] = await Promise.all([
+                probePbrt(options.gpuDevice || 0),
+                probeAssimp(),
+                probeImageMagick(),
+                probeFfmpeg()
+            ]);
+            const capabilities = {
+                pbrt: pbrtResult.pbrt,
+                gpu: pbrtResult.gpu,
+                assimp,
+                imagemagick,
+                ffmpeg,
+                gltfPipeline: probeGltfPipeline(),
+                detectedAt: new Date().toISOString()
+            };
+            console.log(`[Capabilities] PBRT: ${capabilities.pbrt.available ? capabilities.pbrt.version || '可用' : '不可用'}, GPU: ${capabilities.gpu.available ? '可用' : '不可用'}, assimp: ${assimp.available}, ImageMagick: ${imagemagick.available}, ffmpeg: ${ffmpeg.available}`);
+            return capabilities;
+        })();
+    }
+    return cachedCapabilities;
+}
+
+module.exports = {
+    detectCapabilities
+};
@@ -0,0 +1,268 @@
+// 环境贴图投影转换：经纬度（equirectangular）投影与 PBRT-v4 图像环境光使用的等面积八面体投影互相转换。
+// 方向约定与PBRT相同：Z 轴向上，经纬度投影的 u = φ/2π、v = θ/π（φ = atan2(y, x)，θ = acos(z)），
+// 等面积八面体投影使用 Clarberg 的映射（PBRT-v4 的 EqualAreaSquareToSphere/EqualAreaSphereToSquare）
+
+const EQUIRECTANGULAR = 'equirectangular';
+const EQUAL_AREA = 'equal-area-octahedral';
+// 请求中可以使用的投影名称
+const PROJECTION_ALIASES = {
+    equirect: EQUIRECTANGULAR,
+    equirectangular: EQUIRECTANGULAR,
+    latlong: EQUIRECTANGULAR,
+    equalarea: EQUAL_AREA,
+    'equal-area': EQUAL_AREA,
+    'equal-area-octahedral': EQUAL_AREA
+};
+const FILTERS = ['nearest', 'bilinear', 'box'];
+const MAX_RESOLUTION = 8192;
+// box 过滤每个输出像素每个方向上的最大采样数
+const MAX_BOX_SAMPLES = 4;
+
+/**
+ * 投影转换参数无效时抛出的错误
+ */
+class ProjectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectionError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 解析投影名称
+ * @param {string} value 投影名称或别名
+ * @returns {string|null} equirectangular 或 equal-area-octahedral，无法识别时返回 null
+ */
+function parseProjection(value) {
+    return PROJECTION_ALIASES[String(value || '').toLowerCase()] || null;
+}
+
+/**
+ * 等面积正方形上的点映射为单位球面上的方向
+ * @param {number} u [0, 1]
+ * @param {number} v [0, 1]
+ * @returns {Array} [x, y, z]
+ */
+function equalAreaSquareToSphere(u, v) {
+    const a = 2 * u - 1;
+    const b = 2 * v - 1;
+    const up = Math.abs(a);
+    const vp = Math.abs(b);
+    const signedDistance = 1 - (up + vp);
+    const r = 1 - Math.abs(signedDistance);
+    const phi = (r === 0 ? 1 : (vp - up) / r + 1) * Math.PI / 4;
+    const z = (signedDistance < 0 ? -1 : 1) * (1 - r * r);
+    const radius = r * Math.sqrt(Math.max(0, 2 - r * r));
+    return [
+        (a < 0 ? -1 : 1) * Math.abs(Math.cos(phi)) * radius,
+        (b < 0 ? -1 : 1) * Math.abs(Math.sin(phi)) * radius,
+        z
+    ];
+}
+
+/**
+ * 单位球面上的方向映射为等面积正方形上的点
+ * @param {Array} direction [x, y, z]
+ * @returns {Array} [u, v]，取值范围 [0, 1]
+ */
+function equalAreaSphereToSquare([dx, dy, dz]) {
+    const x = Math.abs(dx);
+    const y = Math.abs(dy);
+    const r = Math.sqrt(Math.max(0, 1 - Math.abs(dz)));
+    const a = Math.max(x, y);
+    const b = a === 0 ? 0 : Math.min(x, y) / a;
+    let phi = Math.atan(b) * 2 / Math.PI;
+    if (x < y) {
+        phi = 1 - phi;
+    }
+    let v = phi * r;
+    let u = r - v;
+    if (dz < 0) {
+        [u, v] = [1 - v, 1 - u];
+    }
+    u = dx < 0 ? -u : u;
+    v = dy < 0 ? -v : v;
+    return [0.5 * (u + 1), 0.5 * (v + 1)];
+}
+
+function equirectToSphere(u, v) {
+    const phi = u * 2 * Math.PI;
+    const theta = v * Math.PI;
+    return [Math.sin(theta) * Math.cos(phi), Math.sin(theta) * Math.sin(phi), Math.cos(theta)];
+}
+
+function sphereToEquirect([x, y, z]) {
+    let phi = Math.atan2(y, x);
+    if (phi < 0) {
+        phi += 2 * Math.PI;
+    }
+    return [phi / (2 * Math.PI), Math.acos(Math.min(1, Math.max(-1, z))) / Math.PI];
+}
+
+/**
+ * 将越界的像素坐标映射回图像：经纬度投影水平方向循环、垂直方向截断，
+ * 等面积八面体投影按PBRT的 WrapEqualAreaSquare 沿边缘镜像
+ * @returns {number} 像素索引
+ */
+function wrapPixel(image, projection, x, y) {
+    const { width, height } = image;
+    if (projection === EQUIRECTANGULAR) {
+        x = ((x % width) + width) % width;
+        y = Math.min(height - 1, Math.max(0, y));
+        return y * width + x;
+    }
+    if (x < 0) {
+        x = -x - 1;
+        y = height - 1 - y;
+    } else if (x >= width) {
+        x = 2 * width - 1 - x;
+        y = height - 1 - y;
+    }
+    if (y < 0) {
+        x = width - 1 - x;
+        y = -y - 1;
+    } else if (y >= height) {
+        x = width - 1 - x;
+        y = 2 * height - 1 - y;
+    }
+    return Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x));
+}
+
+/**
+ * 在图像坐标 (u, v) 处采样，结果累加到 out
+ */
+function sample(image, projection, u, v, filter, out, weight) {
+    const x = u * image.width - 0.5;
+    const y = v * image.height - 0.5;
+    if (filter === 'nearest') {
+        const index = wrapPixel(image, projection, Math.round(x), Math.round(y)) * 4;
+        for (let c = 0; c < 3; c++) {
+            out[c] += image.data[index + c] * weight;
+        }
+        return;
+    }
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const taps = [[x0, y0, (1 - fx) * (1 - fy)], [x0 + 1, y0, fx * (1 - fy)], [x0, y0 + 1, (1 - fx) * fy], [x0 + 1, y0 + 1, fx * fy]];
+    for (const [tx, ty, tapWeight] of taps) {
+        if (tapWeight === 0) {
+            continue;
+        }
+        const index = wrapPixel(image, projection, tx, ty) * 4;
+        for (let c = 0; c < 3; c++) {
+            out[c] += image.data[index + c] * tapWeight * weight;
+        }
+    }
+}
+
+/**
+ * 解析并补全投影转换参数
+ * @param {Object} image 源图像 { width, height }
+ * @param {Object} source 请求参数 { from, to, resolution, filter, rotation, scale }
+ * @param {string} [detected] 根据宽高比推断的源投影
+ * @returns {Object} { from, to, width, height, filter, rotation, scale }
+ * @throws {ProjectionError} 参数无效时
+ */
+function parseConversionOptions(image, source, detected) {
+    const from = source.from ? parseProjection(source.from) : (detected && parseProjection(detected));
+    if (!from) {
+        throw new ProjectionError(source.from ?
+            'from参数必须是 equirect 或 equalarea' :
+            `无法根据分辨率 ${image.width}x${image.height} 判断源贴图的投影方式，请指定 from 参数`);
+    }
+    const to = source.to ? parseProjection(source.to) : (from === EQUIRECTANGULAR ? EQUAL_AREA : EQUIRECTANGULAR);
+    if (!to) {
+        throw new ProjectionError('to参数必须是 equirect 或 equalarea');
+    }
+    if (from === EQUAL_AREA && image.width !== image.height) {
+        throw new ProjectionError('等面积八面体投影的贴图必须是正方形');
+    }
+
+    // 默认保持像素数大致不变
+    let resolution;
+    if (source.resolution !== undefined && source.resolution !== '') {
+        resolution = Number(source.resolution);
+        if (!Number.isInteger(resolution) || resolution < 2 || resolution > MAX_RESOLUTION) {
+            throw new ProjectionError(`resolution参数必须是 2 到 ${MAX_RESOLUTION} 之间的整数`);
+        }
+    } else {
+        const pixels = image.width * image.height;
+        resolution = Math.min(MAX_RESOLUTION, to === EQUAL_AREA ? Math.round(Math.sqrt(pixels)) : Math.round(Math.sqrt(pixels * 2)));
+    }
+    // 等面积投影为正方形，经纬度投影的宽高比为 2:1，resolution 为输出宽度（经纬度投影取偶数）
+    const height = to === EQUAL_AREA ? resolution : Math.max(1, Math.round(resolution / 2));
+    const width = to === EQUAL_AREA ? resolution : height * 2;
+
+    const filter = String(source.filter || 'bilinear').toLowerCase();
+    if (!FILTERS.includes(filter)) {
+        throw new ProjectionError(`filter参数必须是 ${FILTERS.join(', ')} 之一`);
+    }
+    const rotation = source.rotation === undefined || source.rotation === '' ? 0 : Number(source.rotation);
+    if (!Number.isFinite(rotation)) {
+        throw new ProjectionError('rotation参数必须是数字（度）');
+    }
+    const scale = source.scale === undefined || source.scale === '' ? 1 : Number(source.scale);
+    if (!Number.isFinite(scale) || scale < 0) {
+        throw new ProjectionError('scale参数必须是非负数');
+    }
+    return { from, to, width, height, filter, rotation, scale };
+}
+
+/**
+ * 转换环境贴图的投影
+ * @param {Object} image exrImage.readExr 或 readHdr 返回的源图像
+ * @param {Object} options parseConversionOptions 返回的参数，rotation 为绕 Z 轴（向上）的旋转角度，scale 为亮度缩放
+ * @returns {Object} { width, height, data }，data 为 RGBA 排列的 Float32Array
+ */
+function convertProjection(image, options) {
+    const { from, to, width, height, filter, scale } = options;
+    const toSource = from === EQUIRECTANGULAR ? sphereToEquirect : equalAreaSphereToSquare;
+    const fromTarget = to === EQUIRECTANGULAR ? equirectToSphere : equalAreaSquareToSphere;
+    // 贴图内容绕 Z 轴旋转 rotation 度，即输出方向反向旋转后在源贴图中查找
+    const angle = -options.rotation * Math.PI / 180;
+    const cosAngle = Math.cos(angle);
+    const sinAngle = Math.sin(angle);
+
+    // box 过滤按缩小比例对每个输出像素进行超采样
+    const samples = filter === 'box' ?
+        Math.min(MAX_BOX_SAMPLES, Math.max(1, Math.ceil(Math.sqrt(image.width * image.height / (width * height))))) : 1;
+    const sampleFilter = filter === 'box' ? 'bilinear' : filter;
+    const weight = scale / (samples * samples);
+
+    const data = new Float32Array(width * height * 4);
+    const color = [0, 0, 0];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            color[0] = color[1] = color[2] = 0;
+            for (let sy = 0; sy < samples; sy++) {
+                for (let sx = 0; sx < samples; sx++) {
+                    const [dx, dy, dz] = fromTarget((x + (sx + 0.5) / samples) / width, (y + (sy + 0.5) / samples) / height);
+                    const [u, v] = toSource([dx * cosAngle - dy * sinAngle, dx * sinAngle + dy * cosAngle, dz]);
+                    sample(image, from, u, v, sampleFilter, color, weight);
+                }
+            }
+            const index = (y * width + x) * 4;
+            data[index] = color[0];
+            data[index + 1] = color[1];
+            data[index + 2] = color[2];
+            data[index + 3] = 1;
+        }
+    }
+    return { width, height, data };
+}
+
+module.exports = {
+    EQUIRECTANGULAR,
+    EQUAL_AREA,
+    FILTERS,
+    MAX_RESOLUTION,
+    ProjectionError,
+    parseProjection,
+    equalAreaSquareToSphere,
+    equalAreaSphereToSquare,
+    parseConversionOptions,
+    convertProjection
+};
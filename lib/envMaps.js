@@ -0,0 +1,161 @@
+const pbrtParser = require('./pbrtParser');
+
+// 环境贴图库：HDR环境贴图按稳定的ID保存，场景通过 "envmap:{id}" 引用，
+// 渲染前替换为贴图的实际路径，重命名贴图不会影响已有的场景
+
+// 场景中引用环境贴图的前缀，如 LightSource "infinite" "string filename" "envmap:{id}"
+const ENVMAP_REFERENCE_PREFIX = 'envmap:';
+const ENVMAP_ID_PATTERN = /^[0-9a-f-]+$/i;
+
+// 预览图的默认宽度（像素）
+const PREVIEW_WIDTH = 256;
+// 自动曝光将平均亮度映射到的中灰值
+const PREVIEW_MIDDLE_GRAY = 0.18;
+
+/**
+ * 解析环境贴图引用
+ * @param {string} value 场景中引用的路径
+ * @returns {string|null} 环境贴图ID，不是环境贴图引用时返回 null
+ */
+function parseEnvMapReference(value) {
+    if (typeof value !== 'string' || !value.startsWith(ENVMAP_REFERENCE_PREFIX)) {
+        return null;
+    }
+    const id = value.substring(ENVMAP_REFERENCE_PREFIX.length);
+    return ENVMAP_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * 将场景中的环境贴图引用替换为实际路径
+ * @param {Object} scene pbrtParser.parse 返回的语法树
+ * @param {Function} resolve 根据ID返回贴图路径的函数，贴图不存在时返回 null
+ * @returns {number} 替换的引用数
+ * @throws {Error} 引用的环境贴图不存在时
+ */
+function resolveEnvMapReferences(scene, resolve) {
+    let count = 0;
+    for (const reference of pbrtParser.getFileReferences(scene)) {
+        if (!reference.value.startsWith(ENVMAP_REFERENCE_PREFIX)) {
+            continue;
+        }
+        const id = parseEnvMapReference(reference.value);
+        const filePath = id ? resolve(id) : null;
+        if (!filePath) {
+            throw new Error(`引用的环境贴图不存在: ${reference.value}`);
+        }
+        reference.set(filePath);
+        count++;
+    }
+    return count;
+}
+
+// Rec. 709 相对亮度
+function luminance(data, index) {
+    return 0.2126 * data[index] + 0.7152 * data[index + 1] + 0.0722 * data[index + 2];
+}
+
+/**
+ * 根据宽高比推断环境贴图的投影方式：PBRT-v4 的图像环境光使用正方形的等面积八面体投影，
+ * 2:1 的图像为经纬度（equirectangular）投影，需要转换后才能被PBRT-v4使用
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {string} equal-area-octahedral, equirectangular 或 unknown
+ */
+function detectProjection(width, height) {
+    if (width === height) {
+        return 'equal-area-octahedral';
+    }
+    if (width === height * 2) {
+        return 'equirectangular';
+    }
+    return 'unknown';
+}
+
+/**
+ * 分析环境贴图
+ * @param {Object} image exrImage.readExr 返回的图像
+ * @returns {Object} { width, height, projection, averageLuminance, maxLuminance }，
+ *   经纬度投影按像素对应的立体角加权计算平均亮度，其他投影的像素立体角相同
+ */
+function analyzeEnvMap(image) {
+    const { width, height, data } = image;
+    const projection = detectProjection(width, height);
+    let weightedSum = 0;
+    let totalWeight = 0;
+    let maxLuminance = 0;
+    for (let y = 0; y < height; y++) {
+        const weight = projection === 'equirectangular' ? Math.sin(Math.PI * (y + 0.5) / height) : 1;
+        for (let x = 0; x < width; x++) {
+            const value = luminance(data, (y * width + x) * 4);
+            // NaN 和无穷大不计入统计
+            if (!Number.isFinite(value)) {
+                continue;
+            }
+            weightedSum += value * weight;
+            totalWeight += weight;
+            maxLuminance = Math.max(maxLuminance, value);
+        }
+    }
+    return {
+        width,
+        height,
+        projection,
+        averageLuminance: totalWeight > 0 ? weightedSum / totalWeight : 0,
+        maxLuminance
+    };
+}
+
+/**
+ * 按区域平均将图像缩小到指定宽度，高度按比例计算
+ * @param {Object} image exrImage.readExr 返回的图像
+ * @param {number} targetWidth 目标宽度，不大于原图宽度
+ * @returns {Object} { width, height, data }，data 为 RGBA 排列的 Float32Array
+ */
+function downsample(image, targetWidth) {
+    const width = Math.max(1, Math.min(image.width, targetWidth));
+    const height = Math.max(1, Math.round(image.height * width / image.width));
+    const data = new Float32Array(width * height * 4);
+    const counts = new Uint32Array(width * height);
+    for (let y = 0; y < image.height; y++) {
+        const row = Math.min(height - 1, Math.floor(y * height / image.height)) * width;
+        for (let x = 0; x < image.width; x++) {
+            const source = (y * image.width + x) * 4;
+            if (!Number.isFinite(luminance(image.data, source))) {
+                continue;
+            }
+            const target = row + Math.min(width - 1, Math.floor(x * width / image.width));
+            for (let c = 0; c < 3; c++) {
+                data[target * 4 + c] += image.data[source + c];
+            }
+            counts[target]++;
+        }
+    }
+    for (let i = 0; i < width * height; i++) {
+        for (let c = 0; c < 3; c++) {
+            data[i * 4 + c] = counts[i] > 0 ? data[i * 4 + c] / counts[i] : 0;
+        }
+        data[i * 4 + 3] = 1;
+    }
+    return { width, height, data };
+}
+
+/**
+ * 计算预览图的自动曝光（EV档），使平均亮度映射为中灰
+ * @param {number} averageLuminance 平均亮度
+ * @returns {number}
+ */
+function getPreviewExposure(averageLuminance) {
+    return averageLuminance > 0 ? Math.log2(PREVIEW_MIDDLE_GRAY / averageLuminance) : 0;
+}
+
+module.exports = {
+    ENVMAP_REFERENCE_PREFIX,
+    ENVMAP_ID_PATTERN,
+    PREVIEW_WIDTH,
+    parseEnvMapReference,
+    resolveEnvMapReferences,
+    detectProjection,
+    analyzeEnvMap,
+    downsample,
+    getPreviewExposure
+};
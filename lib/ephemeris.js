@@ -0,0 +1,345 @@
+// 离线星历计算：太阳和月球的地心黄道坐标（平春分点和平黄道）以及地球自转角，不依赖网络。
+// 太阳位置由截断的 VSOP87D 地球日心坐标反推，月球位置使用截断的 ELP-2000/82 级数，
+// 系数取自 Jean Meeus《Astronomical Algorithms》第二版第 32、47 章和附录 III，
+// 1900 到 2100 年间太阳位置误差约 1 角秒，月球位置误差约 10 角秒
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+const AU_KM = 149597870.7;
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+/**
+ * 时间超出支持范围或无效时抛出的错误
+ */
+class EphemerisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EphemerisError';
+        this.status = 400;
+    }
+}
+
+// VSOP87D 地球的截断级数，每项为 [A, B, C]，值为 A·cos(B + C·τ)，单位 1e-8 弧度或 1e-8 天文单位，τ 为儒略千年
+const EARTH_L = [
+    [
+        [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+        [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+        [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+        [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+        [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+        [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+        [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+        [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+        [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+        [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+        [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+        [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+        [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+        [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+        [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+        [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+        [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+        [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+        [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+        [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+        [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+        [25, 3.16, 4690.48]
+    ],
+    [
+        [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+        [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+        [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+        [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+        [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+        [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+        [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+        [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+        [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+        [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+        [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+        [6, 4.67, 4690.48]
+    ],
+    [
+        [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+        [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+        [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+        [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+        [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+        [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+        [2, 4.38, 5223.69], [2, 3.75, 0.98]
+    ],
+    [
+        [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+        [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+        [1, 5.97, 242.73]
+    ],
+    [[114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]],
+    [[1, 3.14, 0]]
+];
+
+const EARTH_B = [
+    [[280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69], [44, 3.7, 2352.87], [32, 4, 1577.34]],
+    [[9, 3.9, 5507.55], [6, 1.73, 5223.69]]
+];
+
+const EARTH_R = [
+    [
+        [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517],
+        [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+        [925, 5.453, 11506.77], [542, 4.564, 3930.21], [472, 3.661, 5884.927],
+        [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+        [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+        [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+        [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+        [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+        [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+        [43, 6.01, 6275.96], [39, 5.36, 4694], [38, 2.39, 8827.39],
+        [37, 0.83, 19651.05], [37, 4.9, 12139.55], [36, 1.67, 12036.46],
+        [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+        [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55],
+        [26, 4.59, 10447.39]
+    ],
+    [
+        [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+        [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+        [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+        [9, 0.27, 5486.78]
+    ],
+    [[4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0], [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]],
+    [[145, 4.273, 6283.076], [7, 3.92, 12566.15]],
+    [[4, 2.56, 6283.08]]
+];
+
+// ELP-2000/82 截断级数：月球黄经和距离的周期项 [D, M, M', F, Σl系数, Σr系数]，
+// 黄经单位 1e-6 度，距离单位 1e-3 千米
+const MOON_LR = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0], [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958], [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258], [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354], [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0], [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739], [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421], [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0], [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0], [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// 月球黄纬的周期项 [D, M, M', F, Σb系数]，单位 1e-6 度
+const MOON_B = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833], [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607], [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351], [4, 0, 0, 1, 331], [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283], [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177], [4, 0, -2, -1, 176], [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132], [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+function normalizeDegrees(value) {
+    const result = value % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+function evaluateSeries(series, tau) {
+    let result = 0;
+    series.forEach((terms, power) => {
+        const sum = terms.reduce((total, [a, b, c]) => total + a * Math.cos(b + c * tau), 0);
+        result += sum * Math.pow(tau, power);
+    });
+    return result / 1e8;
+}
+
+/**
+ * 将UTC时间转换为儒略日
+ * @param {Date} date UTC时间
+ * @returns {number}
+ */
+function toJulianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * 估算 ΔT = TT - UT（秒），使用 Espenak 和 Meeus 的多项式拟合
+ * @param {number} year 小数年份
+ * @returns {number}
+ */
+function estimateDeltaT(year) {
+    const t = year - 2000;
+    if (year < 1920) {
+        const u = year - 1900;
+        return -2.79 + 1.494119 * u - 0.0598939 * u * u + 0.0061966 * Math.pow(u, 3) - 0.000197 * Math.pow(u, 4);
+    }
+    if (year < 1941) {
+        const u = year - 1920;
+        return 21.20 + 0.84493 * u - 0.0761 * u * u + 0.0020936 * Math.pow(u, 3);
+    }
+    if (year < 1961) {
+        const u = year - 1950;
+        return 29.07 + 0.407 * u - u * u / 233 + Math.pow(u, 3) / 2547;
+    }
+    if (year < 1986) {
+        const u = year - 1975;
+        return 45.45 + 1.067 * u - u * u / 260 - Math.pow(u, 3) / 718;
+    }
+    if (year < 2005) {
+        return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * Math.pow(t, 3) +
+            0.000651814 * Math.pow(t, 4) + 0.00002373599 * Math.pow(t, 5);
+    }
+    if (year < 2050) {
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u - 0.5628 * (2150 - year);
+}
+
+/**
+ * 由黄经、黄纬（度）和距离计算直角坐标
+ * @returns {Array} [x, y, z]，X 轴指向春分点，Z 轴指向黄道北极
+ */
+function toCartesian(longitude, latitude, distance) {
+    const lambda = longitude * DEG;
+    const beta = latitude * DEG;
+    return [
+        distance * Math.cos(beta) * Math.cos(lambda),
+        distance * Math.cos(beta) * Math.sin(lambda),
+        distance * Math.sin(beta)
+    ];
+}
+
+/**
+ * 计算太阳的几何地心黄道坐标（平春分点和平黄道）
+ * @param {number} jde 儒略历书日（TT）
+ * @returns {Object} { longitude, latitude, distance }，角度单位为度，距离单位为千米
+ */
+function computeSun(jde) {
+    const tau = (jde - J2000) / 365250;
+    const earthLongitude = evaluateSeries(EARTH_L, tau);
+    const earthLatitude = evaluateSeries(EARTH_B, tau);
+    const radius = evaluateSeries(EARTH_R, tau);
+    // 太阳的地心坐标与地球的日心坐标方向相反
+    return {
+        longitude: normalizeDegrees(earthLongitude / DEG + 180),
+        latitude: -earthLatitude / DEG,
+        distance: radius * AU_KM
+    };
+}
+
+/**
+ * 计算月球的地心黄道坐标（平春分点和平黄道）
+ * @param {number} jde 儒略历书日（TT）
+ * @returns {Object} { longitude, latitude, distance }，角度单位为度，距离为地心到月心的千米数
+ */
+function computeMoon(jde) {
+    const T = (jde - J2000) / 36525;
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const T4 = T3 * T;
+    const meanLongitude = normalizeDegrees(218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000);
+    const D = normalizeDegrees(297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000);
+    const M = normalizeDegrees(357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000);
+    const Mp = normalizeDegrees(134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000);
+    const F = normalizeDegrees(93.272095 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000);
+    const A1 = normalizeDegrees(119.75 + 131.849 * T);
+    const A2 = normalizeDegrees(53.09 + 479264.29 * T);
+    const A3 = normalizeDegrees(313.45 + 481266.484 * T);
+    // 地球轨道偏心率减小的修正，含太阳平近点角 M 的项乘以 E 或 E²
+    const E = 1 - 0.002516 * T - 0.0000074 * T2;
+    const eccentricity = m => (Math.abs(m) === 1 ? E : Math.abs(m) === 2 ? E * E : 1);
+
+    let sumL = 0;
+    let sumR = 0;
+    for (const [d, m, mp, f, l, r] of MOON_LR) {
+        const argument = (d * D + m * M + mp * Mp + f * F) * DEG;
+        sumL += l * eccentricity(m) * Math.sin(argument);
+        sumR += r * eccentricity(m) * Math.cos(argument);
+    }
+    let sumB = 0;
+    for (const [d, m, mp, f, b] of MOON_B) {
+        sumB += b * eccentricity(m) * Math.sin((d * D + m * M + mp * Mp + f * F) * DEG);
+    }
+    // 金星、木星和地球扁率引起的附加项
+    sumL += 3958 * Math.sin(A1 * DEG) + 1962 * Math.sin((meanLongitude - F) * DEG) + 318 * Math.sin(A2 * DEG);
+    sumB += -2235 * Math.sin(meanLongitude * DEG) + 382 * Math.sin(A3 * DEG) +
+        175 * Math.sin((A1 - F) * DEG) + 175 * Math.sin((A1 + F) * DEG) +
+        127 * Math.sin((meanLongitude - Mp) * DEG) - 115 * Math.sin((meanLongitude + Mp) * DEG);
+
+    return {
+        longitude: normalizeDegrees(meanLongitude + sumL / 1e6),
+        latitude: sumB / 1e6,
+        distance: 385000.56 + sumR / 1000
+    };
+}
+
+/**
+ * 计算星历
+ * @param {Date} date UTC时间，支持 1900 到 2100 年
+ * @returns {Object} {
+ *   time, julianDate, deltaT,
+ *   sun: { longitude, latitude, distance, position },
+ *   moon: { longitude, latitude, distance, position },
+ *   earth: { obliquity, rotationAngle, siderealTime }
+ * }，position 为地心黄道直角坐标（千米），rotationAngle 为地球自转角（ERA），
+ *   siderealTime 为格林尼治平恒星时，角度单位均为度
+ * @throws {EphemerisError} 时间无效或超出支持范围时
+ */
+function computeEphemeris(date) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+        throw new EphemerisError('时间无效');
+    }
+    const year = date.getUTCFullYear() + (date.getUTCMonth() + 0.5) / 12;
+    if (year < MIN_YEAR || year >= MAX_YEAR + 1) {
+        throw new EphemerisError(`时间必须在 ${MIN_YEAR} 到 ${MAX_YEAR} 年之间`);
+    }
+
+    const jd = toJulianDate(date);
+    const deltaT = estimateDeltaT(year);
+    const jde = jd + deltaT / 86400;
+    const T = (jde - J2000) / 36525;
+    const sun = computeSun(jde);
+    const moon = computeMoon(jde);
+
+    // 黄赤交角（IAU 1980），地球自转角按 IERS 2003 的定义，平恒星时按 IAU 1982 的表达式（UT1 以 UTC 近似）
+    const obliquity = 23.4392911111 - (46.815 * T + 0.00059 * T * T - 0.001813 * T * T * T) / 3600;
+    const du = jd - J2000;
+    const rotationAngle = normalizeDegrees(360 * (0.779057273264 + 1.00273781191135448 * du));
+    const tu = du / 36525;
+    const siderealTime = normalizeDegrees(280.46061837 + 360.98564736629 * du + 0.000387933 * tu * tu - tu * tu * tu / 38710000);
+
+    return {
+        time: date.toISOString(),
+        julianDate: jd,
+        deltaT,
+        sun: Object.assign(sun, { position: toCartesian(sun.longitude, sun.latitude, sun.distance) }),
+        moon: Object.assign(moon, { position: toCartesian(moon.longitude, moon.latitude, moon.distance) }),
+        earth: { obliquity, rotationAngle, siderealTime }
+    };
+}
+
+module.exports = {
+    EphemerisError,
+    toJulianDate,
+    estimateDeltaT,
+    computeSun,
+    computeMoon,
+    computeEphemeris
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const childProcess = require('child_process');
+
+// three.js 的 EXR/HDR 加载器和 EXR 导出器是 ES 模块，按需动态加载
+let threeModulesPromise = null;
+
+function loadThreeModules() {
+    if (!threeModulesPromise) {
+        threeModulesPromise = Promise.all([
+            import('three'),
+            import('three/examples/jsm/loaders/EXRLoader.js'),
+            import('three/examples/jsm/exporters/EXRExporter.js'),
+            import('three/examples/jsm/loaders/RGBELoader.js')
+        ]).then(([THREE, loaderModule, exporterModule, rgbeModule]) => ({
+            THREE,
+            EXRLoader: loaderModule.EXRLoader,
+            EXRExporter: exporterModule.EXRExporter,
+            RGBELoader: rgbeModule.RGBELoader
+        }));
+    }
+    return threeModulesPromise;
+}
+
+// 支持的输出格式和对应的 Content-Type
+const OUTPUT_FORMATS = {
+    exr: 'image/x-exr',
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// 支持的色调映射算子
+const TONEMAP_OPERATORS = ['reinhard', 'aces', 'linear'];
+
+/**
+ * 解码EXR图像
+ * @param {Buffer|string} source EXR数据或文件路径
+ * @returns {Promise<Object>} { width, height, data, header }，data 为 RGBA 排列的 Float32Array，第一行为图像顶部
+ */
+async function readExr(source) {
+    const { THREE, EXRLoader } = await loadThreeModules();
+    const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+    const loader = new EXRLoader();
+    loader.setDataType(THREE.FloatType);
+    const result = loader.parse(arrayBuffer);
+
+    // EXRLoader 按 WebGL 纹理约定将第一行作为图像底部，这里翻转回图像坐标
+    const { width, height } = result;
+    const rowSize = width * 4;
+    const data = new Float32Array(width * height * 4);
+    if (result.data.length === width * height) {
+        // 只有 Y 通道的灰度图像解码为单通道，展开为 R = G = B = Y、A = 1
+        for (let y = 0; y < height; y++) {
+            const sourceRow = (height - 1 - y) * width;
+            for (let x = 0; x < width; x++) {
+                const value = result.data[sourceRow + x];
+                const index = (y * width + x) * 4;
+                data[index] = value;
+                data[index + 1] = value;
+                data[index + 2] = value;
+                data[index + 3] = 1;
+            }
+        }
+    } else {
+        for (let y = 0; y < height; y++) {
+            data.set(result.data.subarray((height - 1 - y) * rowSize, (height - y) * rowSize), y * rowSize);
+        }
+    }
+    return { width, height, data, header: result.header };
+}
+
+/**
+ * 解码 Radiance HDR（RGBE）图像
+ * @param {Buffer|string} source HDR数据或文件路径
+ * @returns {Promise<Object>} { width, height, data, header }，格式与 readExr 相同
+ */
+async function readHdr(source) {
+    const { THREE, RGBELoader } = await loadThreeModules();
+    const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+    const loader = new RGBELoader();
+    loader.setDataType(THREE.FloatType);
+    // RGBELoader 保持文件中的扫描线顺序，第一行即为图像顶部
+    const result = loader.parse(arrayBuffer);
+    return { width: result.width, height: result.height, data: result.data, header: result.header };
+}
+
+/**
+ * 编码EXR图像（ZIPS压缩，半精度或单精度浮点）
+ * @param {Object} image { width, height, data }，data 为 RGBA 排列的 Float32Array，第一行为图像顶部
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.halfFloat=true] 是否使用半精度浮点
+ * @returns {Promise<Buffer>} EXR数据
+ */
+async function writeExr(image, options = {}) {
+    const { THREE, EXRExporter } = await loadThreeModules();
+    const { width, height } = image;
+    const rowSize = width * 4;
+    const flipped = new Float32Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        flipped.set(image.data.subarray((height - 1 - y) * rowSize, (height - y) * rowSize), y * rowSize);
+    }
+
+    const texture = new THREE.DataTexture(flipped, width, height, THREE.RGBAFormat, THREE.FloatType);
+    const exporter = new EXRExporter();
+    const result = await exporter.parse(texture, {
+        type: options.halfFloat === false ? THREE.FloatType : THREE.HalfFloatType,
+        compression: 2 // ZIPS_COMPRESSION，EXRExporter 的 ZIP 压缩在图像高度小于16行时会写出损坏的数据
+    });
+    return Buffer.from(result.buffer, result.byteOffset, result.byteLength);
+}
+
+function linearToSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+// ACES filmic 曲线的 Narkowicz 拟合
+function acesFilmic(value) {
+    return (value * (2.51 * value + 0.03)) / (value * (2.43 * value + 0.59) + 0.14);
+}
+
+/**
+ * 对HDR图像进行曝光调整和色调映射，输出8位sRGB像素
+ * @param {Object} image readExr 返回的图像
+ * @param {Object} [options] 选项
+ * @param {string} [options.operator='reinhard'] 色调映射算子 reinhard, aces, linear
+ * @param {number} [options.exposure=0] 曝光补偿（EV档），像素值乘以 2^exposure
+ * @returns {Object} { width, height, channels: 3, data: Uint8Array }
+ */
+function tonemap(image, options = {}) {
+    const operator = options.operator || 'reinhard';
+    const scale = Math.pow(2, options.exposure || 0);
+    const curve = {
+        reinhard: value => value / (1 + value),
+        aces: acesFilmic,
+        linear: value => value
+    }[operator];
+    if (!curve) {
+        throw new Error(`不支持的色调映射算子: ${operator}`);
+    }
+
+    const pixelCount = image.width * image.height;
+    const data = new Uint8Array(pixelCount * 3);
+    for (let i = 0; i < pixelCount; i++) {
+        for (let c = 0; c < 3; c++) {
+            let value = image.data[i * 4 + c] * scale;
+            // NaN 和负值按黑色处理
+            value = value > 0 ? curve(value) : 0;
+            value = Math.min(1, Math.max(0, value));
+            data[i * 3 + c] = Math.round(linearToSrgb(value) * 255);
+        }
+    }
+    return { width: image.width, height: image.height, channels: 3, data };
+}
+
+// PNG 块校验使用的 CRC32 表
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * 将8位像素编码为PNG
+ * @param {Object} pixels { width, height, channels, data }，channels 为 3(RGB) 或 4(RGBA)
+ * @returns {Buffer} PNG数据
+ */
+function encodePng(pixels) {
+    const { width, height, channels, data } = pixels;
+    const rowSize = width * channels;
+    // 每行前加一个字节的过滤类型（0 = 不过滤）
+    const raw = Buffer.alloc((rowSize + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (rowSize + 1)] = 0;
+        Buffer.from(data.buffer, data.byteOffset + y * rowSize, rowSize).copy(raw, y * (rowSize + 1) + 1);
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // 位深
+    ihdr[9] = channels === 4 ? 6 : 2; // 颜色类型：6 = RGBA，2 = RGB
+    ihdr[10] = 0;
+    ihdr[11] = 0;
+    ihdr[12] = 0;
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * 通过 ImageMagick convert 将PNG转换为其他格式
+ * @param {Buffer} pngData PNG数据
+ * @param {string} format 目标格式 jpeg 或 webp
+ * @param {number} [quality=90] 压缩质量
+ * @returns {Promise<Buffer>} 转换后的图像数据
+ */
+function convertPng(pngData, format, quality = 90) {
+    return new Promise((resolve, reject) => {
+        const child = childProcess.spawn('convert', ['png:-', '-quality', `${quality}`, `${format}:-`]);
+        const chunks = [];
+        let stderr = '';
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', (err) => {
+            reject(err.code === 'ENOENT' ?
+                new Error(`输出 ${format} 格式需要安装 ImageMagick convert`) : err);
+        });
+        child.on('close', (code) => {
+            if (code === 0) {
+                resolve(Buffer.concat(chunks));
+            } else {
+                reject(new Error(`ImageMagick 转换 ${format} 失败: ${stderr.trim()}`));
+            }
+        });
+        child.stdin.end(pngData);
+    });
+}
+
+/**
+ * 将EXR数据转换为指定格式的图像
+ * @param {Buffer} exrData EXR数据
+ * @param {Object} options 选项
+ * @param {string} options.format 输出格式 exr, png, jpeg, webp
+ * @param {string} [options.tonemap='reinhard'] 色调映射算子
+ * @param {number} [options.exposure=0] 曝光补偿（EV档）
+ * @returns {Promise<Buffer>} 图像数据
+ */
+async function convertExr(exrData, options) {
+    if (options.format === 'exr') {
+        return exrData;
+    }
+    const image = await readExr(exrData);
+    const pngData = encodePng(tonemap(image, { operator: options.tonemap, exposure: options.exposure }));
+    if (options.format === 'png') {
+        return pngData;
+    }
+    return convertPng(pngData, options.format);
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    TONEMAP_OPERATORS,
+    readExr,
+    readHdr,
+    writeExr,
+    tonemap,
+    encodePng,
+    convertPng,
+    convertExr
+};
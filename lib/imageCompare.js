@@ -0,0 +1,247 @@
+// 渲染结果对比：计算两张HDR图像（参考图像和测试图像）逐通道的误差指标，并生成伪彩色的差异热力图
+
+const CHANNELS = ['r', 'g', 'b'];
+// relMSE 分母中避免除零的常数，与 pbrt imgtool 相同
+const RELMSE_EPSILON = 0.01;
+// SSIM 的窗口大小和步长（像素）及稳定常数（动态范围为 1）
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = 0.01 * 0.01;
+const SSIM_C2 = 0.03 * 0.03;
+// 热力图默认将误差的该分位数映射为最高的颜色，避免个别萤火虫像素压暗整张热力图
+const HEATMAP_PERCENTILE = 0.99;
+// 热力图色标（近似 inferno），从低误差到高误差
+const HEATMAP_COLORS = [
+    [0, 0, 4],
+    [87, 16, 110],
+    [188, 55, 84],
+    [249, 142, 9],
+    [252, 255, 164]
+];
+// 任一图像中为 NaN 或无穷大的像素在热力图中显示的颜色
+const HEATMAP_INVALID_COLOR = [0, 255, 0];
+
+/**
+ * 两张图像无法对比时抛出的错误
+ */
+class ImageCompareError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageCompareError';
+        this.status = 400;
+    }
+}
+
+function isValidPixel(data, index) {
+    return Number.isFinite(data[index]) && Number.isFinite(data[index + 1]) && Number.isFinite(data[index + 2]);
+}
+
+// SSIM 在色调映射后的值上计算，HDR值先按 Reinhard 映射到 [0, 1)
+function toDisplay(value) {
+    return value > 0 ? value / (1 + value) : 0;
+}
+
+/**
+ * 计算单个通道的 SSIM，窗口为 SSIM_WINDOW 像素的正方形，按 SSIM_STRIDE 滑动后取平均
+ */
+function computeSsim(reference, test, channel) {
+    const { width, height } = reference;
+    const window = Math.min(SSIM_WINDOW, width, height);
+    let total = 0;
+    let count = 0;
+    for (let top = 0; top + window <= height; top += SSIM_STRIDE) {
+        for (let left = 0; left + window <= width; left += SSIM_STRIDE) {
+            let sumA = 0;
+            let sumB = 0;
+            let sumAA = 0;
+            let sumBB = 0;
+            let sumAB = 0;
+            let n = 0;
+            for (let y = top; y < top + window; y++) {
+                for (let x = left; x < left + window; x++) {
+                    const index = (y * width + x) * 4;
+                    if (!isValidPixel(reference.data, index) || !isValidPixel(test.data, index)) {
+                        continue;
+                    }
+                    const a = toDisplay(reference.data[index + channel]);
+                    const b = toDisplay(test.data[index + channel]);
+                    sumA += a;
+                    sumB += b;
+                    sumAA += a * a;
+                    sumBB += b * b;
+                    sumAB += a * b;
+                    n++;
+                }
+            }
+            if (n < 2) {
+                continue;
+            }
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const covariance = sumAB / n - meanA * meanB;
+            total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+                ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+            count++;
+        }
+    }
+    return count > 0 ? total / count : 1;
+}
+
+/**
+ * 计算误差指标
+ * @param {Object} reference 参考图像，exrImage.readExr 返回的格式
+ * @param {Object} test 测试图像
+ * @returns {Object} { width, height, validPixels, invalidPixels, channels: { r, g, b }, average }，
+ *   每个通道为 { mse, rmse, psnr, relMse, ssim }，psnr 的峰值为参考图像该通道的最大值，两图相同时 psnr 为 null，
+ *   average 为三个通道合并计算的指标
+ * @throws {ImageCompareError} 分辨率不一致时
+ */
+function compareImages(reference, test) {
+    if (reference.width !== test.width || reference.height !== test.height) {
+        throw new ImageCompareError(`图像分辨率不一致: 参考图像 ${reference.width}x${reference.height}，测试图像 ${test.width}x${test.height}`);
+    }
+    const pixelCount = reference.width * reference.height;
+    const squaredError = [0, 0, 0];
+    const relativeError = [0, 0, 0];
+    const peak = [0, 0, 0];
+    let validPixels = 0;
+    for (let i = 0; i < pixelCount; i++) {
+        const index = i * 4;
+        if (!isValidPixel(reference.data, index) || !isValidPixel(test.data, index)) {
+            continue;
+        }
+        for (let c = 0; c < 3; c++) {
+            const expected = reference.data[index + c];
+            const difference = test.data[index + c] - expected;
+            squaredError[c] += difference * difference;
+            relativeError[c] += difference * difference / (expected * expected + RELMSE_EPSILON);
+            peak[c] = Math.max(peak[c], expected);
+        }
+        validPixels++;
+    }
+    if (validPixels === 0) {
+        throw new ImageCompareError('两张图像中没有可以对比的有效像素');
+    }
+
+    const channels = {};
+    CHANNELS.forEach((name, c) => {
+        const mse = squaredError[c] / validPixels;
+        const peakValue = peak[c] > 0 ? peak[c] : 1;
+        channels[name] = {
+            mse,
+            rmse: Math.sqrt(mse),
+            psnr: mse > 0 ? 10 * Math.log10(peakValue * peakValue / mse) : null,
+            relMse: relativeError[c] / validPixels,
+            ssim: computeSsim(reference, test, c)
+        };
+    });
+    // 三个通道合并计算，PSNR 的峰值取各通道峰值的最大值
+    const average = {};
+    for (const metric of ['mse', 'relMse', 'ssim']) {
+        average[metric] = CHANNELS.reduce((sum, name) => sum + channels[name][metric], 0) / CHANNELS.length;
+    }
+    const overallPeak = Math.max(...peak) > 0 ? Math.max(...peak) : 1;
+    average.rmse = Math.sqrt(average.mse);
+    average.psnr = average.mse > 0 ? 10 * Math.log10(overallPeak * overallPeak / average.mse) : null;
+
+    return {
+        width: reference.width,
+        height: reference.height,
+        validPixels,
+        invalidPixels: pixelCount - validPixels,
+        channels,
+        average
+    };
+}
+
+function colormap(t) {
+    const position = Math.min(1, Math.max(0, t)) * (HEATMAP_COLORS.length - 1);
+    const index = Math.min(HEATMAP_COLORS.length - 2, Math.floor(position));
+    const f = position - index;
+    return HEATMAP_COLORS[index].map((value, c) => Math.round(value + (HEATMAP_COLORS[index + 1][c] - value) * f));
+}
+
+/**
+ * 按区域平均缩小像素误差，区域内全部为无效像素时结果为 NaN
+ * @returns {Object} { width, height, errors }
+ */
+function downsampleErrors(errors, width, height, targetWidth) {
+    const thumbnailHeight = Math.max(1, Math.round(height * targetWidth / width));
+    const sums = new Float32Array(targetWidth * thumbnailHeight);
+    const counts = new Uint32Array(targetWidth * thumbnailHeight);
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(thumbnailHeight - 1, Math.floor(y * thumbnailHeight / height)) * targetWidth;
+        for (let x = 0; x < width; x++) {
+            const value = errors[y * width + x];
+            if (Number.isNaN(value)) {
+                continue;
+            }
+            const target = row + Math.min(targetWidth - 1, Math.floor(x * targetWidth / width));
+            sums[target] += value;
+            counts[target]++;
+        }
+    }
+    for (let i = 0; i < sums.length; i++) {
+        sums[i] = counts[i] > 0 ? sums[i] / counts[i] : NaN;
+    }
+    return { width: targetWidth, height: thumbnailHeight, errors: sums };
+}
+
+/**
+ * 生成差异热力图，像素误差为三个通道差值的均方根
+ * @param {Object} reference 参考图像
+ * @param {Object} test 测试图像，分辨率与参考图像相同
+ * @param {Object} [options] 选项
+ * @param {number} [options.max] 映射为最高颜色的误差，默认为误差的第99百分位数
+ * @param {number} [options.width] 缩略图宽度，小于图像宽度时按区域平均像素误差后再着色
+ * @returns {Object} { width, height, channels: 3, data: Uint8Array, max }，可直接传给 exrImage.encodePng
+ */
+function createHeatmap(reference, test, options = {}) {
+    let { width, height } = reference;
+    let pixelCount = width * height;
+    let errors = new Float32Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const index = i * 4;
+        if (!isValidPixel(reference.data, index) || !isValidPixel(test.data, index)) {
+            errors[i] = NaN;
+            continue;
+        }
+        let sum = 0;
+        for (let c = 0; c < 3; c++) {
+            const difference = test.data[index + c] - reference.data[index + c];
+            sum += difference * difference;
+        }
+        errors[i] = Math.sqrt(sum / 3);
+    }
+
+    let max = options.max;
+    if (!(max > 0)) {
+        const sorted = errors.filter(Number.isFinite).sort();
+        max = sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * HEATMAP_PERCENTILE))] : 0;
+        // 误差集中在少数像素时退回到最大误差
+        if (!(max > 0) && sorted.length > 0) {
+            max = sorted[sorted.length - 1];
+        }
+    }
+
+    if (options.width > 0 && options.width < width) {
+        const thumbnail = downsampleErrors(errors, width, height, options.width);
+        ({ width, height, errors } = thumbnail);
+        pixelCount = width * height;
+    }
+
+    const data = new Uint8Array(pixelCount * 3);
+    for (let i = 0; i < pixelCount; i++) {
+        const color = Number.isNaN(errors[i]) ? HEATMAP_INVALID_COLOR : colormap(max > 0 ? errors[i] / max : 0);
+        data.set(color, i * 3);
+    }
+    return { width, height, channels: 3, data, max };
+}
+
+module.exports = {
+    ImageCompareError,
+    compareImages,
+    createHeatmap
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+
+// 渲染任务状态
+const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// 任务目录，每个任务一个子目录，任务信息保存在 job.json 中
+let jobsDir = null;
+// 内存中的任务索引
+const jobs = new Map();
+
+/**
+ * 初始化任务存储，从磁盘加载已有任务
+ * @param {string} dir 任务存储目录
+ * @returns {Array} 需要重新排队的待处理任务列表
+ */
+function initJobStore(dir) {
+    jobsDir = dir;
+    if (!fs.existsSync(jobsDir)) {
+        fs.mkdirSync(jobsDir, { recursive: true });
+    }
+
+    const pendingJobs = [];
+    for (const id of fs.readdirSync(jobsDir)) {
+        const jobFile = path.join(jobsDir, id, 'job.json');
+        if (!fs.existsSync(jobFile)) {
+            continue;
+        }
+        try {
+            const job = JSON.parse(fs.readFileSync(jobFile, 'utf8'));
+            jobs.set(job.id, job);
+
+            if (job.status === JOB_STATUS.RUNNING) {
+                // 服务重启后pbrt进程已不存在，运行中的任务无法继续
+                updateJob(job.id, {
+                    status: JOB_STATUS.FAILED,
+                    error: '服务重启，渲染被中断',
+                    finishedAt: new Date().toISOString()
+                });
+            } else if (job.status === JOB_STATUS.PENDING) {
+                pendingJobs.push(job);
+            }
+        } catch (err) {
+            console.warn(`[Jobs] 无法读取任务文件 ${jobFile}: ${err.message}`);
+        }
+    }
+
+    pendingJobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    console.log(`[Jobs] 已加载 ${jobs.size} 个任务，其中 ${pendingJobs.length} 个待处理`);
+    return pendingJobs;
+}
+
+/**
+ * 获取任务目录
+ * @param {string} id 任务ID
+ * @returns {string} 任务目录的绝对路径
+ */
+function getJobDir(id) {
+    return path.join(jobsDir, id);
+}
+
+function saveJob(job) {
+    const jobDir = getJobDir(job.id);
+    if (!fs.existsSync(jobDir)) {
+        fs.mkdirSync(jobDir, { recursive: true });
+    }
+    // 先写临时文件再重命名，避免写入中途崩溃留下损坏的 job.json
+    const jobFile = path.join(jobDir, 'job.json');
+    fs.writeFileSync(`${jobFile}.tmp`, JSON.stringify(job, null, 4), 'utf8');
+    fs.renameSync(`${jobFile}.tmp`, jobFile);
+}
+
+/**
+ * 创建新的渲染任务，初始状态为 pending
+ * @param {Object} fields 任务字段（userId, filename, scenePath 等）
+ * @returns {Object} 新建的任务
+ */
+function createJob(fields) {
+    const job = {
+        id: uuid.v4(),
+        status: JOB_STATUS.PENDING,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        outputPath: null,
+        ...fields
+    };
+    jobs.set(job.id, job);
+    saveJob(job);
+    return job;
+}
+
+/**
+ * 获取任务
+ * @param {string} id 任务ID
+ * @returns {Object|null} 任务，不存在时返回 null
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * 更新任务字段并写回磁盘
+ * @param {string} id 任务ID
+ * @param {Object} patch 需要更新的字段
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.persist=true] 是否写回磁盘，频繁变化的字段（如进度）可以只更新内存
+ * @returns {Object|null} 更新后的任务
+ */
+function updateJob(id, patch, options = {}) {
+    const job = jobs.get(id);
+    if (!job) {
+        return null;
+    }
+    Object.assign(job, patch);
+    if (options.persist !== false) {
+        saveJob(job);
+    }
+    return job;
+}
+
+/**
+ * 列出任务，按创建时间倒序
+ * @param {Object} [filter] 过滤条件
+ * @param {string} [filter.userId] 只返回该用户的任务
+ * @returns {Array} 任务列表
+ */
+function listJobs(filter = {}) {
+    return Array.from(jobs.values())
+        .filter(job => !filter.userId || job.userId === filter.userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+    JOB_STATUS,
+    initJobStore,
+    getJobDir,
+    createJob,
+    getJob,
+    updateJob,
+    listJobs
+};
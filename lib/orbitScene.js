@@ -0,0 +1,123 @@
+const pbrtParser = require('./pbrtParser');
+
+// 太阳系场景（uploads/orbit.pbrt）的星历更新：场景以地心黄道坐标系为世界坐标系（单位千米），
+// 将星历计算的太阳和月球位置写入各自属性块的 Translate，将地球的自转轴倾斜和自转角写入地球属性块的 Rotate
+
+/**
+ * 场景中找不到太阳、地球或月球的属性块时抛出的错误
+ */
+class OrbitSceneError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrbitSceneError';
+        this.status = 400;
+    }
+}
+
+// 天体属性块的识别方式：太阳块包含面光源，地球和月球块使用各自的命名材质
+const BODY_MATCHERS = {
+    sun: nodes => nodes.some(node => node.name === 'AreaLightSource'),
+    earth: nodes => nodes.some(node => ['MakeNamedMaterial', 'NamedMaterial'].includes(node.name) && node.args[0] === 'earthMaterial'),
+    moon: nodes => nodes.some(node => ['MakeNamedMaterial', 'NamedMaterial'].includes(node.name) && node.args[0] === 'moonMaterial')
+};
+
+/**
+ * 查找世界块中顶层的太阳、地球和月球属性块
+ * @param {Object} scene 语法树
+ * @returns {Object} { sun, earth, moon }，每项为 { begin, directives }，directives 为块内顶层的指令
+ * @throws {OrbitSceneError} 找不到某个天体时
+ */
+function findBodyBlocks(scene) {
+    const blocks = [];
+    let current = null;
+    let depth = 0;
+    for (const node of scene.body) {
+        if (node.type !== 'Directive') {
+            continue;
+        }
+        if (node.name === 'AttributeBegin') {
+            if (depth === 0) {
+                current = { begin: node, directives: [] };
+            }
+            depth++;
+            continue;
+        }
+        if (node.name === 'AttributeEnd') {
+            depth = Math.max(0, depth - 1);
+            if (depth === 0 && current) {
+                blocks.push(current);
+                current = null;
+            }
+            continue;
+        }
+        if (current && depth === 1) {
+            current.directives.push(node);
+        }
+    }
+
+    const bodies = {};
+    for (const [name, matches] of Object.entries(BODY_MATCHERS)) {
+        bodies[name] = blocks.find(block => matches(block.directives));
+        if (!bodies[name]) {
+            throw new OrbitSceneError(`场景中找不到${{ sun: '太阳', earth: '地球', moon: '月球' }[name]}的属性块`);
+        }
+    }
+    return bodies;
+}
+
+function round(value, digits) {
+    return Number(value.toFixed(digits));
+}
+
+/**
+ * 设置属性块的平移，没有 Translate 时在块的开头添加
+ */
+function setTranslate(scene, block, position) {
+    const args = position.map(value => round(value, 3));
+    const translate = block.directives.find(node => node.name === 'Translate');
+    if (translate) {
+        pbrtParser.setArgs(translate, args);
+    } else {
+        pbrtParser.insertAfter(scene, block.begin, [pbrtParser.createDirective('Translate', args)]);
+    }
+}
+
+/**
+ * 将星历写入太阳系场景
+ * 地球的自转轴由赤道坐标系绕 X 轴旋转 -黄赤交角得到黄道坐标系中的方向，
+ * 再绕自转轴旋转格林尼治平恒星时，使地球模型的本初子午线（+X）指向正确的方向
+ * @param {Object} scene pbrtParser.parse 返回的语法树，会被直接修改
+ * @param {Object} ephemeris ephemeris.computeEphemeris 返回的星历
+ * @throws {OrbitSceneError} 找不到天体的属性块时
+ */
+function applyEphemeris(scene, ephemeris) {
+    const bodies = findBodyBlocks(scene);
+    setTranslate(scene, bodies.sun, ephemeris.sun.position);
+    setTranslate(scene, bodies.moon, ephemeris.moon.position);
+
+    // 地球原有的旋转替换为自转轴倾斜和自转角
+    const rotates = bodies.earth.directives.filter(node => node.name === 'Rotate');
+    const reference = rotates[0] || bodies.earth.directives.find(node => node.name === 'Translate') || bodies.earth.begin;
+    const rotation = [
+        pbrtParser.createDirective('Rotate', [round(-ephemeris.earth.obliquity, 6), 1, 0, 0]),
+        pbrtParser.createDirective('Rotate', [round(ephemeris.earth.siderealTime, 6), 0, 0, 1])
+    ];
+    if (rotates.length > 0) {
+        pbrtParser.insertBefore(scene, reference, rotation);
+    } else {
+        pbrtParser.insertAfter(scene, reference, rotation);
+    }
+    scene.body = scene.body.filter(node => !rotates.includes(node));
+
+    // 在场景开头记录星历时间
+    if (scene.body.length > 0 && !scene.body[0].before) {
+        scene.body[0].before = '\n';
+    }
+    scene.body.unshift(pbrtParser.createComment(`星历时间 (Ephemeris epoch): ${ephemeris.time}，太阳和月球位置由离线星历计算`));
+}
+
+module.exports = {
+    OrbitSceneError,
+    findBodyBlocks,
+    applyEphemeris
+};
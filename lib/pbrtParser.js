@@ -0,0 +1,846 @@
+// PBRT-v4 场景解析：将场景文本解析为指令语法树（带类型的参数列表和源码行列位置），
+// 并可序列化回场景文本。未修改的指令和参数按原始文本输出，保留注释和格式
+
+// 场景指令及其位置参数：numbers 为数值参数个数，strings 为 [最少, 最多] 字符串参数个数，
+// keywords 为可选的关键字参数，params 表示可以带参数列表。包含PBRT-v3的已废弃指令，便于解析旧场景
+const DIRECTIVES = {
+    Accelerator: { strings: [1, 1], params: true },
+    ActiveTransform: { keywords: ['StartTime', 'EndTime', 'All'] },
+    AreaLightSource: { strings: [1, 1], params: true },
+    Attribute: { strings: [1, 1], params: true },
+    AttributeBegin: {},
+    AttributeEnd: {},
+    Camera: { strings: [1, 1], params: true },
+    ColorSpace: { strings: [1, 1] },
+    ConcatTransform: { numbers: 16 },
+    CoordinateSystem: { strings: [1, 1] },
+    CoordSysTransform: { strings: [1, 1] },
+    Film: { strings: [1, 1], params: true },
+    Identity: {},
+    Import: { strings: [1, 1] },
+    Include: { strings: [1, 1] },
+    Integrator: { strings: [1, 1], params: true },
+    LightSource: { strings: [1, 1], params: true },
+    LookAt: { numbers: 9 },
+    MakeNamedMaterial: { strings: [1, 1], params: true },
+    MakeNamedMedium: { strings: [1, 1], params: true },
+    Material: { strings: [1, 1], params: true },
+    MediumInterface: { strings: [1, 2] },
+    NamedMaterial: { strings: [1, 1] },
+    ObjectBegin: { strings: [1, 1] },
+    ObjectEnd: {},
+    ObjectInstance: { strings: [1, 1] },
+    Option: { params: true },
+    PixelFilter: { strings: [1, 1], params: true },
+    ReverseOrientation: {},
+    Rotate: { numbers: 4 },
+    Sampler: { strings: [1, 1], params: true },
+    Scale: { numbers: 3 },
+    Shape: { strings: [1, 1], params: true },
+    Texture: { strings: [3, 3], params: true },
+    Transform: { numbers: 16 },
+    TransformBegin: {},
+    TransformEnd: {},
+    TransformTimes: { numbers: 2 },
+    Translate: { numbers: 3 },
+    WorldBegin: {},
+    WorldEnd: {}
+};
+
+const DIRECTIVE_NAMES = Object.keys(DIRECTIVES);
+
+// 开始和结束嵌套块的指令，序列化时用于计算缩进
+const BLOCK_BEGIN = new Set(['AttributeBegin', 'ObjectBegin', 'TransformBegin']);
+const BLOCK_END = new Set(['AttributeEnd', 'ObjectEnd', 'TransformEnd']);
+
+// 值为文件路径的字符串参数
+const FILE_PARAMETERS = ['filename', 'mapname', 'normalmap', 'lensfile'];
+
+// 非保留格式输出时，参数列表超过该长度则每个参数单独一行，参数值过多时分多行输出
+const MAX_LINE_LENGTH = 100;
+
+// 参数值分多行输出时，同一个点、向量或颜色的分量保持在同一行
+const VALUE_GROUP_SIZES = { point2: 2, vector2: 2, point3: 3, vector3: 3, normal3: 3, normal: 3, rgb: 3, point: 3, vector: 3, color: 3 };
+
+/**
+ * 场景语法错误，line 和 column 从 1 开始，code 为错误类别：
+ * syntax（语法错误）、unknown-directive（未知指令）、arity（指令参数个数错误）
+ */
+class PbrtSyntaxError extends Error {
+    constructor(reason, line, column, code = 'syntax') {
+        super(`第 ${line} 行第 ${column} 列: ${reason}`);
+        this.name = 'PbrtSyntaxError';
+        this.status = 400;
+        this.code = code;
+        this.reason = reason;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+function isDirective(name) {
+    return Object.prototype.hasOwnProperty.call(DIRECTIVES, name);
+}
+
+/**
+ * 将粘连在一起的指令名（如 AttributeEndAttributeBegin）拆分为多个指令
+ * @param {string} word 标识符
+ * @returns {Array|null} 拆分出的指令名，无法完整拆分时返回 null
+ */
+function splitGluedDirectives(word) {
+    // splits[i] 为 word.slice(0, i) 的一种拆分方式
+    const splits = new Array(word.length + 1).fill(null);
+    splits[0] = [];
+    for (let i = 0; i < word.length; i++) {
+        if (!splits[i]) {
+            continue;
+        }
+        for (const name of DIRECTIVE_NAMES) {
+            if (!splits[i + name.length] && word.startsWith(name, i)) {
+                splits[i + name.length] = splits[i].concat(name);
+            }
+        }
+    }
+    const result = splits[word.length];
+    return result && result.length > 1 ? result : null;
+}
+
+// 字符串中支持的转义字符
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', '\\': '\\', '\'': '\'', '"': '"' };
+
+function isWhitespace(code) {
+    return code === 32 || (code >= 9 && code <= 13);
+}
+
+// 空白、引号、注释和方括号之外的字符组成一个单词（指令名、数值或布尔值）
+function isWordChar(code) {
+    return !isWhitespace(code) && code !== 34 && code !== 35 && code !== 91 && code !== 93;
+}
+
+/**
+ * 创建词法分析器
+ * @param {string} content 场景内容
+ * @returns {Object} { next, save, restore }
+ */
+function createLexer(content) {
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+    // 拆分粘连指令后尚未返回的记号
+    let pending = [];
+
+    function fail(reason, offset, tokenLine, tokenLineStart) {
+        throw new PbrtSyntaxError(reason, tokenLine, offset - tokenLineStart + 1);
+    }
+
+    function readString(start) {
+        let value = '';
+        let chunkStart = start + 1;
+        let i = chunkStart;
+        while (true) {
+            if (i >= content.length || content[i] === '\n') {
+                // 跳过本行剩余内容，便于解析器从下一行恢复
+                pos = i;
+                fail('字符串缺少结束引号', start, line, lineStart);
+            }
+            const char = content[i];
+            if (char === '"') {
+                return { value: value + content.slice(chunkStart, i), end: i + 1 };
+            }
+            if (char === '\\') {
+                value += content.slice(chunkStart, i);
+                const escaped = content[i + 1];
+                // 未知的转义保持原样，避免 Windows 路径中的反斜杠被吞掉
+                value += ESCAPES[escaped] !== undefined ? ESCAPES[escaped] : `\\${escaped === undefined ? '' : escaped}`;
+                i += 2;
+                chunkStart = i;
+                continue;
+            }
+            i++;
+        }
+    }
+
+    function next() {
+        if (pending.length > 0) {
+            return pending.shift();
+        }
+        while (pos < content.length) {
+            const code = content.charCodeAt(pos);
+            if (code === 10) {
+                line++;
+                lineStart = pos + 1;
+            } else if (!isWhitespace(code)) {
+                break;
+            }
+            pos++;
+        }
+        if (pos >= content.length) {
+            return null;
+        }
+
+        const start = pos;
+        const token = { type: null, value: null, text: null, offset: start, end: start, line, column: start - lineStart + 1 };
+        const char = content[pos];
+        if (char === '#') {
+            const newline = content.indexOf('\n', pos);
+            pos = newline === -1 ? content.length : newline;
+            token.type = 'comment';
+            token.value = content.slice(start, pos).replace(/\r$/, '');
+        } else if (char === '"') {
+            const result = readString(start);
+            pos = result.end;
+            token.type = 'string';
+            token.value = result.value;
+        } else if (char === '[' || char === ']') {
+            pos++;
+            token.type = char;
+            token.value = char;
+        } else {
+            while (pos < content.length && isWordChar(content.charCodeAt(pos))) {
+                pos++;
+            }
+            const word = content.slice(start, pos);
+            if (/^[A-Za-z_]/.test(word)) {
+                token.type = 'identifier';
+                token.value = word;
+                const parts = isDirective(word) ? null : splitGluedDirectives(word);
+                if (parts) {
+                    let offset = start;
+                    const tokens = parts.map((name) => {
+                        const part = { type: 'identifier', value: name, text: name, offset, end: offset + name.length, line, column: offset - lineStart + 1 };
+                        offset += name.length;
+                        return part;
+                    });
+                    pending = tokens.slice(1);
+                    return tokens[0];
+                }
+            } else {
+                const value = Number(word);
+                if (!Number.isFinite(value)) {
+                    fail(`无效的数值 "${word}"`, start, line, lineStart);
+                }
+                token.type = 'number';
+                token.value = value;
+            }
+        }
+        token.end = pos;
+        token.text = content.slice(start, pos);
+        return token;
+    }
+
+    return {
+        next,
+        save: () => ({ pos, line, lineStart, pending: pending.slice() }),
+        restore: (state) => {
+            ({ pos, line, lineStart } = state);
+            pending = state.pending;
+        }
+    };
+}
+
+/**
+ * 将场景内容切分为记号
+ * @param {string} content 场景内容
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.comments=false] 是否包含注释记号
+ * @returns {Array} [{ type, value, text, offset, end, line, column }]，type 为 identifier, string, number, comment, [ 或 ]
+ * @throws {PbrtSyntaxError} 字符串未结束或数值无效时
+ */
+function tokenize(content, options = {}) {
+    const lexer = createLexer(content);
+    const tokens = [];
+    let token;
+    while ((token = lexer.next()) !== null) {
+        if (token.type !== 'comment' || options.comments) {
+            tokens.push(token);
+        }
+    }
+    return tokens;
+}
+
+function describeToken(token) {
+    if (token.type === 'string') {
+        return `字符串 "${token.value}"`;
+    }
+    if (token.type === 'comment') {
+        return '注释';
+    }
+    return `"${token.text}"`;
+}
+
+function tokenError(token, reason, code) {
+    return new PbrtSyntaxError(reason, token.line, token.column, code);
+}
+
+function locationOf(token) {
+    return { line: token.line, column: token.column, offset: token.offset, end: token.end };
+}
+
+/**
+ * 解析一条指令及其参数
+ * @param {Object} lexer 词法分析器
+ * @param {string} content 场景内容
+ * @param {Object} nameToken 指令名记号
+ * @returns {Object} 指令节点
+ */
+function parseDirective(lexer, content, nameToken) {
+    const name = nameToken.value;
+    const spec = DIRECTIVES[name];
+    const node = { type: 'Directive', name, args: [], params: [], comments: [], loc: locationOf(nameToken) };
+    let end = nameToken.end;
+
+    // 读取下一个非注释记号，参数之间的注释记录在节点上，非保留格式输出时使用
+    const take = () => {
+        let token;
+        while ((token = lexer.next()) !== null && token.type === 'comment') {
+            node.comments.push(token.value);
+        }
+        return token;
+    };
+    const peek = () => {
+        const state = lexer.save();
+        let token;
+        while ((token = lexer.next()) !== null && token.type === 'comment') {
+            // 跳过注释
+        }
+        lexer.restore(state);
+        return token;
+    };
+    // 参数列表在下一个标识符处结束，未知的指令名由 parse 报告
+    const atDirective = (token) => !token || (token.type === 'identifier' && token.value !== 'true' && token.value !== 'false');
+
+    if (spec.numbers) {
+        if (peek() && peek().type === '[') {
+            take();
+            node.argsBracketed = true;
+            let token;
+            while ((token = take()) === null || token.type !== ']') {
+                if (!token || token.type !== 'number') {
+                    throw tokenError(token || nameToken, `${name} 的数值列表缺少 ]`);
+                }
+                node.args.push(token.value);
+            }
+            end = token.end;
+        } else {
+            while (node.args.length < spec.numbers && peek() && peek().type === 'number') {
+                const token = take();
+                node.args.push(token.value);
+                end = token.end;
+            }
+        }
+        if (node.args.length !== spec.numbers) {
+            throw tokenError(nameToken, `${name} 需要 ${spec.numbers} 个数值参数，实际为 ${node.args.length} 个`, 'arity');
+        }
+    } else if (spec.strings) {
+        const [min, max] = spec.strings;
+        while (node.args.length < max && peek() && peek().type === 'string') {
+            const token = take();
+            node.args.push(token.value);
+            end = token.end;
+        }
+        if (node.args.length < min) {
+            throw tokenError(nameToken, `${name} 需要 ${min} 个字符串参数，实际为 ${node.args.length} 个`, 'arity');
+        }
+    } else if (spec.keywords) {
+        const token = take();
+        if (!token || token.type !== 'identifier' || !spec.keywords.includes(token.value)) {
+            throw tokenError(token || nameToken, `${name} 的参数必须是 ${spec.keywords.join(', ')} 之一`, 'arity');
+        }
+        node.args.push(token.value);
+        end = token.end;
+    }
+    node.headRaw = content.slice(nameToken.offset, end);
+
+    while (!atDirective(peek())) {
+        const declToken = take();
+        if (!spec.params) {
+            throw tokenError(declToken, `${name} 之后出现多余的 ${describeToken(declToken)}`, 'arity');
+        }
+        if (declToken.type !== 'string') {
+            throw tokenError(declToken, `${name} 的参数列表中出现意外的 ${describeToken(declToken)}，参数应以 "类型 名称" 开始`);
+        }
+        const declaration = /^\s*(\S+)\s+(\S+)\s*$/.exec(declToken.value);
+        if (!declaration) {
+            throw tokenError(declToken, `参数声明格式错误: "${declToken.value}"，应为 "类型 名称"`);
+        }
+
+        const param = {
+            type: declaration[1],
+            name: declaration[2],
+            values: [],
+            bracketed: false,
+            loc: locationOf(declToken),
+            before: content.slice(end, declToken.offset)
+        };
+        const valueOf = (token) => {
+            if (token && (token.type === 'number' || token.type === 'string')) {
+                return token.value;
+            }
+            if (token && token.type === 'identifier' && (token.value === 'true' || token.value === 'false')) {
+                return token.value === 'true';
+            }
+            throw tokenError(token || declToken, param.bracketed ?
+                `参数 "${declToken.value}" 的值列表缺少 ]` :
+                `参数 "${declToken.value}" 缺少值`);
+        };
+
+        let token = take();
+        if (token && token.type === '[') {
+            param.bracketed = true;
+            while ((token = take()) === null || token.type !== ']') {
+                param.values.push(valueOf(token));
+            }
+        } else {
+            param.values.push(valueOf(token));
+        }
+        if (param.type === 'bool') {
+            param.values = param.values.map(value => (value === 'true' || value === 'false') ? value === 'true' : value);
+        }
+        end = token.end;
+        param.loc.end = end;
+        param.raw = content.slice(declToken.offset, end);
+        node.params.push(param);
+    }
+
+    node.loc.end = end;
+    return node;
+}
+
+/**
+ * 解析场景内容
+ * @param {string} content 场景内容
+ * @param {Object} [options] 选项
+ * @param {Array} [options.errors] 提供时不在第一个语法错误处停止：错误追加到该数组，跳到下一条指令继续解析
+ * @returns {Object} 语法树 { type: 'Scene', body, trailing }，body 中为 Directive 和 Comment 节点：
+ *   Directive: { name, args, params: [{ type, name, values, bracketed, loc }], loc }
+ *   Comment: { text, loc }
+ *   loc 为 { line, column, offset, end }
+ * @throws {PbrtSyntaxError} 场景存在语法错误且未提供 options.errors 时
+ */
+function parse(content, options = {}) {
+    const lexer = createLexer(content);
+    const body = [];
+    let lastEnd = 0;
+
+    // 记录错误并跳过记号，直到下一条指令
+    const recover = (error) => {
+        if (!(error instanceof PbrtSyntaxError) || !options.errors) {
+            throw error;
+        }
+        options.errors.push(error);
+        while (true) {
+            const state = lexer.save();
+            let token;
+            try {
+                token = lexer.next();
+            } catch (lexerError) {
+                recover(lexerError);
+                return;
+            }
+            if (!token || (token.type === 'identifier' && isDirective(token.value))) {
+                lexer.restore(state);
+                return;
+            }
+        }
+    };
+
+    while (true) {
+        let token;
+        try {
+            token = lexer.next();
+        } catch (error) {
+            recover(error);
+            continue;
+        }
+        if (token === null) {
+            break;
+        }
+        const before = content.slice(lastEnd, token.offset);
+        if (token.type === 'comment') {
+            body.push({ type: 'Comment', text: token.value, loc: locationOf(token), before });
+            lastEnd = token.end;
+            continue;
+        }
+        if (token.type !== 'identifier') {
+            recover(tokenError(token, `此处应为指令，实际为 ${describeToken(token)}`));
+            continue;
+        }
+        if (!isDirective(token.value)) {
+            recover(tokenError(token, `未知的指令 "${token.value}"`, 'unknown-directive'));
+            continue;
+        }
+        try {
+            const node = parseDirective(lexer, content, token);
+            node.before = before;
+            body.push(node);
+            lastEnd = node.loc.end;
+        } catch (error) {
+            recover(error);
+        }
+    }
+    return { type: 'Scene', body, trailing: content.slice(lastEnd) };
+}
+
+function formatValue(value) {
+    if (typeof value === 'string') {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+    return String(value);
+}
+
+/**
+ * 格式化参数，指定缩进时超出行宽的参数值分多行输出
+ * @param {Object} param 参数
+ * @param {string} [lineIndent] 参数所在行的缩进
+ * @param {string} [indent] 一级缩进
+ * @param {number} [maxLength] 行宽
+ * @returns {string}
+ */
+function formatParam(param, lineIndent, indent, maxLength) {
+    const values = param.values.map(formatValue);
+    const value = param.bracketed || values.length !== 1 ? `[ ${values.join(' ')} ]` : values[0];
+    const singleLine = `"${param.type} ${param.name}" ${value}`;
+    if (lineIndent === undefined || values.length <= 1 || lineIndent.length + singleLine.length <= maxLength) {
+        return singleLine;
+    }
+
+    const groupSize = VALUE_GROUP_SIZES[param.type] || 1;
+    const valueIndent = lineIndent + indent;
+    const lines = [];
+    let line = '';
+    for (let index = 0; index < values.length; index += groupSize) {
+        const group = values.slice(index, index + groupSize).join(' ');
+        if (line && valueIndent.length + line.length + 1 + group.length > maxLength) {
+            lines.push(line);
+            line = group;
+        } else {
+            line = line ? `${line} ${group}` : group;
+        }
+    }
+    lines.push(line);
+    return `"${param.type} ${param.name}" [\n${lines.map(text => valueIndent + text).join('\n')}\n${lineIndent}]`;
+}
+
+function formatHead(node) {
+    const args = node.args.map(formatValue).join(' ');
+    if (node.argsBracketed) {
+        return `${node.name} [ ${args} ]`;
+    }
+    return args ? `${node.name} ${args}` : node.name;
+}
+
+function printDirective(node, preserve, lineIndent, indent, maxLength) {
+    const head = preserve && node.headRaw !== undefined ? node.headRaw : formatHead(node);
+    if (preserve) {
+        return head + node.params.map(param =>
+            (param.before !== undefined ? param.before : ' ') +
+            (param.raw !== undefined ? param.raw : formatParam(param))
+        ).join('');
+    }
+
+    const comments = (node.comments || []).map(comment => `${comment}\n${lineIndent}`).join('');
+    const singleLine = [head].concat(node.params.map(param => formatParam(param))).join(' ');
+    if (node.params.length === 0 || lineIndent.length + singleLine.length <= maxLength) {
+        return comments + singleLine;
+    }
+    const paramIndent = lineIndent + indent;
+    const params = node.params.map(param => formatParam(param, paramIndent, indent, maxLength));
+    return comments + [head].concat(params).join(`\n${paramIndent}`);
+}
+
+/**
+ * 推断场景使用的缩进：取第一个位于嵌套块内且单独成行的节点的缩进
+ * @param {Object} scene 语法树
+ * @returns {string} 一级缩进
+ */
+function detectIndent(scene) {
+    let depth = 0;
+    for (const node of scene.body) {
+        if (node.type === 'Directive' && BLOCK_END.has(node.name)) {
+            depth = Math.max(0, depth - 1);
+        }
+        if (depth === 1 && node.before !== undefined && node.before.includes('\n')) {
+            const indent = node.before.slice(node.before.lastIndexOf('\n') + 1);
+            if (/^[ \t]+$/.test(indent)) {
+                return indent;
+            }
+        }
+        if (node.type === 'Directive' && BLOCK_BEGIN.has(node.name)) {
+            depth++;
+        }
+    }
+    return '    ';
+}
+
+/**
+ * 将语法树序列化为场景文本
+ * @param {Object} scene 语法树
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.preserveFormatting=true] 未修改的节点按原始文本输出；为 false 时按嵌套层级重新排版所有节点
+ * @param {string} [options.indent] 一级缩进，默认根据场景推断
+ * @param {number} [options.maxLineLength=100] 重新排版时的行宽，超出时参数和参数值分多行输出
+ * @returns {string} 场景文本
+ */
+function serialize(scene, options = {}) {
+    const preserve = options.preserveFormatting !== false;
+    const indent = options.indent || detectIndent(scene);
+    const maxLength = options.maxLineLength || MAX_LINE_LENGTH;
+    let output = '';
+    let depth = 0;
+
+    for (const node of scene.body) {
+        const isDirectiveNode = node.type === 'Directive';
+        if (isDirectiveNode && BLOCK_END.has(node.name)) {
+            depth = Math.max(0, depth - 1);
+        }
+        const lineIndent = indent.repeat(depth);
+
+        let before;
+        if (preserve && node.before !== undefined) {
+            before = node.before;
+            // 原文中粘连的指令（如 AttributeEndAttributeBegin）拆分到单独的行
+            if (isDirectiveNode && before === '' && output && !/\s$/.test(output)) {
+                before = `\n${lineIndent}`;
+            }
+        } else if (!output) {
+            before = '';
+        } else if (!isDirectiveNode && node.before !== undefined && !node.before.includes('\n')) {
+            // 行尾注释保持在同一行
+            before = ' ';
+        } else {
+            const blankLine = !preserve && node.before !== undefined && (node.before.match(/\n/g) || []).length > 1;
+            before = `${blankLine ? '\n' : ''}\n${lineIndent}`;
+        }
+
+        output += before + (isDirectiveNode ? printDirective(node, preserve, lineIndent, indent, maxLength) : node.text);
+
+        if (isDirectiveNode && BLOCK_BEGIN.has(node.name)) {
+            depth++;
+        }
+    }
+
+    if (preserve && scene.trailing !== undefined) {
+        return output + scene.trailing;
+    }
+    return output ? `${output}\n` : output;
+}
+
+/**
+ * 标记节点或参数已修改，序列化时不再使用原始文本
+ * @param {Object} target 指令节点或参数
+ */
+function markModified(target) {
+    delete target.raw;
+    delete target.headRaw;
+}
+
+/**
+ * 创建指令节点
+ * @param {string} name 指令名
+ * @param {Array} [args] 位置参数
+ * @param {Array} [params] 参数列表 [{ type, name, values }]
+ * @returns {Object} 指令节点
+ */
+function createDirective(name, args = [], params = []) {
+    if (!isDirective(name)) {
+        throw new Error(`未知的指令: ${name}`);
+    }
+    return {
+        type: 'Directive',
+        name,
+        args,
+        argsBracketed: ['Transform', 'ConcatTransform'].includes(name),
+        params: params.map(param => ({ bracketed: true, ...param })),
+        comments: []
+    };
+}
+
+/**
+ * 创建注释节点
+ * @param {string} text 注释内容，不含 #
+ * @returns {Object} 注释节点
+ */
+function createComment(text) {
+    return { type: 'Comment', text: `# ${text}` };
+}
+
+/**
+ * 获取指令的参数
+ * @param {Object} node 指令节点
+ * @param {string} name 参数名
+ * @returns {Object|null} 参数
+ */
+function getParam(node, name) {
+    return node.params.find(param => param.name === name) || null;
+}
+
+/**
+ * 设置指令的参数，已存在时替换其类型和值，否则添加到参数列表末尾
+ * @param {Object} node 指令节点
+ * @param {string} type 参数类型
+ * @param {string} name 参数名
+ * @param {Array} values 参数值
+ */
+function setParam(node, type, name, values) {
+    const param = getParam(node, name);
+    if (param) {
+        param.type = type;
+        param.values = values;
+        param.bracketed = true;
+        markModified(param);
+    } else {
+        node.params.push({ type, name, values, bracketed: true });
+    }
+}
+
+/**
+ * 删除指令的参数
+ * @param {Object} node 指令节点
+ * @param {string} name 参数名
+ * @returns {boolean} 参数是否存在
+ */
+function removeParam(node, name) {
+    const index = node.params.findIndex(param => param.name === name);
+    if (index === -1) {
+        return false;
+    }
+    node.params.splice(index, 1);
+    return true;
+}
+
+/**
+ * 替换指令的位置参数
+ * @param {Object} node 指令节点
+ * @param {Array} args 位置参数
+ */
+function setArgs(node, args) {
+    node.args = args;
+    markModified(node);
+}
+
+/**
+ * 查找指令
+ * @param {Object} scene 语法树
+ * @param {string} name 指令名
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.beforeWorld=false] 只查找 WorldBegin 之前的指令
+ * @returns {Array} 指令节点
+ */
+function findDirectives(scene, name, options = {}) {
+    const result = [];
+    for (const node of scene.body) {
+        if (node.type !== 'Directive') {
+            continue;
+        }
+        if (options.beforeWorld && node.name === 'WorldBegin') {
+            break;
+        }
+        if (node.name === name) {
+            result.push(node);
+        }
+    }
+    return result;
+}
+
+/**
+ * 查找第一条指定的指令
+ * @param {Object} scene 语法树
+ * @param {string} name 指令名
+ * @param {Object} [options] 同 findDirectives
+ * @returns {Object|null} 指令节点
+ */
+function findDirective(scene, name, options = {}) {
+    return findDirectives(scene, name, options)[0] || null;
+}
+
+/**
+ * 在节点之前插入节点
+ * @param {Object} scene 语法树
+ * @param {Object|null} reference 参照节点，为 null 时插入到开头
+ * @param {Array} nodes 要插入的节点
+ */
+function insertBefore(scene, reference, nodes) {
+    const index = reference ? scene.body.indexOf(reference) : 0;
+    scene.body.splice(Math.max(0, index), 0, ...nodes);
+}
+
+/**
+ * 在节点之后插入节点，参照节点的行尾注释仍保留在参照节点之后
+ * @param {Object} scene 语法树
+ * @param {Object} reference 参照节点
+ * @param {Array} nodes 要插入的节点
+ */
+function insertAfter(scene, reference, nodes) {
+    let index = scene.body.indexOf(reference) + 1;
+    while (index < scene.body.length && scene.body[index].type === 'Comment' &&
+        scene.body[index].before !== undefined && !scene.body[index].before.includes('\n')) {
+        index++;
+    }
+    scene.body.splice(index, 0, ...nodes);
+}
+
+/**
+ * 收集场景中引用的文件路径：文件路径参数和 Include/Import 的场景文件
+ * @param {Object} scene 语法树
+ * @param {Array} [parameterNames] 值为文件路径的参数名，默认为 FILE_PARAMETERS
+ * @returns {Array} [{ node, param, value, set }]，param 为 null 表示 Include/Import 的参数，set(value) 修改引用的路径
+ */
+function getFileReferences(scene, parameterNames = FILE_PARAMETERS) {
+    const references = [];
+    for (const node of scene.body) {
+        if (node.type !== 'Directive') {
+            continue;
+        }
+        if ((node.name === 'Include' || node.name === 'Import') && node.args.length > 0) {
+            references.push({
+                node,
+                param: null,
+                value: node.args[0],
+                set: value => setArgs(node, [value])
+            });
+            continue;
+        }
+        for (const param of node.params) {
+            if (param.type !== 'string' || !parameterNames.includes(param.name)) {
+                continue;
+            }
+            param.values.forEach((value, index) => {
+                if (typeof value !== 'string') {
+                    return;
+                }
+                references.push({
+                    node,
+                    param,
+                    value,
+                    set: (newValue) => {
+                        param.values[index] = newValue;
+                        markModified(param);
+                    }
+                });
+            });
+        }
+    }
+    return references;
+}
+
+module.exports = {
+    DIRECTIVES,
+    FILE_PARAMETERS,
+    PbrtSyntaxError,
+    isDirective,
+    tokenize,
+    parse,
+    serialize,
+    markModified,
+    createDirective,
+    createComment,
+    getParam,
+    setParam,
+    removeParam,
+    setArgs,
+    findDirectives,
+    findDirective,
+    insertBefore,
+    insertAfter,
+    getFileReferences
+};
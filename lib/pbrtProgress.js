@@ -0,0 +1,70 @@
+// pbrt 进度条格式: "\rRendering: [+++++     ]  (2.3s|4.1s)  "，完成时为 "(6.4s)"
+const PROGRESS_PATTERN = /^(.*?):\s*\[([+ ]*)\]\s*\((\d+(?:\.\d+)?)s(?:\|(\d+(?:\.\d+)?)s)?\)/;
+
+/**
+ * 解析一行pbrt进度输出
+ * @param {string} line 一行输出（不含\r和\n）
+ * @returns {Object|null} { title, percent, elapsed, eta, done }，不是进度行时返回 null
+ */
+function parseProgressLine(line) {
+    const match = PROGRESS_PATTERN.exec(line.trim());
+    if (!match) {
+        return null;
+    }
+    const bar = match[2];
+    const plusses = bar.replace(/ /g, '').length;
+    const done = match[4] === undefined;
+    return {
+        title: match[1],
+        percent: done ? 100 : (bar.length > 0 ? Math.round(plusses / bar.length * 1000) / 10 : 0),
+        elapsed: parseFloat(match[3]),
+        eta: done ? 0 : parseFloat(match[4]),
+        done
+    };
+}
+
+/**
+ * 创建pbrt输出流解析器，按\r或\n切分输出，区分进度行和普通日志行
+ * @param {Object} handlers 回调
+ * @param {Function} [handlers.onProgress] 进度回调，参数为 parseProgressLine 的结果
+ * @param {Function} [handlers.onLog] 日志回调，参数为日志行
+ * @returns {Object} { push(chunk), flush() }
+ */
+function createProgressParser(handlers = {}) {
+    let buffer = '';
+    let lastPercent = -1;
+
+    const handleLine = (line) => {
+        if (!line.trim()) {
+            return;
+        }
+        const progress = parseProgressLine(line);
+        if (progress) {
+            // 进度条每次刷新都会重复输出，只在进度变化时回调
+            if (progress.percent !== lastPercent || progress.done) {
+                lastPercent = progress.percent;
+                handlers.onProgress && handlers.onProgress(progress);
+            }
+        } else {
+            handlers.onLog && handlers.onLog(line.trimEnd());
+        }
+    };
+
+    return {
+        push(chunk) {
+            buffer += chunk.toString();
+            const parts = buffer.split(/\r|\n/);
+            buffer = parts.pop();
+            parts.forEach(handleLine);
+        },
+        flush() {
+            handleLine(buffer);
+            buffer = '';
+        }
+    };
+}
+
+module.exports = {
+    parseProgressLine,
+    createProgressParser
+};
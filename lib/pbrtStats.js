@@ -0,0 +1,176 @@
+const fs = require('fs');
+
+// 解析 pbrt --stats 输出的统计信息，并在渲染过程中采样PBRT进程的峰值内存
+
+// 统计信息块的开始行
+const STATISTICS_HEADER = /^Statistics:\s*$/;
+// 统计项："名称" 与值之间至少两个空格
+const ENTRY_PATTERN = /^(\s+)(\S.*?)\s{2,}(\S.*)$/;
+// 比例："命中数 / 总数 (百分比%)"
+const RATIO_PATTERN = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*\((\d+(?:\.\d+)?)%\)$/;
+// 分布："平均值 avg [range 最小值 - 最大值]"
+const DISTRIBUTION_PATTERN = /^(-?\d+(?:\.\d+)?)\s+avg\s+\[range\s+(-?\d+(?:\.\d+)?)\s+-\s+(-?\d+(?:\.\d+)?)\]$/;
+// 内存："数值 单位"
+const MEMORY_PATTERN = /^(\d+(?:\.\d+)?)\s*(B|KiB|MiB|GiB|TiB|kB|MB|GB)$/;
+const MEMORY_UNITS = {
+    B: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4,
+    kB: 1000, MB: 1000 ** 2, GB: 1000 ** 3
+};
+
+// 峰值内存的采样间隔
+const MEMORY_SAMPLE_INTERVAL = 500;
+
+/**
+ * 解析统计项的值
+ * @param {string} text 值的原始文本
+ * @returns {number|Object|string} 数值、内存字节数、比例 { count, total, percent }、分布 { avg, min, max }，无法识别时返回原始文本
+ */
+function parseStatisticValue(text) {
+    // 去掉千位分隔符
+    const value = text.trim().replace(/(\d),(?=\d{3}\b)/g, '$1');
+    if (/^-?\d+(?:\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    let match = MEMORY_PATTERN.exec(value);
+    if (match) {
+        return { bytes: Math.round(Number(match[1]) * MEMORY_UNITS[match[2]]) };
+    }
+    match = RATIO_PATTERN.exec(value);
+    if (match) {
+        return { count: Number(match[1]), total: Number(match[2]), percent: Number(match[3]) };
+    }
+    match = DISTRIBUTION_PATTERN.exec(value);
+    if (match) {
+        return { avg: Number(match[1]), min: Number(match[2]), max: Number(match[3]) };
+    }
+    return value;
+}
+
+/**
+ * 解析PBRT输出中的统计信息块
+ * @param {string} output PBRT的标准输出
+ * @returns {Object|null} { 分类: { 统计项: 值 } }，没有分类的统计项放在 "" 分类中，没有统计信息时返回 null
+ */
+function parseStatistics(output) {
+    const lines = output.split(/\r?\n|\r/);
+    const start = lines.findIndex(line => STATISTICS_HEADER.test(line));
+    if (start === -1) {
+        return null;
+    }
+
+    const statistics = {};
+    let category = '';
+    for (const line of lines.slice(start + 1)) {
+        if (!line.trim()) {
+            continue;
+        }
+        // 统计信息块以缩进的行组成，遇到未缩进的行时结束
+        if (!/^\s/.test(line)) {
+            break;
+        }
+        const entry = ENTRY_PATTERN.exec(line);
+        if (entry) {
+            statistics[category] = statistics[category] || {};
+            statistics[category][entry[2]] = parseStatisticValue(entry[3]);
+        } else {
+            category = line.trim();
+        }
+    }
+    return statistics;
+}
+
+/**
+ * 从统计信息中提取常用指标：光线数、采样数、图元数和纹理内存
+ * @param {Object|null} statistics parseStatistics 的结果
+ * @returns {Object} { raysTraced, cameraRays, samples, primitives, textureMemoryBytes }，统计信息中没有的指标为 null
+ */
+function summarizeStatistics(statistics) {
+    const entries = [];
+    for (const [category, items] of Object.entries(statistics || {})) {
+        for (const [name, value] of Object.entries(items)) {
+            entries.push({ category, name: name.toLowerCase(), value });
+        }
+    }
+    const numberOf = value => typeof value === 'number' ? value :
+        (value && typeof value.total === 'number' ? value.total : null);
+    const sum = (predicate) => {
+        const values = entries.filter(predicate).map(entry => numberOf(entry.value)).filter(value => value !== null);
+        return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+    };
+
+    const textureMemory = entries.filter(entry => entry.category.toLowerCase() === 'memory' &&
+        /texture|mip/.test(entry.name) && entry.value && typeof entry.value.bytes === 'number');
+    return {
+        raysTraced: sum(entry => /rays traced|rays$/.test(entry.name)),
+        cameraRays: sum(entry => /camera rays/.test(entry.name)),
+        samples: sum(entry => /samples/.test(entry.name) && !/rays/.test(entry.name)),
+        primitives: sum(entry => /primitives/.test(entry.name)),
+        textureMemoryBytes: textureMemory.length > 0 ?
+            textureMemory.reduce((total, entry) => total + entry.value.bytes, 0) : null
+    };
+}
+
+/**
+ * 合并多次渲染（如分块渲染的各分块）的常用指标：计数相加，纹理内存取最大值
+ * @param {Array} summaries summarizeStatistics 的结果
+ * @returns {Object} 与 summarizeStatistics 相同的结构
+ */
+function combineSummaries(summaries) {
+    const combine = (name, reducer) => {
+        const values = summaries.map(summary => summary && summary[name]).filter(value => typeof value === 'number');
+        return values.length > 0 ? values.reduce(reducer) : null;
+    };
+    const add = (total, value) => total + value;
+    return {
+        raysTraced: combine('raysTraced', add),
+        cameraRays: combine('cameraRays', add),
+        samples: combine('samples', add),
+        primitives: combine('primitives', (a, b) => Math.max(a, b)),
+        textureMemoryBytes: combine('textureMemoryBytes', (a, b) => Math.max(a, b))
+    };
+}
+
+/**
+ * 读取进程的峰值常驻内存（Linux 的 /proc/<pid>/status 中的 VmHWM）
+ * @param {number} pid 进程ID
+ * @returns {number|null} 字节数，无法读取时返回 null
+ */
+function readPeakMemory(pid) {
+    try {
+        const match = /^VmHWM:\s+(\d+)\s+kB/m.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+        return match ? Number(match[1]) * 1024 : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * 定期采样进程的峰值内存。进程退出后无法再读取，最后一次采样之后的内存增长不会被记录
+ * @param {number} pid 进程ID
+ * @returns {Object} { stop() }，stop 返回采样到的峰值字节数，不支持的平台返回 null
+ */
+function createMemorySampler(pid) {
+    let peak = null;
+    const sample = () => {
+        const value = readPeakMemory(pid);
+        if (value !== null) {
+            peak = Math.max(peak || 0, value);
+        }
+    };
+    sample();
+    const timer = setInterval(sample, MEMORY_SAMPLE_INTERVAL);
+    timer.unref();
+    return {
+        stop() {
+            clearInterval(timer);
+            return peak;
+        }
+    };
+}
+
+module.exports = {
+    parseStatistics,
+    summarizeStatistics,
+    combineSummaries,
+    createMemorySampler
+};
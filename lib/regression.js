@@ -0,0 +1,195 @@
+// 基准图像回归测试：保存的场景和渲染参数加上参考EXR组成基准（golden），
+// 回归运行时重新渲染每个基准，与参考图像对比误差指标，按容差判定通过或失败
+
+// 容差支持的指标，max 表示指标不能大于阈值，min 表示不能小于阈值，指标为三个通道合并计算的值
+const TOLERANCE_METRICS = {
+    rmse: 'max',
+    relMse: 'max',
+    psnr: 'min',
+    ssim: 'min'
+};
+const DEFAULT_TOLERANCE = {
+    relMse: 0.01,
+    ssim: 0.95
+};
+// 基准的状态：参考图像渲染中、可用、参考图像渲染失败
+const GOLDEN_STATUS = {
+    PENDING: 'pending',
+    READY: 'ready',
+    FAILED: 'failed'
+};
+// 单个基准在一次回归运行中的结果
+const RESULT_STATUS = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    ERROR: 'error'
+};
+// 基准的场景来源：组合场景、已转换的模型（放在转盘预览的影棚场景中渲染）、上传的场景文件或场景包
+const GOLDEN_SOURCE_TYPES = {
+    COMPOSED: 'composed',
+    MODEL: 'model',
+    UPLOAD: 'upload'
+};
+// 模型来源使用的模型场景，auto 在存在变换后的 momo.pbrt 时使用 momo.pbrt，否则使用 nono.pbrt
+const MODEL_FRAGMENTS = ['auto', 'momo', 'nono'];
+// 回归运行的状态
+const RUN_STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    INTERRUPTED: 'interrupted'
+};
+
+/**
+ * 基准或回归运行的参数无效时抛出的错误
+ */
+class RegressionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RegressionError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 解析容差，未指定的指标沿用 base 中的阈值
+ * @param {Object} [value] { rmse, relMse, psnr, ssim } 中的任意项，值为 null 时不检查该指标
+ * @param {Object} [base=DEFAULT_TOLERANCE] 基础容差
+ * @returns {Object} 容差
+ * @throws {RegressionError} 容差无效时
+ */
+function parseTolerance(value, base = DEFAULT_TOLERANCE) {
+    if (value === undefined || value === null) {
+        return Object.assign({}, base);
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new RegressionError('tolerance必须是对象，如 { "relMse": 0.01, "ssim": 0.95 }');
+    }
+    const tolerance = Object.assign({}, base);
+    for (const [metric, threshold] of Object.entries(value)) {
+        if (!TOLERANCE_METRICS[metric]) {
+            throw new RegressionError(`不支持的容差指标: ${metric}，可用的指标为 ${Object.keys(TOLERANCE_METRICS).join(', ')}`);
+        }
+        if (threshold === null) {
+            delete tolerance[metric];
+            continue;
+        }
+        if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+            throw new RegressionError(`容差 ${metric} 必须是非负数`);
+        }
+        tolerance[metric] = threshold;
+    }
+    if (Object.keys(tolerance).length === 0) {
+        throw new RegressionError('容差至少需要包含一个指标');
+    }
+    return tolerance;
+}
+
+/**
+ * 解析请求中的对象参数，multipart/form-data 请求中的对象参数为JSON字符串
+ * @param {*} value 参数值
+ * @param {string} name 参数名称
+ * @returns {Object|undefined} 未指定时返回 undefined
+ * @throws {RegressionError} 不是对象时
+ */
+function parseObjectParam(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            throw new RegressionError(`${name}必须是JSON对象`);
+        }
+    }
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new RegressionError(`${name}必须是对象`);
+    }
+    return parsed;
+}
+
+/**
+ * 解析基准的场景来源。上传的场景由请求中的 pbrtFile 文件提供，不通过该参数指定
+ * @param {Object} value { type: composed|model, id, fragment }，fragment 只用于模型来源，默认为 auto
+ * @returns {Object} { type, id }，模型来源另有 fragment
+ * @throws {RegressionError} 来源无效时
+ */
+function parseGoldenSource(value) {
+    if (value === undefined) {
+        throw new RegressionError('缺少 source 参数，或通过 pbrtFile 上传场景文件或场景包');
+    }
+    const type = value.type;
+    if (type === GOLDEN_SOURCE_TYPES.UPLOAD) {
+        throw new RegressionError('上传的场景需要通过 multipart/form-data 的 pbrtFile 字段提供');
+    }
+    if (type !== GOLDEN_SOURCE_TYPES.COMPOSED && type !== GOLDEN_SOURCE_TYPES.MODEL) {
+        throw new RegressionError(`source.type必须是 ${Object.values(GOLDEN_SOURCE_TYPES).join(', ')} 之一`);
+    }
+    if (typeof value.id !== 'string' || !/^[\w-]+$/.test(value.id)) {
+        throw new RegressionError('source.id必须是组合场景ID或模型ID');
+    }
+    if (type === GOLDEN_SOURCE_TYPES.COMPOSED) {
+        return { type, id: value.id };
+    }
+    const fragment = value.fragment === undefined ? 'auto' : value.fragment;
+    if (!MODEL_FRAGMENTS.includes(fragment)) {
+        throw new RegressionError(`source.fragment必须是 ${MODEL_FRAGMENTS.join(', ')} 之一`);
+    }
+    return { type, id: value.id, fragment };
+}
+
+/**
+ * 按容差判定对比结果
+ * @param {Object} metrics imageCompare.compareImages 返回的指标
+ * @param {Object} tolerance parseTolerance 返回的容差
+ * @returns {Object} { passed, failures }，failures 为超出容差的指标 [{ metric, value, threshold }]
+ */
+function evaluateMetrics(metrics, tolerance) {
+    const failures = [];
+    for (const [metric, threshold] of Object.entries(tolerance)) {
+        const value = metrics.average[metric];
+        // 图像完全相同时 PSNR 为 null，视为满足任何下限
+        if (value === null) {
+            continue;
+        }
+        const exceeded = TOLERANCE_METRICS[metric] === 'max' ? value > threshold : value < threshold;
+        if (exceeded) {
+            failures.push({ metric, value, threshold });
+        }
+    }
+    return { passed: failures.length === 0, failures };
+}
+
+/**
+ * 汇总回归运行的结果
+ * @param {Array} results 各基准的结果，每项包含 status
+ * @returns {Object} { total, passed, failed, errors, success }
+ */
+function summarizeResults(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = {
+        total: results.length,
+        passed: count(RESULT_STATUS.PASSED),
+        failed: count(RESULT_STATUS.FAILED),
+        errors: count(RESULT_STATUS.ERROR)
+    };
+    summary.success = summary.total > 0 && summary.passed === summary.total;
+    return summary;
+}
+
+module.exports = {
+    TOLERANCE_METRICS,
+    DEFAULT_TOLERANCE,
+    GOLDEN_STATUS,
+    GOLDEN_SOURCE_TYPES,
+    MODEL_FRAGMENTS,
+    RESULT_STATUS,
+    RUN_STATUS,
+    RegressionError,
+    parseTolerance,
+    parseObjectParam,
+    parseGoldenSource,
+    evaluateMetrics,
+    summarizeResults
+};
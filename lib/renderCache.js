@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pbrtParser = require('./pbrtParser');
+
+// 缓存键格式版本，修改键的计算方式时递增，使旧缓存自然失效
+const CACHE_KEY_VERSION = 2;
+
+// 引用其他场景文件的指令，需要递归计算其中引用的资源
+const INCLUDE_DIRECTIVES = ['Include', 'Import'];
+
+/**
+ * 创建渲染结果缓存：缓存键由服务端根据场景内容、引用资源和渲染参数计算，超出磁盘配额时按最近最少使用淘汰
+ * @param {Object} options 选项
+ * @param {string} options.dir 缓存目录
+ * @param {number} [options.maxBytes=0] 磁盘配额（字节），0 表示不限制
+ * @param {number} [options.maxAgeDays=0] 超过该天数未使用的缓存在定期清理时删除，0 表示不按时间清理
+ * @returns {Object} 缓存
+ */
+function createRenderCache(options) {
+    const dir = options.dir;
+    const maxBytes = Math.max(0, Number(options.maxBytes) || 0);
+    const maxAgeMs = Math.max(0, Number(options.maxAgeDays) || 0) * 24 * 3600 * 1000;
+
+    // 缓存条目按最近使用时间从旧到新排列，Map 的插入顺序即 LRU 顺序
+    const entries = new Map(); // key -> { size, lastAccess, createdAt }
+    // 资源文件的内容哈希，按路径、大小和修改时间缓存，避免重复读取大文件
+    const assetHashes = new Map();
+    const counters = { hits: 0, misses: 0, evictions: 0 };
+    let totalBytes = 0;
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    // 启动时根据文件修改时间恢复 LRU 顺序，命中时会更新修改时间
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.exr'))
+        .map(file => {
+            const stat = fs.statSync(path.join(dir, file));
+            return { key: path.basename(file, '.exr'), size: stat.size, lastAccess: stat.mtimeMs, createdAt: stat.birthtimeMs || stat.mtimeMs };
+        })
+        .sort((a, b) => a.lastAccess - b.lastAccess)
+        .forEach(entry => {
+            entries.set(entry.key, { size: entry.size, lastAccess: entry.lastAccess, createdAt: entry.createdAt });
+            totalBytes += entry.size;
+        });
+
+    function entryPath(key) {
+        return path.join(dir, `${key}.exr`);
+    }
+
+    function hashFile(filePath) {
+        const stat = fs.statSync(filePath);
+        const cached = assetHashes.get(filePath);
+        if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+            return Promise.resolve(cached.hash);
+        }
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => {
+                    const digest = hash.digest('hex');
+                    assetHashes.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, hash: digest });
+                    resolve(digest);
+                });
+        });
+    }
+
+    /**
+     * 收集场景中引用的资源文件（纹理、环境贴图、PLY网格、Include的场景文件等）及其内容哈希
+     * @param {Array} tokens pbrtParser.tokenize 返回的场景记号
+     * @param {string} baseDir 解析相对路径的目录（PBRT的工作目录）
+     * @param {Map} assets 已收集的资源，路径 -> 哈希
+     */
+    async function collectAssets(tokens, baseDir, assets) {
+        for (let index = 0; index < tokens.length; index++) {
+            const token = tokens[index];
+            if (token.type !== 'string' || !token.value) {
+                continue;
+            }
+            const reference = token.value;
+            // 参数声明（如 "string filename"）不是文件引用
+            if (/^\w+\s+\w+$/.test(reference)) {
+                continue;
+            }
+            const filePath = path.resolve(baseDir, reference);
+            if (assets.has(filePath) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+                continue;
+            }
+            assets.set(filePath, await hashFile(filePath));
+
+            if (index > 0 && tokens[index - 1].type === 'identifier' && INCLUDE_DIRECTIVES.includes(tokens[index - 1].value)) {
+                let includedTokens;
+                try {
+                    includedTokens = pbrtParser.tokenize(fs.readFileSync(filePath, 'utf8'));
+                } catch (error) {
+                    error.file = error.file || filePath;
+                    throw error;
+                }
+                await collectAssets(includedTokens, baseDir, assets);
+            }
+        }
+    }
+
+    /**
+     * 计算渲染结果的缓存键
+     * @param {string} content 最终提交给PBRT的场景内容
+     * @param {Object} keyOptions 选项
+     * @param {string} keyOptions.baseDir 解析相对路径的目录
+     * @param {Object} [keyOptions.renderOptions] 影响渲染结果的参数（如采样数、裁剪窗口、随机种子、渲染后端和分块数）
+     * @returns {Promise<Object>} { key, assets }，assets 为参与计算的资源路径列表
+     * @throws {PbrtSyntaxError} 场景或被引用的场景文件存在语法错误时，后者的 error.file 为该文件的绝对路径
+     */
+    async function computeKey(content, keyOptions) {
+        const tokens = pbrtParser.tokenize(content);
+        const assets = new Map();
+        await collectAssets(tokens, keyOptions.baseDir, assets);
+
+        const assetList = Array.from(assets.entries())
+            .map(([filePath, hash]) => [path.relative(keyOptions.baseDir, filePath), hash])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        const key = crypto.createHash('sha256')
+            .update(JSON.stringify({
+                version: CACHE_KEY_VERSION,
+                scene: tokens.map(token => token.text).join(' '),
+                assets: assetList,
+                options: keyOptions.renderOptions || {}
+            }))
+            .digest('hex');
+        return { key, assets: assetList.map(([relativePath]) => relativePath) };
+    }
+
+    function touch(key) {
+        const entry = entries.get(key);
+        entry.lastAccess = Date.now();
+        // 重新插入，移到 LRU 顺序的末尾
+        entries.delete(key);
+        entries.set(key, entry);
+        const time = new Date(entry.lastAccess);
+        fs.utimesSync(entryPath(key), time, time);
+    }
+
+    /**
+     * 查找缓存
+     * @param {string} key 缓存键
+     * @returns {string|null} 缓存的EXR文件路径，未命中时返回 null
+     */
+    function lookup(key) {
+        if (!entries.has(key) || !fs.existsSync(entryPath(key))) {
+            if (entries.has(key)) {
+                // 文件被外部删除
+                totalBytes -= entries.get(key).size;
+                entries.delete(key);
+            }
+            counters.misses++;
+            return null;
+        }
+        counters.hits++;
+        touch(key);
+        return entryPath(key);
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        fs.rmSync(entryPath(key), { force: true });
+        entries.delete(key);
+        totalBytes -= entry.size;
+        return true;
+    }
+
+    /**
+     * 超出磁盘配额时按最近最少使用淘汰缓存
+     * @param {string} [keepKey] 不淘汰的缓存键（刚写入的条目）
+     */
+    function evict(keepKey) {
+        if (maxBytes === 0) {
+            return;
+        }
+        for (const key of Array.from(entries.keys())) {
+            if (totalBytes <= maxBytes) {
+                break;
+            }
+            if (key === keepKey) {
+                continue;
+            }
+            const size = entries.get(key).size;
+            remove(key);
+            counters.evictions++;
+            console.log(`[Cache] 超出磁盘配额，淘汰缓存 ${key} (${size} 字节)`);
+        }
+    }
+
+    /**
+     * 将渲染结果写入缓存
+     * @param {string} key 缓存键
+     * @param {string} sourcePath 渲染输出的EXR文件
+     */
+    function store(key, sourcePath) {
+        remove(key);
+        fs.copyFileSync(sourcePath, entryPath(key));
+        const size = fs.statSync(entryPath(key)).size;
+        const now = Date.now();
+        entries.set(key, { size, lastAccess: now, createdAt: now });
+        totalBytes += size;
+        evict(key);
+    }
+
+    /**
+     * 删除超过保留时间未使用的缓存
+     * @returns {number} 删除的条目数
+     */
+    function sweepExpired() {
+        if (maxAgeMs === 0) {
+            return 0;
+        }
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of Array.from(entries.entries())) {
+            if (now - entry.lastAccess > maxAgeMs) {
+                remove(key);
+                removed++;
+                console.log(`[Cache] Cleaned expired cache: ${key}`);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * 获取缓存统计信息
+     * @returns {Object} 占用空间、命中率和按最近使用排序的条目
+     */
+    function getStats() {
+        const lookups = counters.hits + counters.misses;
+        return {
+            entries: entries.size,
+            totalBytes,
+            maxBytes,
+            maxAgeDays: maxAgeMs / (24 * 3600 * 1000),
+            hits: counters.hits,
+            misses: counters.misses,
+            hitRate: lookups > 0 ? Math.round(counters.hits / lookups * 1000) / 1000 : null,
+            evictions: counters.evictions,
+            items: Array.from(entries.entries()).reverse().map(([key, entry]) => ({
+                key,
+                size: entry.size,
+                lastAccess: new Date(entry.lastAccess).toISOString(),
+                createdAt: new Date(entry.createdAt).toISOString()
+            }))
+        };
+    }
+
+    return {
+        computeKey,
+        lookup,
+        store,
+        remove,
+        sweepExpired,
+        getStats
+    };
+}
+
+module.exports = {
+    createRenderCache
+};
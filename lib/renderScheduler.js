@@ -0,0 +1,187 @@
+const EventEmitter = require('events');
+
+// 没有历史数据时估算的单次渲染耗时（秒）
+const DEFAULT_RENDER_SECONDS = 30;
+// 用于估算等待时间的最近渲染次数
+const DURATION_SAMPLES = 20;
+
+/**
+ * 渲染队列已满时抛出的错误
+ */
+class QueueFullError extends Error {
+    constructor(retryAfter, queueLength) {
+        super(`渲染队列已满（${queueLength} 个任务排队中），请 ${retryAfter} 秒后重试`);
+        this.name = 'QueueFullError';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+        this.queueLength = queueLength;
+    }
+}
+
+/**
+ * 创建渲染调度器：限制同时运行的渲染数量，其余任务按优先级排队，同优先级先进先出
+ * @param {Object} options 选项
+ * @param {number} [options.maxConcurrent=1] 最大并发渲染数
+ * @param {number} [options.maxQueueLength=0] 最大排队长度，0 表示不限制
+ * @param {Function} options.run 执行任务的异步函数，参数为任务ID
+ * @returns {Object} 调度器，队列变化时触发 'change' 事件
+ */
+function createRenderScheduler(options) {
+    const maxConcurrent = Math.max(1, parseInt(options.maxConcurrent, 10) || 1);
+    const maxQueueLength = Math.max(0, parseInt(options.maxQueueLength, 10) || 0);
+    const events = new EventEmitter();
+
+    const queue = []; // { jobId, priority, seq, enqueuedAt }
+    const running = new Set();
+    const recentDurations = [];
+    let seq = 0;
+
+    function isFull() {
+        return maxQueueLength > 0 && queue.length >= maxQueueLength;
+    }
+
+    /**
+     * 检查队列是否还能接收新任务
+     * @throws {QueueFullError} 队列已满时
+     */
+    function assertCapacity() {
+        if (isFull()) {
+            throw new QueueFullError(estimateWaitSeconds(), queue.length);
+        }
+    }
+
+    /**
+     * 根据最近的渲染耗时估算排在队尾的任务需要等待的秒数
+     * @returns {number} 秒
+     */
+    function estimateWaitSeconds() {
+        const average = recentDurations.length > 0 ?
+            recentDurations.reduce((sum, value) => sum + value, 0) / recentDurations.length / 1000 :
+            DEFAULT_RENDER_SECONDS;
+        return Math.max(1, Math.ceil(average * (queue.length + 1) / maxConcurrent));
+    }
+
+    /**
+     * 获取任务的排队位置
+     * @param {string} jobId 任务ID
+     * @returns {number|null} 从1开始的排队位置，正在运行时为0，不在调度器中时为 null
+     */
+    function getPosition(jobId) {
+        if (running.has(jobId)) {
+            return 0;
+        }
+        const index = queue.findIndex(entry => entry.jobId === jobId);
+        return index === -1 ? null : index + 1;
+    }
+
+    // 按顺序逐个启动任务，直到达到并发上限
+    function dispatch() {
+        let started = false;
+        while (running.size < maxConcurrent && queue.length > 0) {
+            const entry = queue.shift();
+            const startedAt = Date.now();
+            running.add(entry.jobId);
+            started = true;
+
+            Promise.resolve()
+                .then(() => options.run(entry.jobId))
+                .catch(err => console.error(`[Scheduler] 任务 ${entry.jobId} 执行出错: ${err.message}`))
+                .finally(() => {
+                    running.delete(entry.jobId);
+                    recentDurations.push(Date.now() - startedAt);
+                    if (recentDurations.length > DURATION_SAMPLES) {
+                        recentDurations.shift();
+                    }
+                    events.emit('change');
+                    dispatch();
+                });
+        }
+        if (started) {
+            events.emit('change');
+        }
+    }
+
+    /**
+     * 将任务加入队列
+     * @param {string} jobId 任务ID
+     * @param {Object} [enqueueOptions] 选项
+     * @param {number} [enqueueOptions.priority=0] 优先级，数值越大越先执行
+     * @param {boolean} [enqueueOptions.force=false] 忽略队列长度限制（如服务重启后恢复的任务）
+     * @returns {number} 排队位置
+     * @throws {QueueFullError} 队列已满时
+     */
+    function enqueue(jobId, enqueueOptions = {}) {
+        if (!enqueueOptions.force) {
+            assertCapacity();
+        }
+
+        const entry = {
+            jobId,
+            priority: parseInt(enqueueOptions.priority, 10) || 0,
+            seq: seq++,
+            enqueuedAt: Date.now()
+        };
+        // 插入到第一个优先级更低的任务之前，保证同优先级先进先出
+        let index = queue.findIndex(item => item.priority < entry.priority);
+        if (index === -1) {
+            index = queue.length;
+        }
+        queue.splice(index, 0, entry);
+
+        const position = getPosition(jobId);
+        events.emit('change');
+        setImmediate(dispatch);
+        return position;
+    }
+
+    /**
+     * 从队列中移除尚未开始的任务
+     * @param {string} jobId 任务ID
+     * @returns {boolean} 是否移除成功
+     */
+    function remove(jobId) {
+        const index = queue.findIndex(entry => entry.jobId === jobId);
+        if (index === -1) {
+            return false;
+        }
+        queue.splice(index, 1);
+        events.emit('change');
+        return true;
+    }
+
+    /**
+     * 获取调度器状态
+     * @returns {Object} 并发和队列信息
+     */
+    function getStats() {
+        return {
+            maxConcurrent,
+            maxQueueLength,
+            running: Array.from(running),
+            queued: queue.map((entry, index) => ({
+                jobId: entry.jobId,
+                position: index + 1,
+                priority: entry.priority,
+                enqueuedAt: new Date(entry.enqueuedAt).toISOString()
+            })),
+            estimatedWaitSeconds: estimateWaitSeconds()
+        };
+    }
+
+    return {
+        enqueue,
+        remove,
+        getPosition,
+        getStats,
+        isFull,
+        assertCapacity,
+        estimateWaitSeconds,
+        maxConcurrent,
+        on: events.on.bind(events)
+    };
+}
+
+module.exports = {
+    QueueFullError,
+    createRenderScheduler
+};
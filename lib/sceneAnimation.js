@@ -0,0 +1,442 @@
+const pbrtParser = require('./pbrtParser');
+
+// 关键帧动画：根据摄像机（LookAt、fov）和命名物体（Translate、Rotate）的关键帧，为每一帧生成一个场景。
+// 数值按线性插值，旋转按四元数球面插值（slerp），每段可以指定贝塞尔缓动曲线
+
+// 单个动画最多的帧数
+const MAX_FRAMES = 1000;
+const DEFAULT_FPS = 24;
+
+// 与CSS同名的缓动曲线，值为三次贝塞尔曲线的控制点 [x1, y1, x2, y2]
+const EASINGS = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// 标记命名物体的注释，写在 AttributeBegin 或 ObjectBegin 之前或同一行，如 #[object: moon]
+const OBJECT_MARKER = /#\s*\[object:\s*([^\]]+?)\s*\]/;
+
+// 关键帧属性和各自的数值个数
+const CAMERA_PROPERTIES = { lookAt: 9, fov: 1 };
+const OBJECT_PROPERTIES = { translate: 3, rotate: 4 };
+
+/**
+ * 动画参数无效时抛出的错误
+ */
+class AnimationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnimationError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 解析缓动参数
+ * @param {string|Array} easing 缓动名称或贝塞尔控制点 [x1, y1, x2, y2]
+ * @param {string} where 出错时的位置描述
+ * @returns {Array} 贝塞尔控制点
+ * @throws {AnimationError} 缓动参数无效时
+ */
+function parseEasing(easing, where) {
+    if (typeof easing === 'string' && EASINGS[easing]) {
+        return EASINGS[easing];
+    }
+    if (Array.isArray(easing) && easing.length === 4 && easing.every(Number.isFinite) &&
+        easing[0] >= 0 && easing[0] <= 1 && easing[2] >= 0 && easing[2] <= 1) {
+        return easing;
+    }
+    throw new AnimationError(`${where}的 easing 必须是 ${Object.keys(EASINGS).join(', ')} 之一，` +
+        '或贝塞尔控制点 [x1, y1, x2, y2]（x1、x2 在0到1之间）');
+}
+
+/**
+ * 解析一条关键帧轨道
+ * @param {Array} keyframes 关键帧 [{ frame, 属性..., easing }]
+ * @param {Object} properties 允许的属性和数值个数
+ * @param {Object} context { frameCount, easing, where }
+ * @returns {Array} 按帧号排序的关键帧
+ */
+function parseTrack(keyframes, properties, context) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+        throw new AnimationError(`${context.where}的关键帧必须是非空数组`);
+    }
+    const track = keyframes.map((keyframe, index) => {
+        const where = `${context.where}的第 ${index + 1} 个关键帧`;
+        if (!keyframe || typeof keyframe !== 'object') {
+            throw new AnimationError(`${where}必须是对象`);
+        }
+        const frame = Number(keyframe.frame);
+        if (!Number.isInteger(frame) || frame < 0 || frame >= context.frameCount) {
+            throw new AnimationError(`${where}的 frame 必须是 0 到 ${context.frameCount - 1} 之间的整数`);
+        }
+        const parsed = {
+            frame,
+            easing: keyframe.easing !== undefined ? parseEasing(keyframe.easing, where) : context.easing
+        };
+        let hasValue = false;
+        for (const [name, size] of Object.entries(properties)) {
+            if (keyframe[name] === undefined) {
+                continue;
+            }
+            const values = [].concat(keyframe[name]).map(Number);
+            if (values.length !== size || !values.every(Number.isFinite)) {
+                throw new AnimationError(`${where}的 ${name} 必须是 ${size} 个数值`);
+            }
+            if (name === 'rotate' && Math.hypot(values[1], values[2], values[3]) === 0) {
+                throw new AnimationError(`${where}的 rotate 旋转轴不能为零向量`);
+            }
+            parsed[name] = size === 1 ? values[0] : values;
+            hasValue = true;
+        }
+        if (!hasValue) {
+            throw new AnimationError(`${where}至少需要指定 ${Object.keys(properties).join(', ')} 之一`);
+        }
+        return parsed;
+    });
+
+    track.sort((a, b) => a.frame - b.frame);
+    track.forEach((keyframe, index) => {
+        if (index > 0 && keyframe.frame === track[index - 1].frame) {
+            throw new AnimationError(`${context.where}有多个第 ${keyframe.frame} 帧的关键帧`);
+        }
+    });
+    return track;
+}
+
+/**
+ * 解析并校验动画参数
+ * @param {Object|string} spec 动画参数（对象或JSON字符串）
+ * @param {number} [spec.frameCount] 帧数，未指定时为最后一个关键帧的帧号加一
+ * @param {number} [spec.fps=24] 帧率，用于生成视频
+ * @param {string|Array} [spec.easing='linear'] 默认缓动
+ * @param {Array} [spec.camera] 摄像机关键帧 [{ frame, lookAt: [ex, ey, ez, lx, ly, lz, ux, uy, uz], fov, easing }]
+ * @param {Object} [spec.objects] 命名物体的关键帧 { 名称: [{ frame, translate: [x, y, z], rotate: [angle, x, y, z], easing }] }
+ * @returns {Object} { frameCount, fps, camera, objects }
+ * @throws {AnimationError} 参数无效时
+ */
+function parseAnimation(spec) {
+    if (typeof spec === 'string') {
+        try {
+            spec = JSON.parse(spec);
+        } catch (err) {
+            throw new AnimationError(`动画参数不是有效的JSON: ${err.message}`);
+        }
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new AnimationError('动画参数必须是对象');
+    }
+    if (!spec.camera && !spec.objects) {
+        throw new AnimationError('动画参数至少需要包含 camera 或 objects 关键帧');
+    }
+    if (spec.objects !== undefined && (!spec.objects || typeof spec.objects !== 'object' || Array.isArray(spec.objects))) {
+        throw new AnimationError('objects 必须是以物体名称为键的对象');
+    }
+
+    // 未指定帧数时由关键帧决定
+    const lastFrame = [].concat(spec.camera || [], ...Object.values(spec.objects || {}))
+        .reduce((max, keyframe) => Math.max(max, Number(keyframe && keyframe.frame) || 0), 0);
+    const frameCount = spec.frameCount !== undefined ? Number(spec.frameCount) : lastFrame + 1;
+    if (!Number.isInteger(frameCount) || frameCount < 1 || frameCount > MAX_FRAMES) {
+        throw new AnimationError(`frameCount 必须是 1 到 ${MAX_FRAMES} 之间的整数`);
+    }
+    const fps = spec.fps !== undefined ? Number(spec.fps) : DEFAULT_FPS;
+    if (!Number.isFinite(fps) || fps <= 0 || fps > 240) {
+        throw new AnimationError('fps 必须是 0 到 240 之间的数值');
+    }
+    const easing = spec.easing !== undefined ? parseEasing(spec.easing, '动画') : EASINGS.linear;
+
+    const objects = {};
+    for (const [name, keyframes] of Object.entries(spec.objects || {})) {
+        objects[name] = parseTrack(keyframes, OBJECT_PROPERTIES, { frameCount, easing, where: `物体 ${name} ` });
+    }
+    return {
+        frameCount,
+        fps,
+        camera: spec.camera ? parseTrack(spec.camera, CAMERA_PROPERTIES, { frameCount, easing, where: '摄像机' }) : [],
+        objects
+    };
+}
+
+/**
+ * 计算三次贝塞尔缓动曲线在 x 处的 y 值，端点为 (0, 0) 和 (1, 1)
+ * @param {Array} points 控制点 [x1, y1, x2, y2]
+ * @param {number} x 0到1之间的进度
+ * @returns {number} 缓动后的进度
+ */
+function cubicBezier(points, x) {
+    const [x1, y1, x2, y2] = points;
+    const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+    // x(t) 单调递增，二分求解 t
+    let low = 0;
+    let high = 1;
+    let t = x;
+    for (let i = 0; i < 40; i++) {
+        t = (low + high) / 2;
+        if (bezier(t, x1, x2) < x) {
+            low = t;
+        } else {
+            high = t;
+        }
+    }
+    return bezier(t, y1, y2);
+}
+
+function lerp(a, b, t) {
+    return Array.isArray(a) ? a.map((value, index) => value + (b[index] - value) * t) : a + (b - a) * t;
+}
+
+function normalize(vector) {
+    const length = Math.hypot(...vector);
+    return vector.map(value => value / length);
+}
+
+// 角度和旋转轴转换为单位四元数 [w, x, y, z]
+function quaternionFromRotate([angle, ...axis]) {
+    const [x, y, z] = normalize(axis);
+    const half = angle * Math.PI / 360;
+    const s = Math.sin(half);
+    return [Math.cos(half), x * s, y * s, z * s];
+}
+
+// 单位四元数转换为 PBRT Rotate 的参数 [angle, x, y, z]
+function rotateFromQuaternion([w, x, y, z]) {
+    const s = Math.hypot(x, y, z);
+    if (s < 1e-12) {
+        return [0, 0, 0, 1];
+    }
+    return [Math.atan2(s, w) * 360 / Math.PI, x / s, y / s, z / s];
+}
+
+function slerp(a, b, t) {
+    let dot = a.reduce((sum, value, index) => sum + value * b[index], 0);
+    // 取最短路径
+    if (dot < 0) {
+        b = b.map(value => -value);
+        dot = -dot;
+    }
+    if (dot > 0.9995) {
+        return normalize(lerp(a, b, t));
+    }
+    const theta = Math.acos(dot);
+    const wa = Math.sin((1 - t) * theta) / Math.sin(theta);
+    const wb = Math.sin(t * theta) / Math.sin(theta);
+    return a.map((value, index) => value * wa + b[index] * wb);
+}
+
+/**
+ * 旋转插值：旋转轴相同时直接插值角度（可以表示超过半圈的旋转，如模型自转一周），否则按四元数球面插值
+ */
+function interpolateRotate(a, b, t) {
+    const axisA = normalize(a.slice(1));
+    const axisB = normalize(b.slice(1));
+    if (axisA.every((value, index) => Math.abs(value - axisB[index]) < 1e-9)) {
+        return [a[0] + (b[0] - a[0]) * t, ...axisA];
+    }
+    return rotateFromQuaternion(slerp(quaternionFromRotate(a), quaternionFromRotate(b), t));
+}
+
+/**
+ * 计算属性在某一帧的值：第一个关键帧之前和最后一个关键帧之后保持不变，中间按前一个关键帧的缓动插值
+ * @param {Array} track 关键帧轨道
+ * @param {string} name 属性名
+ * @param {number} frame 帧号
+ * @returns {number|Array|undefined} 属性值，轨道中没有该属性时返回 undefined
+ */
+function sampleProperty(track, name, frame) {
+    const keyframes = track.filter(keyframe => keyframe[name] !== undefined);
+    if (keyframes.length === 0) {
+        return undefined;
+    }
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.frame > frame);
+    if (nextIndex === 0) {
+        return keyframes[0][name];
+    }
+    if (nextIndex === -1) {
+        return keyframes[keyframes.length - 1][name];
+    }
+    const previous = keyframes[nextIndex - 1];
+    const next = keyframes[nextIndex];
+    // 去掉二分求解的误差，使对称的缓动在中点得到精确的 0.5
+    const t = Math.round(cubicBezier(previous.easing, (frame - previous.frame) / (next.frame - previous.frame)) * 1e9) / 1e9;
+    return name === 'rotate' ? interpolateRotate(previous[name], next[name], t) : lerp(previous[name], next[name], t);
+}
+
+/**
+ * 查找场景中的命名物体：
+ * 带有 #[object: 名称] 注释的 AttributeBegin 或 ObjectBegin 块、ObjectBegin "名称" 定义的对象，
+ * 以及直接包含 ObjectInstance "名称" 的 AttributeBegin 块
+ * @param {Object} scene 语法树
+ * @returns {Map} 名称 => { begin, end }，begin 和 end 为块的开始和结束指令
+ */
+function findNamedObjects(scene) {
+    const objects = new Map();
+    const stack = [];
+    let pendingName = null;
+
+    scene.body.forEach((node, index) => {
+        if (node.type === 'Comment') {
+            const match = OBJECT_MARKER.exec(node.text);
+            if (!match) {
+                return;
+            }
+            const previous = scene.body[index - 1];
+            const sameLine = node.before !== undefined && !node.before.includes('\n');
+            // 写在块开始指令同一行的标记
+            if (sameLine && previous && stack.length > 0 && stack[stack.length - 1].begin === previous) {
+                stack[stack.length - 1].names.push(match[1]);
+            } else {
+                pendingName = match[1];
+            }
+            return;
+        }
+
+        if (node.name === 'AttributeBegin' || node.name === 'ObjectBegin') {
+            const names = pendingName ? [pendingName] : [];
+            if (node.name === 'ObjectBegin' && typeof node.args[0] === 'string') {
+                names.push(node.args[0]);
+            }
+            stack.push({ begin: node, names });
+        } else if ((node.name === 'AttributeEnd' || node.name === 'ObjectEnd') && stack.length > 0) {
+            const block = stack.pop();
+            block.names.forEach((name) => {
+                if (!objects.has(name)) {
+                    objects.set(name, { begin: block.begin, end: node });
+                }
+            });
+        } else if (node.name === 'ObjectInstance' && stack.length > 0 && typeof node.args[0] === 'string') {
+            const block = stack[stack.length - 1];
+            if (block.begin.name === 'AttributeBegin') {
+                block.names.push(node.args[0]);
+            }
+        }
+        pendingName = null;
+    });
+    return objects;
+}
+
+/**
+ * 将平移和旋转写入命名物体的块：平移替换块开头的 Translate（没有时插入到块的开头），
+ * 旋转插入到块开头的变换之后，即绕物体自身的原点旋转
+ */
+function applyObjectTransform(scene, object, translate, rotate) {
+    const start = scene.body.indexOf(object.begin);
+    const end = scene.body.indexOf(object.end);
+    // 块开头连续的变换指令（只考虑块的直接子节点）
+    const leading = [];
+    for (let index = start + 1; index < end; index++) {
+        const node = scene.body[index];
+        if (node.type === 'Comment') {
+            continue;
+        }
+        if (!['Translate', 'Rotate', 'Scale', 'Transform', 'ConcatTransform', 'CoordSysTransform'].includes(node.name)) {
+            break;
+        }
+        leading.push(node);
+    }
+
+    let anchor = leading.length > 0 ? leading[leading.length - 1] : object.begin;
+    if (translate) {
+        const existing = leading.find(node => node.name === 'Translate');
+        if (existing) {
+            pbrtParser.setArgs(existing, translate);
+        } else {
+            const node = pbrtParser.createDirective('Translate', translate);
+            pbrtParser.insertAfter(scene, object.begin, [node]);
+            if (anchor === object.begin) {
+                anchor = node;
+            }
+        }
+    }
+    if (rotate) {
+        pbrtParser.insertAfter(scene, anchor, [pbrtParser.createDirective('Rotate', rotate)]);
+    }
+}
+
+/**
+ * 将摄像机的 LookAt 和 fov 写入场景，场景没有对应的指令时插入到 WorldBegin 之前
+ */
+function applyCamera(scene, lookAt, fov) {
+    let camera = pbrtParser.findDirective(scene, 'Camera', { beforeWorld: true });
+    if (!camera && (lookAt || fov !== undefined)) {
+        camera = pbrtParser.createDirective('Camera', ['perspective']);
+        pbrtParser.insertBefore(scene, pbrtParser.findDirective(scene, 'WorldBegin'), [camera]);
+    }
+    if (lookAt) {
+        const existing = pbrtParser.findDirective(scene, 'LookAt', { beforeWorld: true });
+        if (existing) {
+            pbrtParser.setArgs(existing, lookAt);
+        } else {
+            // LookAt 必须在 Camera 之前
+            pbrtParser.insertBefore(scene, camera, [pbrtParser.createDirective('LookAt', lookAt)]);
+        }
+    }
+    if (fov !== undefined) {
+        pbrtParser.setParam(camera, 'float', 'fov', [fov]);
+    }
+}
+
+// 输出到场景中的数值保留的有效位数，避免插值产生过长的小数
+function roundValue(value) {
+    return Array.isArray(value) ? value.map(roundValue) : Number(value.toPrecision(10));
+}
+
+/**
+ * 检查动画引用的命名物体是否都存在于场景中
+ * @param {string} content 场景内容
+ * @param {Object} animation parseAnimation 的结果
+ * @throws {AnimationError} 物体不存在时
+ * @throws {PbrtSyntaxError} 场景存在语法错误时
+ */
+function checkAnimationTargets(content, animation) {
+    const objects = findNamedObjects(pbrtParser.parse(content));
+    const missing = Object.keys(animation.objects).filter(name => !objects.has(name));
+    if (missing.length > 0) {
+        const available = Array.from(objects.keys());
+        throw new AnimationError(`场景中没有名为 ${missing.join(', ')} 的物体` +
+            (available.length > 0 ? `，可用的物体: ${available.join(', ')}` :
+                '，请用 #[object: 名称] 注释标记 AttributeBegin 块，或使用 ObjectBegin/ObjectInstance'));
+    }
+}
+
+/**
+ * 生成某一帧的场景
+ * @param {string} content 基础场景内容
+ * @param {Object} animation parseAnimation 的结果
+ * @param {number} frame 帧号
+ * @returns {string} 该帧的场景内容
+ * @throws {AnimationError} 动画引用的物体不存在时
+ */
+function buildFrameScene(content, animation, frame) {
+    const scene = pbrtParser.parse(content);
+    const lookAt = sampleProperty(animation.camera, 'lookAt', frame);
+    const fov = sampleProperty(animation.camera, 'fov', frame);
+    applyCamera(scene, lookAt && roundValue(lookAt), fov !== undefined ? roundValue(fov) : undefined);
+
+    const objects = findNamedObjects(scene);
+    for (const [name, track] of Object.entries(animation.objects)) {
+        const object = objects.get(name);
+        if (!object) {
+            throw new AnimationError(`场景中没有名为 ${name} 的物体`);
+        }
+        const translate = sampleProperty(track, 'translate', frame);
+        const rotate = sampleProperty(track, 'rotate', frame);
+        applyObjectTransform(scene, object, translate && roundValue(translate), rotate && roundValue(rotate));
+    }
+    return pbrtParser.serialize(scene);
+}
+
+module.exports = {
+    MAX_FRAMES,
+    EASINGS,
+    AnimationError,
+    parseAnimation,
+    cubicBezier,
+    sampleProperty,
+    findNamedObjects,
+    checkAnimationTargets,
+    buildFrameScene
+};
@@ -0,0 +1,241 @@
+// 计算场景几何体的世界空间包围盒：按PBRT的规则跟踪当前变换矩阵（CTM），
+// 将各形状的顶点或解析形状的局部包围盒变换到世界空间后合并
+
+// 4x4 矩阵按行存储，点按列向量右乘
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+function multiply(a, b) {
+    const result = new Array(16).fill(0);
+    for (let row = 0; row < 4; row++) {
+        for (let column = 0; column < 4; column++) {
+            for (let k = 0; k < 4; k++) {
+                result[row * 4 + column] += a[row * 4 + k] * b[k * 4 + column];
+            }
+        }
+    }
+    return result;
+}
+
+function transpose(m) {
+    return [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15].map(index => m[index]);
+}
+
+function translateMatrix(x, y, z) {
+    return [1, 0, 0, x, 0, 1, 0, y, 0, 0, 1, z, 0, 0, 0, 1];
+}
+
+function scaleMatrix(x, y, z) {
+    return [x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1];
+}
+
+function rotateMatrix(angle, x, y, z) {
+    const length = Math.hypot(x, y, z);
+    if (length === 0) {
+        return IDENTITY.slice();
+    }
+    [x, y, z] = [x / length, y / length, z / length];
+    const theta = angle * Math.PI / 180;
+    const s = Math.sin(theta);
+    const c = Math.cos(theta);
+    return [
+        x * x + (1 - x * x) * c, x * y * (1 - c) - z * s, x * z * (1 - c) + y * s, 0,
+        x * y * (1 - c) + z * s, y * y + (1 - y * y) * c, y * z * (1 - c) - x * s, 0,
+        x * z * (1 - c) - y * s, y * z * (1 - c) + x * s, z * z + (1 - z * z) * c, 0,
+        0, 0, 0, 1
+    ];
+}
+
+function transformPoint(m, x, y, z) {
+    const w = m[12] * x + m[13] * y + m[14] * z + m[15];
+    return [
+        (m[0] * x + m[1] * y + m[2] * z + m[3]) / w,
+        (m[4] * x + m[5] * y + m[6] * z + m[7]) / w,
+        (m[8] * x + m[9] * y + m[10] * z + m[11]) / w
+    ];
+}
+
+function emptyBounds() {
+    return { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+}
+
+function isEmpty(bounds) {
+    return bounds.min[0] > bounds.max[0];
+}
+
+function extend(bounds, point) {
+    for (let axis = 0; axis < 3; axis++) {
+        bounds.min[axis] = Math.min(bounds.min[axis], point[axis]);
+        bounds.max[axis] = Math.max(bounds.max[axis], point[axis]);
+    }
+}
+
+// 包围盒的8个角点，用于将包围盒变换到另一个坐标系
+function corners(bounds) {
+    const points = [];
+    for (let i = 0; i < 8; i++) {
+        points.push([
+            (i & 1 ? bounds.max : bounds.min)[0],
+            (i & 2 ? bounds.max : bounds.min)[1],
+            (i & 4 ? bounds.max : bounds.min)[2]
+        ]);
+    }
+    return points;
+}
+
+function paramValue(node, name, defaultValue) {
+    const param = node.params.find(candidate => candidate.name === name);
+    return param && param.values.length > 0 ? param.values[0] : defaultValue;
+}
+
+/**
+ * 计算形状在物体空间中的顶点或包围盒角点
+ * @returns {Array|null} 点列表，不支持的形状返回 null
+ */
+function shapePoints(node) {
+    const type = node.args[0];
+    const positions = node.params.find(param => param.name === 'P' && ['point3', 'point'].includes(param.type));
+    if (positions) {
+        const points = [];
+        for (let i = 0; i + 2 < positions.values.length; i += 3) {
+            points.push([positions.values[i], positions.values[i + 1], positions.values[i + 2]]);
+        }
+        return points;
+    }
+    if (type === 'sphere') {
+        const radius = paramValue(node, 'radius', 1);
+        const zmin = Math.max(-radius, paramValue(node, 'zmin', -radius));
+        const zmax = Math.min(radius, paramValue(node, 'zmax', radius));
+        return corners({ min: [-radius, -radius, zmin], max: [radius, radius, zmax] });
+    }
+    if (type === 'disk') {
+        const radius = paramValue(node, 'radius', 1);
+        const height = paramValue(node, 'height', 0);
+        return corners({ min: [-radius, -radius, height], max: [radius, radius, height] });
+    }
+    if (type === 'cylinder') {
+        const radius = paramValue(node, 'radius', 1);
+        return corners({ min: [-radius, -radius, paramValue(node, 'zmin', -1)], max: [radius, radius, paramValue(node, 'zmax', 1)] });
+    }
+    return null;
+}
+
+/**
+ * 计算场景中几何体的世界空间包围盒
+ * 支持三角形网格、双线性网格、细分曲面等带有 P 参数的形状和球体、圆盘、圆柱体，
+ * 以及 ObjectBegin/ObjectInstance 实例化；plymesh 等外部几何文件和 Include/Import 的场景不会被读取
+ * @param {Object} scene pbrtParser.parse 返回的语法树
+ * @returns {Object} { min, max, center, size, radius, shapes, skipped }，没有可计算的几何体时 min 和 max 为 null，
+ *   radius 为包围球半径，shapes 为参与计算的形状数，skipped 为无法计算的形状或指令 [{ name, line }]
+ */
+function computeSceneBounds(scene) {
+    const world = emptyBounds();
+    const stack = [];
+    const namedCoordinateSystems = new Map();
+    const objects = new Map();
+    const skipped = [];
+    let ctm = IDENTITY.slice();
+    let currentObject = null;
+    let shapes = 0;
+
+    for (const node of scene.body) {
+        if (node.type !== 'Directive') {
+            continue;
+        }
+        const numbers = node.args;
+        switch (node.name) {
+            case 'AttributeBegin':
+            case 'TransformBegin':
+                stack.push(ctm);
+                break;
+            case 'AttributeEnd':
+            case 'TransformEnd':
+                ctm = stack.length > 0 ? stack.pop() : IDENTITY.slice();
+                break;
+            case 'ObjectBegin':
+                stack.push(ctm);
+                currentObject = emptyBounds();
+                objects.set(node.args[0], currentObject);
+                break;
+            case 'ObjectEnd':
+                ctm = stack.length > 0 ? stack.pop() : IDENTITY.slice();
+                currentObject = null;
+                break;
+            case 'Identity':
+                ctm = IDENTITY.slice();
+                break;
+            case 'Translate':
+                ctm = multiply(ctm, translateMatrix(...numbers));
+                break;
+            case 'Scale':
+                ctm = multiply(ctm, scaleMatrix(...numbers));
+                break;
+            case 'Rotate':
+                ctm = multiply(ctm, rotateMatrix(...numbers));
+                break;
+            case 'Transform':
+                // Transform 和 ConcatTransform 的矩阵按列给出
+                ctm = transpose(numbers);
+                break;
+            case 'ConcatTransform':
+                ctm = multiply(ctm, transpose(numbers));
+                break;
+            case 'CoordinateSystem':
+                namedCoordinateSystems.set(node.args[0], ctm);
+                break;
+            case 'CoordSysTransform':
+                if (namedCoordinateSystems.has(node.args[0])) {
+                    ctm = namedCoordinateSystems.get(node.args[0]);
+                }
+                break;
+            case 'WorldBegin':
+                // 世界块开始时CTM重置为单位矩阵，相机变换不影响几何体
+                ctm = IDENTITY.slice();
+                namedCoordinateSystems.set('world', ctm);
+                break;
+            case 'Shape': {
+                const points = shapePoints(node);
+                if (!points) {
+                    skipped.push({ name: `Shape "${node.args[0]}"`, line: node.loc.line });
+                    break;
+                }
+                const target = currentObject || world;
+                points.forEach(point => extend(target, transformPoint(ctm, ...point)));
+                shapes++;
+                break;
+            }
+            case 'ObjectInstance': {
+                // 实例的顶点为定义时的变换再乘以实例化时的CTM
+                const object = objects.get(node.args[0]);
+                if (object && !isEmpty(object)) {
+                    corners(object).forEach(point => extend(currentObject || world, transformPoint(ctm, ...point)));
+                }
+                break;
+            }
+            case 'Include':
+            case 'Import':
+                skipped.push({ name: `${node.name} "${node.args[0]}"`, line: node.loc.line });
+                break;
+            default:
+                break;
+        }
+    }
+
+    if (isEmpty(world)) {
+        return { min: null, max: null, center: null, size: null, radius: 0, shapes, skipped };
+    }
+    const center = [0, 1, 2].map(axis => (world.min[axis] + world.max[axis]) / 2);
+    const size = [0, 1, 2].map(axis => world.max[axis] - world.min[axis]);
+    return {
+        min: world.min,
+        max: world.max,
+        center,
+        size,
+        radius: Math.hypot(...size) / 2,
+        shapes,
+        skipped
+    };
+}
+
+module.exports = {
+    computeSceneBounds
+};
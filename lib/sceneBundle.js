@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const unrar = require('unrar-promise');
+
+// 场景包支持的压缩格式
+const BUNDLE_EXTENSIONS = ['.zip', '.rar'];
+// 单个场景包的最大文件数和解压后的最大总大小，防止压缩炸弹
+const MAX_BUNDLE_ENTRIES = 10000;
+const MAX_BUNDLE_BYTES = 4 * 1024 * 1024 * 1024;
+// 超过该大小的场景文件通常只包含几何数据，不读取其内容查找入口
+const MAX_SCAN_BYTES = 64 * 1024 * 1024;
+// 常见的入口场景文件名，多个候选场景时优先选择
+const PREFERRED_ENTRY_NAMES = ['scene.pbrt', 'main.pbrt'];
+
+/**
+ * 场景包无法使用时抛出的错误（格式不支持、包含不安全路径、找不到入口场景等）
+ */
+class SceneBundleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SceneBundleError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 判断上传的文件是否为场景包
+ * @param {string} filename 原始文件名
+ * @returns {boolean}
+ */
+function isSceneBundle(filename) {
+    return BUNDLE_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+/**
+ * 将压缩包内的路径解析为工作区内的绝对路径，路径越出工作区时返回 null
+ * @param {string} workspaceDir 工作区目录
+ * @param {string} entryName 压缩包内的路径
+ * @returns {string|null}
+ */
+function resolveEntryPath(workspaceDir, entryName) {
+    const normalized = entryName.replace(/\\/g, '/');
+    if (path.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized)) {
+        return null;
+    }
+    const target = path.resolve(workspaceDir, normalized);
+    return target.startsWith(workspaceDir + path.sep) ? target : null;
+}
+
+function extractZip(archivePath, workspaceDir) {
+    const entries = new AdmZip(archivePath).getEntries();
+    if (entries.length > MAX_BUNDLE_ENTRIES) {
+        throw new SceneBundleError(`场景包文件数超过限制（最多 ${MAX_BUNDLE_ENTRIES} 个）`);
+    }
+
+    // 先检查所有路径，再解压，避免解压到一半才发现不安全的条目
+    const targets = entries.map((entry) => {
+        const target = resolveEntryPath(workspaceDir, entry.entryName);
+        if (!target) {
+            throw new SceneBundleError(`场景包包含不安全的路径: ${entry.entryName}`);
+        }
+        return target;
+    });
+
+    let totalBytes = 0;
+    entries.forEach((entry, index) => {
+        if (entry.isDirectory) {
+            fs.mkdirSync(targets[index], { recursive: true });
+            return;
+        }
+        const data = entry.getData();
+        totalBytes += data.length;
+        if (totalBytes > MAX_BUNDLE_BYTES) {
+            throw new SceneBundleError('场景包解压后的大小超过限制');
+        }
+        fs.mkdirSync(path.dirname(targets[index]), { recursive: true });
+        fs.writeFileSync(targets[index], data);
+    });
+}
+
+async function extractRar(archivePath, workspaceDir) {
+    const unsafeEntries = [];
+    let entryCount = 0;
+    let totalBytes = 0;
+    await unrar.unrar(archivePath, workspaceDir, {
+        overwrite: true,
+        filter: ({ path: entryName, size }) => {
+            entryCount++;
+            totalBytes += size || 0;
+            if (!resolveEntryPath(workspaceDir, entryName)) {
+                unsafeEntries.push(entryName);
+                return false;
+            }
+            return entryCount <= MAX_BUNDLE_ENTRIES && totalBytes <= MAX_BUNDLE_BYTES;
+        }
+    });
+    if (unsafeEntries.length > 0) {
+        throw new SceneBundleError(`场景包包含不安全的路径: ${unsafeEntries.join(', ')}`);
+    }
+    if (entryCount > MAX_BUNDLE_ENTRIES) {
+        throw new SceneBundleError(`场景包文件数超过限制（最多 ${MAX_BUNDLE_ENTRIES} 个）`);
+    }
+    if (totalBytes > MAX_BUNDLE_BYTES) {
+        throw new SceneBundleError('场景包解压后的大小超过限制');
+    }
+}
+
+/**
+ * 递归列出目录下的文件
+ * @param {string} dir 目录
+ * @param {string} [relativePath] 相对于根目录的路径
+ * @returns {Array} 相对路径列表，使用 / 分隔
+ */
+function listFiles(dir, relativePath = '') {
+    let results = [];
+    for (const name of fs.readdirSync(path.join(dir, relativePath))) {
+        const entryPath = relativePath ? `${relativePath}/${name}` : name;
+        const stat = fs.lstatSync(path.join(dir, entryPath));
+        if (stat.isDirectory()) {
+            results = results.concat(listFiles(dir, entryPath));
+        } else if (stat.isFile()) {
+            results.push(entryPath);
+        }
+    }
+    return results;
+}
+
+/**
+ * 将ZIP或RAR场景包解压到工作区，拒绝包含绝对路径或 ../ 的条目
+ * @param {string} archivePath 压缩包路径
+ * @param {string} originalName 原始文件名，用于判断格式
+ * @param {string} workspaceDir 工作区目录，必须为空或不存在
+ * @returns {Promise<Array>} 解压出的文件相对路径列表
+ * @throws {SceneBundleError} 格式不支持、路径不安全或超过大小限制时
+ */
+async function extractSceneBundle(archivePath, originalName, workspaceDir) {
+    const extension = path.extname(originalName).toLowerCase();
+    const root = path.resolve(workspaceDir);
+    fs.mkdirSync(root, { recursive: true });
+
+    if (extension === '.zip') {
+        extractZip(archivePath, root);
+    } else if (extension === '.rar') {
+        await extractRar(archivePath, root);
+    } else {
+        throw new SceneBundleError(`不支持的场景包格式: ${extension}，仅支持 ${BUNDLE_EXTENSIONS.join(', ')}`);
+    }
+    return listFiles(root);
+}
+
+/**
+ * 获取工作区中所有PBRT场景文件
+ * @param {Array} files extractSceneBundle 返回的文件列表
+ * @returns {Array} 场景文件相对路径
+ */
+function listSceneFiles(files) {
+    return files.filter(file => file.toLowerCase().endsWith('.pbrt'));
+}
+
+/**
+ * 查找场景包中引用工作区之外文件的路径（绝对路径或通过 ../ 越出工作区的相对路径）
+ * @param {string} workspaceDir 工作区目录
+ * @param {Array} files extractSceneBundle 返回的文件列表
+ * @returns {Array} [{ file, reference }]
+ */
+function findUnsafeReferences(workspaceDir, files) {
+    const root = path.resolve(workspaceDir);
+    const unsafe = [];
+    for (const file of listSceneFiles(files)) {
+        const content = fs.readFileSync(path.join(root, file), 'utf8');
+        const stringPattern = /"([^"\n]*)"/g;
+        let match;
+        while ((match = stringPattern.exec(content)) !== null) {
+            const reference = match[1].replace(/\\/g, '/');
+            // 只检查看起来像路径的字符串，参数声明和普通字符串值跳过
+            if (!reference.includes('/') && !reference.startsWith('..')) {
+                continue;
+            }
+            const target = path.resolve(root, path.dirname(file), reference);
+            if (target !== root && !target.startsWith(root + path.sep)) {
+                unsafe.push({ file, reference: match[1] });
+            }
+        }
+    }
+    return unsafe;
+}
+
+/**
+ * 确定场景包的入口场景：未指定时选择没有被其他场景 Include/Import 且包含 WorldBegin 的场景，
+ * 有多个候选时优先选择目录层级最浅的，再按常见文件名选择
+ * @param {string} workspaceDir 工作区目录
+ * @param {Array} files extractSceneBundle 返回的文件列表
+ * @param {string} [requestedEntry] 请求指定的入口场景（相对于场景包根目录）
+ * @returns {string} 入口场景的相对路径
+ * @throws {SceneBundleError} 找不到或无法确定入口场景时
+ */
+function detectEntryScene(workspaceDir, files, requestedEntry) {
+    const sceneFiles = listSceneFiles(files);
+
+    if (requestedEntry) {
+        const normalized = path.posix.normalize(requestedEntry.replace(/\\/g, '/')).replace(/^\.\//, '');
+        if (!sceneFiles.includes(normalized)) {
+            throw new SceneBundleError(`场景包中不存在指定的入口场景: ${requestedEntry}`);
+        }
+        return normalized;
+    }
+    if (sceneFiles.length === 0) {
+        throw new SceneBundleError('场景包中没有找到 .pbrt 场景文件');
+    }
+
+    const included = new Set();
+    const withWorld = new Set();
+    for (const file of sceneFiles) {
+        const filePath = path.join(workspaceDir, file);
+        if (fs.statSync(filePath).size > MAX_SCAN_BYTES) {
+            continue;
+        }
+        const content = fs.readFileSync(filePath, 'utf8');
+        if (/^\s*WorldBegin\b/m.test(content)) {
+            withWorld.add(file);
+        }
+        const includePattern = /^\s*(?:Include|Import)\s+"([^"]+)"/gm;
+        let match;
+        while ((match = includePattern.exec(content)) !== null) {
+            // 被引用的路径可能相对于引用它的文件，也可能相对于场景包根目录
+            included.add(path.posix.normalize(path.posix.join(path.posix.dirname(file), match[1])));
+            included.add(path.posix.normalize(match[1]));
+        }
+    }
+
+    let candidates = sceneFiles.filter(file => !included.has(file));
+    if (candidates.some(file => withWorld.has(file))) {
+        candidates = candidates.filter(file => withWorld.has(file));
+    }
+    if (candidates.length > 1) {
+        const depth = file => file.split('/').length;
+        const minDepth = Math.min(...candidates.map(depth));
+        candidates = candidates.filter(file => depth(file) === minDepth);
+    }
+    if (candidates.length > 1) {
+        const preferred = candidates.filter(file => PREFERRED_ENTRY_NAMES.includes(path.posix.basename(file).toLowerCase()));
+        if (preferred.length === 1) {
+            candidates = preferred;
+        }
+    }
+    if (candidates.length !== 1) {
+        throw new SceneBundleError(`无法确定入口场景，请通过 entry 字段指定: ${(candidates.length ? candidates : sceneFiles).join(', ')}`);
+    }
+    return candidates[0];
+}
+
+module.exports = {
+    SceneBundleError,
+    isSceneBundle,
+    extractSceneBundle,
+    listSceneFiles,
+    findUnsafeReferences,
+    detectEntryScene
+};
@@ -0,0 +1,446 @@
+const pbrtParser = require('./pbrtParser');
+const envMaps = require('./envMaps');
+
+// 场景组合：根据JSON描述生成完整的PBRT-v4场景，包含相机、胶片、采样器、积分器、环境光、光源和多个模型。
+// 模型片段（nono.pbrt/momo.pbrt）被拆分为定义（纹理、材质、介质、对象）和几何体两部分：
+// 定义每个模型只 Include 一次，几何体在每个摆放位置各 Include 一次，同一模型可以摆放多次
+
+// 支持的类型
+const CAMERA_TYPES = ['perspective', 'orthographic', 'spherical'];
+const FILM_TYPES = ['rgb', 'gbuffer', 'spectral'];
+const SAMPLER_TYPES = ['halton', 'independent', 'paddedsobol', 'pmj02bn', 'sobol', 'stratified', 'zsobol'];
+const INTEGRATOR_TYPES = ['ambientocclusion', 'bdpt', 'lightpath', 'mlt', 'path', 'randomwalk', 'simplepath', 'simplevolpath', 'sppm', 'volpath'];
+const LIGHT_TYPES = ['distant', 'point', 'spot'];
+const MODEL_SOURCES = ['auto', 'momo', 'nono'];
+
+// 单个场景最多包含的模型摆放数和光源数
+const MAX_SCENE_MODELS = 256;
+const MAX_SCENE_LIGHTS = 32;
+
+const SCENE_DEFAULTS = {
+    camera: { type: 'perspective', fov: 45 },
+    film: { type: 'rgb', xresolution: 1280, yresolution: 720 },
+    sampler: { type: 'zsobol', pixelsamples: 64 },
+    integrator: { type: 'volpath', maxdepth: 5 }
+};
+
+// 模型ID只能包含字母、数字、下划线和连字符，避免拼接路径时越出模型目录
+const MODEL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// 模型片段中的定义指令，拆分后放入定义部分
+const DEFINITION_DIRECTIVES = ['Texture', 'MakeNamedMaterial', 'MakeNamedMedium'];
+// 定义或引用名称的指令及名称所属的命名空间，名称为第一个位置参数
+const NAMED_DIRECTIVES = {
+    Texture: 'texture',
+    MakeNamedMaterial: 'material',
+    NamedMaterial: 'material',
+    MakeNamedMedium: 'medium',
+    ObjectBegin: 'object',
+    ObjectInstance: 'object'
+};
+// 世界块之前的指令，模型片段中出现时丢弃
+const OPTIONS_DIRECTIVES = ['Accelerator', 'Camera', 'ColorSpace', 'Film', 'Integrator', 'Option', 'PixelFilter', 'Sampler', 'WorldBegin', 'WorldEnd'];
+
+/**
+ * 场景描述无效时抛出的错误
+ */
+class SceneCompositionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SceneCompositionError';
+        this.status = 400;
+    }
+}
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(item => typeof item === 'number' && Number.isFinite(item));
+}
+
+function requireNumberArray(value, length, name) {
+    if (!isNumberArray(value, length)) {
+        throw new SceneCompositionError(`${name}必须是 ${length} 个数字的数组`);
+    }
+    return value;
+}
+
+function optionalNumber(value, name, min, max, defaultValue) {
+    if (value === undefined || value === null) {
+        return defaultValue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new SceneCompositionError(`${name}必须是 ${min} 到 ${max} 之间的数字`);
+    }
+    return value;
+}
+
+function optionalInteger(value, name, min, max, defaultValue) {
+    const number = optionalNumber(value, name, min, max, defaultValue);
+    if (number !== undefined && !Number.isInteger(number)) {
+        throw new SceneCompositionError(`${name}必须是 ${min} 到 ${max} 之间的整数`);
+    }
+    return number;
+}
+
+function optionalType(value, types, name, defaultValue) {
+    if (value === undefined || value === null) {
+        return defaultValue;
+    }
+    if (!types.includes(value)) {
+        throw new SceneCompositionError(`${name}必须是 ${types.join(', ')} 之一`);
+    }
+    return value;
+}
+
+function requireObject(value, name) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new SceneCompositionError(`${name}必须是对象`);
+    }
+    return value;
+}
+
+function parseLookAt(camera) {
+    if (camera.lookAt === undefined) {
+        throw new SceneCompositionError('缺少 camera.lookAt');
+    }
+    if (Array.isArray(camera.lookAt)) {
+        return requireNumberArray(camera.lookAt, 9, 'camera.lookAt');
+    }
+    const lookAt = requireObject(camera.lookAt, 'camera.lookAt');
+    return [].concat(
+        requireNumberArray(lookAt.eye, 3, 'camera.lookAt.eye'),
+        requireNumberArray(lookAt.target, 3, 'camera.lookAt.target'),
+        lookAt.up === undefined ? [0, 1, 0] : requireNumberArray(lookAt.up, 3, 'camera.lookAt.up')
+    );
+}
+
+function parseTransform(source, name) {
+    const transform = {};
+    if (source.translate !== undefined) {
+        transform.translate = requireNumberArray(source.translate, 3, `${name}.translate`);
+    }
+    if (source.rotate !== undefined) {
+        transform.rotate = requireNumberArray(source.rotate, 4, `${name}.rotate`);
+    }
+    if (source.scale !== undefined) {
+        transform.scale = typeof source.scale === 'number' ?
+            requireNumberArray([source.scale, source.scale, source.scale], 3, `${name}.scale`) :
+            requireNumberArray(source.scale, 3, `${name}.scale`);
+    }
+    return transform;
+}
+
+function parseEnvironment(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const environment = requireObject(value, 'environment');
+    const result = {
+        scale: optionalNumber(environment.scale, 'environment.scale', 0, 1e6, 1),
+        ...parseTransform({ rotate: environment.rotate }, 'environment')
+    };
+    if (environment.envmap !== undefined) {
+        // 环境贴图库中的贴图按ID引用，贴图重命名不影响场景
+        if (typeof environment.envmap !== 'string' || !envMaps.ENVMAP_ID_PATTERN.test(environment.envmap)) {
+            throw new SceneCompositionError('environment.envmap必须是环境贴图库中的贴图ID');
+        }
+        result.envmap = environment.envmap;
+    } else if (environment.filename !== undefined) {
+        if (typeof environment.filename !== 'string' || !environment.filename) {
+            throw new SceneCompositionError('environment.filename必须是上传目录中的环境贴图文件名');
+        }
+        result.filename = environment.filename;
+    } else {
+        result.rgb = environment.rgb === undefined ? [1, 1, 1] : requireNumberArray(environment.rgb, 3, 'environment.rgb');
+    }
+    return result;
+}
+
+function parseLight(value, index) {
+    const name = `lights[${index}]`;
+    const light = requireObject(value, name);
+    const type = optionalType(light.type, LIGHT_TYPES, `${name}.type`);
+    if (!type) {
+        throw new SceneCompositionError(`缺少 ${name}.type`);
+    }
+    const result = {
+        type,
+        scale: optionalNumber(light.scale, `${name}.scale`, 0, 1e12, 1),
+        rgb: light.rgb === undefined ? [1, 1, 1] : requireNumberArray(light.rgb, 3, `${name}.rgb`),
+        from: requireNumberArray(light.from, 3, `${name}.from`)
+    };
+    if (type !== 'point') {
+        result.to = requireNumberArray(light.to, 3, `${name}.to`);
+    }
+    if (type === 'spot') {
+        result.coneangle = optionalNumber(light.coneangle, `${name}.coneangle`, 0, 180, 30);
+        result.conedelta = optionalNumber(light.conedelta, `${name}.conedelta`, 0, 180, 5);
+    }
+    return result;
+}
+
+function parseModel(value, index) {
+    const name = `models[${index}]`;
+    const model = requireObject(value, name);
+    if (typeof model.uuid !== 'string' || !MODEL_ID_PATTERN.test(model.uuid)) {
+        throw new SceneCompositionError(`${name}.uuid必须是有效的模型ID`);
+    }
+    return {
+        uuid: model.uuid,
+        source: optionalType(model.source, MODEL_SOURCES, `${name}.source`, 'auto'),
+        ...parseTransform(model, name)
+    };
+}
+
+/**
+ * 解析并校验场景描述，未指定的部分使用默认值
+ * @param {Object} spec 场景描述 { name, camera, film, sampler, integrator, environment, lights, models, useImport }
+ * @returns {Object} 规范化后的场景描述
+ * @throws {SceneCompositionError} 描述无效时
+ */
+function parseComposition(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new SceneCompositionError('场景描述必须是JSON对象');
+    }
+    const camera = requireObject(spec.camera, 'camera');
+    const film = requireObject(spec.film, 'film');
+    const sampler = requireObject(spec.sampler, 'sampler');
+    const integrator = requireObject(spec.integrator, 'integrator');
+    if (spec.lights !== undefined && !Array.isArray(spec.lights)) {
+        throw new SceneCompositionError('lights必须是数组');
+    }
+    if (!Array.isArray(spec.models) || spec.models.length === 0) {
+        throw new SceneCompositionError('models必须是非空数组');
+    }
+    const lights = spec.lights || [];
+    if (lights.length > MAX_SCENE_LIGHTS) {
+        throw new SceneCompositionError(`场景最多包含 ${MAX_SCENE_LIGHTS} 个光源`);
+    }
+    if (spec.models.length > MAX_SCENE_MODELS) {
+        throw new SceneCompositionError(`场景最多包含 ${MAX_SCENE_MODELS} 个模型`);
+    }
+
+    const cameraType = optionalType(camera.type, CAMERA_TYPES, 'camera.type', SCENE_DEFAULTS.camera.type);
+    return {
+        name: spec.name === undefined ? null : String(spec.name),
+        camera: {
+            type: cameraType,
+            lookAt: parseLookAt(camera),
+            fov: cameraType === 'perspective' ? optionalNumber(camera.fov, 'camera.fov', 1, 179, SCENE_DEFAULTS.camera.fov) : undefined,
+            lensradius: optionalNumber(camera.lensradius, 'camera.lensradius', 0, 1e6),
+            focaldistance: optionalNumber(camera.focaldistance, 'camera.focaldistance', 0, 1e12)
+        },
+        film: {
+            type: optionalType(film.type, FILM_TYPES, 'film.type', SCENE_DEFAULTS.film.type),
+            xresolution: optionalInteger(film.xresolution, 'film.xresolution', 1, 16384, SCENE_DEFAULTS.film.xresolution),
+            yresolution: optionalInteger(film.yresolution, 'film.yresolution', 1, 16384, SCENE_DEFAULTS.film.yresolution)
+        },
+        sampler: {
+            type: optionalType(sampler.type, SAMPLER_TYPES, 'sampler.type', SCENE_DEFAULTS.sampler.type),
+            pixelsamples: optionalInteger(sampler.pixelsamples, 'sampler.pixelsamples', 1, 65536, SCENE_DEFAULTS.sampler.pixelsamples)
+        },
+        integrator: {
+            type: optionalType(integrator.type, INTEGRATOR_TYPES, 'integrator.type', SCENE_DEFAULTS.integrator.type),
+            maxdepth: optionalInteger(integrator.maxdepth, 'integrator.maxdepth', 0, 1000, SCENE_DEFAULTS.integrator.maxdepth)
+        },
+        environment: parseEnvironment(spec.environment),
+        lights: lights.map(parseLight),
+        models: spec.models.map(parseModel),
+        useImport: spec.useImport === true
+    };
+}
+
+/**
+ * 为模型片段中的纹理、材质、介质和对象名称添加命名空间前缀（与模型转换使用的前缀相同），
+ * 并拆分为定义和几何体两部分。世界块之前的指令被丢弃
+ * @param {string} content 模型片段内容
+ * @param {string} prefix 命名空间前缀，如模型ID的前8位加连字符
+ * @returns {Object} { definitions, geometry, renamed }，definitions 和 geometry 为场景文本，renamed 为重命名的名称数
+ * @throws {PbrtSyntaxError} 片段有语法错误时
+ */
+function splitModelFragment(content, prefix) {
+    const scene = pbrtParser.parse(content);
+    const directives = scene.body.filter(node => node.type === 'Directive');
+
+    // 丢弃世界块之前的内容（相机、胶片等），只保留世界块中的内容
+    const worldBegin = scene.body.findIndex(node => node.type === 'Directive' && node.name === 'WorldBegin');
+    const body = worldBegin === -1 ? scene.body : scene.body.slice(worldBegin + 1);
+
+    // 收集需要重命名的名称：纹理和材质等各自有独立的命名空间
+    const renames = { texture: new Map(), material: new Map(), medium: new Map(), object: new Map() };
+    directives.forEach((node) => {
+        const name = node.args[0];
+        if (['Texture', 'MakeNamedMaterial', 'MakeNamedMedium', 'ObjectBegin'].includes(node.name) &&
+            typeof name === 'string' && !name.startsWith(prefix)) {
+            renames[NAMED_DIRECTIVES[node.name]].set(name, `${prefix}${name}`);
+        }
+    });
+    const rename = (kind, name) => renames[kind].get(name) || name;
+
+    directives.forEach((node) => {
+        if (NAMED_DIRECTIVES[node.name]) {
+            const renamed = rename(NAMED_DIRECTIVES[node.name], node.args[0]);
+            if (renamed !== node.args[0]) {
+                pbrtParser.setArgs(node, [renamed].concat(node.args.slice(1)));
+            }
+        } else if (node.name === 'MediumInterface') {
+            pbrtParser.setArgs(node, node.args.map(name => rename('medium', name)));
+        }
+        for (const param of node.params) {
+            let values = param.values;
+            if (param.type === 'texture') {
+                values = values.map(value => rename('texture', value));
+            } else if (param.type === 'string' && param.name === 'materials') {
+                // mix 材质通过名称引用其他材质
+                values = values.map(value => rename('material', value));
+            }
+            if (values.some((value, index) => value !== param.values[index])) {
+                param.values = values;
+                pbrtParser.markModified(param);
+            }
+        }
+    });
+
+    // 顶层的定义指令和对象定义块放入定义部分，其余放入几何体部分
+    const definitions = [];
+    const geometry = [];
+    let depth = 0;
+    let objectDepth = 0;
+    for (const node of body) {
+        const isDirective = node.type === 'Directive';
+        if (isDirective && OPTIONS_DIRECTIVES.includes(node.name)) {
+            continue;
+        }
+        if (isDirective && node.name === 'ObjectBegin' && depth === 0) {
+            objectDepth = 1;
+            definitions.push(node);
+            continue;
+        }
+        if (objectDepth > 0) {
+            definitions.push(node);
+            if (isDirective && ['ObjectBegin', 'AttributeBegin', 'TransformBegin'].includes(node.name)) {
+                objectDepth++;
+            } else if (isDirective && ['ObjectEnd', 'AttributeEnd', 'TransformEnd'].includes(node.name)) {
+                objectDepth--;
+            }
+            continue;
+        }
+        if (isDirective && ['AttributeBegin', 'TransformBegin'].includes(node.name)) {
+            depth++;
+        } else if (isDirective && ['AttributeEnd', 'TransformEnd'].includes(node.name)) {
+            depth = Math.max(0, depth - 1);
+        }
+        (isDirective && depth === 0 && DEFINITION_DIRECTIVES.includes(node.name) ? definitions : geometry).push(node);
+    }
+
+    const print = nodes => pbrtParser.serialize({ type: 'Scene', body: nodes, trailing: '\n' }, { preserveFormatting: false });
+    return {
+        definitions: print(definitions),
+        geometry: print(geometry),
+        renamed: Object.values(renames).reduce((sum, map) => sum + map.size, 0)
+    };
+}
+
+function transformNodes(transform) {
+    const nodes = [];
+    if (transform.translate) {
+        nodes.push(pbrtParser.createDirective('Translate', transform.translate));
+    }
+    if (transform.rotate) {
+        nodes.push(pbrtParser.createDirective('Rotate', transform.rotate));
+    }
+    if (transform.scale) {
+        nodes.push(pbrtParser.createDirective('Scale', transform.scale));
+    }
+    return nodes;
+}
+
+function param(type, name, values) {
+    return { type, name, values: Array.isArray(values) ? values : [values] };
+}
+
+function definedParams(list) {
+    return list.filter(item => item.values.every(value => value !== undefined));
+}
+
+/**
+ * 生成组合后的场景
+ * @param {Object} composition parseComposition 返回的场景描述
+ * @param {Object} files 场景引用的文件，路径相对于渲染时的工作目录
+ * @param {Array} files.models 与 composition.models 一一对应的 { definitions, geometry } 片段路径，
+ *   同一模型片段的多个摆放使用相同的定义路径，定义只 Include 一次
+ * @param {string} [files.environment] 环境贴图路径
+ * @returns {string} 场景内容
+ */
+function buildComposedScene(composition, files) {
+    const { camera, film, sampler, integrator, environment } = composition;
+    const body = [
+        pbrtParser.createComment(composition.name ? `组合场景: ${composition.name}` : '组合场景'),
+        pbrtParser.createDirective('LookAt', camera.lookAt),
+        pbrtParser.createDirective('Camera', [camera.type], definedParams([
+            param('float', 'fov', camera.fov),
+            param('float', 'lensradius', camera.lensradius),
+            param('float', 'focaldistance', camera.focaldistance)
+        ])),
+        pbrtParser.createDirective('Film', [film.type], [
+            param('integer', 'xresolution', film.xresolution),
+            param('integer', 'yresolution', film.yresolution),
+            param('string', 'filename', 'scene.exr')
+        ]),
+        pbrtParser.createDirective('Sampler', [sampler.type], [param('integer', 'pixelsamples', sampler.pixelsamples)]),
+        pbrtParser.createDirective('Integrator', [integrator.type], [param('integer', 'maxdepth', integrator.maxdepth)]),
+        pbrtParser.createDirective('WorldBegin')
+    ];
+
+    if (environment) {
+        body.push(pbrtParser.createComment('环境光'));
+        body.push(pbrtParser.createDirective('AttributeBegin'));
+        // environment.scale 是亮度缩放，环境贴图只支持旋转
+        body.push(...transformNodes({ rotate: environment.rotate }));
+        body.push(pbrtParser.createDirective('LightSource', ['infinite'], [
+            files.environment ? param('string', 'filename', files.environment) : param('rgb', 'L', environment.rgb),
+            param('float', 'scale', environment.scale)
+        ]));
+        body.push(pbrtParser.createDirective('AttributeEnd'));
+    }
+
+    composition.lights.forEach((light) => {
+        const params = [param('point3', 'from', light.from)];
+        if (light.to) {
+            params.push(param('point3', 'to', light.to));
+        }
+        params.push(param('rgb', light.type === 'distant' ? 'L' : 'I', light.rgb), param('float', 'scale', light.scale));
+        if (light.type === 'spot') {
+            params.push(param('float', 'coneangle', light.coneangle), param('float', 'conedelta', light.conedelta));
+        }
+        body.push(pbrtParser.createDirective('LightSource', [light.type], params));
+    });
+
+    // 每个模型片段的定义在第一次摆放之前 Include 一次
+    const includedDefinitions = new Set();
+    composition.models.forEach((model, index) => {
+        const modelFiles = files.models[index];
+        body.push(pbrtParser.createComment(`模型 ${model.uuid}`));
+        if (!includedDefinitions.has(modelFiles.definitions)) {
+            includedDefinitions.add(modelFiles.definitions);
+            body.push(pbrtParser.createDirective('Include', [modelFiles.definitions]));
+        }
+        body.push(pbrtParser.createDirective('AttributeBegin'));
+        body.push(...transformNodes(model));
+        body.push(pbrtParser.createDirective(composition.useImport ? 'Import' : 'Include', [modelFiles.geometry]));
+        body.push(pbrtParser.createDirective('AttributeEnd'));
+    });
+
+    return pbrtParser.serialize({ type: 'Scene', body, trailing: '\n' }, { preserveFormatting: false });
+}
+
+module.exports = {
+    SCENE_DEFAULTS,
+    MAX_SCENE_MODELS,
+    SceneCompositionError,
+    parseComposition,
+    splitModelFragment,
+    buildComposedScene
+};
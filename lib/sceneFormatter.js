@@ -0,0 +1,133 @@
+const pbrtParser = require('./pbrtParser');
+
+// 场景格式化：按 Attribute/Object 块的嵌套层级重新缩进，每行一条指令，过长的参数列表和参数值分行，
+// 并将 WorldBegin 之前的渲染选项按固定顺序排列，使不同版本的场景之间的差异便于比较。注释保留
+
+// 格式化输出的默认缩进
+const DEFAULT_INDENT = '    ';
+
+// 移到渲染选项开头的指令
+const LEADING_OPTIONS = ['Option'];
+// 移到摄像机之后的渲染选项，按该顺序排列。它们不受当前变换矩阵影响，可以安全移动
+const TRAILING_OPTIONS = ['Film', 'PixelFilter', 'Sampler', 'Integrator', 'Accelerator'];
+
+function hasBlankLineBefore(node) {
+    return node.before !== undefined && (node.before.match(/\n/g) || []).length > 1;
+}
+
+/**
+ * 将节点分组：每条指令与其前面紧邻的注释和行尾注释为一组，与指令之间有空行的注释单独成组
+ * @param {Array} nodes 节点
+ * @returns {Array} [{ directive, nodes }]，directive 为 null 表示只包含注释的组
+ */
+function groupNodes(nodes) {
+    const groups = [];
+    let comments = [];
+    for (const node of nodes) {
+        if (node.type === 'Comment') {
+            const previous = groups[groups.length - 1];
+            if (comments.length === 0 && previous && previous.directive && node.before !== undefined && !node.before.includes('\n')) {
+                // 行尾注释
+                previous.nodes.push(node);
+                continue;
+            }
+            if (comments.length > 0 && hasBlankLineBefore(node)) {
+                groups.push({ directive: null, nodes: comments });
+                comments = [];
+            }
+            comments.push(node);
+            continue;
+        }
+        if (comments.length > 0 && hasBlankLineBefore(node)) {
+            groups.push({ directive: null, nodes: comments });
+            comments = [];
+        }
+        groups.push({ directive: node, nodes: comments.concat(node) });
+        comments = [];
+    }
+    if (comments.length > 0) {
+        groups.push({ directive: null, nodes: comments });
+    }
+    return groups;
+}
+
+/**
+ * 排列一段渲染选项：Option 在前，摄像机及其变换保持原有顺序，Film、PixelFilter、Sampler、Integrator、Accelerator 依次在后
+ * @param {Array} groups groupNodes 返回的分组
+ * @returns {Array} 排列后的分组
+ */
+function orderOptionGroups(groups) {
+    const nameOf = group => group.directive ? group.directive.name : null;
+    const leading = groups.filter(group => LEADING_OPTIONS.includes(nameOf(group)));
+    const middle = groups.filter(group => !LEADING_OPTIONS.includes(nameOf(group)) && !TRAILING_OPTIONS.includes(nameOf(group)));
+    const trailing = TRAILING_OPTIONS.reduce(
+        (result, name) => result.concat(groups.filter(group => nameOf(group) === name)), []);
+    return leading.concat(middle, trailing);
+}
+
+/**
+ * 按固定顺序排列 WorldBegin 之前的渲染选项。ColorSpace 会影响之后指令中颜色的解释，排序不会跨越 ColorSpace
+ * @param {Object} scene 语法树，原地修改
+ * @returns {boolean} 是否改变了顺序
+ */
+function orderRenderOptions(scene) {
+    const worldIndex = scene.body.findIndex(node => node.type === 'Directive' && node.name === 'WorldBegin');
+    // 没有 WorldBegin 的场景通常是被 Include 的片段
+    if (worldIndex === -1) {
+        return false;
+    }
+
+    const groups = groupNodes(scene.body.slice(0, worldIndex));
+    // 文件开头的注释（如文件说明）保留在开头
+    const headerLength = groups.findIndex(group => group.directive);
+    const ordered = groups.splice(0, headerLength === -1 ? groups.length : headerLength);
+    let segment = [];
+    for (const group of groups) {
+        if (group.directive && group.directive.name === 'ColorSpace') {
+            ordered.push(...orderOptionGroups(segment), group);
+            segment = [];
+        } else {
+            segment.push(group);
+        }
+    }
+    ordered.push(...orderOptionGroups(segment));
+
+    // 移动后不再跟在指令之后的注释单独成行
+    ordered.forEach(group => {
+        const first = group.nodes[0];
+        if (first.type === 'Comment' && first.before !== undefined && !first.before.includes('\n')) {
+            first.before = '\n';
+        }
+    });
+    const options = [].concat(...ordered.map(group => group.nodes));
+    const changed = options.some((node, index) => node !== scene.body[index]);
+    scene.body.splice(0, worldIndex, ...options);
+    return changed;
+}
+
+/**
+ * 格式化场景
+ * @param {string|Object} scene 场景内容或语法树（语法树会被修改）
+ * @param {Object} [options] 选项
+ * @param {string} [options.indent='    '] 一级缩进
+ * @param {number} [options.maxLineLength] 行宽，超出时参数和参数值分行
+ * @param {boolean} [options.orderOptions=true] 是否按固定顺序排列 WorldBegin 之前的渲染选项
+ * @returns {string} 格式化后的场景内容
+ * @throws {PbrtSyntaxError} 场景存在语法错误时
+ */
+function formatScene(scene, options = {}) {
+    const tree = typeof scene === 'string' ? pbrtParser.parse(scene) : scene;
+    if (options.orderOptions !== false) {
+        orderRenderOptions(tree);
+    }
+    return pbrtParser.serialize(tree, {
+        preserveFormatting: false,
+        indent: options.indent || DEFAULT_INDENT,
+        maxLineLength: options.maxLineLength
+    });
+}
+
+module.exports = {
+    orderRenderOptions,
+    formatScene
+};
@@ -0,0 +1,232 @@
+const pbrtParser = require('./pbrtParser');
+const envMaps = require('./envMaps');
+
+// 渲染参数覆盖：采样数、裁剪窗口和随机种子通过PBRT命令行参数传入，
+// 分辨率、最大深度、积分器和环境贴图通过改写场景语法树实现
+
+// PBRT-v4 支持的积分器
+const INTEGRATORS = [
+    'volpath', 'path', 'bdpt', 'mlt', 'sppm', 'simplepath', 'simplevolpath',
+    'lightpath', 'randomwalk', 'ambientocclusion', 'aov'
+];
+
+// 场景未指定时PBRT-v4使用的默认值
+const PBRT_DEFAULTS = {
+    xresolution: 1280,
+    yresolution: 720,
+    pixelsamples: 16,
+    maxdepth: 5,
+    integrator: 'volpath'
+};
+
+// 各整数参数的取值范围
+const INTEGER_LIMITS = {
+    xresolution: [1, 16384],
+    yresolution: [1, 16384],
+    pixelsamples: [1, 65536],
+    maxdepth: [0, 1000],
+    seed: [0, 2147483647]
+};
+
+/**
+ * 解析请求中的渲染参数覆盖
+ * @param {Object} body 请求体
+ * @returns {Object} { overrides } 或 { error }，overrides 只包含请求中指定的参数
+ */
+function parseRenderOverrides(body) {
+    const overrides = {};
+
+    for (const [name, [min, max]] of Object.entries(INTEGER_LIMITS)) {
+        if (body[name] === undefined || body[name] === '') {
+            continue;
+        }
+        const value = Number(body[name]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `${name}参数必须是 ${min} 到 ${max} 之间的整数` };
+        }
+        overrides[name] = value;
+    }
+
+    if (body.integrator) {
+        const integrator = String(body.integrator).toLowerCase();
+        if (!INTEGRATORS.includes(integrator)) {
+            return { error: `integrator参数必须是 ${INTEGRATORS.join(', ')} 之一` };
+        }
+        overrides.integrator = integrator;
+    }
+
+    if (body.cropwindow) {
+        // 格式为 x0,x1,y0,y1，取值范围 [0, 1]
+        const values = String(body.cropwindow).split(/[\s,]+/).filter(Boolean).map(Number);
+        const valid = values.length === 4 &&
+            values.every(value => Number.isFinite(value) && value >= 0 && value <= 1) &&
+            values[0] < values[1] && values[2] < values[3];
+        if (!valid) {
+            return { error: 'cropwindow参数格式为 x0,x1,y0,y1，取值范围0到1，且 x0<x1, y0<y1' };
+        }
+        overrides.cropwindow = values;
+    }
+
+    if (body.envmap) {
+        const envmap = String(body.envmap);
+        if (!envMaps.ENVMAP_ID_PATTERN.test(envmap)) {
+            return { error: 'envmap参数必须是环境贴图库中的贴图ID' };
+        }
+        overrides.envmap = envmap;
+    }
+
+    return { overrides };
+}
+
+/**
+ * 生成参数覆盖对应的PBRT命令行参数
+ * @param {Object} overrides parseRenderOverrides 返回的参数覆盖
+ * @returns {Array} 命令行参数
+ */
+function getOverrideArgs(overrides = {}) {
+    const args = [];
+    if (overrides.pixelsamples !== undefined) {
+        args.push('--spp', `${overrides.pixelsamples}`);
+    }
+    if (overrides.cropwindow) {
+        args.push('--cropwindow', overrides.cropwindow.join(','));
+    }
+    if (overrides.seed !== undefined) {
+        args.push('--seed', `${overrides.seed}`);
+    }
+    return args;
+}
+
+/**
+ * 读取指令的整数参数
+ * @param {Object|null} node 指令节点
+ * @param {string} name 参数名
+ * @returns {number|null} 参数值
+ */
+function readIntegerParam(node, name) {
+    const param = node ? pbrtParser.getParam(node, name) : null;
+    return param && typeof param.values[0] === 'number' ? param.values[0] : null;
+}
+
+/**
+ * 在 WorldBegin 之前插入一条指令，没有 WorldBegin 时插入到开头
+ * @param {Object} scene 语法树
+ * @param {Object} node 指令节点
+ */
+function insertBeforeWorld(scene, node) {
+    pbrtParser.insertBefore(scene, pbrtParser.findDirective(scene, 'WorldBegin'), [node]);
+}
+
+/**
+ * 将场景的环境光替换为环境贴图库中的贴图：已有的 infinite 光源改为引用该贴图并保留其变换和 scale，
+ * 没有 infinite 光源时在 WorldBegin 之后添加一个
+ * @param {Object} scene 语法树
+ * @param {string} envmap 环境贴图ID
+ */
+function applyEnvMapOverride(scene, envmap) {
+    const reference = `${envMaps.ENVMAP_REFERENCE_PREFIX}${envmap}`;
+    const lights = pbrtParser.findDirectives(scene, 'LightSource').filter(node => node.args[0] === 'infinite');
+    if (lights.length === 0) {
+        const light = pbrtParser.createDirective('LightSource', ['infinite'], [
+            { type: 'string', name: 'filename', values: [reference] }
+        ]);
+        const worldBegin = pbrtParser.findDirective(scene, 'WorldBegin');
+        if (worldBegin) {
+            pbrtParser.insertAfter(scene, worldBegin, [light]);
+        } else {
+            scene.body.push(light);
+        }
+        return;
+    }
+    for (const light of lights) {
+        // 图像环境光不能同时指定常量辐射度 L
+        pbrtParser.removeParam(light, 'L');
+        pbrtParser.setParam(light, 'string', 'filename', [reference]);
+    }
+}
+
+/**
+ * 将分辨率、最大深度、积分器和环境贴图覆盖写入场景语法树
+ * @param {Object} scene pbrtParser.parse 返回的语法树
+ * @param {Object} overrides parseRenderOverrides 返回的参数覆盖
+ * @returns {boolean} 场景是否被修改
+ */
+function applySceneOverrides(scene, overrides = {}) {
+    let changed = false;
+
+    for (const name of ['xresolution', 'yresolution']) {
+        if (overrides[name] === undefined) {
+            continue;
+        }
+        const film = pbrtParser.findDirective(scene, 'Film', { beforeWorld: true });
+        if (film) {
+            pbrtParser.setParam(film, 'integer', name, [overrides[name]]);
+        } else {
+            insertBeforeWorld(scene, pbrtParser.createDirective('Film', ['rgb'], [
+                { type: 'integer', name, values: [overrides[name]] }
+            ]));
+        }
+        changed = true;
+    }
+
+    if (overrides.integrator !== undefined || overrides.maxdepth !== undefined) {
+        const integrator = pbrtParser.findDirective(scene, 'Integrator', { beforeWorld: true });
+        if (!integrator) {
+            const params = overrides.maxdepth !== undefined ?
+                [{ type: 'integer', name: 'maxdepth', values: [overrides.maxdepth] }] : [];
+            insertBeforeWorld(scene, pbrtParser.createDirective('Integrator', [overrides.integrator || PBRT_DEFAULTS.integrator], params));
+        } else {
+            if (overrides.integrator !== undefined && overrides.integrator !== integrator.args[0]) {
+                // 更换积分器时只保留 maxdepth，其他参数可能不被新的积分器支持
+                pbrtParser.setArgs(integrator, [overrides.integrator]);
+                integrator.params = integrator.params.filter(param => param.name === 'maxdepth');
+            }
+            if (overrides.maxdepth !== undefined) {
+                pbrtParser.setParam(integrator, 'integer', 'maxdepth', [overrides.maxdepth]);
+            }
+        }
+        changed = true;
+    }
+
+    if (overrides.envmap !== undefined) {
+        applyEnvMapOverride(scene, overrides.envmap);
+        changed = true;
+    }
+
+    return changed;
+}
+
+/**
+ * 计算场景在参数覆盖后实际使用的渲染设置，场景未指定的值使用PBRT默认值
+ * @param {Object} scene 应用覆盖后的语法树
+ * @param {Object} overrides parseRenderOverrides 返回的参数覆盖
+ * @returns {Object} { xresolution, yresolution, pixelsamples, maxdepth, integrator, cropwindow, seed, envmap }
+ */
+function describeRenderSettings(scene, overrides = {}) {
+    const film = pbrtParser.findDirective(scene, 'Film', { beforeWorld: true });
+    const sampler = pbrtParser.findDirective(scene, 'Sampler', { beforeWorld: true });
+    const integrator = pbrtParser.findDirective(scene, 'Integrator', { beforeWorld: true });
+    const valueOf = (node, name) => {
+        const value = readIntegerParam(node, name);
+        return value !== null ? value : PBRT_DEFAULTS[name];
+    };
+
+    return {
+        xresolution: valueOf(film, 'xresolution'),
+        yresolution: valueOf(film, 'yresolution'),
+        pixelsamples: overrides.pixelsamples !== undefined ? overrides.pixelsamples : valueOf(sampler, 'pixelsamples'),
+        maxdepth: valueOf(integrator, 'maxdepth'),
+        integrator: integrator ? integrator.args[0] : PBRT_DEFAULTS.integrator,
+        cropwindow: overrides.cropwindow || null,
+        seed: overrides.seed !== undefined ? overrides.seed : null,
+        envmap: overrides.envmap || null
+    };
+}
+
+module.exports = {
+    INTEGRATORS,
+    parseRenderOverrides,
+    getOverrideArgs,
+    applySceneOverrides,
+    describeRenderSettings
+};
@@ -0,0 +1,372 @@
+const util = require('util');
+const childProcess = require('child_process');
+const pbrtParser = require('./pbrtParser');
+
+const execFile = util.promisify(childProcess.execFile);
+
+// PBRT-v3 场景升级为 PBRT-v4：内置转换器按指令修改语法树并记录每一处修改，
+// 也可以调用 pbrt --upgrade 转换
+
+// 支持的转换方式
+const UPGRADE_ENGINES = ['builtin', 'pbrt'];
+
+// pbrt --upgrade 的超时时间
+const PBRT_UPGRADE_TIMEOUT = 60000;
+
+// PBRT-v3 的参数类型及其在PBRT-v4中的写法
+const PARAMETER_TYPE_UPGRADES = { point: 'point3', vector: 'vector3', normal: 'normal3', color: 'rgb' };
+
+// 材质：type 为PBRT-v4的材质，rename 为改名的参数，remove 为没有对应参数而删除的参数，
+// defaults 为两个版本默认值不同、未指定时需要补上的参数
+const MATERIAL_UPGRADES = {
+    '': { type: 'interface' },
+    none: { type: 'interface' },
+    matte: { type: 'diffuse', rename: { Kd: 'reflectance' }, remove: ['sigma'] },
+    plastic: {
+        type: 'coateddiffuse',
+        rename: { Kd: 'reflectance' },
+        remove: ['Ks'],
+        defaults: [{ type: 'float', name: 'roughness', values: [0.1] }]
+    },
+    substrate: {
+        type: 'coateddiffuse',
+        rename: { Kd: 'reflectance' },
+        remove: ['Ks'],
+        defaults: [{ type: 'float', name: 'uroughness', values: [0.1] }, { type: 'float', name: 'vroughness', values: [0.1] }]
+    },
+    uber: {
+        type: 'coateddiffuse',
+        rename: { Kd: 'reflectance' },
+        remove: ['Ks', 'Kr', 'Kt', 'opacity', 'index']
+    },
+    metal: {
+        type: 'conductor',
+        defaults: [{ type: 'float', name: 'roughness', values: [0.01] }]
+    },
+    mirror: {
+        type: 'conductor',
+        rename: { Kr: 'reflectance' },
+        defaults: [{ type: 'rgb', name: 'reflectance', values: [0.9, 0.9, 0.9] }]
+    },
+    glass: { type: 'dielectric', rename: { index: 'eta' }, remove: ['Kr', 'Kt'] }
+};
+
+// PBRT-v4 中没有对应实现的材质和形状
+const UNSUPPORTED_MATERIALS = ['disney', 'fourier', 'kdsubsurface', 'translucent'];
+const UNSUPPORTED_SHAPES = ['cone', 'heightfield', 'hyperboloid', 'nurbs', 'paraboloid'];
+
+// 采样器和积分器改名
+const SAMPLER_UPGRADES = { lowdiscrepancy: 'paddedsobol', '02sequence': 'paddedsobol', maxmindist: 'pmj02bn', random: 'independent' };
+const INTEGRATOR_UPGRADES = { directlighting: 'path', whitted: 'path' };
+
+/**
+ * pbrt --upgrade 无法执行或转换失败时抛出的错误
+ */
+class SceneUpgradeError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'SceneUpgradeError';
+        this.status = status;
+    }
+}
+
+/**
+ * 创建转换上下文，记录修改和无法转换的内容
+ * @param {Array} changes 修改记录
+ * @returns {Object} { changed, unsupported }
+ */
+function createRecorder(changes) {
+    const record = (action) => (target, message) => {
+        const loc = target.loc || {};
+        changes.push({ line: loc.line || null, column: loc.column || null, action, message });
+    };
+    return { changed: record('changed'), removed: record('removed'), unsupported: record('unsupported') };
+}
+
+function renameParam(node, from, to, recorder) {
+    const param = pbrtParser.getParam(node, from);
+    if (!param || pbrtParser.getParam(node, to)) {
+        return param;
+    }
+    param.name = to;
+    pbrtParser.markModified(param);
+    recorder.changed(param, `${node.name} "${describeClass(node)}" 的参数 "${from}" 改名为 "${to}"`);
+    return param;
+}
+
+function removeParams(node, names, reason, recorder) {
+    for (const name of names) {
+        const param = pbrtParser.getParam(node, name);
+        if (param) {
+            pbrtParser.removeParam(node, name);
+            recorder.unsupported(param, `已删除 ${node.name} "${describeClass(node)}" 的参数 "${name}"：${reason}`);
+        }
+    }
+}
+
+// MakeNamedMaterial 的材质类型在 "string type" 参数中，其余指令为第一个位置参数（Texture 为第三个）
+function describeClass(node) {
+    if (node.name === 'MakeNamedMaterial') {
+        const type = pbrtParser.getParam(node, 'type');
+        return type ? type.values[0] : '';
+    }
+    return node.name === 'Texture' ? node.args[2] : node.args[0];
+}
+
+function setClass(node, value) {
+    if (node.name === 'MakeNamedMaterial') {
+        const type = pbrtParser.getParam(node, 'type');
+        type.values = [value];
+        pbrtParser.markModified(type);
+    } else if (node.name === 'Texture') {
+        pbrtParser.setArgs(node, [node.args[0], node.args[1], value]);
+    } else {
+        pbrtParser.setArgs(node, [value].concat(node.args.slice(1)));
+    }
+}
+
+function upgradeParameterTypes(node, recorder) {
+    for (const param of node.params) {
+        const type = PARAMETER_TYPE_UPGRADES[param.type];
+        if (type) {
+            recorder.changed(param, `参数类型 "${param.type} ${param.name}" 改为 "${type} ${param.name}"`);
+            param.type = type;
+            pbrtParser.markModified(param);
+        }
+    }
+}
+
+function upgradeMaterial(node, recorder) {
+    if (node.name === 'MakeNamedMaterial' && !pbrtParser.getParam(node, 'type')) {
+        return;
+    }
+    // 凹凸贴图在PBRT-v4中改名为 displacement
+    renameParam(node, 'bumpmap', 'displacement', recorder);
+
+    const materialType = describeClass(node);
+    if (UNSUPPORTED_MATERIALS.includes(materialType)) {
+        recorder.unsupported(node, `PBRT-v4 不支持材质 "${materialType}"，需要手动替换为其他材质`);
+        return;
+    }
+    if (materialType === 'mix') {
+        // PBRT-v4 的 mix 材质用一个字符串数组指定两个材质
+        const first = pbrtParser.getParam(node, 'namedmaterial1');
+        const second = pbrtParser.getParam(node, 'namedmaterial2');
+        if (first && second) {
+            pbrtParser.removeParam(node, 'namedmaterial2');
+            first.name = 'materials';
+            first.values = [first.values[0], second.values[0]];
+            first.bracketed = true;
+            pbrtParser.markModified(first);
+            recorder.changed(first, '参数 "namedmaterial1" 和 "namedmaterial2" 合并为 "string materials"');
+        }
+        return;
+    }
+
+    const upgrade = MATERIAL_UPGRADES[materialType];
+    if (!upgrade) {
+        return;
+    }
+    const label = materialType ? `"${materialType}"` : '空材质';
+    recorder.changed(node, `材质 ${label} 改为 "${upgrade.type}"`);
+    for (const [from, to] of Object.entries(upgrade.rename || {})) {
+        renameParam(node, from, to, recorder);
+    }
+    removeParams(node, upgrade.remove || [], `材质 "${upgrade.type}" 没有对应的参数`, recorder);
+    setClass(node, upgrade.type);
+    for (const param of upgrade.defaults || []) {
+        if (!pbrtParser.getParam(node, param.name)) {
+            pbrtParser.setParam(node, param.type, param.name, param.values);
+            recorder.changed(node, `添加参数 "${param.type} ${param.name}"，保持PBRT-v3 ${label} 材质的默认值`);
+        }
+    }
+}
+
+function upgradeLight(node, recorder) {
+    removeParams(node, ['nsamples'], 'PBRT-v4 不再需要指定光源采样数', recorder);
+    if (node.name === 'LightSource' && ['goniometric', 'projection'].includes(node.args[0])) {
+        renameParam(node, 'mapname', 'filename', recorder);
+    }
+
+    // PBRT-v3 的 scale 是光谱，PBRT-v4 只接受单个数值
+    const scale = pbrtParser.getParam(node, 'scale');
+    if (scale && scale.type !== 'float') {
+        const numeric = scale.values.every(value => typeof value === 'number');
+        if (numeric && scale.values.length > 0 && scale.values.every(value => value === scale.values[0])) {
+            recorder.changed(scale, `参数 "${scale.type} scale" 改为 "float scale"`);
+            scale.type = 'float';
+            scale.values = [scale.values[0]];
+            pbrtParser.markModified(scale);
+        } else {
+            recorder.unsupported(scale, `PBRT-v4 的光源 "scale" 只接受单个数值，需要将各通道不同的 "${scale.type} scale" 合并到光源颜色中`);
+        }
+    }
+}
+
+function upgradeFilm(node, recorder) {
+    if (node.args[0] === 'image') {
+        setClass(node, 'rgb');
+        recorder.changed(node, 'Film "image" 改为 "rgb"');
+    }
+    renameParam(node, 'maxsampleluminance', 'maxcomponentvalue', recorder);
+    removeParams(node, ['scale'], 'PBRT-v4 使用 "float iso" 和 "float exposuretime" 控制曝光', recorder);
+}
+
+function upgradeTexture(node, recorder) {
+    if (node.args[1] === 'color') {
+        pbrtParser.setArgs(node, [node.args[0], 'spectrum', node.args[2]]);
+        recorder.changed(node, `纹理 "${node.args[0]}" 的类型 "color" 改为 "spectrum"`);
+    }
+
+    const textureClass = node.args[2];
+    if (textureClass === 'imagemap') {
+        const gamma = pbrtParser.getParam(node, 'gamma');
+        if (gamma) {
+            pbrtParser.removeParam(node, 'gamma');
+            pbrtParser.setParam(node, 'string', 'encoding', [gamma.values[0] ? 'sRGB' : 'linear']);
+            recorder.changed(gamma, `参数 "bool gamma" 改为 "string encoding" "${gamma.values[0] ? 'sRGB' : 'linear'}"`);
+        }
+        const trilinear = pbrtParser.getParam(node, 'trilinear');
+        if (trilinear) {
+            pbrtParser.removeParam(node, 'trilinear');
+            pbrtParser.setParam(node, 'string', 'filter', [trilinear.values[0] ? 'trilinear' : 'ewa']);
+            recorder.changed(trilinear, `参数 "bool trilinear" 改为 "string filter" "${trilinear.values[0] ? 'trilinear' : 'ewa'}"`);
+        }
+    } else if (textureClass === 'scale') {
+        renameParam(node, 'tex1', 'tex', recorder);
+        renameParam(node, 'tex2', 'scale', recorder);
+    } else if (textureClass === 'checkerboard') {
+        removeParams(node, ['aamode'], 'PBRT-v4 的棋盘格纹理不再支持抗锯齿模式', recorder);
+    }
+}
+
+function upgradeShape(node, recorder) {
+    const shapeType = node.args[0];
+    if (UNSUPPORTED_SHAPES.includes(shapeType)) {
+        recorder.unsupported(node, `PBRT-v4 不支持形状 "${shapeType}"，需要转换为三角网格`);
+        return;
+    }
+    if (shapeType === 'loopsubdiv') {
+        renameParam(node, 'nlevels', 'levels', recorder);
+    }
+    // 纹理坐标在PBRT-v4中为 "point2 uv"
+    for (const name of ['uv', 'st']) {
+        const param = pbrtParser.getParam(node, name);
+        if (!param || param.type !== 'float' || pbrtParser.getParam(node, name === 'st' ? 'uv' : 'st')) {
+            continue;
+        }
+        recorder.changed(param, `参数 "float ${name}" 改为 "point2 uv"`);
+        param.type = 'point2';
+        param.name = 'uv';
+        pbrtParser.markModified(param);
+    }
+}
+
+function renameClass(node, upgrades, recorder) {
+    const upgraded = upgrades[node.args[0]];
+    if (upgraded) {
+        recorder.changed(node, `${node.name} "${node.args[0]}" 改为 "${upgraded}"`);
+        setClass(node, upgraded);
+    }
+}
+
+/**
+ * 使用内置转换器将PBRT-v3场景升级为PBRT-v4
+ * @param {string} content 场景内容
+ * @returns {Object} { content, changed, changes }，changes 为 [{ line, column, action, message }]，
+ *   action 为 changed（已修改）、removed（已删除）或 unsupported（无法自动转换或转换后有差异）
+ * @throws {PbrtSyntaxError} 场景存在语法错误时
+ */
+function upgradeScene(content) {
+    const scene = pbrtParser.parse(content);
+    const changes = [];
+    const recorder = createRecorder(changes);
+
+    for (const node of scene.body.slice()) {
+        if (node.type !== 'Directive') {
+            continue;
+        }
+        upgradeParameterTypes(node, recorder);
+
+        switch (node.name) {
+            case 'WorldEnd':
+                scene.body.splice(scene.body.indexOf(node), 1);
+                recorder.removed(node, '删除 WorldEnd，PBRT-v4 在文件结束时结束场景描述');
+                break;
+            case 'TransformBegin':
+            case 'TransformEnd':
+                recorder.changed(node, `${node.name} 改为 ${node.name.replace('Transform', 'Attribute')}`);
+                node.name = node.name.replace('Transform', 'Attribute');
+                pbrtParser.markModified(node);
+                break;
+            case 'Material':
+            case 'MakeNamedMaterial':
+                upgradeMaterial(node, recorder);
+                break;
+            case 'LightSource':
+            case 'AreaLightSource':
+                upgradeLight(node, recorder);
+                break;
+            case 'Film':
+                upgradeFilm(node, recorder);
+                break;
+            case 'Texture':
+                upgradeTexture(node, recorder);
+                break;
+            case 'Shape':
+                upgradeShape(node, recorder);
+                break;
+            case 'Sampler':
+                renameClass(node, SAMPLER_UPGRADES, recorder);
+                break;
+            case 'Integrator':
+                renameClass(node, INTEGRATOR_UPGRADES, recorder);
+                break;
+        }
+    }
+
+    changes.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+    return {
+        content: changes.length > 0 ? pbrtParser.serialize(scene) : content,
+        changed: changes.some(change => change.action !== 'unsupported'),
+        changes
+    };
+}
+
+/**
+ * 调用 pbrt --upgrade 将场景升级为PBRT-v4，PBRT输出的警告作为无法转换的内容返回
+ * @param {string} scenePath 场景文件路径
+ * @param {Object} [options] 选项
+ * @param {string} [options.cwd] PBRT的工作目录
+ * @returns {Promise<Object>} { content, changed, changes }，同 upgradeScene
+ * @throws {SceneUpgradeError} 找不到 pbrt 命令或转换失败时
+ */
+async function runPbrtUpgrade(scenePath, options = {}) {
+    let result;
+    try {
+        result = await execFile('pbrt', ['--upgrade', scenePath], {
+            cwd: options.cwd,
+            timeout: PBRT_UPGRADE_TIMEOUT,
+            maxBuffer: 512 * 1024 * 1024
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new SceneUpgradeError('未找到 pbrt 命令，无法使用 pbrt --upgrade 转换', 503);
+        }
+        throw new SceneUpgradeError(`pbrt --upgrade 转换失败: ${(error.stderr || error.message).trim()}`);
+    }
+
+    // PBRT 的警告格式为 文件:行:列: Warning: 信息
+    const changes = result.stderr.split(/\r?\n/)
+        .map(line => /^.*?:(\d+):(\d+): (?:Warning: )?(.*)$/.exec(line.trim()))
+        .filter(Boolean)
+        .map(match => ({ line: Number(match[1]), column: Number(match[2]), action: 'unsupported', message: match[3] }));
+    return { content: result.stdout, changed: true, changes };
+}
+
+module.exports = {
+    UPGRADE_ENGINES,
+    SceneUpgradeError,
+    upgradeScene,
+    runPbrtUpgrade
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const pbrtParser = require('./pbrtParser');
+const envMaps = require('./envMaps');
+
+// 场景校验：在渲染前检查语法、参数类型、块结构、指令位置、引用的文件和路径安全，
+// 每个问题返回带行列号的诊断信息
+
+// 参数类型及其值的类型，number 类型的参数值个数必须是 arity 的倍数
+const PARAMETER_TYPES = {
+    integer: { value: 'number', arity: 1 },
+    float: { value: 'number', arity: 1 },
+    point2: { value: 'number', arity: 2 },
+    vector2: { value: 'number', arity: 2 },
+    point3: { value: 'number', arity: 3 },
+    vector3: { value: 'number', arity: 3 },
+    normal3: { value: 'number', arity: 3 },
+    normal: { value: 'number', arity: 3 },
+    rgb: { value: 'number', arity: 3 },
+    blackbody: { value: 'number', arity: 1 },
+    spectrum: { value: 'spectrum' },
+    bool: { value: 'boolean' },
+    string: { value: 'string' },
+    texture: { value: 'string' },
+    // PBRT-v3 的参数类型
+    point: { value: 'number', arity: 3, replacement: 'point3' },
+    vector: { value: 'number', arity: 3, replacement: 'vector3' },
+    color: { value: 'number', arity: 3, replacement: 'rgb' }
+};
+
+// 只能出现在 WorldBegin 之前的指令
+const OPTIONS_ONLY_DIRECTIVES = ['Accelerator', 'Camera', 'Film', 'Integrator', 'Option', 'PixelFilter', 'Sampler'];
+// 只能出现在 WorldBegin 之后的指令
+const WORLD_ONLY_DIRECTIVES = [
+    'AreaLightSource', 'Attribute', 'AttributeBegin', 'AttributeEnd', 'LightSource', 'MakeNamedMaterial',
+    'Material', 'NamedMaterial', 'ObjectBegin', 'ObjectEnd', 'ObjectInstance', 'ReverseOrientation', 'Shape', 'Texture'
+];
+
+// 嵌套块的开始和结束指令
+const BLOCKS = { AttributeEnd: 'AttributeBegin', ObjectEnd: 'ObjectBegin', TransformEnd: 'TransformBegin' };
+
+// 模型纹理占位符，渲染前替换为实际的纹理文件名
+const TEXTURE_PLACEHOLDER_PATTERN = /(?:^|\/)\*\d+$/;
+const MODEL_TEXTURE_PLACEHOLDER_PATTERN = /^models\/([^/]+)\/textures\/\*(\d+)$/;
+
+/**
+ * 检查文件路径是否存在目录遍历攻击风险
+ * @param {string} value 场景中引用的路径
+ * @returns {boolean} true表示存在安全风险
+ */
+function isSuspiciousPath(value) {
+    const normalized = value.replace(/\\/g, '/');
+    return normalized.split('/').includes('..') || // "../"形式的路径
+        normalized.startsWith('~/') || // "~/"形式的路径
+        normalized.startsWith('/etc/') || // "/etc/"形式的系统路径
+        normalized.startsWith('/var/') || // "/var/"形式的系统路径
+        value.startsWith('\\\\'); // Windows网络路径
+}
+
+function describeValue(value) {
+    return typeof value === 'string' ? `字符串 "${value}"` : `${value}`;
+}
+
+/**
+ * 检查参数的类型和值
+ * @param {Object} param 参数
+ * @param {Function} report 报告诊断信息
+ */
+function checkParameter(param, report) {
+    const type = PARAMETER_TYPES[param.type];
+    const declaration = `"${param.type} ${param.name}"`;
+    if (!type) {
+        report(param.loc, 'error', 'parameter-type', `未知的参数类型 "${param.type}"（参数 ${declaration}）`);
+        return;
+    }
+    if (type.replacement) {
+        report(param.loc, 'warning', 'deprecated', `参数类型 "${param.type}" 是PBRT-v3的写法，PBRT-v4 使用 "${type.replacement}"`);
+    }
+    if (param.values.length === 0) {
+        report(param.loc, 'error', 'parameter-arity', `参数 ${declaration} 没有值`);
+        return;
+    }
+
+    if (type.value === 'spectrum') {
+        // 光谱可以是命名光谱或光谱文件，也可以是 波长 值 成对的数值
+        const isNamed = param.values.length === 1 && typeof param.values[0] === 'string';
+        const isSampled = param.values.every(value => typeof value === 'number') && param.values.length % 2 === 0;
+        if (!isNamed && !isSampled) {
+            report(param.loc, 'error', 'parameter-type', `参数 ${declaration} 必须是一个光谱名称或文件，或成对的 波长 值`);
+        }
+        return;
+    }
+
+    const invalid = param.values.find(value => typeof value !== type.value);
+    if (invalid !== undefined) {
+        const expected = { number: '数值', boolean: 'true 或 false', string: '字符串' }[type.value];
+        report(param.loc, 'error', 'parameter-type', `参数 ${declaration} 的值必须是${expected}，实际为 ${describeValue(invalid)}`);
+        return;
+    }
+    if (param.type === 'integer' && !param.values.every(Number.isInteger)) {
+        report(param.loc, 'error', 'parameter-type', `参数 ${declaration} 的值必须是整数`);
+    }
+    if (type.arity > 1 && param.values.length % type.arity !== 0) {
+        report(param.loc, 'error', 'parameter-arity', `参数 ${declaration} 的值个数必须是 ${type.arity} 的倍数，实际为 ${param.values.length} 个`);
+    }
+}
+
+/**
+ * 检查场景引用的文件是否存在以及路径是否安全
+ * @param {Object} scene 语法树
+ * @param {string} baseDir 解析相对路径的目录（PBRT的工作目录）
+ * @param {Function} report 报告诊断信息
+ * @param {Function} [resolveEnvMap] 根据ID返回环境贴图路径的函数，未指定时不检查环境贴图引用
+ */
+function checkFileReferences(scene, baseDir, report, resolveEnvMap) {
+    for (const { node, param, value } of pbrtParser.getFileReferences(scene)) {
+        // Film 的 filename 是输出文件
+        if (node.name === 'Film') {
+            continue;
+        }
+        const loc = param ? param.loc : node.loc;
+        if (value.startsWith(envMaps.ENVMAP_REFERENCE_PREFIX)) {
+            // 环境贴图引用在渲染前替换为贴图库中的路径
+            const id = envMaps.parseEnvMapReference(value);
+            if (!id) {
+                report(loc, 'error', 'missing-file', `环境贴图引用 "${value}" 格式无效，应为 envmap:{id}`);
+            } else if (resolveEnvMap && !resolveEnvMap(id)) {
+                report(loc, 'error', 'missing-file', `引用的环境贴图不存在: "${value}"`);
+            }
+            continue;
+        }
+        if (isSuspiciousPath(value)) {
+            report(loc, 'error', 'unsafe-path', `路径 "${value}" 指向工作目录之外或系统目录，会被安全检查拒绝`);
+            continue;
+        }
+        if (!baseDir) {
+            continue;
+        }
+        if (TEXTURE_PLACEHOLDER_PATTERN.test(value)) {
+            // 纹理占位符在渲染前替换，只检查模型的纹理目录
+            const placeholder = MODEL_TEXTURE_PLACEHOLDER_PATTERN.exec(value);
+            if (placeholder && !fs.existsSync(path.join(baseDir, 'models', placeholder[1], 'textures'))) {
+                report(loc, 'error', 'missing-file', `纹理占位符 "${value}" 引用的模型纹理目录不存在`);
+            }
+            continue;
+        }
+        if (!fs.existsSync(path.resolve(baseDir, value))) {
+            report(loc, 'error', 'missing-file', `引用的文件不存在: "${value}"`);
+        }
+    }
+}
+
+/**
+ * 校验场景
+ * @param {string} content 场景内容
+ * @param {Object} [options] 选项
+ * @param {string} [options.baseDir] 解析相对路径的目录，未指定时不检查文件是否存在
+ * @param {Function} [options.resolveEnvMap] 根据ID返回环境贴图路径的函数，贴图不存在时返回 null
+ * @returns {Object} { valid, errorCount, warningCount, diagnostics }，
+ *   diagnostics 为 [{ line, column, severity, code, message }]，按位置排序，severity 为 error 或 warning
+ */
+function validateScene(content, options = {}) {
+    const diagnostics = [];
+    const report = (loc, severity, code, message) => {
+        diagnostics.push({ line: loc.line, column: loc.column, severity, code, message });
+    };
+
+    const syntaxErrors = [];
+    const scene = pbrtParser.parse(content, { errors: syntaxErrors });
+    for (const error of syntaxErrors) {
+        report(error, 'error', error.code, error.reason);
+    }
+
+    const directives = scene.body.filter(node => node.type === 'Directive');
+    const worldBegins = directives.filter(node => node.name === 'WorldBegin');
+    // 没有 WorldBegin 的场景通常是被 Include 的片段，不检查指令位置
+    const checkPlacement = worldBegins.length > 0;
+    // 引用了其他场景文件时，命名材质和纹理可能在其中定义
+    const hasIncludes = directives.some(node => node.name === 'Include' || node.name === 'Import');
+
+    const blockStack = [];
+    const namedMaterials = new Set();
+    const textures = new Set();
+    const objects = new Set();
+    let inWorld = false;
+
+    for (const node of directives) {
+        if (node.name === 'WorldBegin') {
+            if (inWorld) {
+                report(node.loc, 'error', 'block-placement', 'WorldBegin 只能出现一次');
+            }
+            if (blockStack.length > 0) {
+                const open = blockStack[blockStack.length - 1];
+                report(node.loc, 'error', 'unbalanced-block', `WorldBegin 位于第 ${open.loc.line} 行的 ${open.name} 块内`);
+            }
+            inWorld = true;
+            continue;
+        }
+        if (node.name === 'WorldEnd') {
+            report(node.loc, 'error', 'deprecated', 'PBRT-v4 不再支持 WorldEnd，请删除该指令');
+            continue;
+        }
+        if (node.name === 'TransformBegin' || node.name === 'TransformEnd') {
+            report(node.loc, 'warning', 'deprecated', `${node.name} 在PBRT-v4中已废弃，请使用 ${node.name.replace('Transform', 'Attribute')}`);
+        }
+
+        if (checkPlacement && !inWorld && WORLD_ONLY_DIRECTIVES.includes(node.name)) {
+            report(node.loc, 'error', 'block-placement', `${node.name} 只能出现在 WorldBegin 之后`);
+        } else if (checkPlacement && inWorld && OPTIONS_ONLY_DIRECTIVES.includes(node.name)) {
+            report(node.loc, 'error', 'block-placement', `${node.name} 只能出现在 WorldBegin 之前`);
+        }
+
+        if (Object.values(BLOCKS).includes(node.name)) {
+            blockStack.push(node);
+        } else if (BLOCKS[node.name]) {
+            const open = blockStack.pop();
+            if (!open) {
+                report(node.loc, 'error', 'unbalanced-block', `${node.name} 没有对应的 ${BLOCKS[node.name]}`);
+            } else if (open.name !== BLOCKS[node.name]) {
+                report(node.loc, 'error', 'unbalanced-block', `${node.name} 与第 ${open.loc.line} 行的 ${open.name} 不匹配`);
+            }
+        }
+
+        const seen = new Set();
+        for (const param of node.params) {
+            if (seen.has(param.name)) {
+                report(param.loc, 'warning', 'duplicate-parameter', `参数 "${param.name}" 重复指定，只有一个值会生效`);
+            }
+            seen.add(param.name);
+            checkParameter(param, report);
+            if (param.type === 'texture' && !hasIncludes) {
+                param.values
+                    .filter(value => typeof value === 'string' && !textures.has(value))
+                    .forEach(value => report(param.loc, 'warning', 'undefined-reference', `纹理 "${value}" 在使用前没有定义`));
+            }
+        }
+
+        if (node.name === 'MakeNamedMaterial') {
+            namedMaterials.add(node.args[0]);
+        } else if (node.name === 'Texture') {
+            textures.add(node.args[0]);
+        } else if (node.name === 'ObjectBegin') {
+            objects.add(node.args[0]);
+        } else if (node.name === 'NamedMaterial' && !hasIncludes && !namedMaterials.has(node.args[0])) {
+            report(node.loc, 'warning', 'undefined-reference', `命名材质 "${node.args[0]}" 在使用前没有定义`);
+        } else if (node.name === 'ObjectInstance' && !hasIncludes && !objects.has(node.args[0])) {
+            report(node.loc, 'warning', 'undefined-reference', `对象 "${node.args[0]}" 在使用前没有定义`);
+        }
+    }
+
+    for (const open of blockStack) {
+        const end = Object.keys(BLOCKS).find(name => BLOCKS[name] === open.name);
+        report(open.loc, 'error', 'unbalanced-block', `${open.name} 没有对应的 ${end}`);
+    }
+
+    checkFileReferences(scene, options.baseDir, report, options.resolveEnvMap);
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    return {
+        valid: errorCount === 0,
+        errorCount,
+        warningCount: diagnostics.length - errorCount,
+        diagnostics
+    };
+}
+
+module.exports = {
+    isSuspiciousPath,
+    validateScene
+};
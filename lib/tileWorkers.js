@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+
+// 分块渲染的远程工作节点：其他主机上运行的本服务通过HTTP注册为工作节点，
+// 协调节点将分块的场景和裁剪窗口发送到工作节点的 /v1/worker/render，工作节点返回渲染好的EXR
+
+// 连续失败达到该次数的工作节点不再分配分块，重新注册后恢复
+const MAX_CONSECUTIVE_FAILURES = 3;
+// 工作节点未在该时间内重新注册（心跳）时视为离线，0 表示不过期
+const DEFAULT_WORKER_TTL = 0;
+
+/**
+ * 工作节点注册参数无效时抛出的错误
+ */
+class WorkerRegistrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkerRegistrationError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 创建工作节点注册表
+ * @param {Object} [options] 选项
+ * @param {Array} [options.workers] 配置文件中的静态工作节点 [{ url, name, slots }]
+ * @param {number} [options.ttl=0] 工作节点的心跳过期时间（毫秒），0 表示不过期
+ * @returns {Object} 注册表
+ */
+function createWorkerRegistry(options = {}) {
+    const ttl = options.ttl || DEFAULT_WORKER_TTL;
+    const workers = new Map();
+
+    /**
+     * 注册工作节点，相同地址的工作节点重复注册时更新其信息（可作为心跳）
+     * @param {Object} info { url, name, slots }
+     * @returns {Object} 工作节点
+     * @throws {WorkerRegistrationError} 地址或并发数无效时
+     */
+    function register(info) {
+        let url;
+        try {
+            url = new URL(String(info.url || ''));
+        } catch (err) {
+            throw new WorkerRegistrationError('url参数必须是有效的 http 或 https 地址');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new WorkerRegistrationError('url参数必须是有效的 http 或 https 地址');
+        }
+        const slots = info.slots === undefined || info.slots === '' ? 1 : Number(info.slots);
+        if (!Number.isInteger(slots) || slots < 1 || slots > 64) {
+            throw new WorkerRegistrationError('slots参数必须是 1 到 64 之间的整数');
+        }
+
+        const baseUrl = url.href.replace(/\/+$/, '');
+        const existing = Array.from(workers.values()).find(worker => worker.url === baseUrl);
+        const worker = Object.assign(existing || { id: uuid.v4(), registeredAt: new Date().toISOString() }, {
+            url: baseUrl,
+            name: info.name ? String(info.name) : url.host,
+            slots,
+            lastSeen: new Date().toISOString(),
+            consecutiveFailures: 0
+        });
+        workers.set(worker.id, worker);
+        return worker;
+    }
+
+    /**
+     * 注销工作节点
+     * @param {string} id 工作节点ID
+     * @returns {boolean} 是否存在
+     */
+    function unregister(id) {
+        return workers.delete(id);
+    }
+
+    function isExpired(worker) {
+        return ttl > 0 && Date.now() - new Date(worker.lastSeen).getTime() > ttl;
+    }
+
+    /**
+     * 获取所有工作节点
+     * @returns {Array} 工作节点，available 表示当前是否会被分配分块
+     */
+    function list() {
+        return Array.from(workers.values()).map(worker => Object.assign({}, worker, {
+            available: !isExpired(worker) && worker.consecutiveFailures < MAX_CONSECUTIVE_FAILURES
+        }));
+    }
+
+    /**
+     * 获取可以分配分块的工作节点
+     * @returns {Array} 工作节点
+     */
+    function getAvailable() {
+        return list().filter(worker => worker.available);
+    }
+
+    /**
+     * 记录工作节点的分块渲染结果
+     * @param {string} id 工作节点ID
+     * @param {boolean} success 是否成功
+     */
+    function reportResult(id, success) {
+        const worker = workers.get(id);
+        if (worker) {
+            worker.consecutiveFailures = success ? 0 : worker.consecutiveFailures + 1;
+        }
+    }
+
+    (options.workers || []).forEach(register);
+
+    return {
+        register,
+        unregister,
+        list,
+        getAvailable,
+        reportResult
+    };
+}
+
+/**
+ * 请求远程工作节点渲染一个分块
+ * @param {Object} worker 工作节点
+ * @param {Object} request 分块请求
+ * @param {string} request.scenePath 场景文件路径，场景包为ZIP文件路径
+ * @param {string} [request.entry] 场景包的入口场景
+ * @param {Object} request.fields 其他表单字段，如 cropwindow, pixelsamples, seed, backend, nthreads
+ * @param {string} request.outputPath 分块EXR的保存路径
+ * @param {Object} [options] 选项
+ * @param {string} [options.token] 工作节点的共享令牌
+ * @param {AbortSignal} [options.signal] 取消信号，取消后工作节点会结束PBRT进程
+ * @returns {Promise<Object>} { stats }，stats 为工作节点返回的渲染统计
+ * @throws {Error} 请求失败或工作节点返回错误时
+ */
+async function renderRemoteTile(worker, request, options = {}) {
+    const form = new FormData();
+    Object.entries(request.fields || {}).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) {
+            form.append(name, String(value));
+        }
+    });
+    if (request.entry) {
+        form.append('entry', request.entry);
+    }
+    form.append('pbrtFile', new Blob([fs.readFileSync(request.scenePath)]), path.basename(request.scenePath));
+
+    const headers = options.token ? { 'X-Worker-Token': options.token } : {};
+    const response = await fetch(`${worker.url}/v1/worker/render`, {
+        method: 'POST',
+        body: form,
+        headers,
+        signal: options.signal
+    });
+    if (!response.ok) {
+        let message = `${response.status} ${response.statusText}`;
+        try {
+            message = (await response.json()).error || message;
+        } catch (err) {
+            // 响应不是JSON时使用状态码
+        }
+        throw new Error(`工作节点 ${worker.name} 渲染失败: ${message}`);
+    }
+
+    fs.writeFileSync(request.outputPath, Buffer.from(await response.arrayBuffer()));
+    let stats = null;
+    try {
+        stats = JSON.parse(response.headers.get('X-Render-Stats') || 'null');
+    } catch (err) {
+        // 统计信息只用于记录，解析失败时忽略
+    }
+    return { stats };
+}
+
+module.exports = {
+    MAX_CONSECUTIVE_FAILURES,
+    WorkerRegistrationError,
+    createWorkerRegistry,
+    renderRemoteTile
+};
@@ -0,0 +1,261 @@
+const exrImage = require('./exrImage');
+
+// 分块渲染：用PBRT的 --cropwindow 将一次渲染拆分为多个分块，分发给多个工作进程或工作节点并行渲染，
+// 失败的分块单独重试，全部完成后将各分块的EXR拼接为完整图像
+
+// 单次渲染最多拆分的分块数
+const MAX_TILES = 64;
+// 每个分块默认的最大尝试次数（包括第一次）
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * 分块渲染失败时抛出的错误
+ */
+class TileRenderError extends Error {
+    constructor(message, tile) {
+        super(message);
+        this.name = 'TileRenderError';
+        this.status = 500;
+        this.tile = tile;
+    }
+}
+
+/**
+ * 按PBRT-v4的规则计算裁剪窗口覆盖的像素范围
+ * @param {Array} cropwindow [x0, x1, y0, y1]，取值0到1
+ * @param {number} xresolution 水平分辨率
+ * @param {number} yresolution 垂直分辨率
+ * @returns {Object} { x0, x1, y0, y1 }，像素坐标，不包含 x1 和 y1
+ */
+function getPixelBounds(cropwindow, xresolution, yresolution) {
+    return {
+        x0: Math.ceil(xresolution * cropwindow[0]),
+        x1: Math.ceil(xresolution * cropwindow[1]),
+        y0: Math.ceil(yresolution * cropwindow[2]),
+        y1: Math.ceil(yresolution * cropwindow[3])
+    };
+}
+
+/**
+ * 选择分块的行列数：列数乘行数等于分块数，且分块尽量接近正方形
+ * @param {number} count 分块数
+ * @param {number} width 像素宽度
+ * @param {number} height 像素高度
+ * @returns {Object} { columns, rows }
+ */
+function chooseGrid(count, width, height) {
+    let best = null;
+    for (let columns = 1; columns <= count; columns++) {
+        if (count % columns !== 0) {
+            continue;
+        }
+        const rows = count / columns;
+        const score = Math.abs(Math.log((width / columns) / (height / rows)));
+        if (!best || score < best.score) {
+            best = { columns, rows, score };
+        }
+    }
+    return { columns: best.columns, rows: best.rows };
+}
+
+/**
+ * 将像素范围平均分成若干段，返回各段的裁剪窗口边界
+ * 边界取在像素中心，避免浮点误差导致PBRT向上取整后相邻分块重叠或出现缝隙
+ */
+function splitRange(start, end, parts, resolution) {
+    const edges = [];
+    for (let i = 0; i <= parts; i++) {
+        const pixel = start + Math.round((end - start) * i / parts);
+        edges.push(i === 0 || i === parts ? pixel / resolution : (pixel - 0.5) / resolution);
+    }
+    return edges;
+}
+
+/**
+ * 将渲染拆分为分块
+ * @param {number} count 分块数
+ * @param {Object} settings 渲染设置 { xresolution, yresolution, cropwindow }，cropwindow 为空时拆分整幅图像
+ * @returns {Array} [{ index, cropwindow, bounds }]，分块数多于像素行列时会减少
+ */
+function splitTiles(count, settings) {
+    const { xresolution, yresolution } = settings;
+    const area = getPixelBounds(settings.cropwindow || [0, 1, 0, 1], xresolution, yresolution);
+    const width = area.x1 - area.x0;
+    const height = area.y1 - area.y0;
+    let { columns, rows } = chooseGrid(count, width, height);
+    columns = Math.min(columns, width);
+    rows = Math.min(rows, height);
+
+    // 场景包含裁剪窗口时只拆分裁剪窗口内的区域，最外侧的边界保持原样
+    const xEdges = splitRange(area.x0, area.x1, columns, xresolution);
+    const yEdges = splitRange(area.y0, area.y1, rows, yresolution);
+    if (settings.cropwindow) {
+        [xEdges[0], xEdges[columns], yEdges[0], yEdges[rows]] = settings.cropwindow;
+    }
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const cropwindow = [xEdges[column], xEdges[column + 1], yEdges[row], yEdges[row + 1]];
+            tiles.push({
+                index: tiles.length,
+                cropwindow,
+                bounds: getPixelBounds(cropwindow, xresolution, yresolution)
+            });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * 确定分块图像在完整图像中的位置。PBRT写出的EXR的 dataWindow 为分块的像素范围，
+ * displayWindow 为完整图像；两者相同时（如其他渲染器写出的分块）使用计算得到的像素范围
+ */
+function locateTileImage(tile, image) {
+    const { dataWindow, displayWindow } = image.header || {};
+    if (dataWindow && displayWindow &&
+        (dataWindow.xMin !== displayWindow.xMin || dataWindow.yMin !== displayWindow.yMin ||
+         dataWindow.xMax !== displayWindow.xMax || dataWindow.yMax !== displayWindow.yMax)) {
+        return { x0: dataWindow.xMin, y0: dataWindow.yMin };
+    }
+    return { x0: tile.bounds.x0, y0: tile.bounds.y0 };
+}
+
+/**
+ * 将各分块的EXR拼接为一幅图像
+ * @param {Array} tiles splitTiles 返回的分块，每个分块带有 outputPath
+ * @returns {Promise<Buffer>} 拼接后的EXR数据，图像范围为所有分块的并集（即原始的裁剪窗口）
+ * @throws {TileRenderError} 分块图像的尺寸与预期不符时
+ */
+async function stitchTiles(tiles) {
+    const x0 = Math.min(...tiles.map(tile => tile.bounds.x0));
+    const y0 = Math.min(...tiles.map(tile => tile.bounds.y0));
+    const width = Math.max(...tiles.map(tile => tile.bounds.x1)) - x0;
+    const height = Math.max(...tiles.map(tile => tile.bounds.y1)) - y0;
+    const data = new Float32Array(width * height * 4);
+
+    for (const tile of tiles) {
+        const image = await exrImage.readExr(tile.outputPath);
+        const expectedWidth = tile.bounds.x1 - tile.bounds.x0;
+        const expectedHeight = tile.bounds.y1 - tile.bounds.y0;
+        if (image.width !== expectedWidth || image.height !== expectedHeight) {
+            throw new TileRenderError(`分块 ${tile.index + 1} 的图像尺寸为 ${image.width}x${image.height}，` +
+                `预期为 ${expectedWidth}x${expectedHeight}`, tile);
+        }
+        const position = locateTileImage(tile, image);
+        const rowSize = image.width * 4;
+        for (let y = 0; y < image.height; y++) {
+            data.set(image.data.subarray(y * rowSize, (y + 1) * rowSize),
+                ((position.y0 - y0 + y) * width + (position.x0 - x0)) * 4);
+        }
+    }
+    // 使用单精度浮点，避免拼接后损失精度
+    return exrImage.writeExr({ width, height, data }, { halfFloat: false });
+}
+
+/**
+ * 将分块分发给工作节点并行渲染。每个工作节点同时渲染的分块数不超过其 slots，
+ * 失败的分块重新排队，优先交给尚未失败过的工作节点
+ * @param {Array} tiles splitTiles 返回的分块
+ * @param {Object} options 选项
+ * @param {Array} options.workers 工作节点 [{ id, slots }]
+ * @param {Function} options.renderTile 渲染单个分块的异步函数 (tile, worker)，返回值保存在分块的 result 中
+ * @param {number} [options.maxAttempts=3] 每个分块的最大尝试次数
+ * @param {Function} [options.onTileStart] 分块开始渲染的回调 (tile, worker)
+ * @param {Function} [options.onTileDone] 分块完成的回调 (tile, worker)
+ * @param {Function} [options.onTileError] 分块失败的回调 (tile, worker, error, willRetry)
+ * @param {AbortSignal} [options.signal] 取消信号，取消后不再分发新的分块
+ * @returns {Promise<Array>} 全部完成的分块，每个分块带有 result、worker 和 attempts
+ * @throws {TileRenderError} 分块超过最大尝试次数仍然失败，或没有可用的工作节点时
+ */
+function renderTiles(tiles, options) {
+    const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    const workers = options.workers.filter(worker => worker.slots > 0);
+    const busy = new Map(workers.map(worker => [worker.id, 0]));
+    const queue = tiles.map(tile => Object.assign(tile, { attempts: 0, failedWorkers: [] }));
+    let running = 0;
+    let completed = 0;
+    let failure = null;
+
+    return new Promise((resolve, reject) => {
+        if (workers.length === 0) {
+            return reject(new TileRenderError('没有可用的分块渲染工作节点'));
+        }
+
+        const settle = () => {
+            if (running > 0) {
+                return;
+            }
+            if (failure) {
+                reject(failure);
+            } else if (options.signal && options.signal.aborted) {
+                reject(new TileRenderError('分块渲染已被取消'));
+            } else if (completed === tiles.length) {
+                resolve(tiles);
+            }
+        };
+
+        const dispatch = () => {
+            while (queue.length > 0 && !failure && !(options.signal && options.signal.aborted)) {
+                const free = workers.filter(worker => busy.get(worker.id) < worker.slots);
+                if (free.length === 0) {
+                    break;
+                }
+                // 取第一个能交给未失败过的工作节点的分块，都失败过时交给任意空闲的工作节点
+                let index = queue.findIndex(tile => free.some(worker => !tile.failedWorkers.includes(worker.id)));
+                if (index === -1) {
+                    index = 0;
+                }
+                const tile = queue.splice(index, 1)[0];
+                const worker = free.find(candidate => !tile.failedWorkers.includes(candidate.id)) ||
+                    free.reduce((best, candidate) => busy.get(candidate.id) < busy.get(best.id) ? candidate : best);
+                start(tile, worker);
+            }
+            settle();
+        };
+
+        const start = (tile, worker) => {
+            tile.attempts++;
+            running++;
+            busy.set(worker.id, busy.get(worker.id) + 1);
+            options.onTileStart && options.onTileStart(tile, worker);
+
+            Promise.resolve()
+                .then(() => options.renderTile(tile, worker))
+                .then((result) => {
+                    tile.result = result;
+                    tile.worker = worker.id;
+                    completed++;
+                    options.onTileDone && options.onTileDone(tile, worker);
+                }, (error) => {
+                    const aborted = options.signal && options.signal.aborted;
+                    const willRetry = !aborted && tile.attempts < maxAttempts;
+                    options.onTileError && options.onTileError(tile, worker, error, willRetry);
+                    if (willRetry) {
+                        tile.failedWorkers.push(worker.id);
+                        queue.push(tile);
+                    } else if (!aborted && !failure) {
+                        failure = new TileRenderError(
+                            `分块 ${tile.index + 1}/${tiles.length} 尝试 ${tile.attempts} 次后仍然失败: ${error.message}`, tile);
+                    }
+                })
+                .finally(() => {
+                    running--;
+                    busy.set(worker.id, busy.get(worker.id) - 1);
+                    dispatch();
+                });
+        };
+
+        dispatch();
+    });
+}
+
+module.exports = {
+    MAX_TILES,
+    DEFAULT_MAX_ATTEMPTS,
+    TileRenderError,
+    getPixelBounds,
+    splitTiles,
+    stitchTiles,
+    renderTiles
+};
@@ -0,0 +1,208 @@
+// 模型转盘预览：根据模型的包围盒生成中性的影棚场景（地面和环境光），
+// 相机绕模型一周在等间隔的角度上渲染，并将各帧拼接为一张预览图（contact sheet）
+
+// 转盘的默认参数和取值范围
+const TURNTABLE_DEFAULTS = {
+    frames: 8,
+    elevation: 20,
+    fov: 40,
+    xresolution: 512,
+    yresolution: 512,
+    pixelsamples: 64,
+    up: 'y',
+    // 通过 /v1/animations/{id}/result 下载时记录的帧率
+    fps: 12
+};
+const MAX_TURNTABLE_FRAMES = 72;
+const MAX_TURNTABLE_RESOLUTION = 1024;
+const MAX_TURNTABLE_PIXELSAMPLES = 4096;
+
+// 相机到模型包围球的距离留出的边距
+const FRAMING_MARGIN = 1.15;
+// 预览图中帧之间的间距（像素）和背景色
+const SHEET_PADDING = 8;
+const SHEET_BACKGROUND = [32, 32, 32];
+
+/**
+ * 转盘参数无效或模型无法生成转盘时抛出的错误
+ */
+class TurntableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TurntableError';
+        this.status = 400;
+    }
+}
+
+function parseInteger(source, name, min, max) {
+    const raw = source[name];
+    if (raw === undefined || raw === null || raw === '') {
+        return TURNTABLE_DEFAULTS[name];
+    }
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new TurntableError(`${name}参数必须是 ${min} 到 ${max} 之间的整数`);
+    }
+    return value;
+}
+
+function parseNumber(source, name, min, max) {
+    const raw = source[name];
+    if (raw === undefined || raw === null || raw === '') {
+        return TURNTABLE_DEFAULTS[name];
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new TurntableError(`${name}参数必须是 ${min} 到 ${max} 之间的数字`);
+    }
+    return value;
+}
+
+/**
+ * 解析转盘参数
+ * @param {Object} source 请求参数
+ * @returns {Object} { frames, elevation, fov, xresolution, yresolution, pixelsamples, up, columns }
+ * @throws {TurntableError} 参数无效时
+ */
+function parseTurntableOptions(source) {
+    const options = {
+        frames: parseInteger(source, 'frames', 1, MAX_TURNTABLE_FRAMES),
+        elevation: parseNumber(source, 'elevation', -89, 89),
+        fov: parseNumber(source, 'fov', 5, 120),
+        xresolution: parseInteger(source, 'xresolution', 16, MAX_TURNTABLE_RESOLUTION),
+        yresolution: parseInteger(source, 'yresolution', 16, MAX_TURNTABLE_RESOLUTION),
+        pixelsamples: parseInteger(source, 'pixelsamples', 1, MAX_TURNTABLE_PIXELSAMPLES),
+        up: source.up ? String(source.up).toLowerCase() : TURNTABLE_DEFAULTS.up
+    };
+    if (!['y', 'z'].includes(options.up)) {
+        throw new TurntableError('up参数必须是 y 或 z');
+    }
+    // 预览图默认接近正方形
+    options.columns = source.columns === undefined || source.columns === '' ?
+        Math.ceil(Math.sqrt(options.frames)) :
+        Number(source.columns);
+    if (!Number.isInteger(options.columns) || options.columns < 1 || options.columns > options.frames) {
+        throw new TurntableError(`columns参数必须是 1 到 ${options.frames} 之间的整数`);
+    }
+    return options;
+}
+
+// 场景中的数值保留足够的有效数字，避免输出过长的浮点数
+function formatNumber(value) {
+    return String(Number(value.toPrecision(8)));
+}
+
+function formatNumbers(values) {
+    return values.map(formatNumber).join(' ');
+}
+
+/**
+ * 计算第 index 帧的转盘角度（度）
+ * @param {number} index 帧序号
+ * @param {number} frames 总帧数
+ * @returns {number}
+ */
+function getTurntableAngle(index, frames) {
+    return 360 * index / frames;
+}
+
+/**
+ * 生成转盘一帧的影棚场景：地面位于模型底部，环境光加一盏主光，相机按角度绕模型的竖直轴旋转
+ * @param {Object} bounds sceneBounds.computeSceneBounds 返回的包围盒
+ * @param {Object} options parseTurntableOptions 返回的参数
+ * @param {Object} frame 帧参数
+ * @param {string} frame.include 模型场景文件的路径，相对于渲染时的工作目录
+ * @param {number} frame.angle 相机的转盘角度（度）
+ * @returns {string} 场景内容
+ */
+function buildTurntableScene(bounds, options, frame) {
+    const { center } = bounds;
+    const radius = bounds.radius > 0 ? bounds.radius : 1;
+    const upAxis = options.up === 'z' ? 2 : 1;
+    const up = upAxis === 2 ? [0, 0, 1] : [0, 1, 0];
+
+    // PBRT的 fov 对应图像的短边
+    const halfFov = options.fov / 2 * Math.PI / 180;
+    const distance = radius / Math.sin(halfFov) * FRAMING_MARGIN;
+    const azimuth = frame.angle * Math.PI / 180;
+    const elevation = options.elevation * Math.PI / 180;
+    const horizontal = Math.cos(elevation) * distance;
+    const offset = upAxis === 2 ?
+        [Math.cos(azimuth) * horizontal, Math.sin(azimuth) * horizontal, Math.sin(elevation) * distance] :
+        [Math.sin(azimuth) * horizontal, Math.sin(elevation) * distance, Math.cos(azimuth) * horizontal];
+    const eye = center.map((value, axis) => value + offset[axis]);
+
+    // 地面为以模型为中心的大正方形，法线朝上
+    const groundHeight = bounds.min[upAxis];
+    const extent = radius * 20;
+    const groundPoint = (u, v) => upAxis === 2 ?
+        [center[0] + u, center[1] + v, groundHeight] :
+        [center[0] + u, groundHeight, center[2] + v];
+    const groundPoints = [groundPoint(-extent, -extent), groundPoint(extent, -extent), groundPoint(extent, extent), groundPoint(-extent, extent)];
+    const keyLight = center.map((value, axis) => value + (axis === upAxis ? 3 : 1.5) * radius);
+
+    return [
+        `# 转盘预览 ${formatNumber(frame.angle)} 度`,
+        'Scale -1 1 1',
+        `LookAt ${formatNumbers(eye)}`,
+        `       ${formatNumbers(center)}`,
+        `       ${formatNumbers(up)}`,
+        `Camera "perspective" "float fov" ${formatNumber(options.fov)}`,
+        `Film "rgb" "integer xresolution" ${options.xresolution} "integer yresolution" ${options.yresolution} "string filename" "turntable.exr"`,
+        `Sampler "zsobol" "integer pixelsamples" ${options.pixelsamples}`,
+        'Integrator "volpath" "integer maxdepth" 5',
+        '',
+        'WorldBegin',
+        '',
+        'LightSource "infinite" "rgb L" [ 0.5 0.5 0.5 ]',
+        `LightSource "distant" "point3 from" [ ${formatNumbers(keyLight)} ] "point3 to" [ ${formatNumbers(center)} ] "rgb L" [ 2 2 2 ]`,
+        '',
+        'AttributeBegin',
+        '    Material "diffuse" "rgb reflectance" [ 0.5 0.5 0.5 ]',
+        `    Shape "trianglemesh" "integer indices" [ 0 1 2 0 2 3 ] "point3 P" [ ${formatNumbers(groundPoints.flat())} ]`,
+        `        "normal N" [ ${formatNumbers([].concat(up, up, up, up))} ]`,
+        'AttributeEnd',
+        '',
+        'AttributeBegin',
+        `    Include "${frame.include}"`,
+        'AttributeEnd',
+        ''
+    ].join('\n');
+}
+
+/**
+ * 将各帧拼接为一张预览图，帧按行排列
+ * @param {Array} frames exrImage.tonemap 返回的8位像素，尺寸相同
+ * @param {number} columns 每行的帧数
+ * @returns {Object} { width, height, channels: 3, data: Uint8Array }，可用 exrImage.encodePng 编码
+ */
+function buildContactSheet(frames, columns) {
+    const { width: frameWidth, height: frameHeight } = frames[0];
+    const rows = Math.ceil(frames.length / columns);
+    const width = columns * frameWidth + (columns + 1) * SHEET_PADDING;
+    const height = rows * frameHeight + (rows + 1) * SHEET_PADDING;
+    const data = new Uint8Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+        data.set(SHEET_BACKGROUND, i * 3);
+    }
+
+    frames.forEach((frame, index) => {
+        const x0 = SHEET_PADDING + (index % columns) * (frameWidth + SHEET_PADDING);
+        const y0 = SHEET_PADDING + Math.floor(index / columns) * (frameHeight + SHEET_PADDING);
+        const rowSize = frameWidth * 3;
+        for (let y = 0; y < frameHeight; y++) {
+            data.set(frame.data.subarray(y * rowSize, (y + 1) * rowSize), ((y0 + y) * width + x0) * 3);
+        }
+    });
+    return { width, height, channels: 3, data };
+}
+
+module.exports = {
+    TURNTABLE_DEFAULTS,
+    MAX_TURNTABLE_FRAMES,
+    TurntableError,
+    parseTurntableOptions,
+    getTurntableAngle,
+    buildTurntableScene,
+    buildContactSheet
+};
@@ -0,0 +1,61 @@
+const util = require('util');
+const childProcess = require('child_process');
+
+const execFile = util.promisify(childProcess.execFile);
+
+// 通过本机的 ffmpeg 将动画帧编码为视频
+
+// 支持的视频格式和对应的编码参数
+const VIDEO_FORMATS = {
+    mp4: {
+        contentType: 'video/mp4',
+        args: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '18', '-movflags', '+faststart']
+    },
+    webm: {
+        contentType: 'video/webm',
+        args: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-crf', '32', '-b:v', '0']
+    }
+};
+
+// 编码超时时间
+const ENCODE_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * 将按序号命名的PNG帧编码为视频
+ * @param {string} framePattern 帧文件的 ffmpeg 路径模式，如 /tmp/frames/frame-%04d.png
+ * @param {string} outputPath 视频输出路径
+ * @param {Object} options 选项
+ * @param {string} options.format 视频格式 mp4, webm
+ * @param {number} options.fps 帧率
+ * @returns {Promise<void>}
+ * @throws {Error} ffmpeg 未安装或编码失败时
+ */
+async function encodeVideo(framePattern, outputPath, options) {
+    const format = VIDEO_FORMATS[options.format];
+    if (!format) {
+        throw new Error(`不支持的视频格式: ${options.format}`);
+    }
+    const args = [
+        '-y',
+        '-loglevel', 'error',
+        '-framerate', `${options.fps}`,
+        '-i', framePattern,
+        // yuv420p 要求宽高为偶数
+        '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+        ...format.args,
+        outputPath
+    ];
+    try {
+        await execFile('ffmpeg', args, { timeout: ENCODE_TIMEOUT });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('生成视频需要安装 ffmpeg');
+        }
+        throw new Error(`ffmpeg 编码 ${options.format} 失败: ${(error.stderr || error.message).trim()}`);
+    }
+}
+
+module.exports = {
+    VIDEO_FORMATS,
+    encodeVideo
+};
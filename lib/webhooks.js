@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const uuid = require('uuid');
+
+// 回调通知：渲染或模型转换结束时向回调地址 POST 签名的JSON，失败时按指数退避重试，
+// 每次投递及各次尝试的结果保存在投递记录中，服务重启后继续未完成的投递
+
+const WEBHOOK_EVENTS = ['render.completed', 'conversion.completed'];
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_INITIAL_DELAY = 10 * 1000;
+// 重试间隔的上限
+const MAX_RETRY_DELAY = 3600 * 1000;
+const DEFAULT_TIMEOUT = 10 * 1000;
+// 保留的投递记录数，超出时删除最早的已结束记录
+const DEFAULT_MAX_RECORDS = 1000;
+// 投递记录中保存的响应内容长度
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+/**
+ * 回调地址或事件无效时抛出的错误
+ */
+class WebhookError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 校验回调地址
+ * @param {string} value 回调地址
+ * @returns {string} 规范化后的地址
+ * @throws {WebhookError} 不是 http 或 https 地址时
+ */
+function parseWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || ''));
+    } catch (err) {
+        throw new WebhookError('回调地址必须是有效的 http 或 https 地址');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new WebhookError('回调地址必须是有效的 http 或 https 地址');
+    }
+    return url.href;
+}
+
+/**
+ * 计算签名：HMAC-SHA256(secret, "{timestamp}.{body}")，接收方用相同的方法校验 X-Webhook-Signature 中的 v1
+ * @param {string} secret 签名密钥
+ * @param {number} timestamp 发送时间（Unix秒），同时在签名头中发送，接收方可以拒绝过旧的请求
+ * @param {string} body 请求体
+ * @returns {string} 十六进制签名
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * 创建回调投递器
+ * @param {Object} options 选项
+ * @param {string} options.dir 投递记录目录
+ * @param {number} [options.maxAttempts=5] 最多尝试次数
+ * @param {number} [options.initialDelay=10000] 第一次重试前的等待时间（毫秒），之后每次翻倍，最长一小时
+ * @param {number} [options.timeout=10000] 单次请求的超时时间（毫秒）
+ * @param {number} [options.maxRecords=1000] 保留的投递记录数
+ * @param {Function} options.resolveSecret 根据投递记录（webhookId 为空表示按请求指定的回调）返回签名密钥，
+ *   投递记录中不保存密钥，每次发送时重新获取，返回空值时投递失败
+ * @returns {Object} 投递器
+ */
+function createWebhookDispatcher(options) {
+    const dir = options.dir;
+    const maxAttempts = Math.max(1, parseInt(options.maxAttempts, 10) || DEFAULT_MAX_ATTEMPTS);
+    const initialDelay = Math.max(0, Number(options.initialDelay) || DEFAULT_INITIAL_DELAY);
+    const timeout = Math.max(1000, Number(options.timeout) || DEFAULT_TIMEOUT);
+    const maxRecords = Math.max(1, parseInt(options.maxRecords, 10) || DEFAULT_MAX_RECORDS);
+    const resolveSecret = options.resolveSecret;
+
+    const deliveries = new Map();
+    const timers = new Map();
+
+    function save(delivery) {
+        fs.writeFileSync(path.join(dir, `${delivery.id}.json`), JSON.stringify(delivery, null, 4), 'utf8');
+    }
+
+    // 删除超出数量的最早的已结束记录
+    function prune() {
+        const finished = Array.from(deliveries.values())
+            .filter(delivery => delivery.status !== DELIVERY_STATUS.PENDING)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        while (deliveries.size > maxRecords && finished.length > 0) {
+            const delivery = finished.shift();
+            deliveries.delete(delivery.id);
+            fs.rmSync(path.join(dir, `${delivery.id}.json`), { force: true });
+        }
+    }
+
+    function schedule(delivery) {
+        const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+        const timer = setTimeout(() => {
+            timers.delete(delivery.id);
+            attempt(delivery);
+        }, delay);
+        // 等待重试的投递不阻止进程退出
+        timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    async function attempt(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startTime = Date.now();
+        const record = { at: new Date(startTime).toISOString() };
+        const secret = resolveSecret(delivery);
+        if (!secret) {
+            // 回调已被删除或服务端的签名密钥已被清空，不再重试
+            record.error = delivery.webhookId ? '回调已被删除' : '服务端未配置 webhooks.secret';
+            record.durationMs = 0;
+            delivery.attempts.push(record);
+            Object.assign(delivery, { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null });
+            save(delivery);
+            console.warn(`[Webhooks] 投递 ${delivery.id} 到 ${delivery.url} 失败: ${record.error}`);
+            return;
+        }
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'pbrtapi-webhook/1.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(secret, timestamp, delivery.body)}`
+                },
+                body: delivery.body,
+                signal: AbortSignal.timeout(timeout)
+            });
+            record.statusCode = response.status;
+            record.response = (await response.text()).substring(0, RESPONSE_SNIPPET_LENGTH);
+            if (!response.ok) {
+                record.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            record.error = error.name === 'TimeoutError' ? `请求超时（${timeout / 1000}秒）` : (error.cause && error.cause.message) || error.message;
+        }
+        record.durationMs = Date.now() - startTime;
+        delivery.attempts.push(record);
+
+        if (!record.error) {
+            Object.assign(delivery, { status: DELIVERY_STATUS.DELIVERED, deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+        } else if (delivery.attempts.length >= maxAttempts) {
+            Object.assign(delivery, { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null });
+            console.warn(`[Webhooks] 投递 ${delivery.id} 到 ${delivery.url} 失败，已尝试 ${delivery.attempts.length} 次: ${record.error}`);
+        } else {
+            const delay = Math.min(MAX_RETRY_DELAY, initialDelay * Math.pow(2, delivery.attempts.length - 1));
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+        save(delivery);
+        if (delivery.status === DELIVERY_STATUS.PENDING) {
+            schedule(delivery);
+        }
+    }
+
+    /**
+     * 投递事件
+     * @param {Object} message 投递内容
+     * @param {string} message.url 回调地址
+     * @param {string} message.event 事件类型
+     * @param {Object} message.payload 事件数据，请求体为 { id, event, createdAt, ...payload }
+     * @param {string} [message.webhookId] 用户注册的回调ID，按请求指定的回调为 null
+     * @param {string} [message.userId] 用户ID
+     * @param {string} [message.subjectId] 事件对应的任务ID或模型ID
+     * @returns {Object} 投递记录
+     */
+    function dispatch(message) {
+        const id = uuid.v4();
+        const createdAt = new Date().toISOString();
+        const delivery = {
+            id,
+            event: message.event,
+            url: message.url,
+            webhookId: message.webhookId || null,
+            userId: message.userId || null,
+            subjectId: message.subjectId || null,
+            status: DELIVERY_STATUS.PENDING,
+            attempts: [],
+            createdAt,
+            nextAttemptAt: createdAt,
+            deliveredAt: null,
+            // 重试时发送相同的请求体
+            body: JSON.stringify(Object.assign({ id, event: message.event, createdAt }, message.payload))
+        };
+        deliveries.set(id, delivery);
+        save(delivery);
+        prune();
+        schedule(delivery);
+        return describe(delivery);
+    }
+
+    // 请求体解析为事件数据返回
+    function describe(delivery) {
+        const { body, ...info } = delivery;
+        return Object.assign(info, { payload: JSON.parse(body) });
+    }
+
+    /**
+     * 获取投递记录
+     * @param {string} id 投递ID
+     * @returns {Object|null}
+     */
+    function get(id) {
+        const delivery = deliveries.get(id);
+        return delivery ? describe(delivery) : null;
+    }
+
+    /**
+     * 查询投递记录，最近的在前
+     * @param {Object} [filter] { userId, webhookId, subjectId, event, status, limit }
+     * @returns {Array} 投递记录
+     */
+    function list(filter = {}) {
+        const limit = Math.max(1, parseInt(filter.limit, 10) || 100);
+        return Array.from(deliveries.values())
+            .filter(delivery => ['userId', 'webhookId', 'subjectId', 'event', 'status']
+                .every(field => !filter[field] || delivery[field] === filter[field]))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(describe);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        try {
+            const delivery = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            deliveries.set(delivery.id, delivery);
+            if (delivery.status === DELIVERY_STATUS.PENDING) {
+                schedule(delivery);
+            }
+        } catch (err) {
+            console.warn(`[Webhooks] 无法读取投递记录 ${file}: ${err.message}`);
+        }
+    }
+
+    return {
+        dispatch,
+        get,
+        list
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUS,
+    WebhookError,
+    parseWebhookUrl,
+    signPayload,
+    createWebhookDispatcher
+};
@@ -5,7 +5,9 @@ const util = require('util');
 const childProcess = require('child_process');
 const fs = require('fs');
 const uuid = require('uuid');
+const crypto = require('crypto');
 const os = require('os'); // 引入 os 模块
+const EventEmitter = require('events');
 const AdmZip = require('adm-zip');
 const unrar = require('unrar-promise');
 // 引入Swagger相关模块
@@ -15,13 +17,37 @@ const swaggerFile = require('./swagger_output.json');
 // 引入配置文件
 const settings = require('./settings.json');
 
-// 辅助函数：转义正则表达式中的特殊字符
-function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // $& 表示匹配到的子串
-}
+// 渲染任务存储和PBRT进度解析
+const jobStore = require('./lib/jobStore');
+const { createProgressParser } = require('./lib/pbrtProgress');
+const pbrtStats = require('./lib/pbrtStats');
+const { createRenderScheduler } = require('./lib/renderScheduler');
+const { detectCapabilities } = require('./lib/capabilities');
+const exrImage = require('./lib/exrImage');
+const sceneOverrides = require('./lib/sceneOverrides');
+const { createRenderCache } = require('./lib/renderCache');
+const sceneBundle = require('./lib/sceneBundle');
+const pbrtParser = require('./lib/pbrtParser');
+const sceneValidator = require('./lib/sceneValidator');
+const sceneUpgrade = require('./lib/sceneUpgrade');
+const sceneFormatter = require('./lib/sceneFormatter');
+const tiledRender = require('./lib/tiledRender');
+const tileWorkers = require('./lib/tileWorkers');
+const sceneAnimation = require('./lib/sceneAnimation');
+const videoEncoder = require('./lib/videoEncoder');
+const sceneBounds = require('./lib/sceneBounds');
+const turntable = require('./lib/turntable');
+const sceneComposer = require('./lib/sceneComposer');
+const envMaps = require('./lib/envMaps');
+const envMapProjection = require('./lib/envMapProjection');
+const ephemeris = require('./lib/ephemeris');
+const orbitScene = require('./lib/orbitScene');
+const imageCompare = require('./lib/imageCompare');
+const regression = require('./lib/regression');
+const webhooks = require('./lib/webhooks');
 
 const app = express();
-const port = 8001;
+const port = parseInt(process.env.PORT, 10) || 8001;
 
 // 设置全局未捕获异常处理，防止程序崩溃退出
 process.on('uncaughtException', (err) => {
@@ -74,23 +100,23 @@ if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir);
 }
 
-// 新增缓存目录配置
+// 环境贴图库，每个贴图一个目录：map.exr（贴图）、info.json（名称和元数据）、preview.png（预览图）
+const ENVMAPS_DIR = path.join(uploadsDir, 'envmaps');
+const ENVMAP_FILENAME = 'map.exr';
+const ENVMAP_PREVIEW_FILENAME = 'preview.png';
+
+// 渲染结果缓存，缓存键由服务端根据场景内容、引用资源和渲染参数计算
 const cacheDir = path.join(__dirname, 'exr_cache');
-if (!fs.existsSync(cacheDir)) {
-    fs.mkdirSync(cacheDir);
-}
+const cacheSettings = settings.cache || {};
+const renderCache = createRenderCache({
+    dir: cacheDir,
+    maxBytes: (Number(cacheSettings.maxSizeMB) || 0) * 1024 * 1024,
+    maxAgeDays: cacheSettings.maxAgeDays
+});
 
-// 每天凌晨清理过期缓存
+// 每天清理长时间未使用的缓存
 const cleanupInterval = setInterval(() => {
-    const now = Date.now();
-    fs.readdirSync(cacheDir).forEach(file => {
-        const filePath = path.join(cacheDir, file);
-        const stat = fs.statSync(filePath);
-        if (now - stat.mtimeMs > 7 * 24 * 3600 * 1000) { // 保留7天
-            fs.unlinkSync(filePath);
-            console.log(`[Cache] Cleaned expired cache: ${file}`);
-        }
-    });
+    renderCache.sweepExpired();
 }, 24 * 3600 * 1000);
 
 // 模型存储相关配置
@@ -182,466 +208,5511 @@ app.get('/render', (req, res) => {
 });
 
 /**
- * @route POST /v1/upload
- * @description 上传 PBRT 文件
- * @param {string} userId - 用户唯一标识
- * @param {file} pbrtFile - 要上传的 PBRT 文件
- * @returns {Object} 包含任务ID的响应
- * @throws {400} 如果缺少用户ID或文件
+ * 扫描并修复PBRT文件中的模型纹理路径引用，将*N占位符替换为实际纹理文件名
+ * @param {string} absolutePbrtFilePath PBRT文件的绝对路径
  */
-app.post('/v1/upload', upload.single('pbrtFile'), (req, res) => {
-    // #swagger.tags = ['渲染相关']
-    // #swagger.description = '上传PBRT文件进行渲染'
-    /* #swagger.consumes = ['multipart/form-data']
-       #swagger.parameters['pbrtFile'] = {
-            in: 'formData',
-            type: 'file',
-            required: 'true',
-            description: '要上传的PBRT文件'
+function fixPbrtTextureReferences(absolutePbrtFilePath) {
+    try {
+        console.log(`[Render] 扫描并修复PBRT文件中的纹理路径问题`);
+        const pbrtContent = fs.readFileSync(absolutePbrtFilePath, 'utf8');
+        const scene = pbrtParser.parse(pbrtContent);
+
+        // 上传目录下的绝对路径先转换为相对路径
+        let changed = sanitizePbrtPaths(scene, path.dirname(absolutePbrtFilePath), true) > 0;
+
+        // 收集所有引用了纹理占位符 models/{uuid}/textures/*N 的模型
+        const modelIds = new Set();
+        for (const { value } of pbrtParser.getFileReferences(scene)) {
+            const match = /^models\/([a-f0-9-]+)\/textures\/\*\d+$/.exec(value);
+            if (match) {
+                modelIds.add(match[1]);
+            }
         }
-    */
-    /* #swagger.responses[200] = {
-            description: '上传成功',
-            schema: {
-                uuid: '任务标识UUID',
-                filename: '上传的文件名',
-                status: '任务状态'
+
+        // 替换占位符为实际纹理文件名
+        modelIds.forEach((modelId) => {
+            const modelDir = path.join(MODELS_DIR, modelId);
+            if (!fs.existsSync(path.join(modelDir, 'textures'))) {
+                console.warn(`[Render] 警告: 模型 ${modelId} 的纹理目录不存在`);
+                return;
+            }
+            if (replaceTextureReferences(scene, modelDir, modelId) > 0) {
+                console.log(`[Render] 成功替换PBRT文件中模型 ${modelId} 的纹理占位符为实际文件名`);
+                changed = true;
             }
+        });
+
+        if (changed) {
+            fs.writeFileSync(absolutePbrtFilePath, pbrtParser.serialize(scene));
+            console.log(`[Render] 已修复PBRT文件中的纹理路径`);
         }
-    */
-    // #swagger.responses[400] = { description: '请求错误' }
-    const userId = req.body.userId;
-    if (!userId) {
-        return res.status(400).json({ error: 'Missing userId in request body' });
-    }
-    if (!req.file) {
-        return res.status(400).json({ error: 'No pbrtFile uploaded' });
+    } catch (err) {
+        console.error(`[Render] 修复纹理路径失败: ${err.message}`);
     }
+}
 
-    const taskId = uuid.v4();
-    console.log(`[Upload] User ID: ${userId}, Task ID: ${taskId}, File: ${req.file.path}`);
-    res.json({ taskId: taskId });
-});
+// PBRT渲染超时时间
+const PBRT_TIMEOUT = 60000;
+
+// 支持的渲染后端：auto 根据检测结果自动选择GPU或CPU
+const RENDER_BACKENDS = ['auto', 'gpu', 'cpu'];
 
 /**
- * @route GET /v1/status
- * @description 获取渲染任务状态
- * @query {string} id - 任务ID
- * @query {string} [userId] - 可选的用户ID
- * @returns {Object} 任务状态信息
- * - 状态可能为: 'pending', 'success', 'failed', 'not_found'
- * @throws {400} 如果缺少任务ID
+ * 解析请求中的渲染后端参数
+ * @param {Object} body 请求体
+ * @returns {Object} { backend, nthreads, tiles } 或 { error }
  */
-app.get('/v1/status', (req, res) => {
-    // #swagger.tags = ['渲染相关']
-    // #swagger.description = '获取渲染任务状态'
-    /* #swagger.parameters['uuid'] = {
-            in: 'query',
-            description: '任务的UUID',
-            required: true,
-            type: 'string'
+function parseRenderBackendOptions(body) {
+    const backend = (body.backend || '').toLowerCase() || null;
+    if (backend && !RENDER_BACKENDS.includes(backend)) {
+        return { error: `backend参数必须是 ${RENDER_BACKENDS.join(', ')} 之一` };
+    }
+    let nthreads = null;
+    if (body.nthreads !== undefined && body.nthreads !== '') {
+        nthreads = parseInt(body.nthreads, 10);
+        if (!Number.isInteger(nthreads) || nthreads < 1) {
+            return { error: 'nthreads参数必须是正整数' };
         }
-    */
-    /* #swagger.responses[200] = {
-            description: '成功获取状态',
-            schema: {
-                uuid: '任务UUID',
-                status: '任务状态',
-                progress: '渲染进度百分比',
-                imageData: '渲染图像的base64编码(如果已完成)'
-            }
+    }
+    let tiles = null;
+    if (body.tiles !== undefined && body.tiles !== '') {
+        tiles = Number(body.tiles);
+        if (!Number.isInteger(tiles) || tiles < 1 || tiles > tiledRender.MAX_TILES) {
+            return { error: `tiles参数必须是 1 到 ${tiledRender.MAX_TILES} 之间的整数` };
         }
-    */
-    // #swagger.responses[404] = { description: '任务不存在' }
-    const taskId = req.query.id;
-    const userId = req.query.userId;
+    }
+    return { backend, nthreads, tiles };
+}
 
-    if (!taskId) {
-        return res.status(400).json({ error: 'Missing task id' });
+/**
+ * 解析请求中的输出图像参数
+ * @param {Object} source 请求体或查询参数
+ * @param {Object} [defaults] 未指定时使用的默认值（如任务创建时保存的输出设置）
+ * @returns {Object} { format, tonemap, exposure } 或 { error }
+ */
+function parseOutputImageOptions(source, defaults = {}) {
+    let format = (source.format || defaults.format || 'exr').toLowerCase();
+    if (format === 'jpg') {
+        format = 'jpeg';
+    }
+    if (!exrImage.OUTPUT_FORMATS[format]) {
+        return { error: `format参数必须是 ${Object.keys(exrImage.OUTPUT_FORMATS).join(', ')} 之一` };
+    }
+    const tonemap = (source.tonemap || defaults.tonemap || 'reinhard').toLowerCase();
+    if (!exrImage.TONEMAP_OPERATORS.includes(tonemap)) {
+        return { error: `tonemap参数必须是 ${exrImage.TONEMAP_OPERATORS.join(', ')} 之一` };
+    }
+    let exposure = defaults.exposure || 0;
+    if (source.exposure !== undefined && source.exposure !== '') {
+        exposure = parseFloat(source.exposure);
+        if (!Number.isFinite(exposure)) {
+            return { error: 'exposure参数必须是数字' };
+        }
     }
+    return { format, tonemap, exposure };
+}
 
-    const randomStatus = Math.random();
-    let status = 'pending';
-    let imageUrl = null;
-    let errorReason = null;
-
-    if (randomStatus < 0.5) {
-        status = 'pending';
-    } else if (randomStatus < 0.7) {
-        status = 'success';
-        imageUrl = 'http://example.com/download/image.png';
-    } else if (randomStatus < 0.8) {
-        status = 'failed';
-        errorReason = '后端超时';
-    } else if (randomStatus < 0.9) {
-        status = 'failed';
-        errorReason = '场景文件语法错误';
-    } else {
-        status = 'not_found';
-        errorReason = '任务不存在';
+/**
+ * 解析请求中的渲染参数覆盖，并检查指定的环境贴图是否存在
+ * @param {Object} body 请求体
+ * @returns {Object} { overrides } 或 { error }
+ */
+function parseRenderOverrides(body) {
+    const result = sceneOverrides.parseRenderOverrides(body);
+    if (!result.error && result.overrides.envmap && !resolveEnvMapPath(result.overrides.envmap)) {
+        return { error: `envmap参数引用的环境贴图不存在: ${result.overrides.envmap}` };
     }
+    return result;
+}
 
-    console.log(`[Status] Task ID: ${taskId}, User ID: ${userId || 'N/A'}, Status: ${status}`);
+/**
+ * 按输出参数发送渲染结果，非EXR格式在服务端解码并进行色调映射
+ * @param {Response} res Express 响应对象
+ * @param {Buffer} exrData EXR数据
+ * @param {Object} outputOptions parseOutputImageOptions 返回的输出参数
+ * @param {Object} [headers] 额外的响应头
+ */
+async function sendRenderImage(res, exrData, outputOptions, headers = {}) {
+    const imageData = await exrImage.convertExr(exrData, outputOptions);
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+    res.setHeader('Content-Type', exrImage.OUTPUT_FORMATS[outputOptions.format]);
+    res.setHeader('Content-Length', imageData.length);
+    if (outputOptions.format !== 'exr') {
+        res.setHeader('X-Tonemap', outputOptions.tonemap);
+        res.setHeader('X-Exposure', String(outputOptions.exposure));
+    }
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.send(imageData);
+}
 
-    if (status === 'success') {
-        res.json({ status: 'success', imageUrl: imageUrl });
-    } else if (status === 'failed') {
-        res.status(500).json({ status: 'failed', error: errorReason });
-    } else if (status === 'not_found') {
-        res.status(404).json({ status: 'not_found', error: errorReason });
-    } else {
-        res.json({ status: 'pending' });
+/**
+ * 将分辨率、最大深度和积分器覆盖写入场景文件，并返回实际使用的渲染设置
+ * @param {string} scenePath 场景文件路径
+ * @param {Object} overrides sceneOverrides.parseRenderOverrides 返回的参数覆盖
+ * @returns {Object} 实际使用的渲染设置
+ */
+function applyRenderOverrides(scenePath, overrides) {
+    const scene = pbrtParser.parse(fs.readFileSync(scenePath, 'utf8'));
+    if (sceneOverrides.applySceneOverrides(scene, overrides)) {
+        fs.writeFileSync(scenePath, pbrtParser.serialize(scene), 'utf8');
+        console.log(`[Render] 已将参数覆盖写入场景文件: ${JSON.stringify(overrides)}`);
     }
-});
+    return sceneOverrides.describeRenderSettings(scene, overrides);
+}
 
 /**
- * @route POST /v1/debug/render
- * @description 调试渲染，支持文件上传和在线内容渲染
- * @param {file} [pbrtFile] - 可选的 PBRT 文件上传
- * @param {string} [pbrtContent] - 可选的在线编辑器内容
- * @param {string} hash - 用于缓存的哈希值
- * @param {number} [exposure=0] - 可选的曝光度设置
- * @returns {Buffer} EXR 格式的渲染图像
- * @throws {400} 如果没有提供 PBRT 文件或内容
- * @throws {500} 渲染失败时
+ * 解析上传的场景内容，拒绝包含目录遍历路径的场景，并将文件路径规范化为相对路径
+ * @param {string} content 场景内容
+ * @param {string} baseDir 场景所在目录
+ * @returns {Object} { content } 或 { status, error, line, column }，引用的环境贴图不存在时 status 为 404
  */
-app.post('/v1/debug/render', upload.single('pbrtFile'), asyncHandler(async (req, res) => {
-    // #swagger.tags = ['渲染相关']
-    // #swagger.description = '上传PBRT文件用于调试渲染'
-    /* #swagger.consumes = ['multipart/form-data']
-       #swagger.parameters['pbrtFile'] = {
-            in: 'formData',
-            type: 'file',
-            required: 'true',
-            description: '要上传的PBRT文件'
-        }
-    */
-    /* #swagger.responses[200] = {
-            description: '调试渲染成功',
-            schema: {
-                uuid: '任务标识UUID',
-                result: '渲染结果信息'
-            }
+function prepareUploadedScene(content, baseDir) {
+    let scene;
+    try {
+        scene = pbrtParser.parse(content);
+    } catch (error) {
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            return { status: error.status, error: `场景语法错误: ${error.message}`, line: error.line, column: error.column };
         }
-    */
-    // #swagger.responses[400] = { description: '请求错误' }
-    // 中间件设置响应头
-    res.setHeader('Cache-Control', 'no-store');
-    
-    const currentHash = req.body.hash;
-    const cachePath = path.join(cacheDir, `${currentHash}.exr`);
-    
-    // 检查缓存
-    if (fs.existsSync(cachePath)) {
-        console.log(`[Cache] Using cached EXR for hash ${currentHash}`);
-        const stats = fs.statSync(cachePath);
-        const exrData = fs.readFileSync(cachePath); // 读取原始二进制数据
-        return res
-            .setHeader('Content-Type', 'image/x-exr')
-            .setHeader('Content-Length', stats.size)
-            .setHeader('X-Cache', 'HIT')
-            .send(exrData);
+        throw error;
     }
+    if (hasSuspiciousPbrtPaths(scene)) {
+        return { status: 403, error: '检测到可能的安全问题，拒绝处理文件' };
+    }
+    const missingEnvMap = pbrtParser.getFileReferences(scene)
+        .find(({ value }) => value.startsWith(envMaps.ENVMAP_REFERENCE_PREFIX) && !resolveEnvMapPath(envMaps.parseEnvMapReference(value)));
+    if (missingEnvMap) {
+        return { status: 404, error: `引用的环境贴图不存在: ${missingEnvMap.value}` };
+    }
+    if (sanitizePbrtPaths(scene, baseDir, true) > 0) {
+        console.log(`[Security] 已规范化PBRT文件中的路径引用为相对路径`);
+        return { content: pbrtParser.serialize(scene) };
+    }
+    return { content };
+}
 
-    let pbrtFilePath = null;
-    let pbrtContent = null;
-    const exposure = parseFloat(req.body.exposure || 0); // 获取前端传递的曝光度，默认为 0
-
-    if (req.file) {
-        pbrtFilePath = req.file.path;
-        console.log(`[Debug Render] File Upload: ${pbrtFilePath}`);
-        
-        // 安全检查：检测文件内容是否包含目录遍历攻击
+/**
+ * 将场景文件从PBRT-v3升级为PBRT-v4，有修改时写回文件
+ * @param {string} rootDir 场景所在目录（场景包的工作区）
+ * @param {Array} files 要升级的场景文件，相对于 rootDir
+ * @param {string} [engine='builtin'] 转换方式 builtin（内置转换器）或 pbrt（pbrt --upgrade）
+ * @returns {Promise<Array>} [{ file, changed, changes }]
+ * @throws {PbrtSyntaxError} 场景存在语法错误时，error.file 为出错的场景文件
+ * @throws {SceneUpgradeError} pbrt --upgrade 无法执行或转换失败时
+ */
+async function upgradeSceneFiles(rootDir, files, engine = 'builtin') {
+    const results = [];
+    for (const file of files) {
+        const scenePath = path.join(rootDir, file);
+        let result;
         try {
-            const fileContent = fs.readFileSync(pbrtFilePath, 'utf8');
-            
-            // 检查安全风险
-            if (hasSuspiciousPbrtPaths(fileContent)) {
-                console.error(`[Security] 检测到可能的目录遍历尝试，拒绝处理文件: ${pbrtFilePath}`);
-                fs.unlinkSync(pbrtFilePath); // 立即删除可疑文件
-                return res.status(403).json({ error: '检测到可能的安全问题，拒绝处理文件' });
-            }
-            
-            // 始终使用相对路径模式进行路径规范化
-            const sanitizedContent = sanitizePbrtPaths(fileContent, path.dirname(pbrtFilePath), true);
-            
-            // 如果内容被修改，写回文件
-            if (sanitizedContent !== fileContent) {
-                fs.writeFileSync(pbrtFilePath, sanitizedContent, 'utf8');
-                console.log(`[Security] 已规范化PBRT文件中的路径引用为相对路径`);
-            }
-
-            // 添加额外的模型路径纹理检查，确保使用相对路径
-            let moreChecks = false;
-            let updatedContent = sanitizedContent;
-            
-            // 特殊处理models/{uuid}/textures/*N格式
-            const modelTexPattern = /models\/([a-f0-9-]+)\/textures\/\*(\d+)/g;
-            let modelTexMatch;
-            while ((modelTexMatch = modelTexPattern.exec(sanitizedContent)) !== null) {
-                moreChecks = true;
-                const modelId = modelTexMatch[1];
-                const textureIndex = modelTexMatch[2];
-                console.log(`[Debug Render] 检测到模型纹理引用: models/${modelId}/textures/*${textureIndex}`);
-                
-                // 验证该模型目录是否存在
-                const modelTexDir = path.join(MODELS_DIR, modelId, 'textures');
-                if (fs.existsSync(modelTexDir)) {
-                    console.log(`[Debug Render] 模型纹理目录存在: ${modelTexDir}`);
-                } else {
-                    console.warn(`[Debug Render] 警告: 模型纹理目录不存在: ${modelTexDir}`);
-                }
-            }
-            
-            // 检查并修复PBRT直接引用纹理的 /home/pog/pbrtapi/ 绝对路径
-            const absoluteTexPattern = /"string filename"\s+"\/home\/pog\/pbrtapi\/uploads\/([^"]+)"/g;
-            let absTexMatch;
-            while ((absTexMatch = absoluteTexPattern.exec(sanitizedContent)) !== null) {
-                moreChecks = true;
-                const absPath = absTexMatch[0];
-                const texPath = absTexMatch[1];
-                console.log(`[Debug Render] 发现绝对路径纹理引用，转换为相对路径: ${texPath}`);
-                
-                // 替换为相对路径
-                updatedContent = updatedContent.replace(
-                    absPath,
-                    `"string filename" "${texPath}"`
-                );
-            }
-            
-            // 如果有更多修改，重新写入文件
-            if (moreChecks && updatedContent !== sanitizedContent) {
-                fs.writeFileSync(pbrtFilePath, updatedContent, 'utf8');
-                console.log(`[Debug Render] 已进一步修复PBRT文件中的纹理路径引用`);
-            }
-        } catch (err) {
-            console.error(`[Security] 文件安全检查失败: ${err.message}`);
+            result = engine === 'pbrt' ?
+                await sceneUpgrade.runPbrtUpgrade(scenePath, { cwd: rootDir }) :
+                sceneUpgrade.upgradeScene(fs.readFileSync(scenePath, 'utf8'));
+        } catch (error) {
+            error.file = file;
+            throw error;
         }
-    } else if (req.body.pbrtContent) {
-        // 使用在线编辑器内容
-        pbrtContent = req.body.pbrtContent;
-        
-        // 安全检查：检测编辑器内容是否包含目录遍历攻击
-        if (hasSuspiciousPbrtPaths(pbrtContent)) {
-            console.error(`[Security] 检测到在线编辑器内容中可能的目录遍历尝试`);
-            return res.status(403).json({ error: '检测到可能的安全问题，拒绝处理内容' });
+        if (result.changed) {
+            fs.writeFileSync(scenePath, result.content, 'utf8');
         }
-        
-        const tempFilename = `temp-pbrt-${Date.now()}.pbrt`;
-        pbrtFilePath = path.join(uploadsDir, tempFilename);
-        
-        // 创建临时目录用于存放纹理文件
-        const tempDir = path.join(uploadsDir, `temp-textures-${Date.now()}`);
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
+        results.push({ file, changed: result.changed, changes: result.changes });
+    }
+    return results;
+}
+
+/**
+ * 统计场景升级结果
+ * @param {Array} results upgradeSceneFiles 返回的结果
+ * @returns {Object} { files, changes, unsupported }，files 为有修改的文件数
+ */
+function summarizeUpgrade(results) {
+    const changes = [].concat(...results.map(result => result.changes));
+    const unsupported = changes.filter(change => change.action === 'unsupported').length;
+    return {
+        files: results.filter(result => result.changed).length,
+        changes: changes.length - unsupported,
+        unsupported
+    };
+}
+
+/**
+ * 确定实际使用的渲染后端，auto 模式下GPU可用时使用GPU，否则使用CPU
+ * @param {string} [requestedBackend] 请求指定的后端，未指定时使用配置文件中的默认值
+ * @param {number} [requestedThreads] 请求指定的线程数
+ * @returns {Promise<Object>} { mode, gpuDevice, nthreads }
+ * @throws {Error} 指定GPU但当前主机不支持GPU渲染时
+ */
+async function resolveRenderBackend(requestedBackend, requestedThreads) {
+    const backend = requestedBackend || renderSettings.backend || 'auto';
+    const gpuDevice = parseInt(renderSettings.gpuDevice, 10) || 0;
+    // 未指定线程数时，多个渲染同时运行平分CPU核心
+    const nthreads = requestedThreads || parseInt(renderSettings.nthreads, 10) ||
+        Math.max(1, Math.floor(os.cpus().length / renderScheduler.maxConcurrent));
+
+    let mode = backend;
+    if (backend !== 'cpu') {
+        const capabilities = await detectCapabilities({ gpuDevice });
+        if (backend === 'auto') {
+            mode = capabilities.gpu.available ? 'gpu' : 'cpu';
+        } else if (!capabilities.gpu.available) {
+            throw new Error(`当前主机不支持GPU渲染: ${capabilities.gpu.error || '未知原因'}`);
         }
-        
-        // 始终使用相对路径模式
-        const sanitizedContent = sanitizePbrtPaths(pbrtContent, tempDir, true);
-        fs.writeFileSync(pbrtFilePath, sanitizedContent);
-        console.log(`[Debug Render] 使用相对路径保存在线编辑器内容: ${pbrtFilePath}`);
-    } else {
-        return res.status(400).json({ error: 'No pbrtFile uploaded or pbrtContent provided' });
     }
+    return { mode, gpuDevice, nthreads };
+}
 
+/**
+ * 执行PBRT渲染，默认从上传目录启动以便找到相对路径引用的纹理
+ * @param {string} absolutePbrtFilePath PBRT文件的绝对路径
+ * @param {string} outputExrPath 输出EXR文件路径
+ * @param {Object} renderBackend resolveRenderBackend 返回的渲染后端 { mode, gpuDevice, nthreads }
+ * @param {Object} [handlers] 运行选项和输出回调
+ * @param {Array} [handlers.args] 额外的命令行参数，如参数覆盖对应的 --spp, --cropwindow, --seed
+ * @param {string} [handlers.cwd] PBRT的工作目录，默认为上传目录，场景包使用各自的工作区
+ * @param {Function} [handlers.onProgress] 进度回调 { percent, elapsed, eta, done }
+ * @param {Function} [handlers.onLog] 日志回调 (line, stream)
+ * @param {Function} [handlers.onSpawn] 进程启动回调，参数为子进程，可用于取消渲染
+ * @returns {Promise<Object>} 执行结果 { stdout, stderr, exitCode, signal, wallTimeMs, peakMemoryBytes }，
+ * 失败时的错误对象同样带有这些字段
+ */
+function executePbrt(absolutePbrtFilePath, outputExrPath, renderBackend, handlers = {}) {
     const pbrtCommand = 'pbrt';
-    const nproc = os.cpus().length;
-    const timestamp = Date.now();
-    const outputExrName = `pbrt-${timestamp}.exr`; // 输出 EXR 文件名
-    const outputExrPath = path.join('/tmp/pbrtapi', outputExrName); // EXR 输出到 /tmp
 
-    // ++++ 添加输出目录创建逻辑 ++++
+    // 确保输出目录存在
     const outputDir = path.dirname(outputExrPath);
     if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    // 确保pbrtFilePath是绝对路径
-    const absolutePbrtFilePath = path.isAbsolute(pbrtFilePath) ? 
-        pbrtFilePath : path.resolve(process.cwd(), pbrtFilePath);
-    console.log(`[Debug Render] 使用绝对路径执行PBRT: ${absolutePbrtFilePath}`);
-    
-    const pbrtCommandArgs = [
-        '--gpu',
-        '--gpu-device', '0',
-        '--nthreads', `${nproc}`,
+    const pbrtCommandArgs = [];
+    if (renderBackend.mode === 'gpu') {
+        pbrtCommandArgs.push('--gpu', '--gpu-device', `${renderBackend.gpuDevice}`);
+    }
+    pbrtCommandArgs.push(
+        '--nthreads', `${renderBackend.nthreads}`,
+        ...(handlers.args || []),
         '--log-level', 'verbose',
+        '--stats', // 渲染结束时输出统计信息
         '--outfile', outputExrPath, // 输出 EXR
         absolutePbrtFilePath // 使用绝对路径
-    ];
+    );
 
-    console.log(`[Debug Render] PBRT Command: ${pbrtCommand} ${pbrtCommandArgs.join(' ')}`);
-    
-    try {
-        const execFile = util.promisify(childProcess.execFile);
+    console.log(`[Render] PBRT Command: ${pbrtCommand} ${pbrtCommandArgs.join(' ')}`);
 
-        // 1. 尝试扫描并修复PBRT文件中的纹理路径问题
-        try {
-            console.log(`[Debug Render] 扫描并修复PBRT文件中的纹理路径问题`);
-            let pbrtContent = fs.readFileSync(absolutePbrtFilePath, 'utf8');
-            
-            // 提取模型UUID引用的正则表达式
-            const modelUuidRegex = /\/home\/pog\/pbrtapi\/uploads\/models\/([a-f0-9-]+)\/textures\/\*(\d+)/g;
-            let match;
-            const modelTextures = new Map(); // 存储模型ID及其纹理文件列表
-            const modelId_d = /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/gm.exec(absolutePbrtFilePath)?.[1] || null;
-            console.log(`[Debug Render] ${/[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/gm.exec(absolutePbrtFilePath)?.[0] || null}, ${/[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/gm.exec(absolutePbrtFilePath)?.[1] || null}`);
-            
-            // 收集所有引用的模型ID和纹理索引
-            while ((match = modelUuidRegex.exec(pbrtContent)) !== null) {
-                const [fullPath, modelId, textureIndex] = match;
-                if (!modelTextures.has(modelId)) {
-                    // 读取模型的textures目录
-                    const texturesDir = path.join(MODELS_DIR, modelId, 'textures');
-                    if (fs.existsSync(texturesDir)) {
-                        try {
-                            const files = fs.readdirSync(texturesDir);
-                            modelTextures.set(modelId, files);
-                            console.log(`[Debug Render] 模型 ${modelId} 的纹理文件: ${files.join(', ')}`);
-                        } catch (err) {
-                            console.error(`[Debug Render] 无法读取模型 ${modelId} 的纹理目录: ${err.message}`);
-                        }
-                    } else {
-                        console.warn(`[Debug Render] 警告: 模型 ${modelId} 的纹理目录不存在: ${texturesDir}`);
-                        modelTextures.set(modelId, []);
-                    }
-                }
+    return new Promise((resolve, reject) => {
+        const child = childProcess.spawn(pbrtCommand, pbrtCommandArgs, {
+            cwd: handlers.cwd || uploadsDir, // 关键修改: 从上传目录运行pbrt，这样可以找到相对路径中的models目录
+            detached: true // 独立进程组，取消时可以结束整个进程树
+        });
+        handlers.onSpawn && handlers.onSpawn(child);
+        const startTime = Date.now();
+        const memorySampler = pbrtStats.createMemorySampler(child.pid);
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        let settled = false;
+
+        // 边接收边解析输出，进度条可能出现在 stdout 或 stderr 中
+        const createParser = (stream) => createProgressParser({
+            onProgress: handlers.onProgress,
+            onLog: (line) => handlers.onLog && handlers.onLog(line, stream)
+        });
+        const stdoutParser = createParser('stdout');
+        const stderrParser = createParser('stderr');
+
+        child.stdout.on('data', (chunk) => {
+            stdout += chunk;
+            stdoutParser.push(chunk);
+        });
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk;
+            stderrParser.push(chunk);
+        });
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killProcessTree(child);
+        }, PBRT_TIMEOUT);
+
+        const finish = (error) => {
+            if (settled) {
+                return;
             }
-            
-            // 使用相对路径替代绝对路径模式，这样即使找不到确切文件名也能保证路径格式正确
-            const fixedContent = pbrtContent.replace(
-                ///\/home\/pog\/pbrtapi\/uploads\/models\/([a-f0-9-]+)\/textures\/\*(\d+)/g,
-                /textures\/\*(\d+)/g,
-                (match, textureIndex) => {
-                    // 直接使用相对路径+通配符，在回到上传目录之前这是最安全的方案
-                    return `models/${modelId_d}/textures/*${textureIndex}`;
-                }
-            );
-            
-            if (fixedContent !== pbrtContent) {
-                fs.writeFileSync(absolutePbrtFilePath, fixedContent);
-                console.log(`[Debug Render] 已修复PBRT文件中的纹理路径为相对路径`);
-                pbrtContent = fixedContent;
+            settled = true;
+            clearTimeout(timer);
+            stdoutParser.flush();
+            stderrParser.flush();
+            const result = {
+                stdout,
+                stderr,
+                exitCode: error ? (typeof error.code === 'number' ? error.code : null) : 0,
+                signal: error ? error.signal || null : null,
+                wallTimeMs: Date.now() - startTime,
+                peakMemoryBytes: memorySampler.stop()
+            };
+            if (error) {
+                reject(Object.assign(error, result));
+            } else {
+                resolve(result);
             }
-            
-            // 新增: 尝试替换占位符为实际纹理文件名
-            modelTextures.forEach((textureFiles, modelId) => {
-                if (textureFiles.length > 0) {
-                    const modelDir = path.join(MODELS_DIR, modelId);
-                    const processedContent = replaceTextureReferences(pbrtContent, modelDir, modelId);
-                    if (processedContent !== pbrtContent) {
-                        fs.writeFileSync(absolutePbrtFilePath, processedContent);
-                        console.log(`[Debug Render] 成功替换PBRT文件中模型 ${modelId} 的纹理占位符为实际文件名`);
-                        pbrtContent = processedContent;
-                    }
-                }
-            });
+        };
+
+        child.on('error', finish);
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                return finish(null);
+            }
+            const error = new Error(timedOut ?
+                `PBRT渲染超时（${PBRT_TIMEOUT / 1000}秒）` :
+                `Command failed: ${pbrtCommand} ${pbrtCommandArgs.join(' ')}`);
+            error.code = code;
+            error.signal = signal;
+            error.killed = timedOut;
+            finish(error);
+        });
+    });
+}
+
+/**
+ * 结束子进程及其所在进程组，进程未在宽限期内退出时强制结束
+ * @param {ChildProcess} child 以 detached 方式启动的子进程
+ */
+function killProcessTree(child) {
+    const signalGroup = (signal) => {
+        try {
+            process.kill(-child.pid, signal);
         } catch (err) {
-            console.error(`[Debug Render] 修复纹理路径失败: ${err.message}`);
+            // 进程组已不存在
+            if (err.code !== 'ESRCH') {
+                child.kill(signal);
+            }
         }
-        
-        // 2. 执行PBRT渲染，从上传目录启动以便找到相对路径引用的纹理
-        console.log(`[Debug Render] 从上传目录启动PBRT以支持相对路径引用`);
-        const pbrtResult = await execFile(pbrtCommand, pbrtCommandArgs, { 
-            timeout: 60000,
-            cwd: uploadsDir // 关键修改: 从上传目录运行pbrt，这样可以找到相对路径中的models目录
-        });
-        
-        if (pbrtResult.stderr) {
-            console.error(`PBRT stderr:\n${pbrtResult.stderr}`);
+    };
+
+    signalGroup('SIGTERM');
+    const forceTimer = setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) {
+            console.warn(`[Render] PBRT进程 ${child.pid} 未响应SIGTERM，强制结束`);
+            signalGroup('SIGKILL');
         }
-        console.log(`PBRT stdout:\n${pbrtResult.stdout}`);
+    }, 5000);
+    forceTimer.unref();
+}
 
-        if (fs.existsSync(outputExrPath)) {
-            // 读取EXR文件并转换为base64
-            const exrData = fs.readFileSync(outputExrPath);
-            // 保存到缓存
-            fs.writeFileSync(cachePath, exrData);
+/**
+ * 将PBRT执行错误整理为可读的错误信息
+ * @param {Error} error execFile 抛出的错误
+ * @returns {string} 错误信息，包含退出码和stderr中的错误行，完整输出保存在任务日志中
+ */
+function formatPbrtError(error) {
+    // 只保留 stderr 中的错误行（没有时取最后几行），完整输出保存在任务日志中
+    const lines = (error.stderr || '').split(/\r?\n|\r/).map(line => line.trim()).filter(Boolean);
+    const errorLines = lines.filter(line => /error/i.test(line));
+    // 超时被结束时 stderr 中没有错误信息
+    const detail = error.killed ? error.message :
+        (errorLines.length > 0 ? errorLines : lines.slice(-5)).join('\n') || error.message;
+    let status = '';
+    if (typeof error.exitCode === 'number') {
+        status = ` (exit code ${error.exitCode})`;
+    } else if (error.signal) {
+        status = ` (signal ${error.signal})`;
+    }
+    return `PBRT rendering failed${status}: ${detail}`;
+}
 
-            res.setHeader('Content-Type', 'image/x-exr')
-                .setHeader('Content-Length', exrData.length)
-                .setHeader('X-Cache', 'MISS')
-                .send(exrData);
-        } else {
-            console.warn(`Warning: outputExrPath does not exists when trying to render: ${outputExrPath}`);
-            // 增加容错返回
-            return res.status(500).json({
-                status: 'error',
-                error: `渲染失败，输出文件 ${outputExrPath} 不存在`,
-            });
-        }
-    } catch (error) {
-        console.error(`PBRT execution error:\n${error}`);
-        let errorMessage = 'PBRT rendering failed';
-        if (error.stderr) {
-            errorMessage += `\nStderr: ${error.stderr}`;
-        } else if (error.stdout) {
-            errorMessage += `\nStdout: ${error.stdout}`;
-        } else if (error.message) {
-            errorMessage += `\nError Message: ${error.message}`;
+// 渲染任务存储，任务信息持久化在 data/jobs 下
+const DATA_DIR = path.join(__dirname, 'data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+// 场景包解压后的工作区，每个渲染请求一个目录
+const WORKSPACES_DIR = path.join(DATA_DIR, 'workspaces');
+// 组合场景的描述，每个场景一个目录
+const SCENES_DIR = path.join(DATA_DIR, 'scenes');
+// 回调通知：用户注册的回调每个一个文件，投递记录由投递器保存
+const WEBHOOKS_DIR = path.join(DATA_DIR, 'webhooks');
+const WEBHOOK_REGISTRATIONS_DIR = path.join(WEBHOOKS_DIR, 'registrations');
+const webhookSettings = settings.webhooks || {};
+const webhookDispatcher = webhooks.createWebhookDispatcher({
+    dir: path.join(WEBHOOKS_DIR, 'deliveries'),
+    maxAttempts: webhookSettings.maxAttempts,
+    initialDelay: (Number(webhookSettings.initialDelaySeconds) || 0) * 1000,
+    timeout: (Number(webhookSettings.timeoutSeconds) || 0) * 1000,
+    // 用户注册的回调使用注册时的密钥，按请求指定的回调使用配置文件中的密钥
+    resolveSecret: delivery => {
+        if (!delivery.webhookId) {
+            return webhookSettings.secret;
         }
-        
-        // 修复错误：先设置header，再发送响应
-        return res
-            .status(500)
-            .setHeader('Content-Type', 'application/json; charset=utf-8')
-            .json({ 
-                status: 'error', 
-                error: String(errorMessage) 
-            });
-    } finally {
-        // 确保在异常情况下代码不会崩溃
-        try {
-            // 保存到缓存
-            if (fs.existsSync(outputExrPath)) {
-                fs.copyFileSync(outputExrPath, cachePath);
-                console.log(`[Cache] Saved new cache for ${currentHash}`);
-            }
-            // 清理过程
-            if (req.body.lastHash && req.body.lastHash !== currentHash) {
-                const oldCachePath = path.join(cacheDir, `${req.body.lastHash}.exr`);
-                if (fs.existsSync(oldCachePath)) {
-                    fs.unlinkSync(oldCachePath);
-                    console.log(`[Cache] Cleaned previous cache ${req.body.lastHash}`);
-                }
-            }
-            // 清理临时 .pbrt 文件
-            if (pbrtFilePath && fs.existsSync(pbrtFilePath)) {
-                fs.unlink(pbrtFilePath, (err) => {
-                    if (err && err.code !== 'ENOENT') {
-                        console.warn(`Warning: Could not delete temporary file ${pbrtFilePath}: ${err}`);
-                    }
-                });
+        const registration = loadWebhookRegistration(delivery.webhookId);
+        return registration ? registration.secret : null;
+    }
+});
+const pendingJobs = jobStore.initJobStore(JOBS_DIR);
+
+// PBRT渲染过程中的输出目录，渲染成功后移动到任务目录
+const PBRT_OUTPUT_DIR = '/tmp/pbrtapi';
+
+// 渲染调度器：限制同时运行的PBRT数量，其余任务按优先级排队
+const renderSettings = settings.render || {};
+const renderScheduler = createRenderScheduler({
+    maxConcurrent: renderSettings.maxConcurrentRenders,
+    maxQueueLength: renderSettings.maxQueueLength,
+    run: runRenderJob
+});
+// 正在运行的PBRT进程，键为任务ID
+const runningRenders = new Map();
+// 正在运行的分块渲染，键为任务ID，值为用于取消的 AbortController
+const runningTiledRenders = new Map();
+
+// 分块渲染：本机的工作进程数（未配置时GPU渲染为1，CPU渲染按线程数确定），远程工作节点和共享令牌
+const tileSettings = settings.tiles || {};
+const tileWorkerRegistry = tileWorkers.createWorkerRegistry({
+    workers: tileSettings.workers,
+    ttl: (parseInt(tileSettings.workerTtlSeconds, 10) || 0) * 1000
+});
+// 未配置本机工作进程数时，CPU渲染最多拆分为该数量的进程
+const DEFAULT_LOCAL_TILE_WORKERS = 4;
+
+// 队列变化时向排队中的任务推送最新位置
+renderScheduler.on('change', () => {
+    renderScheduler.getStats().queued.forEach(entry => {
+        emitJobEvent(entry.jobId, 'queue', { position: entry.position });
+    });
+});
+
+/**
+ * 将任务交给渲染调度器排队
+ * @param {string} jobId 任务ID
+ * @param {Object} [options] 选项
+ * @param {number} [options.priority=0] 优先级，数值越大越先执行
+ * @param {boolean} [options.force=false] 忽略队列长度限制
+ * @returns {number} 排队位置
+ * @throws {QueueFullError} 队列已满时
+ */
+function enqueueRenderJob(jobId, options = {}) {
+    return renderScheduler.enqueue(jobId, options);
+}
+
+/**
+ * 队列已满时返回 429，并通过 Retry-After 告知客户端预计等待时间
+ * @param {Response} res Express 响应对象
+ * @param {QueueFullError} error 队列已满错误
+ */
+function sendQueueFull(res, error) {
+    console.warn(`[Scheduler] ${error.message}`);
+    return res
+        .status(429)
+        .setHeader('Retry-After', String(error.retryAfter))
+        .json({
+            error: error.message,
+            retryAfter: error.retryAfter,
+            queueLength: error.queueLength
+        });
+}
+
+/**
+ * 执行单个渲染任务，并记录状态变化
+ * @param {string} jobId 任务ID
+ */
+async function runRenderJob(jobId) {
+    const job = jobStore.getJob(jobId);
+    if (!job || job.status !== jobStore.JOB_STATUS.PENDING) {
+        return;
+    }
+
+    const partialOutputPath = path.join(PBRT_OUTPUT_DIR, `pbrt-${jobId}.exr`);
+    const outputExrPath = path.join(jobStore.getJobDir(jobId), 'render.exr');
+    jobStore.updateJob(jobId, {
+        status: jobStore.JOB_STATUS.RUNNING,
+        startedAt: new Date().toISOString()
+    });
+    emitJobEvent(jobId, 'status', { status: jobStore.JOB_STATUS.RUNNING });
+    console.log(`[Jobs] 开始渲染任务 ${jobId}: ${job.scenePath}`);
+
+    let renderBackend = null;
+    try {
+        fixPbrtTextureReferences(job.scenePath);
+        resolveSceneEnvMaps(job.scenePath);
+        renderBackend = await resolveRenderBackend(job.backend, job.nthreads);
+        jobStore.updateJob(jobId, { renderBackend });
+        appendJobLog(jobId, `使用${renderBackend.mode === 'gpu' ? `GPU ${renderBackend.gpuDevice}` : 'CPU'}渲染，线程数 ${renderBackend.nthreads}`, 'server');
+        const pbrtResult = job.tiles > 1 ? await renderTiledJob(job, renderBackend, partialOutputPath) : await executePbrt(job.scenePath, partialOutputPath, renderBackend, {
+            args: sceneOverrides.getOverrideArgs(job.overrides),
+            cwd: job.workspaceDir || uploadsDir,
+            onSpawn: (child) => runningRenders.set(jobId, child),
+            onProgress: (progress) => {
+                // 进度只保存在内存中，避免频繁写盘
+                jobStore.updateJob(jobId, { progress }, { persist: false });
+                emitJobEvent(jobId, 'progress', progress);
+            },
+            onLog: (line, stream) => appendJobLog(jobId, line, stream)
+        });
+        saveRenderStats(jobId, pbrtResult, renderBackend);
+
+        if (!fs.existsSync(partialOutputPath)) {
+            throw new Error(`渲染失败，输出文件 ${partialOutputPath} 不存在`);
+        }
+        fs.copyFileSync(partialOutputPath, outputExrPath);
+
+        // 调试渲染提交的任务同时写入EXR缓存
+        if (job.cacheKey) {
+            renderCache.store(job.cacheKey, outputExrPath);
+            console.log(`[Cache] Saved new cache for ${job.cacheKey}`);
+        }
+
+        jobStore.updateJob(jobId, {
+            status: jobStore.JOB_STATUS.SUCCESS,
+            outputPath: outputExrPath,
+            finishedAt: new Date().toISOString()
+        });
+        console.log(`[Jobs] 任务 ${jobId} 渲染成功`);
+    } catch (error) {
+        if (job.cancelRequested) {
+            console.log(`[Jobs] 任务 ${jobId} 已取消`);
+            jobStore.updateJob(jobId, {
+                status: jobStore.JOB_STATUS.CANCELLED,
+                error: '渲染已被取消',
+                finishedAt: new Date().toISOString()
+            });
+        } else {
+            console.error(`[Jobs] 任务 ${jobId} 渲染失败: ${error.message}`);
+            if (error.wallTimeMs !== undefined) {
+                saveRenderStats(jobId, error, renderBackend);
+            }
+            jobStore.updateJob(jobId, {
+                status: jobStore.JOB_STATUS.FAILED,
+                error: error instanceof tiledRender.TileRenderError ? error.message : formatPbrtError(error),
+                finishedAt: new Date().toISOString()
+            });
+        }
+    } finally {
+        runningRenders.delete(jobId);
+        closeJobLog(jobId);
+        cleanupJobFiles(job, partialOutputPath);
+        emitJobEvent(jobId, 'done', buildJobResultPayload(jobStore.getJob(jobId)));
+    }
+}
+
+/**
+ * 获取分块渲染可用的工作节点：本机工作进程和已注册的远程工作节点
+ * @param {Object} renderBackend 本机的渲染后端
+ * @param {number} tileCount 分块数
+ * @returns {Array} [{ id, name, slots, local }]
+ */
+function getTileWorkers(renderBackend, tileCount) {
+    let localSlots = parseInt(tileSettings.localWorkers, 10);
+    if (!Number.isInteger(localSlots) || localSlots < 0) {
+        localSlots = renderBackend.mode === 'gpu' ? 1 : Math.min(DEFAULT_LOCAL_TILE_WORKERS, renderBackend.nthreads);
+    }
+    const workers = tileWorkerRegistry.getAvailable().map(worker => Object.assign(worker, { local: false }));
+    if (localSlots > 0) {
+        workers.unshift({ id: 'local', name: 'local', slots: Math.min(localSlots, tileCount), local: true });
+    }
+    return workers;
+}
+
+/**
+ * 分块渲染：按 --cropwindow 拆分场景，分发给本机工作进程和远程工作节点并行渲染，失败的分块单独重试，
+ * 完成后拼接为完整图像。每个分块是独立的PBRT进程，分别受渲染超时限制
+ * @param {Object} job 渲染任务
+ * @param {Object} renderBackend 本机的渲染后端
+ * @param {string} outputExrPath 拼接后的EXR输出路径
+ * @returns {Promise<Object>} 与 executePbrt 结构相同的执行结果，另有合并后的 summary 和各分块的 tiles
+ * @throws {TileRenderError} 分块重试后仍然失败或被取消时
+ */
+async function renderTiledJob(job, renderBackend, outputExrPath) {
+    const startTime = Date.now();
+    const tiles = tiledRender.splitTiles(job.tiles, job.effectiveSettings);
+    const workers = getTileWorkers(renderBackend, tiles.length);
+    const localWorker = workers.find(worker => worker.local);
+    // 本机的线程平分给各工作进程
+    const localBackend = localWorker ?
+        Object.assign({}, renderBackend, { nthreads: Math.max(1, Math.floor(renderBackend.nthreads / localWorker.slots)) }) : null;
+    const controller = new AbortController();
+    runningTiledRenders.set(job.id, controller);
+    // 在检测渲染后端期间收到的取消请求
+    if (jobStore.getJob(job.id).cancelRequested) {
+        controller.abort();
+    }
+    appendJobLog(job.id, `分块渲染: ${tiles.length} 个分块，工作节点 ${workers.map(worker => `${worker.name}(${worker.slots})`).join(', ')}`, 'server');
+
+    // 远程工作节点需要场景包时，将工作区打包一次供所有分块使用
+    let bundlePath = null;
+    const getRemoteScene = () => {
+        if (!job.workspaceDir) {
+            return { scenePath: job.scenePath };
+        }
+        if (!bundlePath) {
+            bundlePath = path.join(PBRT_OUTPUT_DIR, `pbrt-${job.id}-bundle.zip`);
+            const zip = new AdmZip();
+            zip.addLocalFolder(job.workspaceDir);
+            zip.writeZip(bundlePath);
+        }
+        return { scenePath: bundlePath, entry: job.entryScene };
+    };
+
+    // 已完成的分块计为100%，本机正在渲染的分块按其进度计入
+    const tileProgress = new Array(tiles.length).fill(0);
+    let completed = 0;
+    const reportProgress = () => {
+        const percent = tileProgress.reduce((sum, value) => sum + value, 0) / tiles.length;
+        const elapsed = (Date.now() - startTime) / 1000;
+        const progress = {
+            percent,
+            elapsed,
+            eta: percent > 0 ? elapsed * (100 - percent) / percent : 0,
+            done: completed === tiles.length,
+            tiles: { completed, total: tiles.length }
+        };
+        jobStore.updateJob(job.id, { progress }, { persist: false });
+        emitJobEvent(job.id, 'progress', progress);
+    };
+
+    const renderTile = async (tile, worker) => {
+        tile.outputPath = path.join(PBRT_OUTPUT_DIR, `pbrt-${job.id}-tile-${tile.index}.exr`);
+        const overrides = Object.assign({}, job.overrides, { cropwindow: tile.cropwindow });
+        if (!worker.local) {
+            const result = await tileWorkers.renderRemoteTile(worker, Object.assign(getRemoteScene(), {
+                fields: {
+                    cropwindow: tile.cropwindow.join(','),
+                    pixelsamples: overrides.pixelsamples,
+                    seed: overrides.seed,
+                    backend: job.backend
+                },
+                outputPath: tile.outputPath
+            }), { token: tileSettings.workerToken, signal: controller.signal });
+            return result.stats;
+        }
+
+        try {
+            const result = await executePbrt(job.scenePath, tile.outputPath, localBackend, {
+                args: sceneOverrides.getOverrideArgs(overrides),
+                cwd: job.workspaceDir || uploadsDir,
+                onSpawn: (child) => {
+                    const kill = () => killProcessTree(child);
+                    controller.signal.addEventListener('abort', kill, { once: true });
+                    child.on('close', () => controller.signal.removeEventListener('abort', kill));
+                },
+                onProgress: (progress) => {
+                    tileProgress[tile.index] = Math.min(progress.percent, 99);
+                    reportProgress();
+                },
+                onLog: (line, stream) => appendJobLog(job.id, `[分块 ${tile.index + 1}] ${line}`, stream)
+            });
+            if (!fs.existsSync(tile.outputPath)) {
+                throw new Error(`输出文件 ${tile.outputPath} 不存在`);
+            }
+            const statistics = pbrtStats.parseStatistics(result.stdout);
+            return {
+                exitCode: result.exitCode,
+                wallTimeMs: result.wallTimeMs,
+                peakMemoryBytes: result.peakMemoryBytes,
+                summary: pbrtStats.summarizeStatistics(statistics)
+            };
+        } catch (error) {
+            throw new Error(error.stderr !== undefined ? formatPbrtError(error) : error.message);
+        }
+    };
+
+    try {
+        await tiledRender.renderTiles(tiles, {
+            workers,
+            maxAttempts: parseInt(tileSettings.maxAttempts, 10) || tiledRender.DEFAULT_MAX_ATTEMPTS,
+            renderTile,
+            signal: controller.signal,
+            onTileDone: (tile, worker) => {
+                completed++;
+                tileProgress[tile.index] = 100;
+                if (!worker.local) {
+                    tileWorkerRegistry.reportResult(worker.id, true);
+                }
+                appendJobLog(job.id, `分块 ${tile.index + 1}/${tiles.length} 完成（${worker.name}），已完成 ${completed}/${tiles.length}`, 'server');
+                reportProgress();
+            },
+            onTileError: (tile, worker, error, willRetry) => {
+                tileProgress[tile.index] = 0;
+                if (!worker.local) {
+                    tileWorkerRegistry.reportResult(worker.id, false);
+                }
+                if (!controller.signal.aborted) {
+                    appendJobLog(job.id, `分块 ${tile.index + 1}/${tiles.length} 在 ${worker.name} 上失败` +
+                        `（第 ${tile.attempts} 次）${willRetry ? '，将重试' : ''}: ${error.message}`, 'server');
+                }
+                reportProgress();
+            }
+        });
+        const exrData = await tiledRender.stitchTiles(tiles);
+        fs.writeFileSync(outputExrPath, exrData);
+        appendJobLog(job.id, `已将 ${tiles.length} 个分块拼接为完整图像`, 'server');
+    } finally {
+        runningTiledRenders.delete(job.id);
+        tiles.concat(bundlePath ? [{ outputPath: bundlePath }] : []).forEach(tile => {
+            if (tile.outputPath) {
+                fs.rmSync(tile.outputPath, { force: true });
+            }
+        });
+    }
+
+    const tileResults = tiles.map(tile => Object.assign({
+        index: tile.index,
+        cropwindow: tile.cropwindow,
+        worker: tile.worker,
+        attempts: tile.attempts
+    }, tile.result));
+    const peakMemory = tileResults.map(tile => tile.peakMemoryBytes).filter(value => typeof value === 'number');
+    return {
+        stdout: '',
+        stderr: '',
+        exitCode: 0,
+        signal: null,
+        wallTimeMs: Date.now() - startTime,
+        peakMemoryBytes: peakMemory.length > 0 ? Math.max(...peakMemory) : null,
+        summary: pbrtStats.combineSummaries(tileResults.map(tile => tile.summary)),
+        tiles: tileResults
+    };
+}
+
+/**
+ * 解析PBRT的统计信息，连同退出码、耗时和峰值内存保存到任务目录的 stats.json
+ * @param {string} jobId 任务ID
+ * @param {Object} result executePbrt 的执行结果或错误对象，或 renderTiledJob 的结果
+ * @param {Object} [renderBackend] 实际使用的渲染后端
+ */
+function saveRenderStats(jobId, result, renderBackend) {
+    // 分块渲染的结果已经合并了各分块的指标
+    const statistics = result.tiles ? null : pbrtStats.parseStatistics(result.stdout || '');
+    const stats = {
+        exitCode: result.exitCode,
+        signal: result.signal,
+        wallTimeMs: result.wallTimeMs,
+        peakMemoryBytes: result.peakMemoryBytes,
+        backend: renderBackend || null,
+        summary: result.tiles ? result.summary : pbrtStats.summarizeStatistics(statistics),
+        statistics
+    };
+    if (result.tiles) {
+        stats.tiles = result.tiles;
+    }
+    try {
+        fs.writeFileSync(path.join(jobStore.getJobDir(jobId), 'stats.json'), JSON.stringify(stats, null, 2));
+    } catch (err) {
+        console.warn(`[Jobs] 保存任务 ${jobId} 的渲染统计失败: ${err.message}`);
+    }
+    const peakMemory = stats.peakMemoryBytes === null ? '未知' : `${(stats.peakMemoryBytes / 1024 / 1024).toFixed(1)} MiB`;
+    console.log(`[Jobs] 任务 ${jobId} PBRT退出码 ${stats.exitCode}，耗时 ${(stats.wallTimeMs / 1000).toFixed(1)}s，峰值内存 ${peakMemory}`);
+}
+
+/**
+ * 删除任务渲染过程中产生的临时文件：场景文件、编辑器内容的临时纹理目录、场景包工作区和PBRT输出
+ * @param {Object} job 渲染任务
+ * @param {string} [partialOutputPath] PBRT输出文件路径
+ */
+function cleanupJobFiles(job, partialOutputPath) {
+    try {
+        if (job.scenePath && fs.existsSync(job.scenePath)) {
+            fs.unlinkSync(job.scenePath);
+        }
+        if (job.tempDir) {
+            fs.rmSync(job.tempDir, { recursive: true, force: true });
+        }
+        // 动画的各帧共用一个工作区，由动画结束时删除
+        if (job.workspaceDir && !job.keepWorkspace) {
+            fs.rmSync(job.workspaceDir, { recursive: true, force: true });
+        }
+        if (partialOutputPath && fs.existsSync(partialOutputPath)) {
+            fs.unlinkSync(partialOutputPath);
+        }
+    } catch (err) {
+        console.warn(`[Jobs] 清理任务 ${job.id} 的临时文件失败: ${err.message}`);
+    }
+}
+
+/**
+ * 取消渲染任务。排队中的任务直接标记为已取消，运行中的任务结束其PBRT进程树，动画取消其所有未完成的帧
+ * @param {string} jobId 任务ID
+ * @returns {Object|null} 任务，不存在时返回 null
+ */
+function cancelRenderJob(jobId) {
+    const job = jobStore.getJob(jobId);
+    if (!job) {
+        return null;
+    }
+    if (job.type === ANIMATION_JOB_TYPE) {
+        cancelAnimation(job);
+        return job;
+    }
+
+    if (job.status === jobStore.JOB_STATUS.PENDING) {
+        renderScheduler.remove(jobId);
+        jobStore.updateJob(jobId, {
+            status: jobStore.JOB_STATUS.CANCELLED,
+            error: '渲染已被取消',
+            finishedAt: new Date().toISOString()
+        });
+        cleanupJobFiles(job);
+        console.log(`[Jobs] 已取消排队中的任务 ${jobId}`);
+        emitJobEvent(jobId, 'done', buildJobResultPayload(job));
+    } else if (job.status === jobStore.JOB_STATUS.RUNNING) {
+        jobStore.updateJob(jobId, { cancelRequested: true });
+        const child = runningRenders.get(jobId);
+        if (child) {
+            console.log(`[Jobs] 正在结束任务 ${jobId} 的PBRT进程 ${child.pid}`);
+            killProcessTree(child);
+        }
+        const tiledController = runningTiledRenders.get(jobId);
+        if (tiledController) {
+            console.log(`[Jobs] 正在取消任务 ${jobId} 的分块渲染`);
+            tiledController.abort();
+        }
+    }
+    return job;
+}
+
+/**
+ * 等待任务结束（成功、失败或取消）
+ * @param {string} jobId 任务ID
+ * @returns {Promise<Object>} 结束后的任务
+ */
+function waitForJob(jobId) {
+    return new Promise((resolve) => {
+        const listener = ({ event }) => {
+            if (event === 'done') {
+                jobEvents.off(jobId, listener);
+                resolve(jobStore.getJob(jobId));
+            }
+        };
+        jobEvents.on(jobId, listener);
+    });
+}
+
+/**
+ * 判断任务是否已经结束
+ * @param {Object} job 渲染任务
+ * @returns {boolean}
+ */
+function isJobFinished(job) {
+    return [
+        jobStore.JOB_STATUS.SUCCESS,
+        jobStore.JOB_STATUS.FAILED,
+        jobStore.JOB_STATUS.CANCELLED
+    ].includes(job.status);
+}
+
+// 任务事件，事件名为任务ID，供 SSE 推送使用
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// 运行中的任务在内存中保留的最近日志行数，完整日志逐行以JSON格式写入任务目录的 render.log，
+// 任务结束后从内存中删除，之后从 render.log 读取
+const JOB_LOG_LIMIT = 500;
+const JOB_LOG_FILE = 'render.log';
+const jobLogs = new Map();
+const jobLogStreams = new Map();
+
+/**
+ * 向订阅者推送任务事件，任务结束（done）时发送回调通知
+ * @param {string} jobId 任务ID
+ * @param {string} event 事件类型（status, queue, progress, log, done）
+ * @param {Object} data 事件数据
+ */
+function emitJobEvent(jobId, event, data) {
+    jobEvents.emit(jobId, { event, data });
+    if (event === 'done') {
+        notifyJobFinished(jobId);
+    }
+}
+
+/**
+ * 记录一行PBRT日志并推送给订阅者
+ * @param {string} jobId 任务ID
+ * @param {string} line 日志行
+ * @param {string} stream 来源（stdout、stderr 或 server）
+ */
+function appendJobLog(jobId, line, stream) {
+    const entry = { line, stream, time: new Date().toISOString() };
+    if (!jobLogs.has(jobId)) {
+        jobLogs.set(jobId, []);
+    }
+    const lines = jobLogs.get(jobId);
+    lines.push(entry);
+    if (lines.length > JOB_LOG_LIMIT) {
+        lines.shift();
+    }
+    if (!jobLogStreams.has(jobId)) {
+        const stream = fs.createWriteStream(path.join(jobStore.getJobDir(jobId), JOB_LOG_FILE), { flags: 'a' });
+        stream.on('error', err => console.warn(`[Jobs] 写入任务 ${jobId} 的日志失败: ${err.message}`));
+        jobLogStreams.set(jobId, stream);
+    }
+    jobLogStreams.get(jobId).write(`${JSON.stringify(entry)}\n`);
+    emitJobEvent(jobId, 'log', entry);
+}
+
+/**
+ * 关闭任务的日志文件，并删除内存中的最近日志
+ * @param {string} jobId 任务ID
+ */
+function closeJobLog(jobId) {
+    jobLogs.delete(jobId);
+    const stream = jobLogStreams.get(jobId);
+    if (stream) {
+        jobLogStreams.delete(jobId);
+        stream.end();
+    }
+}
+
+/**
+ * 读取任务的完整日志
+ * @param {string} jobId 任务ID
+ * @returns {Array} [{ line, stream, time }]，没有日志时返回空数组
+ */
+function readJobLog(jobId) {
+    const logPath = path.join(jobStore.getJobDir(jobId), JOB_LOG_FILE);
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+    return fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            // 写入中断时最后一行可能不完整
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * 生成任务结束时推送的结果数据
+ * @param {Object} job 渲染任务
+ * @returns {Object} { status, imageUrl, error, startedAt, finishedAt }
+ */
+function buildJobResultPayload(job) {
+    return {
+        status: job.status,
+        imageUrl: job.status === jobStore.JOB_STATUS.SUCCESS ? getJobResultUrl(job) : null,
+        error: job.error,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// 动画任务的类型，动画本身不经过渲染队列，其每一帧是一个普通的渲染任务
+const ANIMATION_JOB_TYPE = 'animation';
+
+/**
+ * 汇总动画及其各帧的渲染状态
+ * @param {Object} animation 动画任务
+ * @returns {Object} 动画状态，frames 为每一帧的任务ID、状态和进度
+ */
+function describeAnimation(animation) {
+    const frames = animation.frameJobs.map((jobId, frame) => {
+        const job = jobStore.getJob(jobId) || {};
+        let percent = 0;
+        if (job.status === jobStore.JOB_STATUS.SUCCESS) {
+            percent = 100;
+        } else if (job.status === jobStore.JOB_STATUS.RUNNING && job.progress) {
+            percent = job.progress.percent;
+        }
+        return { frame, taskId: jobId, status: job.status || 'not_found', percent, error: job.error || null };
+    });
+    const completedFrames = frames.filter(frame => frame.status === jobStore.JOB_STATUS.SUCCESS).length;
+    return {
+        animationId: animation.id,
+        status: animation.status,
+        error: animation.error,
+        frameCount: animation.frameCount,
+        fps: animation.fps,
+        completedFrames,
+        failedFrames: frames.filter(frame => frame.status === jobStore.JOB_STATUS.FAILED).length,
+        percent: frames.reduce((sum, frame) => sum + frame.percent, 0) / frames.length,
+        video: animation.video,
+        renderSettings: animation.effectiveSettings,
+        createdAt: animation.createdAt,
+        finishedAt: animation.finishedAt,
+        resultUrl: isJobFinished(animation) && animation.status === jobStore.JOB_STATUS.SUCCESS ? getJobResultUrl(animation) : null,
+        frames
+    };
+}
+
+/**
+ * 跟踪动画的一帧：转发该帧的进度，结束时检查整个动画是否完成
+ * @param {string} animationId 动画任务ID
+ * @param {string} frameJobId 帧的渲染任务ID
+ */
+function watchAnimationFrame(animationId, frameJobId) {
+    const listener = ({ event }) => {
+        if (event === 'progress') {
+            const { percent, completedFrames, frameCount } = describeAnimation(jobStore.getJob(animationId));
+            emitJobEvent(animationId, 'progress', {
+                percent,
+                frames: { completed: completedFrames, total: frameCount }
+            });
+        } else if (event === 'done') {
+            jobEvents.off(frameJobId, listener);
+            onAnimationFrameDone(animationId, frameJobId);
+        }
+    };
+    jobEvents.on(frameJobId, listener);
+}
+
+/**
+ * 动画的一帧结束后：帧渲染失败时取消剩余的帧，所有帧结束后完成动画
+ * @param {string} animationId 动画任务ID
+ * @param {string} frameJobId 结束的帧的渲染任务ID
+ */
+function onAnimationFrameDone(animationId, frameJobId) {
+    const animation = jobStore.getJob(animationId);
+    if (!animation || isJobFinished(animation) || animation.finishing) {
+        return;
+    }
+    const frames = animation.frameJobs.map(jobId => jobStore.getJob(jobId));
+    const failedIndex = frames.findIndex(job => job.status === jobStore.JOB_STATUS.FAILED);
+    if (failedIndex !== -1 && !animation.error) {
+        jobStore.updateJob(animationId, { error: `第 ${failedIndex} 帧渲染失败: ${frames[failedIndex].error}` });
+        console.error(`[Animation] 动画 ${animationId} ${animation.error}，取消剩余的帧`);
+        cancelAnimation(animation);
+        return;
+    }
+
+    const { percent, completedFrames, frameCount } = describeAnimation(animation);
+    emitJobEvent(animationId, 'progress', {
+        percent,
+        frames: { completed: completedFrames, total: frameCount }
+    });
+    enqueueAnimationFrames(animation);
+    const frameJob = jobStore.getJob(frameJobId);
+    appendJobLog(animationId, `第 ${animation.frameJobs.indexOf(frameJobId)} 帧${frameJob.status === jobStore.JOB_STATUS.SUCCESS ? '渲染完成' : '已结束'}，` +
+        `已完成 ${completedFrames}/${frameCount} 帧`, 'server');
+    if (frames.every(isJobFinished)) {
+        finishAnimation(animation, frames).catch(err => console.error(`[Animation] 完成动画 ${animationId} 失败: ${err.message}`));
+    }
+}
+
+/**
+ * 取消动画所有未完成的帧，帧全部结束后动画被标记为已取消（或因帧失败而失败）
+ * @param {Object} animation 动画任务
+ */
+function cancelAnimation(animation) {
+    jobStore.updateJob(animation.id, { cancelRequested: true });
+    animation.frameJobs
+        .map(jobId => jobStore.getJob(jobId))
+        .filter(job => job && !isJobFinished(job))
+        .forEach(job => cancelRenderJob(job.id));
+}
+
+/**
+ * 所有帧结束后完成动画：请求了视频且所有帧渲染成功时用 ffmpeg 编码视频，并删除共用的工作区
+ * @param {Object} animation 动画任务
+ * @param {Array} frames 各帧的渲染任务
+ */
+async function finishAnimation(animation, frames) {
+    jobStore.updateJob(animation.id, { finishing: true }, { persist: false });
+    let status = jobStore.JOB_STATUS.SUCCESS;
+    let error = animation.error;
+    if (animation.error) {
+        status = jobStore.JOB_STATUS.FAILED;
+    } else if (frames.some(job => job.status !== jobStore.JOB_STATUS.SUCCESS)) {
+        status = jobStore.JOB_STATUS.CANCELLED;
+    }
+
+    let video = animation.video;
+    if (video && status === jobStore.JOB_STATUS.SUCCESS) {
+        try {
+            appendJobLog(animation.id, `正在编码 ${video.format} 视频`, 'server');
+            await encodeAnimationVideo(animation, frames);
+            video = Object.assign({}, video, { status: 'success' });
+        } catch (error) {
+            // 视频是附加的输出，编码失败时帧仍然可以下载
+            console.warn(`[Animation] 动画 ${animation.id} 视频编码失败: ${error.message}`);
+            video = Object.assign({}, video, { status: 'failed', error: error.message });
+        }
+    } else if (video) {
+        video = Object.assign({}, video, { status: 'skipped' });
+    }
+    if (animation.turntable && status === jobStore.JOB_STATUS.SUCCESS) {
+        try {
+            await saveModelTurntable(animation, frames);
+        } catch (saveError) {
+            console.error(`[Turntable] 保存模型 ${animation.turntable.modelId} 的转盘预览失败: ${saveError.message}`);
+            status = jobStore.JOB_STATUS.FAILED;
+            error = `保存转盘预览失败: ${saveError.message}`;
+        }
+    }
+    if (animation.workspaceDir) {
+        fs.rmSync(animation.workspaceDir, { recursive: true, force: true });
+    }
+
+    jobStore.updateJob(animation.id, {
+        status,
+        error: status === jobStore.JOB_STATUS.CANCELLED ? '动画渲染已被取消' : error,
+        video,
+        finishing: false,
+        finishedAt: new Date().toISOString()
+    });
+    console.log(`[Animation] 动画 ${animation.id} 结束，状态: ${status}`);
+    closeJobLog(animation.id);
+    emitJobEvent(animation.id, 'done', buildJobResultPayload(jobStore.getJob(animation.id)));
+}
+
+/**
+ * 将动画的各帧色调映射为PNG后编码为视频，保存到动画的任务目录
+ * @param {Object} animation 动画任务
+ * @param {Array} frames 各帧的渲染任务
+ * @throws {Error} ffmpeg 不可用或编码失败时
+ */
+async function encodeAnimationVideo(animation, frames) {
+    const capabilities = await detectCapabilities({ gpuDevice: parseInt(renderSettings.gpuDevice, 10) || 0 });
+    if (!capabilities.ffmpeg.available) {
+        throw new Error(`生成视频需要安装 ffmpeg: ${capabilities.ffmpeg.error}`);
+    }
+    const frameDir = path.join(PBRT_OUTPUT_DIR, `animation-${animation.id}`);
+    fs.mkdirSync(frameDir, { recursive: true });
+    try {
+        for (const [index, job] of frames.entries()) {
+            const pngData = await exrImage.convertExr(fs.readFileSync(job.outputPath), {
+                format: 'png',
+                tonemap: animation.output.tonemap,
+                exposure: animation.output.exposure
+            });
+            fs.writeFileSync(path.join(frameDir, `frame-${String(index).padStart(4, '0')}.png`), pngData);
+        }
+        await videoEncoder.encodeVideo(path.join(frameDir, 'frame-%04d.png'), getAnimationVideoPath(animation), {
+            format: animation.video.format,
+            fps: animation.fps
+        });
+    } finally {
+        fs.rmSync(frameDir, { recursive: true, force: true });
+    }
+}
+
+function getAnimationVideoPath(animation) {
+    return path.join(jobStore.getJobDir(animation.id), `animation.${animation.video.format}`);
+}
+
+// 队列已满而暂时无法排入后续帧的动画，队列有空位时继续排队
+const animationsAwaitingQueue = new Set();
+
+renderScheduler.on('change', () => {
+    if (animationsAwaitingQueue.size === 0 || renderScheduler.isFull()) {
+        return;
+    }
+    const animationIds = Array.from(animationsAwaitingQueue);
+    animationsAwaitingQueue.clear();
+    animationIds
+        .map(animationId => jobStore.getJob(animationId))
+        .filter(animation => animation && !isJobFinished(animation))
+        .forEach(enqueueAnimationFrames);
+});
+
+/**
+ * 将动画尚未排队的帧按顺序交给渲染调度器，同时排队和运行的帧不超过最大并发渲染数，
+ * 其余的帧在前面的帧结束后再排队，避免一个动画占满渲染队列
+ * @param {Object} animation 动画任务
+ */
+function enqueueAnimationFrames(animation) {
+    if (animation.cancelRequested) {
+        return;
+    }
+    const frames = animation.frameJobs.map(jobId => jobStore.getJob(jobId)).filter(Boolean);
+    const waiting = frames.filter(job => job.status === jobStore.JOB_STATUS.PENDING && renderScheduler.getPosition(job.id) === null);
+    let active = frames.filter(job => !isJobFinished(job) && renderScheduler.getPosition(job.id) !== null).length;
+    while (waiting.length > 0 && active < renderScheduler.maxConcurrent && !renderScheduler.isFull()) {
+        const job = waiting.shift();
+        enqueueRenderJob(job.id, { priority: job.priority });
+        active++;
+    }
+    if (waiting.length > 0 && active < renderScheduler.maxConcurrent) {
+        animationsAwaitingQueue.add(animation.id);
+    }
+}
+
+/**
+ * 创建动画任务：为每一帧写出场景文件并创建渲染任务，帧随前面的帧结束逐步进入渲染队列（调用方负责检查队列容量）
+ * @param {Object} options 动画参数
+ * @param {string} options.sceneDir 帧场景文件所在目录，场景中的相对路径相对于该目录
+ * @param {string} [options.workspaceDir] 各帧共用的场景包工作区，动画结束时删除
+ * @param {number} options.frameCount 帧数
+ * @param {Function} options.buildFrame 生成第 frame 帧场景内容的函数 (frame)
+ * @param {Object} options.backendOptions parseRenderBackendOptions 返回的渲染后端参数
+ * @param {number} [options.priority=0] 排队优先级
+ * @returns {Object} 动画任务，options 中的其他字段（如 animation, fps, video, output, overrides, effectiveSettings）保存在任务中
+ */
+function startAnimation(options) {
+    const { sceneDir, buildFrame, backendOptions, ...fields } = options;
+    const priority = options.priority || 0;
+    const animationJob = jobStore.createJob(Object.assign({
+        type: ANIMATION_JOB_TYPE,
+        source: 'animation',
+        video: null,
+        workspaceDir: null,
+        status: jobStore.JOB_STATUS.RUNNING,
+        startedAt: new Date().toISOString()
+    }, fields, { frameJobs: [] }));
+
+    const frameJobs = [];
+    for (let frame = 0; frame < options.frameCount; frame++) {
+        const frameName = `frame-${String(frame).padStart(4, '0')}`;
+        const scenePath = path.join(sceneDir, `animation-${animationJob.id}-${frameName}.pbrt`);
+        fs.writeFileSync(scenePath, buildFrame(frame), 'utf8');
+        const job = jobStore.createJob({
+            userId: animationJob.userId,
+            source: 'animation',
+            animationId: animationJob.id,
+            frame,
+            filename: `${frameName}.pbrt`,
+            scenePath,
+            workspaceDir: animationJob.workspaceDir,
+            keepWorkspace: true,
+            priority,
+            backend: backendOptions.backend,
+            nthreads: backendOptions.nthreads,
+            tiles: backendOptions.tiles,
+            output: animationJob.output,
+            overrides: animationJob.overrides,
+            effectiveSettings: animationJob.effectiveSettings
+        });
+        frameJobs.push(job.id);
+    }
+    jobStore.updateJob(animationJob.id, { frameJobs });
+    frameJobs.forEach(jobId => watchAnimationFrame(animationJob.id, jobId));
+    enqueueAnimationFrames(jobStore.getJob(animationJob.id));
+    return jobStore.getJob(animationJob.id);
+}
+
+// 转盘预览保存在模型目录的 turntable 子目录，与 info.json 放在一起
+const TURNTABLE_DIR_NAME = 'turntable';
+const TURNTABLE_CONTACT_SHEET = 'contact-sheet.png';
+
+/**
+ * 将转盘的各帧色调映射为PNG，与拼接的预览图一起保存到模型目录，并记录到模型的 info.json
+ * @param {Object} animation 转盘的动画任务
+ * @param {Array} frames 各帧的渲染任务
+ * @throws {Error} 模型已被删除或写入失败时
+ */
+async function saveModelTurntable(animation, frames) {
+    const { modelId, options, bounds } = animation.turntable;
+    const modelDir = path.join(MODELS_DIR, modelId);
+    const infoPath = path.join(modelDir, 'info.json');
+    if (!fs.existsSync(infoPath)) {
+        throw new Error('模型已被删除');
+    }
+    const turntableDir = path.join(modelDir, TURNTABLE_DIR_NAME);
+    fs.rmSync(turntableDir, { recursive: true, force: true });
+    fs.mkdirSync(turntableDir, { recursive: true });
+
+    const images = [];
+    const frameFiles = [];
+    for (const [index, job] of frames.entries()) {
+        const pixels = exrImage.tonemap(await exrImage.readExr(job.outputPath), {
+            operator: animation.output.tonemap,
+            exposure: animation.output.exposure
+        });
+        const filename = `frame-${String(index).padStart(3, '0')}.png`;
+        fs.writeFileSync(path.join(turntableDir, filename), exrImage.encodePng(pixels));
+        frameFiles.push(`${TURNTABLE_DIR_NAME}/${filename}`);
+        images.push(pixels);
+    }
+    fs.writeFileSync(path.join(turntableDir, TURNTABLE_CONTACT_SHEET), exrImage.encodePng(turntable.buildContactSheet(images, options.columns)));
+
+    const modelInfo = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+    modelInfo.turntable = {
+        frames: frameFiles,
+        contact_sheet: `${TURNTABLE_DIR_NAME}/${TURNTABLE_CONTACT_SHEET}`,
+        angles: frames.map((job, index) => turntable.getTurntableAngle(index, frames.length)),
+        bounds: { min: bounds.min, max: bounds.max },
+        settings: options,
+        animation_id: animation.id,
+        render_date: new Date().toISOString()
+    };
+    fs.writeFileSync(infoPath, JSON.stringify(modelInfo, null, 4), 'utf8');
+    console.log(`[Turntable] 已保存模型 ${modelId} 的转盘预览，共 ${frames.length} 帧`);
+}
+
+// 模型缩略图：转换或变换模型后自动以低优先级渲染，优先使用变换后的 momo.pbrt
+const THUMBNAIL_FILENAME = 'thumbnail.png';
+const THUMBNAIL_OPTIONS = turntable.parseTurntableOptions({ frames: 1, xresolution: 256, yresolution: 256, pixelsamples: 16 });
+// 缩略图的观察角度（度），从斜前方展示模型
+const THUMBNAIL_ANGLE = 35;
+const THUMBNAIL_PRIORITY = -10;
+// 正在生成的缩略图任务，键为模型ID
+const modelThumbnailJobs = new Map();
+
+/**
+ * 获取生成缩略图使用的模型场景：存在 momo.pbrt 时使用变换后的场景，否则使用 nono.pbrt
+ * @param {string} modelId 模型ID
+ * @returns {Object|null} { name, path, mtimeMs }，模型尚未转换时返回 null
+ */
+function getThumbnailSource(modelId) {
+    const modelDir = path.join(MODELS_DIR, modelId);
+    for (const name of ['momo.pbrt', 'nono.pbrt']) {
+        const scenePath = path.join(modelDir, name);
+        if (fs.existsSync(scenePath)) {
+            return { name, path: scenePath, mtimeMs: fs.statSync(scenePath).mtimeMs };
+        }
+    }
+    return null;
+}
+
+/**
+ * 检查模型的缩略图是否需要重新生成：没有缩略图，或模型场景在缩略图生成后被修改
+ * @param {string} modelId 模型ID
+ * @returns {boolean}
+ */
+function isThumbnailStale(modelId) {
+    const source = getThumbnailSource(modelId);
+    if (!source) {
+        return false;
+    }
+    const thumbnailPath = path.join(MODELS_DIR, modelId, THUMBNAIL_FILENAME);
+    return !fs.existsSync(thumbnailPath) || fs.statSync(thumbnailPath).mtimeMs < source.mtimeMs;
+}
+
+/**
+ * 为模型创建缩略图渲染任务，已有未完成的缩略图任务时将其取消。缩略图使用转盘预览的影棚场景，
+ * 强制进入渲染队列并排在普通任务之后
+ * @param {string} modelId 模型ID
+ * @returns {Object|null} 渲染任务，模型尚未转换或没有可以计算包围盒的几何体时返回 null
+ */
+function generateModelThumbnail(modelId) {
+    const source = getThumbnailSource(modelId);
+    if (!source) {
+        return null;
+    }
+    let bounds;
+    try {
+        bounds = sceneBounds.computeSceneBounds(pbrtParser.parse(fs.readFileSync(source.path, 'utf8')));
+    } catch (error) {
+        console.warn(`[Thumbnail] 无法解析模型 ${modelId} 的 ${source.name}: ${error.message}`);
+        return null;
+    }
+    if (!bounds.min) {
+        console.warn(`[Thumbnail] 模型 ${modelId} 的 ${source.name} 中没有可以计算包围盒的几何体，跳过缩略图`);
+        return null;
+    }
+
+    const previousJobId = modelThumbnailJobs.get(modelId);
+    if (previousJobId) {
+        cancelRenderJob(previousJobId);
+    }
+    const scenePath = path.join(uploadsDir, `thumbnail-${modelId}-${uuid.v4()}.pbrt`);
+    fs.writeFileSync(scenePath, turntable.buildTurntableScene(bounds, THUMBNAIL_OPTIONS, {
+        include: `models/${modelId}/${source.name}`,
+        angle: THUMBNAIL_ANGLE
+    }), 'utf8');
+    const job = jobStore.createJob({
+        userId: null,
+        source: 'thumbnail',
+        modelId,
+        thumbnailSource: source.name,
+        filename: `thumbnail-${modelId}.pbrt`,
+        scenePath,
+        priority: THUMBNAIL_PRIORITY,
+        output: { format: 'png', tonemap: 'reinhard', exposure: 0 },
+        overrides: {},
+        effectiveSettings: {
+            xresolution: THUMBNAIL_OPTIONS.xresolution,
+            yresolution: THUMBNAIL_OPTIONS.yresolution,
+            pixelsamples: THUMBNAIL_OPTIONS.pixelsamples,
+            maxdepth: 5,
+            integrator: 'volpath',
+            cropwindow: null,
+            seed: null
+        }
+    });
+    watchModelThumbnail(modelId, job.id);
+    enqueueRenderJob(job.id, { priority: THUMBNAIL_PRIORITY, force: true });
+    console.log(`[Thumbnail] 已创建模型 ${modelId} 的缩略图任务 ${job.id}，使用 ${source.name}`);
+    return job;
+}
+
+/**
+ * 跟踪缩略图任务，渲染成功后保存到模型目录并将缩略图URL写入 info.json
+ * @param {string} modelId 模型ID
+ * @param {string} jobId 缩略图渲染任务ID
+ */
+function watchModelThumbnail(modelId, jobId) {
+    modelThumbnailJobs.set(modelId, jobId);
+    const listener = ({ event }) => {
+        if (event !== 'done') {
+            return;
+        }
+        jobEvents.off(jobId, listener);
+        if (modelThumbnailJobs.get(modelId) === jobId) {
+            modelThumbnailJobs.delete(modelId);
+        }
+        const job = jobStore.getJob(jobId);
+        if (job.status !== jobStore.JOB_STATUS.SUCCESS) {
+            console.warn(`[Thumbnail] 模型 ${modelId} 的缩略图任务 ${jobId} 未成功: ${job.error}`);
+            return;
+        }
+        saveModelThumbnail(modelId, job).catch(err => console.error(`[Thumbnail] 保存模型 ${modelId} 的缩略图失败: ${err.message}`));
+    };
+    jobEvents.on(jobId, listener);
+}
+
+async function saveModelThumbnail(modelId, job) {
+    const modelDir = path.join(MODELS_DIR, modelId);
+    const infoPath = path.join(modelDir, 'info.json');
+    if (!fs.existsSync(infoPath)) {
+        console.warn(`[Thumbnail] 模型 ${modelId} 已被删除，丢弃缩略图`);
+        return;
+    }
+    const thumbnailPath = path.join(modelDir, THUMBNAIL_FILENAME);
+    fs.writeFileSync(thumbnailPath, await exrImage.convertExr(fs.readFileSync(job.outputPath), job.output));
+
+    // URL 带上修改时间，缩略图更新后客户端缓存自然失效
+    const modelInfo = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+    modelInfo.thumbnail = `/v1/model/${modelId}/thumbnail?v=${Math.floor(fs.statSync(thumbnailPath).mtimeMs)}`;
+    modelInfo.thumbnail_source = job.thumbnailSource;
+    modelInfo.thumbnail_date = new Date().toISOString();
+    fs.writeFileSync(infoPath, JSON.stringify(modelInfo, null, 4), 'utf8');
+    console.log(`[Thumbnail] 已保存模型 ${modelId} 的缩略图`);
+}
+
+// 服务重启前未完成的任务重新排队
+pendingJobs.forEach(job => {
+    const animation = job.animationId ? jobStore.getJob(job.animationId) : null;
+    if (animation && isJobFinished(animation)) {
+        // 服务重启后动画已被中断，剩余的帧不再渲染
+        cleanupJobFiles(job);
+        jobStore.updateJob(job.id, {
+            status: jobStore.JOB_STATUS.CANCELLED,
+            error: '所属的动画渲染已被中断',
+            finishedAt: new Date().toISOString()
+        });
+    } else if (job.scenePath && fs.existsSync(job.scenePath)) {
+        if (job.source === 'thumbnail') {
+            watchModelThumbnail(job.modelId, job.id);
+        }
+        enqueueRenderJob(job.id, { priority: job.priority, force: true });
+    } else {
+        jobStore.updateJob(job.id, {
+            status: jobStore.JOB_STATUS.FAILED,
+            error: '场景文件已丢失，无法继续渲染',
+            finishedAt: new Date().toISOString()
+        });
+    }
+});
+
+// 清理服务重启前被中断的任务遗留的场景包工作区
+if (fs.existsSync(WORKSPACES_DIR)) {
+    const activeWorkspaces = new Set(pendingJobs
+        .filter(job => job.status === jobStore.JOB_STATUS.PENDING)
+        .map(job => job.workspaceDir));
+    fs.readdirSync(WORKSPACES_DIR)
+        .map(name => path.join(WORKSPACES_DIR, name))
+        .filter(dir => !activeWorkspaces.has(dir))
+        .forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+/**
+ * @route POST /v1/upload
+ * @description 上传 PBRT 文件
+ * @param {string} userId - 用户唯一标识
+ * @param {file} pbrtFile - 要上传的 PBRT 文件
+ * @param {number} [priority=0] - 可选的排队优先级，数值越大越先渲染
+ * @param {string} [backend] - 可选的渲染后端 auto, gpu, cpu，默认使用配置文件中的设置
+ * @param {number} [nthreads] - 可选的渲染线程数
+ * @param {number} [tiles] - 可选的分块数，大于1时按裁剪窗口拆分后由多个工作进程或工作节点并行渲染
+ * @param {string} [format=exr] - 可选的结果图像格式 exr, png, jpeg, webp
+ * @param {string} [tonemap=reinhard] - 可选的色调映射算子 reinhard, aces, linear
+ * @param {number} [exposure=0] - 可选的曝光补偿（EV档）
+ * @param {number} [xresolution] - 可选的水平分辨率覆盖
+ * @param {number} [yresolution] - 可选的垂直分辨率覆盖
+ * @param {number} [pixelsamples] - 可选的每像素采样数覆盖
+ * @param {number} [maxdepth] - 可选的最大光线深度覆盖
+ * @param {string} [integrator] - 可选的积分器覆盖，如 volpath, path, bdpt
+ * @param {string} [cropwindow] - 可选的裁剪窗口 x0,x1,y0,y1（0到1）
+ * @param {number} [seed] - 可选的随机种子
+ * @param {string} [envmap] - 可选的环境贴图ID，场景的 infinite 光源改为使用环境贴图库中的该贴图
+ * @param {string} [upgrade] - 为 'true' 时渲染前将PBRT-v3场景升级为PBRT-v4
+ * @param {string} [callbackUrl] - 可选的回调地址，渲染结束时POST签名的 render.completed 事件（需要配置 webhooks.secret）
+ * @returns {Object} 包含任务ID、排队位置、实际渲染设置和场景升级记录的响应
+ * @throws {400} 如果缺少用户ID或文件
+ * @throws {422} 场景升级失败时
+ * @throws {429} 渲染队列已满时
+ */
+app.post('/v1/upload', upload.single('pbrtFile'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '上传PBRT文件进行渲染'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: 'true',
+            description: '要上传的PBRT文件'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '上传成功',
+            schema: {
+                uuid: '任务标识UUID',
+                filename: '上传的文件名',
+                status: '任务状态'
+            }
+        }
+    */
+    // #swagger.responses[400] = { description: '请求错误或场景语法错误' }
+    // #swagger.responses[403] = { description: '场景引用了不安全的路径' }
+    const userId = req.body.userId;
+    if (!userId) {
+        return res.status(400).json({ error: 'Missing userId in request body' });
+    }
+    if (!req.file) {
+        return res.status(400).json({ error: 'No pbrtFile uploaded' });
+    }
+
+    const pbrtFilePath = path.resolve(req.file.path);
+
+    const backendOptions = parseRenderBackendOptions(req.body);
+    const outputOptions = parseOutputImageOptions(req.body);
+    const overrideOptions = parseRenderOverrides(req.body);
+    const callback = parseCallbackUrl(req.body.callbackUrl);
+    const optionsError = backendOptions.error || outputOptions.error || overrideOptions.error || callback.error;
+    if (optionsError) {
+        fs.unlinkSync(pbrtFilePath);
+        return res.status(400).json({ error: optionsError });
+    }
+
+    // 安全检查：与调试渲染相同，拒绝有语法错误或包含目录遍历路径的场景
+    const fileContent = fs.readFileSync(pbrtFilePath, 'utf8');
+    const prepared = prepareUploadedScene(fileContent, path.dirname(pbrtFilePath));
+    if (prepared.error) {
+        console.error(`[Security] 拒绝处理文件 ${pbrtFilePath}: ${prepared.error}`);
+        fs.unlinkSync(pbrtFilePath);
+        const { status, ...body } = prepared;
+        return res.status(status).json(body);
+    }
+    if (prepared.content !== fileContent) {
+        fs.writeFileSync(pbrtFilePath, prepared.content, 'utf8');
+    }
+
+    // 自动将PBRT-v3场景升级为PBRT-v4
+    let upgradeResults = null;
+    let effectiveSettings;
+    try {
+        if (req.body.upgrade === 'true') {
+            upgradeResults = await upgradeSceneFiles(path.dirname(pbrtFilePath), [path.basename(pbrtFilePath)]);
+            upgradeResults[0].file = req.file.originalname;
+            console.log(`[Upload] 场景升级完成: ${JSON.stringify(summarizeUpgrade(upgradeResults))}`);
+        }
+        effectiveSettings = applyRenderOverrides(pbrtFilePath, overrideOptions.overrides);
+    } catch (error) {
+        fs.rmSync(pbrtFilePath, { force: true });
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            return res.status(error.status).json({
+                error: `场景语法错误: ${error.message}`,
+                line: error.line,
+                column: error.column
+            });
+        }
+        if (error instanceof sceneUpgrade.SceneUpgradeError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    try {
+        renderScheduler.assertCapacity();
+    } catch (error) {
+        fs.unlinkSync(pbrtFilePath);
+        return sendQueueFull(res, error);
+    }
+
+    const priority = parseInt(req.body.priority, 10) || 0;
+    const job = jobStore.createJob({
+        userId: userId,
+        filename: req.file.originalname,
+        scenePath: pbrtFilePath,
+        priority: priority,
+        backend: backendOptions.backend,
+        nthreads: backendOptions.nthreads,
+        tiles: backendOptions.tiles,
+        output: outputOptions,
+        overrides: overrideOptions.overrides,
+        effectiveSettings: effectiveSettings,
+        callbackUrl: callback.url
+    });
+    const queuePosition = enqueueRenderJob(job.id, { priority });
+
+    console.log(`[Upload] User ID: ${userId}, Task ID: ${job.id}, File: ${req.file.path}, Queue position: ${queuePosition}`);
+    res.json({
+        taskId: job.id,
+        status: job.status,
+        queuePosition: queuePosition,
+        renderSettings: effectiveSettings,
+        upgrade: upgradeResults
+    });
+}));
+
+/**
+ * @route GET /v1/status
+ * @description 获取渲染任务状态
+ * @query {string} id - 任务ID
+ * @query {string} [userId] - 可选的用户ID
+ * @returns {Object} 任务状态信息
+ * - 状态可能为: 'pending', 'running', 'success', 'failed', 'cancelled', 'not_found'
+ * @throws {400} 如果缺少任务ID
+ */
+app.get('/v1/status', (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '获取渲染任务状态'
+    /* #swagger.parameters['uuid'] = {
+            in: 'query',
+            description: '任务的UUID',
+            required: true,
+            type: 'string'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '成功获取状态',
+            schema: {
+                status: '任务状态',
+                imageUrl: '渲染图像下载地址(如果已完成)',
+                error: '失败原因(如果失败)'
+            }
+        }
+    */
+    // #swagger.responses[404] = { description: '任务不存在' }
+    const taskId = req.query.id;
+    const userId = req.query.userId;
+
+    if (!taskId) {
+        return res.status(400).json({ error: 'Missing task id' });
+    }
+
+    const job = jobStore.getJob(taskId);
+    if (!job || (userId && job.userId !== userId)) {
+        console.log(`[Status] Task ID: ${taskId}, User ID: ${userId || 'N/A'}, Status: not_found`);
+        return res.status(404).json({ status: 'not_found', error: '任务不存在' });
+    }
+
+    console.log(`[Status] Task ID: ${taskId}, User ID: ${userId || 'N/A'}, Status: ${job.status}`);
+
+    if (job.status === jobStore.JOB_STATUS.SUCCESS) {
+        res.json({ status: 'success', imageUrl: getJobResultUrl(job) });
+    } else if (job.status === jobStore.JOB_STATUS.FAILED) {
+        res.status(500).json({ status: 'failed', error: job.error });
+    } else if (job.status === jobStore.JOB_STATUS.CANCELLED) {
+        res.json({ status: 'cancelled', error: job.error });
+    } else {
+        res.json({ status: job.status, queuePosition: renderScheduler.getPosition(job.id) });
+    }
+});
+
+/**
+ * 获取任务渲染结果的下载地址
+ * @param {Object} job 渲染任务
+ * @returns {string} 结果下载URL
+ */
+function getJobResultUrl(job) {
+    if (job.turntable) {
+        return `/v1/model/${job.turntable.modelId}/turntable`;
+    }
+    return job.type === ANIMATION_JOB_TYPE ? `/v1/animations/${job.id}/result` : `/v1/jobs/${job.id}/result`;
+}
+
+/**
+ * @route GET /v1/jobs/:id/result
+ * @description 下载渲染任务生成的图像
+ * @param {string} id - 任务ID
+ * @query {string} [format] - 可选的输出格式 exr, png, jpeg, webp，默认使用创建任务时指定的格式
+ * @query {string} [tonemap] - 可选的色调映射算子 reinhard, aces, linear（仅非EXR格式）
+ * @query {number} [exposure] - 可选的曝光补偿（EV档，仅非EXR格式）
+ * @returns {Buffer} 渲染图像
+ * @throws {400} 输出参数无效时
+ * @throws {404} 任务不存在或尚未渲染完成时
+ */
+app.get('/v1/jobs/:id/result', asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '下载渲染任务生成的图像，非EXR格式在服务端进行色调映射'
+    /* #swagger.parameters['id'] = {
+            in: 'path',
+            description: '任务ID',
+            required: true,
+            type: 'string'
+        }
+       #swagger.parameters['format'] = {
+            in: 'query',
+            description: '输出格式 exr, png, jpeg, webp',
+            required: false,
+            type: 'string'
+        }
+       #swagger.parameters['tonemap'] = {
+            in: 'query',
+            description: '色调映射算子 reinhard, aces, linear',
+            required: false,
+            type: 'string'
+        }
+       #swagger.parameters['exposure'] = {
+            in: 'query',
+            description: '曝光补偿（EV档），像素值乘以2^exposure',
+            required: false,
+            type: 'number'
+        }
+    */
+    // #swagger.responses[200] = { description: '渲染图像' }
+    // #swagger.responses[400] = { description: '输出参数无效' }
+    // #swagger.responses[404] = { description: '任务不存在或尚未完成' }
+    const job = jobStore.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+    if (job.status !== jobStore.JOB_STATUS.SUCCESS || !job.outputPath || !fs.existsSync(job.outputPath)) {
+        return res.status(404).json({ error: '渲染结果不存在', status: job.status });
+    }
+
+    const outputOptions = parseOutputImageOptions(req.query, job.output);
+    if (outputOptions.error) {
+        return res.status(400).json({ error: outputOptions.error });
+    }
+
+    const extension = outputOptions.format === 'jpeg' ? 'jpg' : outputOptions.format;
+    const downloadName = `${path.basename(job.filename || 'render', '.pbrt')}-${job.id}.${extension}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
+    if (outputOptions.format === 'exr') {
+        res.setHeader('Content-Type', 'image/x-exr');
+        return fs.createReadStream(job.outputPath).pipe(res);
+    }
+    await sendRenderImage(res, fs.readFileSync(job.outputPath), outputOptions);
+}));
+
+/**
+ * @route GET /v1/jobs/:id/events
+ * @description 通过 Server-Sent Events 推送渲染任务的状态、进度和日志
+ * @param {string} id - 任务ID
+ * @returns {stream} text/event-stream，事件类型为 status, queue, progress, log, done
+ * @throws {404} 任务不存在时
+ */
+app.get('/v1/jobs/:id/events', (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '通过SSE推送渲染任务的状态、排队位置、进度（百分比、已用时间、预计剩余时间）、PBRT日志和最终结果地址'
+    /* #swagger.parameters['id'] = {
+            in: 'path',
+            description: '任务ID',
+            required: true,
+            type: 'string'
+        }
+    */
+    // #swagger.produces = ['text/event-stream']
+    // #swagger.responses[200] = { description: '事件流' }
+    // #swagger.responses[404] = { description: '任务不存在' }
+    const job = jobStore.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // 禁止反向代理缓冲事件流
+    });
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // 先补发当前状态和已有日志，便于中途连接的客户端
+    send('status', { status: job.status });
+    if (job.status === jobStore.JOB_STATUS.PENDING) {
+        send('queue', { position: renderScheduler.getPosition(job.id) });
+    }
+    (jobLogs.get(job.id) || readJobLog(job.id).slice(-JOB_LOG_LIMIT)).forEach(entry => send('log', entry));
+    if (job.progress) {
+        send('progress', job.progress);
+    }
+
+    if (isJobFinished(job)) {
+        send('done', buildJobResultPayload(job));
+        return res.end();
+    }
+
+    const listener = ({ event, data }) => {
+        send(event, data);
+        if (event === 'done') {
+            res.end();
+        }
+    };
+    jobEvents.on(job.id, listener);
+
+    // 定期发送注释行，防止连接被代理超时断开
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        jobEvents.off(job.id, listener);
+    });
+});
+
+// 任务日志支持的格式
+const JOB_LOG_FORMATS = ['json', 'text'];
+const JOB_LOG_STREAMS = ['stdout', 'stderr', 'server'];
+
+/**
+ * @route GET /v1/jobs/:id/log
+ * @description 获取渲染任务的完整日志，运行中的任务返回目前为止的日志
+ * @param {string} id - 任务ID
+ * @param {string} [stream] - 可选的日志来源 stdout, stderr, server，多个用逗号分隔
+ * @param {number} [tail] - 可选，只返回最后 N 行
+ * @param {string} [format=json] - 可选的返回格式 json, text
+ * @returns {Object|string} JSON 格式为 { taskId, status, lines: [{ line, stream, time }] }，text 格式为纯文本日志
+ * @throws {400} 参数无效时
+ * @throws {404} 任务不存在时
+ */
+app.get('/v1/jobs/:id/log', (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '获取渲染任务的完整PBRT日志（stdout、stderr和服务端消息），日志保存在任务目录中，服务重启后仍可获取'
+    /* #swagger.parameters['id'] = {
+            in: 'path',
+            description: '任务ID',
+            required: true,
+            type: 'string'
+        }
+    */
+    /* #swagger.parameters['stream'] = {
+            in: 'query',
+            description: '日志来源 stdout, stderr, server，多个用逗号分隔',
+            required: false,
+            type: 'string'
+        }
+    */
+    /* #swagger.parameters['tail'] = {
+            in: 'query',
+            description: '只返回最后 N 行',
+            required: false,
+            type: 'integer'
+        }
+    */
+    /* #swagger.parameters['format'] = {
+            in: 'query',
+            description: '返回格式 json, text',
+            required: false,
+            type: 'string',
+            enum: ['json', 'text'],
+            default: 'json'
+        }
+    */
+    // #swagger.produces = ['application/json', 'text/plain']
+    // #swagger.responses[200] = { description: '任务日志' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[404] = { description: '任务不存在' }
+    const job = jobStore.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!JOB_LOG_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `不支持的日志格式: ${req.query.format}，可选值为 ${JOB_LOG_FORMATS.join(', ')}` });
+    }
+    const streams = req.query.stream ? String(req.query.stream).split(',').map(stream => stream.trim()) : JOB_LOG_STREAMS;
+    const invalidStream = streams.find(stream => !JOB_LOG_STREAMS.includes(stream));
+    if (invalidStream) {
+        return res.status(400).json({ error: `不支持的日志来源: ${invalidStream}，可选值为 ${JOB_LOG_STREAMS.join(', ')}` });
+    }
+    let tail = null;
+    if (req.query.tail !== undefined) {
+        tail = Number(req.query.tail);
+        if (!Number.isInteger(tail) || tail <= 0) {
+            return res.status(400).json({ error: 'tail 必须是正整数' });
+        }
+    }
+
+    let lines = readJobLog(job.id).filter(entry => streams.includes(entry.stream));
+    if (tail !== null) {
+        lines = lines.slice(-tail);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (format === 'text') {
+        return res.type('text/plain').send(lines.map(entry => entry.line).join('\n') + (lines.length > 0 ? '\n' : ''));
+    }
+    res.json({ taskId: job.id, status: job.status, lines });
+});
+
+/**
+ * @route GET /v1/jobs/:id/stats
+ * @description 获取渲染任务的统计信息：退出码、耗时、峰值内存和PBRT的统计信息
+ * @param {string} id - 任务ID
+ * @returns {Object} { taskId, status, exitCode, signal, wallTimeMs, peakMemoryBytes, backend, summary, statistics }
+ * @throws {404} 任务不存在或没有统计信息时
+ * @throws {409} 任务尚未结束时
+ */
+app.get('/v1/jobs/:id/stats', (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '获取渲染任务的退出码、耗时、峰值内存和解析后的PBRT统计信息，summary 包含光线数、采样数、图元数和纹理内存'
+    /* #swagger.parameters['id'] = {
+            in: 'path',
+            description: '任务ID',
+            required: true,
+            type: 'string'
+        }
+    */
+    // #swagger.responses[200] = { description: '渲染统计信息' }
+    // #swagger.responses[404] = { description: '任务不存在或没有统计信息' }
+    // #swagger.responses[409] = { description: '任务尚未结束' }
+    const job = jobStore.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+    if (!isJobFinished(job)) {
+        return res.status(409).json({ error: '任务尚未结束', status: job.status });
+    }
+
+    const statsPath = path.join(jobStore.getJobDir(job.id), 'stats.json');
+    if (!fs.existsSync(statsPath)) {
+        return res.status(404).json({ error: '任务没有渲染统计信息，PBRT可能未能启动或分块渲染失败', status: job.status });
+    }
+    res.json({ taskId: job.id, status: job.status, ...JSON.parse(fs.readFileSync(statsPath, 'utf8')) });
+});
+
+/**
+ * @route DELETE /v1/jobs/:id
+ * @description 取消渲染任务，结束PBRT进程树并清理临时文件
+ * @param {string} id - 任务ID
+ * @returns {Object} 取消后的任务状态
+ * @throws {404} 任务不存在时
+ * @throws {409} 任务已经结束时
+ */
+app.delete('/v1/jobs/:id', asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '取消排队中或正在运行的渲染任务，结束PBRT进程并清理临时文件'
+    /* #swagger.parameters['id'] = {
+            in: 'path',
+            description: '任务ID',
+            required: true,
+            type: 'string'
+        }
+    */
+    // #swagger.responses[200] = { description: '任务已取消' }
+    // #swagger.responses[404] = { description: '任务不存在' }
+    // #swagger.responses[409] = { description: '任务已经结束' }
+    const job = jobStore.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+    if (isJobFinished(job)) {
+        return res.status(409).json({ error: '任务已经结束，无法取消', status: job.status });
+    }
+
+    // 先订阅结束事件，排队中的任务会被同步取消
+    const finished = waitForJob(job.id);
+    cancelRenderJob(job.id);
+    const finishedJob = await finished;
+
+    console.log(`[Jobs] 取消任务 ${job.id}，最终状态: ${finishedJob.status}`);
+    res.json({
+        taskId: finishedJob.id,
+        status: finishedJob.status,
+        message: finishedJob.status === jobStore.JOB_STATUS.CANCELLED ? '渲染已取消' : '任务在取消前已经结束'
+    });
+}));
+
+const COMPARE_OUTPUTS = ['json', 'heatmap'];
+
+/**
+ * 读取参与对比的EXR图像，来自上传的文件或渲染任务的结果
+ * @param {Object} [file] multer 保存的上传文件
+ * @param {string} [jobId] 渲染任务ID
+ * @param {string} label 参数名，用于错误信息
+ * @returns {Promise<Object>} { image, source } 或 { status, error }
+ */
+async function loadComparisonImage(file, jobId, label) {
+    let sourcePath;
+    let source;
+    if (file) {
+        if (path.extname(file.originalname).toLowerCase() !== '.exr') {
+            return { status: 400, error: `${label} 必须是EXR文件` };
+        }
+        sourcePath = file.path;
+        source = { filename: file.originalname };
+    } else if (jobId) {
+        const job = jobStore.getJob(String(jobId));
+        if (!job) {
+            return { status: 404, error: `任务不存在: ${jobId}` };
+        }
+        if (job.status !== jobStore.JOB_STATUS.SUCCESS || !job.outputPath || !fs.existsSync(job.outputPath)) {
+            return { status: 404, error: `任务 ${job.id} 的渲染结果不存在` };
+        }
+        sourcePath = job.outputPath;
+        source = { jobId: job.id };
+    } else {
+        return { status: 400, error: `缺少 ${label} 文件或 ${label}JobId 参数` };
+    }
+    try {
+        return { image: await exrImage.readExr(sourcePath), source };
+    } catch (error) {
+        return { status: 400, error: `无法解析 ${label} 的EXR图像: ${error.message}` };
+    }
+}
+
+/**
+ * @route POST /v1/images/compare
+ * @description 对比两张EXR图像（上传的文件或渲染任务的结果），计算逐通道的 MSE、RMSE、PSNR、relMSE 和 SSIM，
+ *              并生成伪彩色的差异热力图，用于检查修改材质或升级PBRT后渲染结果的变化
+ * @param {file} [reference] - 参考图像（EXR）
+ * @param {file} [test] - 测试图像（EXR）
+ * @param {string} [referenceJobId] - 不上传参考图像时，使用该渲染任务的EXR结果
+ * @param {string} [testJobId] - 不上传测试图像时，使用该渲染任务的EXR结果
+ * @param {string} [output=json] - json 返回指标和 base64 编码的热力图，heatmap 直接返回热力图PNG（X-Image-Metrics 响应头为指标JSON）
+ * @param {number} [heatmapMax] - 热力图中映射为最高颜色的误差，默认为像素误差的第99百分位数
+ * @returns {Object|file} { reference, test, metrics, heatmap: { max, image } } 或热力图PNG，
+ *   metrics 为 { width, height, validPixels, invalidPixels, channels: { r, g, b }, average }，
+ *   每个通道为 { mse, rmse, psnr, relMse, ssim }。PSNR 的峰值为参考图像该通道的最大值，图像相同时为 null；
+ *   SSIM 在 Reinhard 色调映射后的值上计算；NaN 或无穷大的像素不计入指标，在热力图中显示为绿色
+ * @throws {400} 缺少图像、图像无法解析、分辨率不一致或参数无效时
+ * @throws {404} 任务不存在或尚未渲染完成时
+ */
+app.post('/v1/images/compare', upload.fields([{ name: 'reference', maxCount: 1 }, { name: 'test', maxCount: 1 }]), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '对比两张EXR渲染结果，返回误差指标和差异热力图'
+    /* #swagger.consumes = ['multipart/form-data', 'application/json']
+       #swagger.parameters['reference'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '参考图像（EXR）'
+        }
+       #swagger.parameters['test'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '测试图像（EXR）'
+        }
+       #swagger.parameters['referenceJobId'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '参考图像的渲染任务ID'
+        }
+       #swagger.parameters['testJobId'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '测试图像的渲染任务ID'
+        }
+       #swagger.parameters['output'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            enum: ['json', 'heatmap'],
+            description: '返回指标JSON或热力图PNG'
+        }
+       #swagger.parameters['heatmapMax'] = {
+            in: 'formData',
+            type: 'number',
+            required: false,
+            description: '热力图中映射为最高颜色的误差'
+        }
+    */
+    // #swagger.produces = ['application/json', 'image/png']
+    // #swagger.responses[200] = { description: '对比结果' }
+    // #swagger.responses[400] = { description: '缺少图像、分辨率不一致或参数无效' }
+    // #swagger.responses[404] = { description: '任务不存在或尚未完成' }
+    const files = req.files || {};
+    const body = req.body || {};
+    try {
+        const output = String(body.output || 'json').toLowerCase();
+        if (!COMPARE_OUTPUTS.includes(output)) {
+            return res.status(400).json({ error: `output参数必须是 ${COMPARE_OUTPUTS.join(', ')} 之一` });
+        }
+        let heatmapMax;
+        if (body.heatmapMax !== undefined && body.heatmapMax !== '') {
+            heatmapMax = Number(body.heatmapMax);
+            if (!Number.isFinite(heatmapMax) || heatmapMax <= 0) {
+                return res.status(400).json({ error: 'heatmapMax参数必须是正数' });
+            }
+        }
+
+        const reference = await loadComparisonImage(files.reference && files.reference[0], body.referenceJobId, 'reference');
+        if (reference.error) {
+            return res.status(reference.status).json({ error: reference.error });
+        }
+        const test = await loadComparisonImage(files.test && files.test[0], body.testJobId, 'test');
+        if (test.error) {
+            return res.status(test.status).json({ error: test.error });
+        }
+
+        let metrics;
+        try {
+            metrics = imageCompare.compareImages(reference.image, test.image);
+        } catch (error) {
+            if (error instanceof imageCompare.ImageCompareError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        const heatmap = imageCompare.createHeatmap(reference.image, test.image, { max: heatmapMax });
+        const pngData = exrImage.encodePng(heatmap);
+        console.log(`[Compare] ${metrics.width}x${metrics.height}: RMSE ${metrics.average.rmse.toExponential(3)}, SSIM ${metrics.average.ssim.toFixed(4)}`);
+
+        if (output === 'heatmap') {
+            res.setHeader('Content-Type', 'image/png');
+            res.setHeader('X-Image-Metrics', JSON.stringify(Object.assign({ heatmapMax: heatmap.max }, metrics)));
+            return res.send(pngData);
+        }
+        res.json({
+            reference: reference.source,
+            test: test.source,
+            metrics,
+            heatmap: {
+                max: heatmap.max,
+                image: `data:image/png;base64,${pngData.toString('base64')}`
+            }
+        });
+    } finally {
+        // 上传的图像只用于本次对比
+        Object.values(files).flat().forEach(file => fs.rmSync(file.path, { force: true }));
+    }
+}));
+
+/**
+ * @route POST /v1/debug/render
+ * @description 调试渲染，支持文件上传和在线内容渲染
+ * @param {file} [pbrtFile] - 可选的 PBRT 文件上传，也可以是包含场景、Include文件、纹理、PLY网格和光谱数据的ZIP/RAR场景包
+ * @param {string} [entry] - 可选的场景包入口场景路径（相对于场景包根目录），未指定时自动检测
+ * @param {string} [pbrtContent] - 可选的在线编辑器内容
+ * @param {string} [format=exr] - 可选的输出格式 exr, png, jpeg, webp，非EXR格式在服务端进行色调映射
+ * @param {string} [tonemap=reinhard] - 可选的色调映射算子 reinhard, aces, linear
+ * @param {number} [exposure=0] - 可选的曝光补偿（EV档），色调映射前像素值乘以 2^exposure
+ * @param {string} [async] - 为 'true' 时创建渲染任务并立即返回任务ID，通过 /v1/jobs/:id/events 获取进度
+ * @param {number} [priority=0] - 可选的排队优先级，数值越大越先渲染
+ * @param {string} [backend] - 可选的渲染后端 auto, gpu, cpu，默认使用配置文件中的设置
+ * @param {number} [nthreads] - 可选的渲染线程数
+ * @param {number} [tiles] - 可选的分块数（1到64），大于1时按 --cropwindow 拆分，由本机工作进程和已注册的工作节点并行渲染后拼接，
+ * 失败的分块单独重试
+ * @param {number} [xresolution] - 可选的水平分辨率覆盖（改写 Film 语句）
+ * @param {number} [yresolution] - 可选的垂直分辨率覆盖（改写 Film 语句）
+ * @param {number} [pixelsamples] - 可选的每像素采样数覆盖（--spp）
+ * @param {number} [maxdepth] - 可选的最大光线深度覆盖（改写 Integrator 语句）
+ * @param {string} [integrator] - 可选的积分器覆盖，如 volpath, path, bdpt（改写 Integrator 语句）
+ * @param {string} [cropwindow] - 可选的裁剪窗口 x0,x1,y0,y1，取值0到1（--cropwindow）
+ * @param {number} [seed] - 可选的随机种子（--seed）
+ * @param {string} [envmap] - 可选的环境贴图ID，场景的 infinite 光源改为使用环境贴图库中的该贴图（改写 LightSource 语句）
+ * @param {string} [upgrade] - 为 'true' 时渲染前将PBRT-v3场景升级为PBRT-v4，场景包升级其中所有的场景文件
+ * @returns {Buffer} 按 format 编码的渲染图像，X-Render-Settings 响应头为实际使用的渲染设置，
+ * X-Cache-Key 为服务端计算的缓存键，X-Scene-Upgrade 为场景升级的统计
+ * （异步模式下未命中缓存时返回 202 和任务信息，upgrade 字段为每个场景文件的升级记录）
+ * @throws {400} 如果没有提供 PBRT 文件或内容，输出参数无效，或场景包无法解压、无法确定入口场景
+ * @throws {429} 渲染队列已满时，Retry-After 为预计等待秒数
+ * @throws {500} 渲染失败时
+ */
+app.post('/v1/debug/render', upload.single('pbrtFile'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '上传PBRT文件用于调试渲染'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: 'true',
+            description: '要上传的PBRT文件，或包含场景及其资源文件的ZIP/RAR场景包'
+        }
+       #swagger.parameters['entry'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '场景包的入口场景路径，未指定时自动检测'
+        }
+       #swagger.parameters['upgrade'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '为 true 时渲染前将PBRT-v3场景（场景包中的所有场景文件）升级为PBRT-v4'
+        }
+       #swagger.parameters['tiles'] = {
+            in: 'formData',
+            type: 'integer',
+            required: false,
+            description: '分块数（1到64），大于1时拆分为多个裁剪窗口并行渲染后拼接'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '调试渲染成功',
+            schema: {
+                uuid: '任务标识UUID',
+                result: '渲染结果信息'
+            }
+        }
+    */
+    // #swagger.responses[400] = { description: '请求错误' }
+    // 中间件设置响应头
+    res.setHeader('Cache-Control', 'no-store');
+
+    // 输出格式、色调映射算子和曝光补偿
+    const outputOptions = parseOutputImageOptions(req.body);
+    // 分辨率、采样数等渲染参数覆盖
+    const overrideOptions = parseRenderOverrides(req.body);
+    if (outputOptions.error || overrideOptions.error) {
+        if (req.file) {
+            fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ error: outputOptions.error || overrideOptions.error });
+    }
+    const overrides = overrideOptions.overrides;
+
+    let pbrtFilePath = null;
+    let pbrtContent = null;
+    let tempDir = null;
+    let workspaceDir = null;
+    let bundleFiles = null;
+    let entryScene = null;
+
+    const backendOptions = parseRenderBackendOptions(req.body);
+    if (backendOptions.error) {
+        if (req.file) {
+            fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ error: backendOptions.error });
+    }
+
+    if (req.file && sceneBundle.isSceneBundle(req.file.originalname)) {
+        // 场景包：解压到独立的工作区，PBRT以工作区为工作目录运行，避免不同用户的资源文件互相覆盖
+        workspaceDir = path.join(WORKSPACES_DIR, uuid.v4());
+        try {
+            const files = bundleFiles = await sceneBundle.extractSceneBundle(req.file.path, req.file.originalname, workspaceDir);
+            // 安全检查：场景包只能引用工作区内的文件
+            const unsafeReferences = sceneBundle.findUnsafeReferences(workspaceDir, files);
+            if (unsafeReferences.length > 0) {
+                const { file, reference } = unsafeReferences[0];
+                console.error(`[Security] 检测到场景包中可能的目录遍历尝试，拒绝处理: ${file} 引用了 ${reference}`);
+                fs.rmSync(workspaceDir, { recursive: true, force: true });
+                return res.status(403).json({ error: `检测到可能的安全问题，场景文件 ${file} 引用了工作区之外的路径 ${reference}` });
+            }
+            entryScene = sceneBundle.detectEntryScene(workspaceDir, files, req.body.entry);
+            pbrtFilePath = path.join(workspaceDir, entryScene);
+            console.log(`[Debug Render] 场景包已解压到 ${workspaceDir}，共 ${files.length} 个文件，入口场景: ${entryScene}`);
+        } catch (error) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+            if (error instanceof sceneBundle.SceneBundleError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        } finally {
+            fs.rmSync(req.file.path, { force: true });
+        }
+    } else if (req.file) {
+        pbrtFilePath = req.file.path;
+        console.log(`[Debug Render] File Upload: ${pbrtFilePath}`);
+        
+        // 安全检查：检测文件内容是否有语法错误或包含目录遍历攻击
+        const fileContent = fs.readFileSync(pbrtFilePath, 'utf8');
+        const prepared = prepareUploadedScene(fileContent, path.dirname(pbrtFilePath));
+        if (prepared.error) {
+            console.error(`[Security] 拒绝处理文件 ${pbrtFilePath}: ${prepared.error}`);
+            fs.unlinkSync(pbrtFilePath); // 立即删除可疑文件
+            const { status, ...body } = prepared;
+            return res.status(status).json(body);
+        }
+        if (prepared.content !== fileContent) {
+            fs.writeFileSync(pbrtFilePath, prepared.content, 'utf8');
+        }
+    } else if (req.body.pbrtContent) {
+        // 使用在线编辑器内容
+        pbrtContent = req.body.pbrtContent;
+        
+        // 安全检查：检测编辑器内容是否有语法错误或包含目录遍历攻击
+        const prepared = prepareUploadedScene(pbrtContent, uploadsDir);
+        if (prepared.error) {
+            console.error(`[Security] 拒绝处理在线编辑器内容: ${prepared.error}`);
+            const { status, ...body } = prepared;
+            return res.status(status).json(body);
+        }
+        
+        const tempFilename = `temp-pbrt-${Date.now()}.pbrt`;
+        pbrtFilePath = path.join(uploadsDir, tempFilename);
+        
+        // 创建临时目录用于存放纹理文件
+        tempDir = path.join(uploadsDir, `temp-textures-${Date.now()}`);
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir, { recursive: true });
+        }
+        
+        fs.writeFileSync(pbrtFilePath, prepared.content);
+        console.log(`[Debug Render] 使用相对路径保存在线编辑器内容: ${pbrtFilePath}`);
+    } else {
+        return res.status(400).json({ error: 'No pbrtFile uploaded or pbrtContent provided' });
+    }
+
+    const removeSceneFiles = () => {
+        fs.rmSync(pbrtFilePath, { force: true });
+        if (tempDir) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+        if (workspaceDir) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+        }
+    };
+
+    let effectiveSettings;
+    let upgradeResults = null;
+    let cacheKey;
+    try {
+        // 自动将PBRT-v3场景升级为PBRT-v4，场景包升级其中所有的场景文件
+        if (req.body.upgrade === 'true') {
+            upgradeResults = workspaceDir ?
+                await upgradeSceneFiles(workspaceDir, sceneBundle.listSceneFiles(bundleFiles)) :
+                await upgradeSceneFiles(path.dirname(pbrtFilePath), [path.basename(pbrtFilePath)]);
+            if (!workspaceDir) {
+                upgradeResults[0].file = req.file ? req.file.originalname : 'editor.pbrt';
+            }
+            console.log(`[Debug Render] 场景升级完成: ${JSON.stringify(summarizeUpgrade(upgradeResults))}`);
+        }
+        effectiveSettings = applyRenderOverrides(pbrtFilePath, overrides);
+
+        // 缓存键包含最终的场景内容、引用的纹理和环境贴图的内容哈希、通过命令行传入的参数覆盖，
+        // 以及实际使用的渲染后端和分块数，GPU和CPU、分块拼接和整体渲染的结果不能互相替代
+        // 场景包中的相对路径由PBRT相对于入口场景所在目录解析
+        let backendMode;
+        try {
+            backendMode = (await resolveRenderBackend(backendOptions.backend, backendOptions.nthreads)).mode;
+        } catch (error) {
+            // 指定GPU但本机不支持时任务会渲染失败，不会写入缓存
+            backendMode = backendOptions.backend;
+        }
+        ({ key: cacheKey } = await renderCache.computeKey(fs.readFileSync(pbrtFilePath, 'utf8'), {
+            baseDir: workspaceDir ? path.dirname(pbrtFilePath) : uploadsDir,
+            renderOptions: {
+                args: sceneOverrides.getOverrideArgs(overrides),
+                backend: backendMode,
+                tiles: backendOptions.tiles > 1 ? backendOptions.tiles : 1
+            }
+        }));
+    } catch (error) {
+        // 场景包的场景文件和被 Include 的场景文件在这里第一次解析
+        removeSceneFiles();
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            // error.file 为相对于工作区的路径或被引用文件的绝对路径
+            const file = workspaceDir ? (error.file ? path.relative(workspaceDir, path.resolve(workspaceDir, error.file)) : entryScene) : undefined;
+            return res.status(error.status).json({
+                error: `场景语法错误: ${file ? `${file} ` : ''}${error.message}`,
+                file,
+                line: error.line,
+                column: error.column
+            });
+        }
+        throw error;
+    }
+    res.setHeader('X-Render-Settings', JSON.stringify(effectiveSettings));
+    if (upgradeResults) {
+        res.setHeader('X-Scene-Upgrade', JSON.stringify(summarizeUpgrade(upgradeResults)));
+    }
+
+    if (entryScene) {
+        res.setHeader('X-Entry-Scene', entryScene);
+    }
+
+    // 检查缓存，命中时直接返回缓存的EXR
+    res.setHeader('X-Cache-Key', cacheKey);
+    const cachedPath = renderCache.lookup(cacheKey);
+    if (cachedPath) {
+        console.log(`[Cache] Using cached EXR for key ${cacheKey}`);
+        removeSceneFiles();
+        const exrData = fs.readFileSync(cachedPath); // 读取原始二进制数据
+        return sendRenderImage(res, exrData, outputOptions, { 'X-Cache': 'HIT' });
+    }
+
+    // 队列已满时拒绝新的渲染请求
+    try {
+        renderScheduler.assertCapacity();
+    } catch (error) {
+        removeSceneFiles();
+        return sendQueueFull(res, error);
+    }
+
+    // 所有渲染都以任务方式执行，便于跟踪进度和取消
+    const priority = parseInt(req.body.priority, 10) || 0;
+    const job = jobStore.createJob({
+        userId: req.body.userId || null,
+        source: 'debug',
+        filename: req.file ? req.file.originalname : 'editor.pbrt',
+        scenePath: path.resolve(pbrtFilePath),
+        tempDir: tempDir,
+        workspaceDir: workspaceDir,
+        entryScene: entryScene,
+        cacheKey: cacheKey,
+        priority: priority,
+        backend: backendOptions.backend,
+        nthreads: backendOptions.nthreads,
+        tiles: backendOptions.tiles,
+        output: outputOptions,
+        overrides: overrides,
+        effectiveSettings: effectiveSettings
+    });
+    const queuePosition = enqueueRenderJob(job.id, { priority });
+    res.setHeader('X-Task-Id', job.id);
+    res.setHeader('X-Queue-Position', String(queuePosition));
+
+    // 异步模式：创建渲染任务后立即返回，由前端通过SSE跟踪进度
+    if (req.body.async === 'true') {
+        console.log(`[Debug Render] 已创建异步渲染任务: ${job.id}`);
+        return res.status(202).json({
+            taskId: job.id,
+            status: job.status,
+            queuePosition: queuePosition,
+            eventsUrl: `/v1/jobs/${job.id}/events`,
+            imageUrl: getJobResultUrl(job),
+            renderSettings: effectiveSettings,
+            upgrade: upgradeResults
+        });
+    }
+
+    // 同步模式：客户端在渲染完成前断开连接时取消渲染，释放GPU
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log(`[Debug Render] 客户端已断开，取消渲染任务: ${job.id}`);
+            cancelRenderJob(job.id);
+        }
+    });
+
+    const finishedJob = await waitForJob(job.id);
+
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+
+    if (finishedJob.status === jobStore.JOB_STATUS.SUCCESS) {
+        const exrData = fs.readFileSync(finishedJob.outputPath);
+        return sendRenderImage(res, exrData, outputOptions, { 'X-Cache': 'MISS' });
+    }
+
+    // 修复错误：先设置header，再发送响应
+    return res
+        .status(finishedJob.status === jobStore.JOB_STATUS.CANCELLED ? 409 : 500)
+        .setHeader('Content-Type', 'application/json; charset=utf-8')
+        .json({ 
+            status: finishedJob.status === jobStore.JOB_STATUS.CANCELLED ? 'cancelled' : 'error', 
+            error: String(finishedJob.error) 
+        });
+}));
+
+// 添加限流中间件防止滥用
+app.use('/v1/debug/render', (req, res, next) => {
+    const MAX_SIZE = 150 * 1024 * 1024; // 150MB
+    if (req.headers['content-length'] > MAX_SIZE) {
+        return res.status(413).json({ error: '文件大小超过限制' });
+    }
+    next();
+});
+
+// 动画支持的视频格式，video=true 时使用 mp4
+const ANIMATION_VIDEO_FORMATS = Object.keys(videoEncoder.VIDEO_FORMATS);
+
+/**
+ * @route POST /v1/animations
+ * @description 关键帧动画渲染：根据摄像机（LookAt、fov）和命名物体（Translate、Rotate）的关键帧为每一帧生成场景，
+ *              每一帧作为普通的渲染任务排队渲染，完成后可下载所有帧的ZIP，本机安装了 ffmpeg 时还可以下载视频
+ * @param {file} [pbrtFile] - 基础场景文件，或ZIP/RAR场景包
+ * @param {string} [entry] - 可选的场景包入口场景
+ * @param {string} [pbrtContent] - 基础场景内容（在线编辑器）
+ * @param {string} animation - 动画参数JSON：{ frameCount, fps, easing, camera: [{ frame, lookAt: [9个数值], fov, easing }],
+ *                             objects: { 名称: [{ frame, translate: [x, y, z], rotate: [angle, x, y, z], easing }] } }，
+ *                             easing 为 linear, ease, ease-in, ease-out, ease-in-out 或贝塞尔控制点 [x1, y1, x2, y2]。
+ *                             命名物体为带有 #[object: 名称] 注释的 AttributeBegin 块、ObjectBegin 定义的对象或包含 ObjectInstance 的块
+ * @param {string} [video] - 可选的视频格式 mp4, webm（true 等同于 mp4），需要本机安装 ffmpeg
+ * @param {string} [format=png] - 可选的帧图像格式 exr, png, jpeg, webp
+ * @param {string} [tonemap=reinhard] - 可选的色调映射算子，同时用于视频
+ * @param {number} [exposure=0] - 可选的曝光补偿（EV档），同时用于视频
+ * @param {number} [priority=0] - 可选的排队优先级
+ * @param {string} [backend] - 可选的渲染后端 auto, gpu, cpu
+ * @param {number} [nthreads] - 可选的渲染线程数
+ * @param {number} [tiles] - 可选的每帧分块数
+ * @param {number} [xresolution] - 可选的水平分辨率覆盖，其他渲染参数覆盖（yresolution, pixelsamples, maxdepth, integrator, cropwindow, seed, envmap）同调试渲染
+ * @returns {Object} 202 { animationId, frameCount, status, statusUrl, eventsUrl, resultUrl, renderSettings }
+ * @throws {400} 动画参数或渲染参数无效、场景有语法错误或动画引用的物体不存在时
+ * @throws {403} 场景引用了不安全的路径时
+ * @throws {429} 渲染队列已满时
+ */
+app.post('/v1/animations', upload.single('pbrtFile'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '渲染关键帧动画，每一帧作为一个渲染任务，通过 /v1/animations/{id} 查询每一帧的进度'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '基础场景文件或ZIP/RAR场景包'
+        }
+       #swagger.parameters['pbrtContent'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '基础场景内容，未上传文件时使用'
+        }
+       #swagger.parameters['animation'] = {
+            in: 'formData',
+            type: 'string',
+            required: true,
+            description: '动画参数JSON，包含 frameCount、fps、easing、camera 关键帧（frame、lookAt、fov）和 objects 关键帧（frame、translate、rotate、scale）'
+        }
+       #swagger.parameters['video'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '视频格式 mp4, webm，需要本机安装 ffmpeg'
+        }
+    */
+    // #swagger.responses[202] = { description: '动画渲染任务已创建' }
+    // #swagger.responses[400] = { description: '请求错误' }
+    // #swagger.responses[403] = { description: '场景引用了不安全的路径' }
+    // #swagger.responses[429] = { description: '渲染队列已满' }
+    const removeUpload = () => {
+        if (req.file) {
+            fs.rmSync(req.file.path, { force: true });
+        }
+    };
+
+    const outputOptions = parseOutputImageOptions(req.body, { format: 'png' });
+    const overrideOptions = parseRenderOverrides(req.body);
+    const backendOptions = parseRenderBackendOptions(req.body);
+    let videoFormat = req.body.video ? String(req.body.video).toLowerCase() : null;
+    if (videoFormat === 'true') {
+        videoFormat = 'mp4';
+    } else if (videoFormat === 'false') {
+        videoFormat = null;
+    }
+    let optionsError = outputOptions.error || overrideOptions.error || backendOptions.error;
+    if (!optionsError && videoFormat && !ANIMATION_VIDEO_FORMATS.includes(videoFormat)) {
+        optionsError = `video参数必须是 ${ANIMATION_VIDEO_FORMATS.join(', ')} 之一`;
+    }
+    if (!optionsError && !req.body.animation) {
+        optionsError = '缺少 animation 参数';
+    }
+    if (optionsError) {
+        removeUpload();
+        return res.status(400).json({ error: optionsError });
+    }
+
+    let animation;
+    try {
+        animation = sceneAnimation.parseAnimation(req.body.animation);
+    } catch (error) {
+        removeUpload();
+        if (error instanceof sceneAnimation.AnimationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    // 基础场景：场景包解压到工作区，各帧的场景写在入口场景所在目录，共用工作区中的资源文件
+    let baseContent;
+    let sceneDir = uploadsDir;
+    let workspaceDir = null;
+    if (req.file && sceneBundle.isSceneBundle(req.file.originalname)) {
+        workspaceDir = path.join(WORKSPACES_DIR, uuid.v4());
+        try {
+            const files = await sceneBundle.extractSceneBundle(req.file.path, req.file.originalname, workspaceDir);
+            const unsafeReferences = sceneBundle.findUnsafeReferences(workspaceDir, files);
+            if (unsafeReferences.length > 0) {
+                const { file, reference } = unsafeReferences[0];
+                fs.rmSync(workspaceDir, { recursive: true, force: true });
+                return res.status(403).json({ error: `检测到可能的安全问题，场景文件 ${file} 引用了工作区之外的路径 ${reference}` });
+            }
+            const entryPath = path.join(workspaceDir, sceneBundle.detectEntryScene(workspaceDir, files, req.body.entry));
+            sceneDir = path.dirname(entryPath);
+            baseContent = fs.readFileSync(entryPath, 'utf8');
+        } catch (error) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+            if (error instanceof sceneBundle.SceneBundleError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        } finally {
+            removeUpload();
+        }
+    } else {
+        let content = req.body.pbrtContent;
+        if (req.file) {
+            content = fs.readFileSync(req.file.path, 'utf8');
+            removeUpload();
+        }
+        if (!content) {
+            return res.status(400).json({ error: 'No pbrtFile uploaded or pbrtContent provided' });
+        }
+        const prepared = prepareUploadedScene(content, uploadsDir);
+        if (prepared.error) {
+            console.error(`[Security] 拒绝处理动画场景: ${prepared.error}`);
+            const { status, ...body } = prepared;
+            return res.status(status).json(body);
+        }
+        baseContent = prepared.content;
+    }
+
+    // 参数覆盖写入基础场景，所有帧使用相同的渲染设置
+    let effectiveSettings;
+    try {
+        const scene = pbrtParser.parse(baseContent);
+        sceneOverrides.applySceneOverrides(scene, overrideOptions.overrides);
+        baseContent = pbrtParser.serialize(scene);
+        effectiveSettings = sceneOverrides.describeRenderSettings(scene, overrideOptions.overrides);
+        sceneAnimation.checkAnimationTargets(baseContent, animation);
+    } catch (error) {
+        if (workspaceDir) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+        }
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            return res.status(error.status).json({ error: `场景语法错误: ${error.message}`, line: error.line, column: error.column });
+        }
+        if (error instanceof sceneAnimation.AnimationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    // 整个动画作为一个请求检查队列容量，各帧在前面的帧结束后逐步入队
+    try {
+        renderScheduler.assertCapacity();
+    } catch (error) {
+        if (workspaceDir) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+        }
+        return sendQueueFull(res, error);
+    }
+
+    const animationJob = startAnimation({
+        userId: req.body.userId || null,
+        filename: req.file ? req.file.originalname : 'editor.pbrt',
+        sceneDir,
+        workspaceDir,
+        animation,
+        frameCount: animation.frameCount,
+        fps: animation.fps,
+        buildFrame: frame => sceneAnimation.buildFrameScene(baseContent, animation, frame),
+        video: videoFormat ? { format: videoFormat, status: 'pending', error: null } : null,
+        output: outputOptions,
+        overrides: overrideOptions.overrides,
+        effectiveSettings,
+        priority: parseInt(req.body.priority, 10) || 0,
+        backendOptions
+    });
+
+    console.log(`[Animation] 已创建动画 ${animationJob.id}，共 ${animation.frameCount} 帧`);
+    res.status(202).json({
+        animationId: animationJob.id,
+        frameCount: animation.frameCount,
+        status: animationJob.status,
+        statusUrl: `/v1/animations/${animationJob.id}`,
+        eventsUrl: `/v1/jobs/${animationJob.id}/events`,
+        resultUrl: getJobResultUrl(animationJob),
+        renderSettings: effectiveSettings
+    });
+}));
+
+/**
+ * @route GET /v1/animations/:id
+ * @description 获取动画渲染状态和每一帧的进度
+ * @param {string} id - 动画ID
+ * @returns {Object} { animationId, status, frameCount, completedFrames, failedFrames, percent, video, frames: [{ frame, taskId, status, percent, error }] }
+ * @throws {404} 动画不存在时
+ */
+app.get('/v1/animations/:id', (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '获取动画渲染状态，frames 为每一帧的渲染任务ID、状态和进度'
+    // #swagger.responses[200] = { description: '动画状态' }
+    // #swagger.responses[404] = { description: '动画不存在' }
+    const animation = jobStore.getJob(req.params.id);
+    if (!animation || animation.type !== ANIMATION_JOB_TYPE) {
+        return res.status(404).json({ error: '动画不存在' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(describeAnimation(animation));
+});
+
+/**
+ * @route GET /v1/animations/:id/result
+ * @description 下载动画渲染结果：所有帧的ZIP，或 ffmpeg 编码的视频
+ * @param {string} id - 动画ID
+ * @query {string} [format=zip] - 结果格式 zip，或创建动画时请求的视频格式 mp4, webm
+ * @query {string} [image] - 可选的ZIP中帧图像的格式 exr, png, jpeg, webp，默认使用创建动画时指定的格式
+ * @query {string} [tonemap] - 可选的色调映射算子（仅非EXR帧）
+ * @query {number} [exposure] - 可选的曝光补偿（仅非EXR帧）
+ * @returns {Buffer} ZIP文件（包含 frame-0000.png 等帧图像和 animation.json）或视频
+ * @throws {400} 参数无效时
+ * @throws {404} 动画不存在或视频不可用时
+ * @throws {409} 动画尚未成功完成时
+ */
+app.get('/v1/animations/:id/result', asyncHandler(async (req, res) => {
+    // #swagger.tags = ['渲染相关']
+    // #swagger.description = '下载动画所有帧的ZIP，或创建动画时请求的视频'
+    // #swagger.produces = ['application/zip', 'video/mp4', 'video/webm']
+    // #swagger.responses[200] = { description: '动画结果' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[404] = { description: '动画不存在或视频不可用' }
+    // #swagger.responses[409] = { description: '动画尚未成功完成' }
+    const animation = jobStore.getJob(req.params.id);
+    if (!animation || animation.type !== ANIMATION_JOB_TYPE) {
+        return res.status(404).json({ error: '动画不存在' });
+    }
+    if (animation.status !== jobStore.JOB_STATUS.SUCCESS) {
+        return res.status(409).json({ error: '动画尚未成功完成', status: animation.status });
+    }
+
+    const format = String(req.query.format || 'zip').toLowerCase();
+    const downloadName = `animation-${animation.id}`;
+    if (videoEncoder.VIDEO_FORMATS[format]) {
+        if (!animation.video || animation.video.format !== format || animation.video.status !== 'success') {
+            return res.status(404).json({
+                error: `没有 ${format} 视频` + (animation.video && animation.video.error ? `: ${animation.video.error}` : '，创建动画时需要指定 video 参数'),
+                video: animation.video
+            });
+        }
+        res.setHeader('Content-Type', videoEncoder.VIDEO_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${downloadName}.${format}"`);
+        return fs.createReadStream(getAnimationVideoPath(animation)).pipe(res);
+    }
+    if (format !== 'zip') {
+        return res.status(400).json({ error: `format参数必须是 zip, ${ANIMATION_VIDEO_FORMATS.join(', ')} 之一` });
+    }
+
+    const outputOptions = parseOutputImageOptions({
+        format: req.query.image,
+        tonemap: req.query.tonemap,
+        exposure: req.query.exposure
+    }, animation.output);
+    if (outputOptions.error) {
+        return res.status(400).json({ error: outputOptions.error });
+    }
+    const extension = outputOptions.format === 'jpeg' ? 'jpg' : outputOptions.format;
+    const zip = new AdmZip();
+    for (const [frame, jobId] of animation.frameJobs.entries()) {
+        const job = jobStore.getJob(jobId);
+        if (!job || !job.outputPath || !fs.existsSync(job.outputPath)) {
+            return res.status(404).json({ error: `第 ${frame} 帧的渲染结果不存在` });
+        }
+        const imageData = await exrImage.convertExr(fs.readFileSync(job.outputPath), outputOptions);
+        zip.addFile(`frame-${String(frame).padStart(4, '0')}.${extension}`, imageData);
+    }
+    zip.addFile('animation.json', Buffer.from(JSON.stringify({
+        frameCount: animation.frameCount,
+        fps: animation.fps,
+        renderSettings: animation.effectiveSettings,
+        animation: animation.animation
+    }, null, 2)));
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadName}.zip"`);
+    res.send(zip.toBuffer());
+}));
+
+// 工作节点的共享令牌，注册工作节点和分块渲染请求都需要在 X-Worker-Token 请求头中携带，未配置时拒绝这些接口
+function checkWorkerToken(req, res, next) {
+    if (!tileSettings.workerToken) {
+        return res.status(503).json({ error: '未配置工作节点令牌（tiles.workerToken），工作节点接口不可用' });
+    }
+    if (req.get('X-Worker-Token') !== tileSettings.workerToken) {
+        return res.status(401).json({ error: '缺少或错误的工作节点令牌' });
+    }
+    next();
+}
+
+// 本机作为工作节点时同时渲染的分块数上限，未配置时与渲染队列的最大并发数相同
+const WORKER_RENDER_SLOTS = parseInt(tileSettings.workerSlots, 10) > 0 ?
+    parseInt(tileSettings.workerSlots, 10) : renderScheduler.maxConcurrent;
+let activeWorkerRenders = 0;
+
+/**
+ * @route POST /v1/workers
+ * @description 注册分块渲染的远程工作节点，相同地址重复注册时更新其信息，可定期调用作为心跳
+ * @param {string} url - 工作节点的服务地址，如 http://10.0.0.2:8001
+ * @param {string} [name] - 可选的工作节点名称
+ * @param {number} [slots=1] - 可选的同时渲染分块数
+ * @returns {Object} 工作节点 { id, url, name, slots, registeredAt, lastSeen }
+ * @throws {400} 参数无效时
+ * @throws {401} 请求未携带共享令牌或不匹配时
+ * @throws {503} 未配置共享令牌时
+ */
+app.post('/v1/workers', checkWorkerToken, (req, res) => {
+    // #swagger.tags = ['分块渲染']
+    // #swagger.description = '注册分块渲染的远程工作节点（运行本服务的其他主机），可定期调用作为心跳'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: true,
+            schema: { url: 'http://10.0.0.2:8001', name: 'gpu-node-1', slots: 1 }
+        }
+    */
+    // #swagger.responses[201] = { description: '注册成功' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[401] = { description: '工作节点令牌无效' }
+    // #swagger.responses[503] = { description: '未配置工作节点令牌' }
+    try {
+        const worker = tileWorkerRegistry.register(req.body);
+        console.log(`[Workers] 工作节点已注册: ${worker.name} ${worker.url}，并发数 ${worker.slots}`);
+        res.status(201).json(worker);
+    } catch (error) {
+        if (error instanceof tileWorkers.WorkerRegistrationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
+/**
+ * @route GET /v1/workers
+ * @description 获取分块渲染的工作节点列表，包括本机工作进程的配置
+ * @returns {Object} { local, workers: [{ id, url, name, slots, lastSeen, consecutiveFailures, available }] }
+ */
+app.get('/v1/workers', (req, res) => {
+    // #swagger.tags = ['分块渲染']
+    // #swagger.description = '获取已注册的远程工作节点，连续失败或心跳过期的工作节点不会被分配分块'
+    res.json({
+        local: { slots: tileSettings.localWorkers === undefined || tileSettings.localWorkers === null ? 'auto' : tileSettings.localWorkers },
+        workers: tileWorkerRegistry.list()
+    });
+});
+
+/**
+ * @route DELETE /v1/workers/:id
+ * @description 注销工作节点，正在渲染的分块不受影响
+ * @param {string} id - 工作节点ID
+ * @throws {401} 请求未携带共享令牌或不匹配时
+ * @throws {404} 工作节点不存在时
+ * @throws {503} 未配置共享令牌时
+ */
+app.delete('/v1/workers/:id', checkWorkerToken, (req, res) => {
+    // #swagger.tags = ['分块渲染']
+    // #swagger.description = '注销远程工作节点'
+    // #swagger.responses[200] = { description: '已注销' }
+    // #swagger.responses[401] = { description: '工作节点令牌无效' }
+    // #swagger.responses[404] = { description: '工作节点不存在' }
+    // #swagger.responses[503] = { description: '未配置工作节点令牌' }
+    if (!tileWorkerRegistry.unregister(req.params.id)) {
+        return res.status(404).json({ error: '工作节点不存在' });
+    }
+    console.log(`[Workers] 工作节点已注销: ${req.params.id}`);
+    res.json({ id: req.params.id, message: '工作节点已注销' });
+});
+
+/**
+ * @route POST /v1/worker/render
+ * @description 工作节点接口：渲染协调节点发送的一个分块并返回EXR。不经过渲染队列，同时渲染的分块数不超过 tiles.workerSlots，
+ *              超出时返回503。单个场景文件从上传目录渲染（与协调节点共享模型目录），场景包解压到独立的工作区
+ * @param {file} pbrtFile - 场景文件或ZIP场景包
+ * @param {string} [entry] - 场景包的入口场景
+ * @param {string} [cropwindow] - 分块的裁剪窗口 x0,x1,y0,y1
+ * @param {number} [pixelsamples] - 可选的每像素采样数
+ * @param {number} [seed] - 可选的随机种子
+ * @param {string} [backend] - 可选的渲染后端 auto, gpu, cpu
+ * @returns {Buffer} 分块的EXR图像，X-Render-Stats 响应头为退出码、耗时、峰值内存和统计指标
+ * @throws {400} 参数无效或场景无法处理时
+ * @throws {401} 请求未携带共享令牌或不匹配时
+ * @throws {403} 场景引用了不安全的路径时
+ * @throws {500} 渲染失败时
+ * @throws {503} 未配置共享令牌或本机的分块渲染数已满时
+ */
+app.post('/v1/worker/render', checkWorkerToken, upload.single('pbrtFile'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['分块渲染']
+    // #swagger.description = '工作节点接口，由协调节点调用，渲染一个分块并返回EXR'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: 'true',
+            description: '场景文件或ZIP场景包'
+        }
+    */
+    // #swagger.produces = ['image/x-exr']
+    // #swagger.responses[200] = { description: '分块的EXR图像' }
+    // #swagger.responses[400] = { description: '请求错误' }
+    // #swagger.responses[401] = { description: '工作节点令牌无效' }
+    // #swagger.responses[403] = { description: '场景引用了不安全的路径' }
+    // #swagger.responses[500] = { description: '渲染失败' }
+    // #swagger.responses[503] = { description: '未配置工作节点令牌或分块渲染数已满' }
+    if (!req.file) {
+        return res.status(400).json({ error: 'No pbrtFile uploaded' });
+    }
+    if (activeWorkerRenders >= WORKER_RENDER_SLOTS) {
+        fs.rmSync(req.file.path, { force: true });
+        res.setHeader('Retry-After', String(renderScheduler.estimateWaitSeconds()));
+        return res.status(503).json({ error: `本机的分块渲染数已达上限 ${WORKER_RENDER_SLOTS}，请稍后重试` });
+    }
+    // 响应结束或协调节点断开时释放占用的分块渲染数
+    activeWorkerRenders++;
+    res.on('close', () => { activeWorkerRenders--; });
+    const overrideOptions = sceneOverrides.parseRenderOverrides({
+        cropwindow: req.body.cropwindow,
+        pixelsamples: req.body.pixelsamples,
+        seed: req.body.seed
+    });
+    const backendOptions = parseRenderBackendOptions({ backend: req.body.backend });
+    if (overrideOptions.error || backendOptions.error) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(400).json({ error: overrideOptions.error || backendOptions.error });
+    }
+
+    let scenePath = path.resolve(req.file.path);
+    let workspaceDir = null;
+    if (sceneBundle.isSceneBundle(req.file.originalname)) {
+        workspaceDir = path.join(WORKSPACES_DIR, uuid.v4());
+        try {
+            const files = await sceneBundle.extractSceneBundle(req.file.path, req.file.originalname, workspaceDir);
+            const unsafeReferences = sceneBundle.findUnsafeReferences(workspaceDir, files);
+            if (unsafeReferences.length > 0) {
+                const { file, reference } = unsafeReferences[0];
+                fs.rmSync(workspaceDir, { recursive: true, force: true });
+                return res.status(403).json({ error: `检测到可能的安全问题，场景文件 ${file} 引用了工作区之外的路径 ${reference}` });
+            }
+            scenePath = path.join(workspaceDir, sceneBundle.detectEntryScene(workspaceDir, files, req.body.entry));
+        } catch (error) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+            if (error instanceof sceneBundle.SceneBundleError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        } finally {
+            fs.rmSync(req.file.path, { force: true });
+        }
+    } else {
+        const fileContent = fs.readFileSync(scenePath, 'utf8');
+        const prepared = prepareUploadedScene(fileContent, path.dirname(scenePath));
+        if (prepared.error) {
+            console.error(`[Security] 拒绝处理分块场景 ${scenePath}: ${prepared.error}`);
+            fs.rmSync(scenePath, { force: true });
+            const { status, ...body } = prepared;
+            return res.status(status).json(body);
+        }
+        if (prepared.content !== fileContent) {
+            fs.writeFileSync(scenePath, prepared.content, 'utf8');
+        }
+    }
+
+    const outputPath = path.join(PBRT_OUTPUT_DIR, `worker-${uuid.v4()}.exr`);
+    let child = null;
+    // 协调节点取消分块或断开连接时结束PBRT进程
+    res.on('close', () => {
+        if (!res.writableEnded && child) {
+            console.log(`[Worker] 协调节点已断开，结束PBRT进程 ${child.pid}`);
+            killProcessTree(child);
+        }
+    });
+
+    try {
+        fixPbrtTextureReferences(scenePath);
+        const renderBackend = await resolveRenderBackend(backendOptions.backend, null);
+        console.log(`[Worker] 渲染分块 ${overrideOptions.overrides.cropwindow ? overrideOptions.overrides.cropwindow.join(',') : '完整图像'}`);
+        const result = await executePbrt(scenePath, outputPath, renderBackend, {
+            args: sceneOverrides.getOverrideArgs(overrideOptions.overrides),
+            cwd: workspaceDir || uploadsDir,
+            onSpawn: (spawned) => { child = spawned; }
+        });
+        if (!fs.existsSync(outputPath)) {
+            throw new Error(`渲染失败，输出文件 ${outputPath} 不存在`);
+        }
+        res.setHeader('Content-Type', 'image/x-exr');
+        res.setHeader('X-Render-Stats', JSON.stringify({
+            exitCode: result.exitCode,
+            wallTimeMs: result.wallTimeMs,
+            peakMemoryBytes: result.peakMemoryBytes,
+            summary: pbrtStats.summarizeStatistics(pbrtStats.parseStatistics(result.stdout))
+        }));
+        res.send(fs.readFileSync(outputPath));
+    } catch (error) {
+        console.error(`[Worker] 分块渲染失败: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.stderr !== undefined ? formatPbrtError(error) : error.message });
+        }
+    } finally {
+        fs.rmSync(outputPath, { force: true });
+        fs.rmSync(scenePath, { force: true });
+        if (workspaceDir) {
+            fs.rmSync(workspaceDir, { recursive: true, force: true });
+        }
+    }
+}));
+
+/**
+ * @route POST /v1/scenes/validate
+ * @description 校验场景而不渲染：检查语法、未知指令、参数类型和个数、AttributeBegin/AttributeEnd 是否配对、
+ *              指令是否位于正确的块（WorldBegin 之前或之后）、引用的文件是否存在以及路径是否会被安全检查拒绝
+ * @param {file} [pbrtFile] - 要校验的PBRT文件
+ * @param {string} [pbrtContent] - 要校验的场景内容（在线编辑器）
+ * @returns {Object} { valid, errorCount, warningCount, diagnostics: [{ line, column, severity, code, message }] }
+ * @throws {400} 未提供场景时
+ */
+app.post('/v1/scenes/validate', upload.single('pbrtFile'), (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '校验PBRT场景，返回带行列号的诊断信息'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '要校验的PBRT文件'
+        }
+       #swagger.parameters['pbrtContent'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '要校验的场景内容，未上传文件时使用'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '校验完成，valid 为 false 时 diagnostics 中包含错误',
+            schema: {
+                valid: false,
+                errorCount: 1,
+                warningCount: 0,
+                diagnostics: [{ line: 3, column: 1, severity: 'error', code: 'unknown-directive', message: '未知的指令 "Shap"' }]
+            }
+        }
+    */
+    // #swagger.responses[400] = { description: '未提供场景或上传了场景包' }
+    let content;
+    if (req.file) {
+        const isBundle = sceneBundle.isSceneBundle(req.file.originalname);
+        if (!isBundle) {
+            content = fs.readFileSync(req.file.path, 'utf8');
+        }
+        fs.rmSync(req.file.path, { force: true });
+        if (isBundle) {
+            return res.status(400).json({ error: '场景校验只支持单个 .pbrt 文件' });
+        }
+    } else if (typeof req.body.pbrtContent === 'string') {
+        content = req.body.pbrtContent;
+    } else {
+        return res.status(400).json({ error: 'No pbrtFile uploaded or pbrtContent provided' });
+    }
+
+    // 相对路径按渲染时PBRT的工作目录（上传目录）解析
+    const result = sceneValidator.validateScene(content, { baseDir: uploadsDir, resolveEnvMap: resolveEnvMapPath });
+    console.log(`[Validate] 场景校验完成: ${result.errorCount} 个错误, ${result.warningCount} 个警告`);
+    res.json(result);
+});
+
+/**
+ * 解析格式化参数
+ * @param {Object} source 请求参数
+ * @returns {Object} { options } 或 { error }
+ */
+function parseFormatOptions(source) {
+    const options = { orderOptions: String(source.orderOptions) !== 'false' };
+    if (source.indent === 'tab') {
+        options.indent = '\t';
+    } else if (source.indent !== undefined && source.indent !== '') {
+        const width = Number(source.indent);
+        if (!Number.isInteger(width) || width < 1 || width > 8) {
+            return { error: 'indent 必须是1到8之间的整数或 tab' };
+        }
+        options.indent = ' '.repeat(width);
+    }
+    return { options };
+}
+
+/**
+ * @route POST /v1/scenes/format
+ * @description 格式化场景：按嵌套层级重新缩进，每行一条指令，过长的参数列表和参数值分行，
+ *              WorldBegin 之前的 Film、PixelFilter、Sampler、Integrator、Accelerator 按固定顺序排在摄像机之后，注释保留
+ * @param {file} [pbrtFile] - 要格式化的PBRT文件
+ * @param {string} [pbrtContent] - 要格式化的场景内容（在线编辑器）
+ * @param {string} [indent=4] - 缩进的空格数（1到8），或 tab
+ * @param {string} [orderOptions=true] - 为 'false' 时不调整渲染选项的顺序
+ * @returns {Object} { changed, content }
+ * @throws {400} 未提供场景、参数无效或场景存在语法错误时
+ */
+app.post('/v1/scenes/format', upload.single('pbrtFile'), (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '格式化PBRT场景'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '要格式化的PBRT文件'
+        }
+       #swagger.parameters['pbrtContent'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '要格式化的场景内容，未上传文件时使用'
+        }
+       #swagger.parameters['indent'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '缩进的空格数（1到8）或 tab，默认4'
+        }
+       #swagger.parameters['orderOptions'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '为 false 时不调整 WorldBegin 之前渲染选项的顺序'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '格式化完成',
+            schema: { changed: true, content: '格式化后的场景内容' }
+        }
+    */
+    // #swagger.responses[400] = { description: '未提供场景、参数无效或场景存在语法错误' }
+    let content;
+    if (req.file) {
+        const isBundle = sceneBundle.isSceneBundle(req.file.originalname);
+        if (!isBundle) {
+            content = fs.readFileSync(req.file.path, 'utf8');
+        }
+        fs.rmSync(req.file.path, { force: true });
+        if (isBundle) {
+            return res.status(400).json({ error: '场景格式化只支持单个 .pbrt 文件' });
+        }
+    } else if (typeof req.body.pbrtContent === 'string') {
+        content = req.body.pbrtContent;
+    } else {
+        return res.status(400).json({ error: 'No pbrtFile uploaded or pbrtContent provided' });
+    }
+
+    const formatOptions = parseFormatOptions(req.body);
+    if (formatOptions.error) {
+        return res.status(400).json({ error: formatOptions.error });
+    }
+    let formatted;
+    try {
+        formatted = sceneFormatter.formatScene(content, formatOptions.options);
+    } catch (error) {
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            return res.status(error.status).json({ error: `场景语法错误: ${error.message}`, line: error.line, column: error.column });
+        }
+        throw error;
+    }
+    res.json({ changed: formatted !== content, content: formatted });
+});
+
+// 场景包升级结果的返回格式
+const UPGRADE_OUTPUT_FORMATS = ['json', 'zip'];
+
+/**
+ * @route POST /v1/scenes/upgrade
+ * @description 将PBRT-v3场景升级为PBRT-v4，返回升级后的场景以及每一处修改和无法自动转换的内容
+ * @param {file} [pbrtFile] - 要升级的PBRT文件，或包含场景及其资源文件的ZIP/RAR场景包（升级其中所有的场景文件）
+ * @param {string} [pbrtContent] - 要升级的场景内容（在线编辑器）
+ * @param {string} [engine=builtin] - 转换方式 builtin（内置转换器，逐条记录修改）或 pbrt（pbrt --upgrade，只返回PBRT的警告）
+ * @param {string} [format=json] - 场景包的返回格式 json 或 zip，zip 为升级后的场景包，其中 upgrade-report.json 为升级记录
+ * @returns {Object} 单个场景为 { engine, changed, changes, content }，
+ *   场景包为 { engine, summary, files: [{ file, changed, changes, content }] }（content 只包含有修改的场景文件），
+ *   changes 为 [{ line, column, action, message }]，action 为 changed、removed 或 unsupported
+ * @throws {400} 未提供场景、参数无效、场景存在语法错误或场景包无法解压时
+ * @throws {422} pbrt --upgrade 转换失败时
+ * @throws {503} 使用 pbrt 转换但找不到 pbrt 命令时
+ */
+app.post('/v1/scenes/upgrade', upload.single('pbrtFile'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '将PBRT-v3场景升级为PBRT-v4，返回升级后的场景和修改记录'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '要升级的PBRT文件或ZIP/RAR场景包'
+        }
+       #swagger.parameters['pbrtContent'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '要升级的场景内容，未上传文件时使用'
+        }
+       #swagger.parameters['engine'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '转换方式 builtin 或 pbrt，默认 builtin'
+        }
+       #swagger.parameters['format'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '场景包的返回格式 json 或 zip，默认 json'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '升级完成',
+            schema: {
+                engine: 'builtin',
+                changed: true,
+                changes: [{ line: 3, column: 1, action: 'changed', message: 'Film "image" 改为 "rgb"' }],
+                content: '升级后的场景内容'
+            }
+        }
+    */
+    // #swagger.responses[400] = { description: '未提供场景、参数无效或场景存在语法错误' }
+    // #swagger.responses[422] = { description: 'pbrt --upgrade 转换失败' }
+    // #swagger.responses[503] = { description: '找不到 pbrt 命令' }
+    const engine = req.body.engine || 'builtin';
+    const format = req.body.format || 'json';
+    let optionsError = null;
+    if (!sceneUpgrade.UPGRADE_ENGINES.includes(engine)) {
+        optionsError = `engine 必须是 ${sceneUpgrade.UPGRADE_ENGINES.join(', ')} 之一`;
+    } else if (!UPGRADE_OUTPUT_FORMATS.includes(format)) {
+        optionsError = `format 必须是 ${UPGRADE_OUTPUT_FORMATS.join(', ')} 之一`;
+    } else if (!req.file && typeof req.body.pbrtContent !== 'string') {
+        optionsError = 'No pbrtFile uploaded or pbrtContent provided';
+    }
+    if (optionsError) {
+        if (req.file) {
+            fs.rmSync(req.file.path, { force: true });
+        }
+        return res.status(400).json({ error: optionsError });
+    }
+
+    // 在独立的工作区中升级，pbrt --upgrade 需要读取场景文件
+    const workspaceDir = path.join(WORKSPACES_DIR, uuid.v4());
+    const isBundle = !!req.file && sceneBundle.isSceneBundle(req.file.originalname);
+    try {
+        let files;
+        if (isBundle) {
+            files = await sceneBundle.extractSceneBundle(req.file.path, req.file.originalname, workspaceDir);
+        } else {
+            files = ['scene.pbrt'];
+            fs.mkdirSync(workspaceDir, { recursive: true });
+            if (req.file) {
+                fs.copyFileSync(req.file.path, path.join(workspaceDir, files[0]));
+            } else {
+                fs.writeFileSync(path.join(workspaceDir, files[0]), req.body.pbrtContent, 'utf8');
+            }
+        }
+
+        const sceneFiles = sceneBundle.listSceneFiles(files);
+        if (sceneFiles.length === 0) {
+            throw new sceneBundle.SceneBundleError('场景包中没有找到 .pbrt 场景文件');
+        }
+        const results = await upgradeSceneFiles(workspaceDir, sceneFiles, engine);
+        const summary = summarizeUpgrade(results);
+        console.log(`[Upgrade] 场景升级完成 (${engine}): ${JSON.stringify(summary)}`);
+
+        if (!isBundle) {
+            return res.json({
+                engine,
+                changed: results[0].changed,
+                changes: results[0].changes,
+                content: fs.readFileSync(path.join(workspaceDir, files[0]), 'utf8')
+            });
+        }
+
+        if (format === 'zip') {
+            const zip = new AdmZip();
+            files.forEach(file => zip.addFile(file, fs.readFileSync(path.join(workspaceDir, file))));
+            zip.addFile('upgrade-report.json', Buffer.from(JSON.stringify({ engine, summary, files: results }, null, 2)));
+            const archiveName = `${path.basename(req.file.originalname, path.extname(req.file.originalname))}-v4.zip`;
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(archiveName)}"`);
+            res.setHeader('X-Scene-Upgrade', JSON.stringify(summary));
+            return res.send(zip.toBuffer());
+        }
+        res.json({
+            engine,
+            summary,
+            files: results.map(result => ({
+                ...result,
+                content: result.changed ? fs.readFileSync(path.join(workspaceDir, result.file), 'utf8') : undefined
+            }))
+        });
+    } catch (error) {
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            const file = isBundle ? error.file : undefined;
+            return res.status(error.status).json({
+                error: `场景语法错误: ${file ? `${file} ` : ''}${error.message}`,
+                file,
+                line: error.line,
+                column: error.column
+            });
+        }
+        if (error instanceof sceneBundle.SceneBundleError || error instanceof sceneUpgrade.SceneUpgradeError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    } finally {
+        fs.rmSync(workspaceDir, { recursive: true, force: true });
+        if (req.file) {
+            fs.rmSync(req.file.path, { force: true });
+        }
+    }
+}));
+
+/**
+ * 生成组合场景：把各模型片段拆分写出到上传目录下本次请求独立的临时目录，检查环境贴图，生成场景后进行校验。
+ * 模型目录保持不变，调用方用完后删除返回的 composeDir（渲染任务结束时作为 tempDir 删除）
+ * @param {Object} composition sceneComposer.parseComposition 返回的场景描述
+ * @returns {Object} { content, models, files, composeDir } 或 { status, error, diagnostics }，
+ *   models 为使用的模型片段 [{ uuid, fragment, renamed }]，files 为场景引用的文件（相对于上传目录）
+ */
+function composeScene(composition) {
+    const composeDirName = `compose-${uuid.v4()}`;
+    const composeDir = path.join(uploadsDir, composeDirName);
+    const result = writeComposedScene(composition, composeDirName);
+    if (result.error) {
+        fs.rmSync(composeDir, { recursive: true, force: true });
+        return result;
+    }
+    return Object.assign(result, { composeDir });
+}
+
+// 按场景描述写出模型片段并生成场景，片段写在上传目录下的 composeDirName 子目录
+function writeComposedScene(composition, composeDirName) {
+    const fragments = new Map();
+    const modelFiles = [];
+    for (const model of composition.models) {
+        const modelDir = path.join(MODELS_DIR, model.uuid);
+        if (!fs.existsSync(path.join(modelDir, 'info.json'))) {
+            return { status: 404, error: `模型 ${model.uuid} 不存在` };
+        }
+        let fragment = model.source === 'auto' ?
+            ['momo.pbrt', 'nono.pbrt'].find(name => fs.existsSync(path.join(modelDir, name))) :
+            `${model.source}.pbrt`;
+        if (!fragment || !fs.existsSync(path.join(modelDir, fragment))) {
+            return { status: 404, error: `模型 ${model.uuid} 没有 ${fragment || 'nono.pbrt'}，请先转换模型` };
+        }
+
+        const key = `${model.uuid}/${fragment}`;
+        if (!fragments.has(key)) {
+            let split;
+            try {
+                split = sceneComposer.splitModelFragment(fs.readFileSync(path.join(modelDir, fragment), 'utf8'), `${model.uuid.substring(0, 8)}-`);
+            } catch (error) {
+                if (error instanceof pbrtParser.PbrtSyntaxError) {
+                    return { status: 400, error: `模型 ${model.uuid} 的 ${fragment} 语法错误: ${error.message}` };
+                }
+                throw error;
+            }
+            const baseName = `${model.uuid}-${path.basename(fragment, '.pbrt')}`;
+            fs.mkdirSync(path.join(uploadsDir, composeDirName), { recursive: true });
+            fs.writeFileSync(path.join(uploadsDir, composeDirName, `${baseName}-definitions.pbrt`), split.definitions, 'utf8');
+            fs.writeFileSync(path.join(uploadsDir, composeDirName, `${baseName}-geometry.pbrt`), split.geometry, 'utf8');
+            fragments.set(key, {
+                uuid: model.uuid,
+                fragment,
+                renamed: split.renamed,
+                definitions: `${composeDirName}/${baseName}-definitions.pbrt`,
+                geometry: `${composeDirName}/${baseName}-geometry.pbrt`
+            });
+        }
+        modelFiles.push(fragments.get(key));
+    }
+
+    // 环境贴图引用贴图库中的贴图，或上传目录中的文件
+    let environmentFile;
+    if (composition.environment && composition.environment.envmap) {
+        if (!resolveEnvMapPath(composition.environment.envmap)) {
+            return { status: 404, error: `环境贴图 ${composition.environment.envmap} 不存在` };
+        }
+        environmentFile = `envmaps/${composition.environment.envmap}/${ENVMAP_FILENAME}`;
+    } else if (composition.environment && composition.environment.filename) {
+        environmentFile = composition.environment.filename.replace(/\\/g, '/');
+        if (path.isAbsolute(environmentFile) || sceneValidator.isSuspiciousPath(environmentFile)) {
+            return { status: 403, error: `检测到可能的安全问题，环境贴图路径无效: ${environmentFile}` };
+        }
+        if (!fs.existsSync(path.join(uploadsDir, environmentFile))) {
+            return { status: 404, error: `环境贴图 ${environmentFile} 不存在` };
+        }
+    }
+
+    const content = sceneComposer.buildComposedScene(composition, { models: modelFiles, environment: environmentFile });
+    const validation = sceneValidator.validateScene(content, { baseDir: uploadsDir, resolveEnvMap: resolveEnvMapPath });
+    if (!validation.valid) {
+        return { status: 400, error: '生成的场景无效', diagnostics: validation.diagnostics };
+    }
+    const models = Array.from(fragments.values());
+    return {
+        content,
+        models: models.map(({ uuid, fragment, renamed }) => ({ uuid, fragment, renamed })),
+        files: [].concat(...models.map(model => [model.definitions, model.geometry]), environmentFile || [])
+    };
+}
+
+function getScenePath(sceneId) {
+    return path.join(SCENES_DIR, sceneId, 'scene.json');
+}
+
+/**
+ * 读取保存的组合场景
+ * @param {string} sceneId 场景ID
+ * @returns {Object|null} { id, name, composition, createdAt }，不存在时返回 null
+ */
+function loadComposedScene(sceneId) {
+    if (!/^[0-9a-f-]+$/.test(sceneId) || !fs.existsSync(getScenePath(sceneId))) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(getScenePath(sceneId), 'utf8'));
+}
+
+function describeComposedScene(record) {
+    return Object.assign({}, record, {
+        downloadUrl: `/v1/scenes/${record.id}/download`,
+        renderUrl: `/v1/scenes/${record.id}/render`
+    });
+}
+
+/**
+ * 渲染服务端生成的场景（组合场景、太阳系场景等）：场景写入上传目录后作为普通渲染任务排队
+ * @param {string} content 场景内容，指定 source.bundle 时为 null
+ * @param {Object} body 渲染参数，与 /v1/upload 相同（format, tonemap, exposure, backend, nthreads, tiles, priority, callbackUrl 和参数覆盖）
+ * @param {Object} source 场景来源
+ * @param {string} source.prefix 场景文件名前缀
+ * @param {Object} source.job 写入任务的字段，如 { source, filename }
+ * @param {Object} [source.bundle] 保存的场景包 { dir, entry }，复制到独立的工作区后渲染其中的入口场景，任务结束后删除工作区
+ * @returns {Object} { job, queuePosition }，参数无效或场景语法错误时为 { status, error }，队列已满时为 { queueFull: QueueFullError }
+ */
+function renderGeneratedScene(content, body, source) {
+    const backendOptions = parseRenderBackendOptions(body);
+    const outputOptions = parseOutputImageOptions(body);
+    const overrideOptions = parseRenderOverrides(body);
+    const callback = parseCallbackUrl(body.callbackUrl);
+    const optionsError = backendOptions.error || outputOptions.error || overrideOptions.error || callback.error;
+    if (optionsError) {
+        return { status: 400, error: optionsError };
+    }
+    try {
+        renderScheduler.assertCapacity();
+    } catch (error) {
+        return { queueFull: error };
+    }
+
+    let scenePath;
+    let workspace = {};
+    if (source.bundle) {
+        const workspaceDir = path.join(WORKSPACES_DIR, uuid.v4());
+        fs.cpSync(source.bundle.dir, workspaceDir, { recursive: true });
+        scenePath = path.join(workspaceDir, source.bundle.entry);
+        workspace = { workspaceDir, entryScene: source.bundle.entry };
+    } else {
+        scenePath = path.join(uploadsDir, `${source.prefix}-${uuid.v4()}.pbrt`);
+        fs.writeFileSync(scenePath, content, 'utf8');
+    }
+    let effectiveSettings;
+    try {
+        effectiveSettings = applyRenderOverrides(scenePath, overrideOptions.overrides);
+    } catch (error) {
+        fs.rmSync(workspace.workspaceDir || scenePath, { recursive: true, force: true });
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            return { status: error.status, error: `场景语法错误: ${error.message}`, line: error.line, column: error.column };
+        }
+        throw error;
+    }
+    const priority = parseInt(body.priority, 10) || 0;
+    const job = jobStore.createJob(Object.assign({ userId: body.userId || null }, source.job, workspace, {
+        scenePath,
+        priority,
+        backend: backendOptions.backend,
+        nthreads: backendOptions.nthreads,
+        tiles: backendOptions.tiles,
+        output: outputOptions,
+        overrides: overrideOptions.overrides,
+        effectiveSettings,
+        callbackUrl: callback.url
+    }));
+    return { job, queuePosition: enqueueRenderJob(job.id, { priority }) };
+}
+
+/**
+ * 渲染组合场景，拆分的模型片段目录交给渲染任务，任务结束时删除，任务未能创建时立即删除
+ * @param {Object} record 组合场景
+ * @param {Object} composed composeScene 的返回值
+ * @param {Object} body 渲染参数
+ * @returns {Object} renderGeneratedScene 的返回值
+ */
+function renderComposedScene(record, composed, body) {
+    const rendered = renderGeneratedScene(composed.content, body, {
+        prefix: `scene-${record.id}`,
+        job: { source: 'scene', sceneId: record.id, filename: `${record.name || record.id}.pbrt`, tempDir: composed.composeDir }
+    });
+    if (!rendered.job) {
+        fs.rmSync(composed.composeDir, { recursive: true, force: true });
+    }
+    return rendered;
+}
+
+function sendComposeError(res, result) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+}
+
+/**
+ * @route POST /v1/scenes
+ * @description 根据JSON描述组合场景：相机、胶片、采样器、积分器、环境光、光源和多个已转换的模型（各自带有变换）。
+ *              模型片段中的纹理、材质、介质和对象名称加上模型前缀避免冲突，拆分为定义和几何体后由场景 Include，
+ *              同一模型可以摆放多次。生成的场景可以下载或直接渲染
+ * @param {Object} camera - 相机 { type: perspective|orthographic|spherical, lookAt: { eye, target, up } 或 9 个数字, fov, lensradius, focaldistance }
+ * @param {Object} [film] - 胶片 { type: rgb|gbuffer|spectral, xresolution, yresolution }
+ * @param {Object} [sampler] - 采样器 { type, pixelsamples }
+ * @param {Object} [integrator] - 积分器 { type, maxdepth }
+ * @param {Object} [environment] - 环境光 { envmap: 环境贴图库中的贴图ID, 或 filename: 上传目录中的环境贴图如 sky.exr,
+ *                                  或 rgb: [r, g, b], scale, rotate: [angle, x, y, z] }
+ * @param {Array} [lights] - 光源 [{ type: distant|point|spot, from, to, rgb, scale, coneangle, conedelta }]
+ * @param {Array} models - 模型 [{ uuid, source: auto|momo|nono, translate: [x, y, z], rotate: [angle, x, y, z], scale: 数字或 [x, y, z] }]
+ * @param {boolean} [useImport=false] - 为 true 时模型几何体使用 Import 代替 Include
+ * @param {Object} [render] - 可选的渲染参数（与 /v1/upload 相同），提供时创建场景后立即渲染
+ * @returns {Object} 201 { id, name, composition, models, downloadUrl, renderUrl, taskId, queuePosition, renderSettings }
+ * @throws {400} 场景描述无效或生成的场景校验失败时
+ * @throws {403} 环境贴图路径不安全时
+ * @throws {404} 模型或环境贴图不存在时
+ * @throws {429} 请求渲染且渲染队列已满时
+ */
+app.post('/v1/scenes', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '组合已转换的模型、相机、光源和环境贴图生成完整的PBRT-v4场景'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: true,
+            schema: {
+                name: 'showroom',
+                camera: { lookAt: { eye: [0, 2, 8], target: [0, 1, 0], up: [0, 1, 0] }, fov: 45 },
+                film: { xresolution: 1280, yresolution: 720 },
+                sampler: { type: 'zsobol', pixelsamples: 64 },
+                integrator: { type: 'volpath', maxdepth: 5 },
+                environment: { filename: 'sky.exr', scale: 1 },
+                lights: [{ type: 'distant', from: [1, 4, 2], to: [0, 0, 0], rgb: [1, 1, 1], scale: 2 }],
+                models: [{ uuid: '模型UUID', translate: [0, 0, 0], rotate: [0, 0, 1, 0], scale: 1 }],
+                render: { format: 'png' }
+            }
+        }
+    */
+    // #swagger.responses[201] = { description: '场景已创建' }
+    // #swagger.responses[400] = { description: '场景描述无效' }
+    // #swagger.responses[404] = { description: '模型或环境贴图不存在' }
+    // #swagger.responses[429] = { description: '渲染队列已满' }
+    let composition;
+    try {
+        composition = sceneComposer.parseComposition(req.body);
+    } catch (error) {
+        if (error instanceof sceneComposer.SceneCompositionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+    const composed = composeScene(composition);
+    if (composed.error) {
+        return sendComposeError(res, composed);
+    }
+
+    const record = {
+        id: uuid.v4(),
+        name: composition.name,
+        composition,
+        models: composed.models,
+        createdAt: new Date().toISOString()
+    };
+    fs.mkdirSync(path.dirname(getScenePath(record.id)), { recursive: true });
+    fs.writeFileSync(getScenePath(record.id), JSON.stringify(record, null, 4), 'utf8');
+
+    const response = describeComposedScene(record);
+    if (!req.body.render) {
+        fs.rmSync(composed.composeDir, { recursive: true, force: true });
+    } else {
+        const rendered = renderComposedScene(record, composed, req.body.render === true ? {} : req.body.render);
+        if (rendered.queueFull || rendered.error) {
+            // 渲染未能创建时不保留场景，客户端可以修正参数后重新提交
+            fs.rmSync(path.dirname(getScenePath(record.id)), { recursive: true, force: true });
+            return rendered.queueFull ? sendQueueFull(res, rendered.queueFull) : sendComposeError(res, rendered);
+        }
+        Object.assign(response, {
+            taskId: rendered.job.id,
+            queuePosition: rendered.queuePosition,
+            renderSettings: rendered.job.effectiveSettings
+        });
+    }
+    console.log(`[Scenes] 已创建组合场景 ${record.id}，包含 ${composition.models.length} 个模型`);
+    res.status(201).json(response);
+});
+
+/**
+ * @route GET /v1/scenes
+ * @description 获取所有组合场景
+ * @returns {Array} 组合场景列表
+ */
+app.get('/v1/scenes', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '获取所有组合场景'
+    const scenes = fs.existsSync(SCENES_DIR) ? fs.readdirSync(SCENES_DIR)
+        .map(loadComposedScene)
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(describeComposedScene) : [];
+    res.json(scenes);
+});
+
+/**
+ * @route GET /v1/scenes/:id
+ * @description 获取组合场景的描述
+ * @param {string} id - 场景ID
+ * @returns {Object} 组合场景
+ * @throws {404} 场景不存在时
+ */
+app.get('/v1/scenes/:id', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '获取组合场景的描述'
+    // #swagger.responses[404] = { description: '场景不存在' }
+    const record = loadComposedScene(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: '场景不存在' });
+    }
+    res.json(describeComposedScene(record));
+});
+
+/**
+ * @route GET /v1/scenes/:id/download
+ * @description 下载组合场景。场景按模型当前的 nono.pbrt/momo.pbrt 重新生成
+ * @param {string} id - 场景ID
+ * @query {string} [format=pbrt] - pbrt 只下载场景文件（需要在本服务的上传目录中渲染），
+ *                                 zip 下载包含场景、模型片段、模型纹理和环境贴图的场景包，可以在任意位置渲染
+ * @returns {file} 场景文件或ZIP
+ * @throws {400} 参数无效或场景生成失败时
+ * @throws {404} 场景、模型或环境贴图不存在时
+ */
+app.get('/v1/scenes/:id/download', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '下载组合场景的PBRT文件或场景包'
+    // #swagger.produces = ['text/plain', 'application/zip']
+    // #swagger.responses[404] = { description: '场景、模型或环境贴图不存在' }
+    const record = loadComposedScene(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: '场景不存在' });
+    }
+    const format = String(req.query.format || 'pbrt').toLowerCase();
+    if (!['pbrt', 'zip'].includes(format)) {
+        return res.status(400).json({ error: 'format参数必须是 pbrt 或 zip' });
+    }
+    const composed = composeScene(record.composition);
+    if (composed.error) {
+        return sendComposeError(res, composed);
+    }
+
+    const downloadName = `scene-${record.name ? record.name.replace(/[^\w.-]+/g, '_') : record.id}`;
+    // 下载的场景中拆分的模型片段统一放在 compose 目录，不暴露本次请求的临时目录名
+    const composeDirName = path.basename(composed.composeDir);
+    const toDownloadPath = file => file.startsWith(`${composeDirName}/`) ? `compose/${file.substring(composeDirName.length + 1)}` : file;
+    const content = composed.content.split(`"${composeDirName}/`).join('"compose/');
+    try {
+        if (format === 'pbrt') {
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${downloadName}.pbrt"`);
+            return res.send(content);
+        }
+
+        // 场景包保持与上传目录相同的相对路径，模型纹理整个目录打包
+        const zip = new AdmZip();
+        zip.addFile('scene.pbrt', Buffer.from(content, 'utf8'));
+        composed.files.forEach((file) => {
+            zip.addLocalFile(path.join(uploadsDir, file), path.dirname(toDownloadPath(file)));
+        });
+        composed.models.forEach(({ uuid: modelId }) => {
+            const texturesDir = path.join(MODELS_DIR, modelId, 'textures');
+            if (fs.existsSync(texturesDir)) {
+                zip.addLocalFolder(texturesDir, `models/${modelId}/textures`);
+            }
+        });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${downloadName}.zip"`);
+        res.send(zip.toBuffer());
+    } finally {
+        fs.rmSync(composed.composeDir, { recursive: true, force: true });
+    }
+});
+
+/**
+ * @route POST /v1/scenes/:id/render
+ * @description 渲染组合场景。场景按模型当前的 nono.pbrt/momo.pbrt 重新生成，通过 /v1/status 或 /v1/jobs/{id} 查询进度
+ * @param {string} id - 场景ID
+ * @param {string} [format=exr] - 可选的结果图像格式，其他渲染参数和参数覆盖与 /v1/upload 相同
+ * @returns {Object} 202 { taskId, status, queuePosition, renderSettings }
+ * @throws {400} 渲染参数无效或场景生成失败时
+ * @throws {404} 场景、模型或环境贴图不存在时
+ * @throws {429} 渲染队列已满时
+ */
+app.post('/v1/scenes/:id/render', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '渲染组合场景'
+    // #swagger.responses[202] = { description: '渲染任务已创建' }
+    // #swagger.responses[404] = { description: '场景、模型或环境贴图不存在' }
+    // #swagger.responses[429] = { description: '渲染队列已满' }
+    const record = loadComposedScene(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: '场景不存在' });
+    }
+    const composed = composeScene(record.composition);
+    if (composed.error) {
+        return sendComposeError(res, composed);
+    }
+    const rendered = renderComposedScene(record, composed, req.body || {});
+    if (rendered.queueFull) {
+        return sendQueueFull(res, rendered.queueFull);
+    }
+    if (rendered.error) {
+        return sendComposeError(res, rendered);
+    }
+    console.log(`[Scenes] 组合场景 ${record.id} 的渲染任务 ${rendered.job.id}，排队位置: ${rendered.queuePosition}`);
+    res.status(202).json({
+        taskId: rendered.job.id,
+        status: rendered.job.status,
+        queuePosition: rendered.queuePosition,
+        renderSettings: rendered.job.effectiveSettings
+    });
+});
+
+/**
+ * @route DELETE /v1/scenes/:id
+ * @description 删除组合场景
+ * @param {string} id - 场景ID
+ * @query {string} [force] - 为 'true' 时即使被回归测试基准使用也删除
+ * @returns {Object} 删除结果
+ * @throws {404} 场景不存在时
+ * @throws {409} 场景被回归测试基准使用时，goldens 为基准ID
+ */
+app.delete('/v1/scenes/:id', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '删除组合场景'
+    // #swagger.responses[404] = { description: '场景不存在' }
+    // #swagger.responses[409] = { description: '场景被回归测试基准使用' }
+    const record = loadComposedScene(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: '场景不存在' });
+    }
+    const goldens = findGoldensUsingScene(record.id);
+    if (goldens.length > 0 && req.query.force !== 'true') {
+        return res.status(409).json({ error: `场景被 ${goldens.length} 个回归测试基准使用`, goldens });
+    }
+    fs.rmSync(path.dirname(getScenePath(record.id)), { recursive: true, force: true });
+    res.json({ message: '场景已删除', id: record.id });
+});
+
+function getEnvMapDir(envMapId) {
+    return path.join(ENVMAPS_DIR, envMapId);
+}
+
+/**
+ * 读取环境贴图的信息
+ * @param {string} envMapId 环境贴图ID
+ * @returns {Object|null} info.json 的内容，贴图不存在时返回 null
+ */
+function loadEnvMap(envMapId) {
+    if (!envMapId || !envMaps.ENVMAP_ID_PATTERN.test(envMapId)) {
+        return null;
+    }
+    const infoPath = path.join(getEnvMapDir(envMapId), 'info.json');
+    return fs.existsSync(infoPath) ? JSON.parse(fs.readFileSync(infoPath, 'utf8')) : null;
+}
+
+/**
+ * 获取环境贴图文件的绝对路径
+ * @param {string} envMapId 环境贴图ID
+ * @returns {string|null} 贴图路径，贴图不存在时返回 null
+ */
+function resolveEnvMapPath(envMapId) {
+    if (!envMapId || !envMaps.ENVMAP_ID_PATTERN.test(envMapId)) {
+        return null;
+    }
+    const mapPath = path.join(getEnvMapDir(envMapId), ENVMAP_FILENAME);
+    return fs.existsSync(mapPath) ? mapPath : null;
+}
+
+/**
+ * 将场景中的 envmap:{id} 引用替换为贴图的绝对路径，场景包的工作区和上传目录中的场景都可以使用
+ * @param {string} scenePath 场景文件路径
+ * @throws {Error} 引用的环境贴图不存在时
+ */
+function resolveSceneEnvMaps(scenePath) {
+    const scene = pbrtParser.parse(fs.readFileSync(scenePath, 'utf8'));
+    const count = envMaps.resolveEnvMapReferences(scene, resolveEnvMapPath);
+    if (count > 0) {
+        fs.writeFileSync(scenePath, pbrtParser.serialize(scene), 'utf8');
+        console.log(`[Render] 已替换场景中的 ${count} 个环境贴图引用`);
+    }
+}
+
+function describeEnvMap(info) {
+    return Object.assign({}, info, {
+        reference: `${envMaps.ENVMAP_REFERENCE_PREFIX}${info.id}`,
+        path: `envmaps/${info.id}/${ENVMAP_FILENAME}`,
+        previewUrl: `/v1/envmaps/${info.id}/preview`,
+        fileUrl: `/v1/envmaps/${info.id}/file`
+    });
+}
+
+/**
+ * 将EXR文件加入环境贴图库：分析元数据并生成色调映射后的预览图
+ * @param {string} sourcePath EXR文件路径
+ * @param {Object} options 选项
+ * @param {string} options.name 显示名称
+ * @param {string} options.originalFilename 原始文件名
+ * @param {boolean} [options.move=false] 为 true 时移动文件，否则复制
+ * @param {Object} [options.image] 已解码的图像，指定时不再读取文件
+ * @param {Object} [options.conversion] 投影转换的来源和参数，记录在贴图信息中
+ * @returns {Promise<Object>} 环境贴图信息，文件无法解析时返回 { error }
+ */
+async function addEnvMap(sourcePath, options) {
+    let image = options.image;
+    if (!image) {
+        try {
+            image = await exrImage.readExr(sourcePath);
+        } catch (error) {
+            return { error: `无法解析EXR文件: ${error.message}` };
+        }
+    }
+    const metadata = envMaps.analyzeEnvMap(image);
+    const preview = exrImage.tonemap(envMaps.downsample(image, envMaps.PREVIEW_WIDTH), {
+        exposure: envMaps.getPreviewExposure(metadata.averageLuminance)
+    });
+
+    const info = Object.assign({
+        id: uuid.v4(),
+        name: options.name,
+        originalFilename: options.originalFilename,
+        size: fs.statSync(sourcePath).size
+    }, metadata, options.conversion ? { conversion: options.conversion } : {}, { createdAt: new Date().toISOString() });
+    const envMapDir = getEnvMapDir(info.id);
+    fs.mkdirSync(envMapDir, { recursive: true });
+    if (options.move) {
+        fs.renameSync(sourcePath, path.join(envMapDir, ENVMAP_FILENAME));
+    } else {
+        fs.copyFileSync(sourcePath, path.join(envMapDir, ENVMAP_FILENAME));
+    }
+    fs.writeFileSync(path.join(envMapDir, ENVMAP_PREVIEW_FILENAME), exrImage.encodePng(preview));
+    fs.writeFileSync(path.join(envMapDir, 'info.json'), JSON.stringify(info, null, 4), 'utf8');
+    return info;
+}
+
+/**
+ * 查找引用了环境贴图的组合场景
+ * @param {string} envMapId 环境贴图ID
+ * @returns {Array} 场景ID
+ */
+function findScenesUsingEnvMap(envMapId) {
+    if (!fs.existsSync(SCENES_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(SCENES_DIR)
+        .map(loadComposedScene)
+        .filter(record => record && record.composition.environment && record.composition.environment.envmap === envMapId)
+        .map(record => record.id);
+}
+
+/**
+ * @route POST /v1/envmaps
+ * @description 将HDR环境贴图加入环境贴图库。贴图以稳定的ID保存，场景通过 "envmap:{id}" 引用
+ *              （如 LightSource "infinite" "string filename" "envmap:{id}"），渲染接口通过 envmap 参数引用，
+ *              组合场景通过 environment.envmap 引用，贴图重命名不会影响已有的场景
+ * @param {file} [envMap] - EXR环境贴图
+ * @param {string} [importFile] - 不上传文件时，将上传目录中已有的EXR文件（如 sky.exr）加入贴图库，原文件保留
+ * @param {string} [name] - 显示名称，默认为文件名
+ * @returns {Object} 201 环境贴图信息 { id, name, width, height, projection, averageLuminance, maxLuminance, reference, previewUrl, fileUrl }
+ * @throws {400} 缺少文件或文件不是有效的EXR图像时
+ * @throws {403} importFile 路径不安全时
+ * @throws {404} importFile 不存在时
+ */
+app.post('/v1/envmaps', upload.single('envMap'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '上传EXR环境贴图或导入上传目录中已有的环境贴图'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['envMap'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: 'EXR环境贴图'
+        }
+       #swagger.parameters['importFile'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '上传目录中已有的EXR文件名，如 sky.exr'
+        }
+       #swagger.parameters['name'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '显示名称'
+        }
+    */
+    // #swagger.responses[201] = { description: '环境贴图已加入贴图库' }
+    // #swagger.responses[400] = { description: '缺少文件或文件不是有效的EXR图像' }
+    let sourcePath;
+    let originalFilename;
+    if (req.file) {
+        sourcePath = req.file.path;
+        originalFilename = req.file.originalname;
+    } else if (req.body.importFile) {
+        originalFilename = String(req.body.importFile);
+        if (path.isAbsolute(originalFilename) || sceneValidator.isSuspiciousPath(originalFilename)) {
+            return res.status(403).json({ error: `检测到可能的安全问题，文件路径无效: ${originalFilename}` });
+        }
+        sourcePath = path.join(uploadsDir, originalFilename);
+        if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) {
+            return res.status(404).json({ error: `文件 ${originalFilename} 不存在` });
+        }
+    } else {
+        return res.status(400).json({ error: '缺少 envMap 文件或 importFile 参数' });
+    }
+    if (path.extname(originalFilename).toLowerCase() !== '.exr') {
+        if (req.file) {
+            fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ error: '环境贴图必须是EXR文件' });
+    }
+
+    const name = req.body.name ? String(req.body.name) : path.basename(originalFilename, path.extname(originalFilename));
+    const info = await addEnvMap(sourcePath, { name, originalFilename: path.basename(originalFilename), move: Boolean(req.file) });
+    if (info.error) {
+        if (req.file) {
+            fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json(info);
+    }
+    console.log(`[EnvMaps] 已添加环境贴图 ${info.id} (${info.name}): ${info.width}x${info.height} ${info.projection}`);
+    res.status(201).json(describeEnvMap(info));
+}));
+
+/**
+ * @route POST /v1/envmaps/convert
+ * @description 转换环境贴图的投影并加入环境贴图库：PBRT-v4 的 infinite 光源需要等面积八面体投影的正方形贴图，
+ *              常见的HDRI为 2:1 的经纬度投影。转换结果保存为EXR，可以立即通过返回的 reference 在场景中使用
+ * @param {file} [envMap] - EXR或HDR（Radiance RGBE）全景图
+ * @param {string} [envMapId] - 不上传文件时，转换贴图库中已有的贴图，原贴图保留
+ * @param {string} [from] - 源投影，equirect 或 equalarea，默认根据宽高比判断
+ * @param {string} [to] - 目标投影，equirect 或 equalarea，默认为源投影之外的另一种
+ * @param {number} [resolution] - 输出宽度，等面积投影输出为正方形，经纬度投影的高度为宽度的一半，默认保持像素数大致不变
+ * @param {string} [filter=bilinear] - 采样过滤方式：nearest、bilinear 或 box（按缩小比例超采样，适合降低分辨率）
+ * @param {number} [rotation=0] - 绕竖直轴（Z）旋转的角度（度）
+ * @param {number} [scale=1] - 亮度缩放
+ * @param {string} [name] - 显示名称，默认为源文件名加目标投影
+ * @returns {Object} 201 环境贴图信息，conversion 字段记录转换的来源和参数
+ * @throws {400} 缺少文件、文件无法解析或参数无效时
+ * @throws {404} envMapId 不存在时
+ */
+app.post('/v1/envmaps/convert', upload.single('envMap'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '在经纬度投影和等面积八面体投影之间转换环境贴图，结果加入环境贴图库'
+    /* #swagger.consumes = ['multipart/form-data']
+       #swagger.parameters['envMap'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: 'EXR或HDR全景图'
+        }
+       #swagger.parameters['envMapId'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '贴图库中已有的环境贴图ID'
+        }
+       #swagger.parameters['from'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            enum: ['equirect', 'equalarea'],
+            description: '源投影，默认根据宽高比判断'
+        }
+       #swagger.parameters['to'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            enum: ['equirect', 'equalarea'],
+            description: '目标投影'
+        }
+       #swagger.parameters['resolution'] = {
+            in: 'formData',
+            type: 'integer',
+            required: false,
+            description: '输出宽度'
+        }
+       #swagger.parameters['filter'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            enum: ['nearest', 'bilinear', 'box'],
+            description: '采样过滤方式'
+        }
+       #swagger.parameters['rotation'] = {
+            in: 'formData',
+            type: 'number',
+            required: false,
+            description: '绕竖直轴旋转的角度（度）'
+        }
+       #swagger.parameters['scale'] = {
+            in: 'formData',
+            type: 'number',
+            required: false,
+            description: '亮度缩放'
+        }
+       #swagger.parameters['name'] = {
+            in: 'formData',
+            type: 'string',
+            required: false,
+            description: '显示名称'
+        }
+    */
+    // #swagger.responses[201] = { description: '转换后的环境贴图已加入贴图库' }
+    // #swagger.responses[400] = { description: '缺少文件、文件无法解析或参数无效' }
+    // #swagger.responses[404] = { description: '环境贴图不存在' }
+    const removeUpload = () => {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+    };
+
+    let sourcePath;
+    let sourceName;
+    let source;
+    if (req.file) {
+        sourcePath = req.file.path;
+        sourceName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+        source = { filename: path.basename(req.file.originalname) };
+        if (!['.exr', '.hdr'].includes(path.extname(req.file.originalname).toLowerCase())) {
+            removeUpload();
+            return res.status(400).json({ error: '全景图必须是EXR或HDR文件' });
+        }
+    } else if (req.body.envMapId) {
+        const sourceInfo = loadEnvMap(String(req.body.envMapId));
+        if (!sourceInfo) {
+            return res.status(404).json({ error: '环境贴图不存在' });
+        }
+        sourcePath = path.join(getEnvMapDir(sourceInfo.id), ENVMAP_FILENAME);
+        sourceName = sourceInfo.name;
+        source = { envMapId: sourceInfo.id };
+    } else {
+        return res.status(400).json({ error: '缺少 envMap 文件或 envMapId 参数' });
+    }
+
+    let image;
+    const isHdr = path.extname(req.file ? req.file.originalname : sourcePath).toLowerCase() === '.hdr';
+    try {
+        image = isHdr ? await exrImage.readHdr(sourcePath) : await exrImage.readExr(sourcePath);
+    } catch (error) {
+        removeUpload();
+        return res.status(400).json({ error: `无法解析${isHdr ? 'HDR' : 'EXR'}文件: ${error.message}` });
+    }
+
+    let options;
+    try {
+        options = envMapProjection.parseConversionOptions(image, req.body, envMaps.detectProjection(image.width, image.height));
+    } catch (error) {
+        removeUpload();
+        if (error instanceof envMapProjection.ProjectionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    const startTime = Date.now();
+    const converted = envMapProjection.convertProjection(image, options);
+    const outputPath = path.join(uploadsDir, `envmap-${Date.now()}.exr`);
+    fs.writeFileSync(outputPath, await exrImage.writeExr(converted, { halfFloat: false }));
+    removeUpload();
+
+    const suffix = options.to === envMapProjection.EQUAL_AREA ? 'equalarea' : 'equirect';
+    const name = req.body.name ? String(req.body.name) : `${sourceName}-${suffix}`;
+    const info = await addEnvMap(outputPath, {
+        name,
+        originalFilename: `${name}.exr`,
+        move: true,
+        image: converted,
+        conversion: Object.assign(source, {
+            from: options.from,
+            to: options.to,
+            sourceWidth: image.width,
+            sourceHeight: image.height,
+            filter: options.filter,
+            rotation: options.rotation,
+            scale: options.scale
+        })
+    });
+    console.log(`[EnvMaps] 已转换环境贴图 ${info.id} (${info.name}): ${image.width}x${image.height} ${options.from} -> ` +
+        `${info.width}x${info.height} ${options.to}，用时 ${Date.now() - startTime}ms`);
+    res.status(201).json(describeEnvMap(info));
+}));
+
+/**
+ * @route GET /v1/envmaps
+ * @description 获取环境贴图库中的所有贴图
+ * @returns {Array} 环境贴图信息列表，按名称排序
+ */
+app.get('/v1/envmaps', (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '获取环境贴图库中的所有贴图'
+    const list = fs.existsSync(ENVMAPS_DIR) ? fs.readdirSync(ENVMAPS_DIR)
+        .map(loadEnvMap)
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(describeEnvMap) : [];
+    res.json(list);
+});
+
+/**
+ * @route GET /v1/envmaps/:id
+ * @description 获取环境贴图的信息：分辨率、投影方式和平均亮度
+ * @param {string} id - 环境贴图ID
+ * @returns {Object} 环境贴图信息
+ * @throws {404} 贴图不存在时
+ */
+app.get('/v1/envmaps/:id', (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '获取环境贴图的信息'
+    // #swagger.responses[404] = { description: '环境贴图不存在' }
+    const info = loadEnvMap(req.params.id);
+    if (!info) {
+        return res.status(404).json({ error: '环境贴图不存在' });
+    }
+    res.json(describeEnvMap(info));
+});
+
+/**
+ * @route PATCH /v1/envmaps/:id
+ * @description 重命名环境贴图。场景按ID引用贴图，重命名不影响已有的场景
+ * @param {string} id - 环境贴图ID
+ * @param {string} name - 新的显示名称
+ * @returns {Object} 环境贴图信息
+ * @throws {400} 缺少名称时
+ * @throws {404} 贴图不存在时
+ */
+app.patch('/v1/envmaps/:id', (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '重命名环境贴图'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: true,
+            schema: { name: 'studio' }
+        }
+    */
+    // #swagger.responses[404] = { description: '环境贴图不存在' }
+    const info = loadEnvMap(req.params.id);
+    if (!info) {
+        return res.status(404).json({ error: '环境贴图不存在' });
+    }
+    if (!req.body || typeof req.body.name !== 'string' || !req.body.name.trim()) {
+        return res.status(400).json({ error: '缺少 name 参数' });
+    }
+    info.name = req.body.name.trim();
+    fs.writeFileSync(path.join(getEnvMapDir(info.id), 'info.json'), JSON.stringify(info, null, 4), 'utf8');
+    res.json(describeEnvMap(info));
+});
+
+/**
+ * @route DELETE /v1/envmaps/:id
+ * @description 删除环境贴图。贴图被组合场景引用时拒绝删除，除非指定 force
+ * @param {string} id - 环境贴图ID
+ * @query {string} [force] - 为 'true' 时即使被组合场景引用也删除
+ * @returns {Object} 删除结果
+ * @throws {404} 贴图不存在时
+ * @throws {409} 贴图被组合场景引用时，scenes 为引用的场景ID
+ */
+app.delete('/v1/envmaps/:id', (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '删除环境贴图'
+    // #swagger.responses[404] = { description: '环境贴图不存在' }
+    // #swagger.responses[409] = { description: '环境贴图被组合场景引用' }
+    const info = loadEnvMap(req.params.id);
+    if (!info) {
+        return res.status(404).json({ error: '环境贴图不存在' });
+    }
+    const scenes = findScenesUsingEnvMap(info.id);
+    if (scenes.length > 0 && req.query.force !== 'true') {
+        return res.status(409).json({ error: `环境贴图被 ${scenes.length} 个组合场景引用`, scenes });
+    }
+    fs.rmSync(getEnvMapDir(info.id), { recursive: true, force: true });
+    console.log(`[EnvMaps] 已删除环境贴图 ${info.id} (${info.name})`);
+    res.json({ message: '环境贴图已删除', id: info.id });
+});
+
+/**
+ * @route GET /v1/envmaps/:id/preview
+ * @description 获取环境贴图色调映射后的预览图，自动曝光使平均亮度映射为中灰
+ * @param {string} id - 环境贴图ID
+ * @returns {Buffer} PNG预览图
+ * @throws {404} 贴图不存在时
+ */
+app.get('/v1/envmaps/:id/preview', (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '获取环境贴图的PNG预览图'
+    // #swagger.produces = ['image/png']
+    // #swagger.responses[404] = { description: '环境贴图不存在' }
+    const info = loadEnvMap(req.params.id);
+    if (!info) {
+        return res.status(404).json({ error: '环境贴图不存在' });
+    }
+    // 同一ID的贴图内容不会改变，预览图可以长期缓存
+    res.sendFile(path.join(getEnvMapDir(info.id), ENVMAP_PREVIEW_FILENAME), {
+        headers: { 'Cache-Control': 'public, max-age=31536000, immutable' }
+    });
+});
+
+/**
+ * @route GET /v1/envmaps/:id/file
+ * @description 下载环境贴图的EXR文件，文件名为贴图的显示名称
+ * @param {string} id - 环境贴图ID
+ * @returns {file} EXR文件
+ * @throws {404} 贴图不存在时
+ */
+app.get('/v1/envmaps/:id/file', (req, res) => {
+    // #swagger.tags = ['环境贴图']
+    // #swagger.description = '下载环境贴图的EXR文件'
+    // #swagger.produces = ['image/x-exr']
+    // #swagger.responses[404] = { description: '环境贴图不存在' }
+    const info = loadEnvMap(req.params.id);
+    if (!info) {
+        return res.status(404).json({ error: '环境贴图不存在' });
+    }
+    res.download(path.join(getEnvMapDir(info.id), ENVMAP_FILENAME), `${info.name}.exr`);
+});
+
+// 太阳系场景，/v1/ephemeris/orbit 将星历写入该场景的副本
+const ORBIT_SCENE_PATH = path.join(uploadsDir, 'orbit.pbrt');
+const ORBIT_OUTPUTS = ['scene', 'render'];
+
+/**
+ * 解析星历时间参数
+ * @param {string|number} [value] ISO 8601 时间或毫秒时间戳，未指定时为当前时间
+ * @returns {Object} { ephemeris } 或 { error }
+ */
+function parseEphemerisTime(value) {
+    let date = new Date();
+    if (value !== undefined && value !== '') {
+        date = new Date(/^-?\d+$/.test(String(value)) ? Number(value) : String(value));
+    }
+    try {
+        return { ephemeris: ephemeris.computeEphemeris(date) };
+    } catch (error) {
+        if (error instanceof ephemeris.EphemerisError) {
+            return { error: `time参数无效: ${error.message}` };
+        }
+        throw error;
+    }
+}
+
+/**
+ * @route GET /v1/ephemeris
+ * @description 离线计算太阳和月球的地心黄道坐标（千米）以及地球自转角，使用截断的 VSOP87 和 ELP-2000/82 级数
+ * @query {string} [time] - UTC时间，ISO 8601 格式或毫秒时间戳，默认为当前时间，支持 1900 到 2100 年
+ * @returns {Object} { time, julianDate, deltaT, sun, moon, earth }，sun 和 moon 为 { longitude, latitude, distance, position }，
+ *   earth 为 { obliquity, rotationAngle, siderealTime }，角度单位为度
+ * @throws {400} 时间无效或超出范围时
+ */
+app.get('/v1/ephemeris', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '计算指定UTC时间的太阳、月球位置和地球自转角'
+    // #swagger.parameters['time'] = { in: 'query', type: 'string', required: false, description: 'UTC时间，如 2024-04-08T18:18:00Z' }
+    // #swagger.responses[400] = { description: '时间无效或超出范围' }
+    const result = parseEphemerisTime(req.query.time);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    res.json(result.ephemeris);
+});
+
+/**
+ * @route POST /v1/ephemeris/orbit
+ * @description 将指定时间的星历写入太阳系场景（uploads/orbit.pbrt 的副本）：太阳和月球属性块的 Translate，
+ *              地球属性块的自转轴倾斜和自转角 Rotate，然后返回场景或提交渲染。原场景文件不会被修改
+ * @param {string} [time] - UTC时间，ISO 8601 格式或毫秒时间戳，默认为当前时间
+ * @param {string} [output=scene] - scene 返回场景文件，render 提交渲染任务
+ * @param {string} [format] - output 为 render 时的结果图像格式，其他渲染参数和参数覆盖与 /v1/upload 相同
+ * @returns {file|Object} 场景文件（X-Ephemeris 响应头为星历JSON），或 202 { taskId, status, queuePosition, renderSettings, ephemeris }
+ * @throws {400} 参数无效或场景中找不到天体时
+ * @throws {404} 太阳系场景不存在时
+ * @throws {429} 渲染队列已满时
+ */
+app.post('/v1/ephemeris/orbit', (req, res) => {
+    // #swagger.tags = ['场景工具']
+    // #swagger.description = '按星历更新太阳系场景中太阳、月球的位置和地球的自转，返回场景或提交渲染'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: false,
+            schema: { time: '2024-04-08T18:18:00Z', output: 'render', format: 'png', xresolution: 960, yresolution: 540 }
+        }
+    */
+    // #swagger.produces = ['text/plain', 'application/json']
+    // #swagger.responses[202] = { description: '渲染任务已创建' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[429] = { description: '渲染队列已满' }
+    const body = req.body || {};
+    const output = String(body.output || 'scene').toLowerCase();
+    if (!ORBIT_OUTPUTS.includes(output)) {
+        return res.status(400).json({ error: `output参数必须是 ${ORBIT_OUTPUTS.join(', ')} 之一` });
+    }
+    const result = parseEphemerisTime(body.time);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    if (!fs.existsSync(ORBIT_SCENE_PATH)) {
+        return res.status(404).json({ error: '太阳系场景 orbit.pbrt 不存在' });
+    }
+
+    const scene = pbrtParser.parse(fs.readFileSync(ORBIT_SCENE_PATH, 'utf8'));
+    try {
+        orbitScene.applyEphemeris(scene, result.ephemeris);
+    } catch (error) {
+        if (error instanceof orbitScene.OrbitSceneError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+    const content = pbrtParser.serialize(scene);
+    const timestamp = result.ephemeris.time.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    console.log(`[Ephemeris] ${result.ephemeris.time}: 太阳 ${result.ephemeris.sun.longitude.toFixed(4)}°, 月球 ${result.ephemeris.moon.longitude.toFixed(4)}°`);
+
+    if (output === 'scene') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="orbit-${timestamp}.pbrt"`);
+        res.setHeader('X-Ephemeris', JSON.stringify(result.ephemeris));
+        return res.send(content);
+    }
+
+    const rendered = renderGeneratedScene(content, body, {
+        prefix: `orbit-${timestamp}`,
+        job: { source: 'ephemeris', filename: `orbit-${timestamp}.pbrt`, ephemerisTime: result.ephemeris.time }
+    });
+    if (rendered.queueFull) {
+        return sendQueueFull(res, rendered.queueFull);
+    }
+    if (rendered.error) {
+        return sendComposeError(res, rendered);
+    }
+    res.status(202).json({
+        taskId: rendered.job.id,
+        status: rendered.job.status,
+        queuePosition: rendered.queuePosition,
+        renderSettings: rendered.job.effectiveSettings,
+        ephemeris: result.ephemeris
+    });
+});
+
+// 基准图像回归测试：每个基准一个目录 golden.json（场景来源、渲染参数和容差）、reference.exr（参考图像），
+// 上传的场景另外保存在 scene 子目录；每次回归运行一个目录 report.json（报告）和 {基准ID}-diff.png（差异热力图缩略图）
+const REGRESSION_DIR = path.join(DATA_DIR, 'regression');
+const GOLDENS_DIR = path.join(REGRESSION_DIR, 'goldens');
+const REGRESSION_RUNS_DIR = path.join(REGRESSION_DIR, 'runs');
+const GOLDEN_REFERENCE_FILENAME = 'reference.exr';
+const GOLDEN_SCENE_DIRNAME = 'scene';
+// 上传的单个场景文件在基准目录中的文件名
+const GOLDEN_SCENE_FILENAME = 'scene.pbrt';
+const REGRESSION_THUMBNAIL_WIDTH = 256;
+// 正在进行的回归运行，同一时间只允许一次运行
+let activeRegressionRun = null;
+
+function getGoldenDir(goldenId) {
+    return path.join(GOLDENS_DIR, goldenId);
+}
+
+function saveGolden(golden) {
+    fs.mkdirSync(getGoldenDir(golden.id), { recursive: true });
+    fs.writeFileSync(path.join(getGoldenDir(golden.id), 'golden.json'), JSON.stringify(golden, null, 4), 'utf8');
+}
+
+/**
+ * 读取基准，参考图像渲染结束后的状态由 finalizeGolden 写入
+ * @param {string} goldenId 基准ID
+ * @returns {Object|null} golden.json 的内容，不存在时返回 null
+ */
+function loadGolden(goldenId) {
+    const goldenPath = path.join(getGoldenDir(goldenId), 'golden.json');
+    if (!/^[0-9a-f-]+$/.test(goldenId) || !fs.existsSync(goldenPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+}
+
+/**
+ * 参考图像的渲染任务结束后更新基准状态，渲染成功时将结果复制为参考图像
+ * @param {string} goldenId 基准ID
+ * @param {string} jobId 参考图像的渲染任务ID
+ */
+function finalizeGolden(goldenId, jobId) {
+    const golden = loadGolden(goldenId);
+    // 基准已被删除或已经更新过状态
+    if (!golden || golden.status !== regression.GOLDEN_STATUS.PENDING || golden.taskId !== jobId) {
+        return;
+    }
+    const job = jobStore.getJob(jobId);
+    if (job && job.status === jobStore.JOB_STATUS.SUCCESS && job.outputPath && fs.existsSync(job.outputPath)) {
+        fs.copyFileSync(job.outputPath, path.join(getGoldenDir(golden.id), GOLDEN_REFERENCE_FILENAME));
+        Object.assign(golden, { status: regression.GOLDEN_STATUS.READY, readyAt: new Date().toISOString() });
+        console.log(`[Regression] 基准 ${golden.id} 的参考图像已保存`);
+    } else {
+        Object.assign(golden, {
+            status: regression.GOLDEN_STATUS.FAILED,
+            error: job ? `参考图像渲染失败: ${job.error || job.status}` : '参考图像的渲染任务不存在'
+        });
+        console.warn(`[Regression] 基准 ${golden.id} ${golden.error}`);
+    }
+    saveGolden(golden);
+}
+
+/**
+ * 跟踪基准的参考图像渲染任务，任务结束时更新基准状态
+ * @param {string} goldenId 基准ID
+ * @param {string} jobId 参考图像的渲染任务ID
+ */
+function watchGoldenReference(goldenId, jobId) {
+    const job = jobStore.getJob(jobId);
+    if (!job || isJobFinished(job)) {
+        finalizeGolden(goldenId, jobId);
+        return;
+    }
+    const listener = ({ event }) => {
+        if (event === 'done') {
+            jobEvents.off(jobId, listener);
+            finalizeGolden(goldenId, jobId);
+        }
+    };
+    jobEvents.on(jobId, listener);
+}
+
+function listGoldens() {
+    return fs.existsSync(GOLDENS_DIR) ? fs.readdirSync(GOLDENS_DIR).map(loadGolden).filter(Boolean) : [];
+}
+
+// 服务重启后继续跟踪参考图像仍在渲染中的基准，重启前已结束的任务直接更新状态
+listGoldens()
+    .filter(golden => golden.status === regression.GOLDEN_STATUS.PENDING)
+    .forEach(golden => watchGoldenReference(golden.id, golden.taskId));
+
+// 报告中的场景来源，不包含模型来源固定的包围盒
+function describeGoldenSource(source) {
+    const { bounds, ...info } = source;
+    return info;
+}
+
+function describeGolden(golden) {
+    return Object.assign({}, golden, golden.status === regression.GOLDEN_STATUS.READY ? {
+        referenceUrl: `/v1/regression/goldens/${golden.id}/reference`
+    } : {});
+}
+
+/**
+ * 查找使用组合场景的基准
+ * @param {string} sceneId 场景ID
+ * @returns {Array} 基准ID
+ */
+function findGoldensUsingScene(sceneId) {
+    return listGoldens()
+        .filter(golden => golden.source.type === regression.GOLDEN_SOURCE_TYPES.COMPOSED && golden.source.id === sceneId)
+        .map(golden => golden.id);
+}
+
+/**
+ * 解析模型基准的视角，与缩略图相同的影棚场景，可以指定转盘角度、仰角、视场角和竖直轴
+ * @param {Object} value { angle, elevation, fov, up }
+ * @returns {Object} { angle, elevation, fov, up }
+ * @throws {TurntableError} 参数无效时
+ */
+function parseModelGoldenView(value) {
+    const options = turntable.parseTurntableOptions({ frames: 1, elevation: value.elevation, fov: value.fov, up: value.up });
+    const angle = value.angle === undefined ? THUMBNAIL_ANGLE : Number(value.angle);
+    if (typeof value.angle === 'boolean' || !Number.isFinite(angle)) {
+        throw new turntable.TurntableError('angle参数必须是数字（度）');
+    }
+    return { angle, elevation: options.elevation, fov: options.fov, up: options.up };
+}
+
+/**
+ * 查找模型基准使用的模型场景
+ * @param {Object} source 模型来源 { id, fragment }
+ * @returns {Object} { name, path } 或 { status, error }
+ */
+function resolveModelGoldenFragment(source) {
+    const modelDir = path.join(MODELS_DIR, source.id);
+    if (!fs.existsSync(path.join(modelDir, 'info.json'))) {
+        return { status: 404, error: `模型 ${source.id} 不存在` };
+    }
+    const name = source.fragment === 'auto' ?
+        ['momo.pbrt', 'nono.pbrt'].find(file => fs.existsSync(path.join(modelDir, file))) :
+        `${source.fragment}.pbrt`;
+    if (!name || !fs.existsSync(path.join(modelDir, name))) {
+        return { status: 404, error: `模型 ${source.id} 没有 ${name || 'nono.pbrt'}，请先转换模型` };
+    }
+    return { name, path: path.join(modelDir, name) };
+}
+
+/**
+ * 按基准的场景来源重新生成场景并创建渲染任务，创建基准时的参考图像和回归运行使用相同的方式渲染：
+ * 组合场景按保存的场景描述重新组合，模型放在包围盒固定的影棚场景中（相机位置不随模型的转换结果变化），
+ * 上传的场景使用基准目录中保存的副本
+ * @param {Object} golden 基准
+ * @returns {Object} renderGeneratedScene 的返回值，场景无法生成时为 { status, error }
+ */
+function renderGoldenScene(golden) {
+    const { source } = golden;
+    const body = Object.assign({}, golden.render, { userId: 'regression' });
+    if (source.type === regression.GOLDEN_SOURCE_TYPES.COMPOSED) {
+        const record = loadComposedScene(source.id);
+        if (!record) {
+            return { status: 404, error: '组合场景不存在' };
+        }
+        const composed = composeScene(record.composition);
+        return composed.error ? composed : renderComposedScene(record, composed, body);
+    }
+    if (source.type === regression.GOLDEN_SOURCE_TYPES.MODEL) {
+        const fragment = resolveModelGoldenFragment(source);
+        if (fragment.error) {
+            return fragment;
+        }
+        const options = turntable.parseTurntableOptions({ frames: 1, elevation: source.view.elevation, fov: source.view.fov, up: source.view.up });
+        const content = turntable.buildTurntableScene(source.bounds, options, {
+            include: `models/${source.id}/${fragment.name}`,
+            angle: source.view.angle
+        });
+        return renderGeneratedScene(content, body, {
+            prefix: `regression-${source.id}`,
+            job: { source: 'regression', modelId: source.id, filename: `${source.id}-${fragment.name}` }
+        });
+    }
+    const sceneDir = path.join(getGoldenDir(golden.id), GOLDEN_SCENE_DIRNAME);
+    const job = { source: 'regression', filename: source.filename };
+    return source.bundle ?
+        renderGeneratedScene(null, body, { job, bundle: { dir: sceneDir, entry: source.entry } }) :
+        renderGeneratedScene(fs.readFileSync(path.join(sceneDir, GOLDEN_SCENE_FILENAME), 'utf8'), body, { prefix: 'regression', job });
+}
+
+function getRegressionRunDir(runId) {
+    return path.join(REGRESSION_RUNS_DIR, runId);
+}
+
+function saveRegressionRun(run) {
+    fs.mkdirSync(getRegressionRunDir(run.id), { recursive: true });
+    fs.writeFileSync(path.join(getRegressionRunDir(run.id), 'report.json'), JSON.stringify(run, null, 4), 'utf8');
+}
+
+function loadRegressionRun(runId) {
+    const reportPath = path.join(getRegressionRunDir(runId), 'report.json');
+    if (!/^[0-9a-f-]+$/.test(runId) || !fs.existsSync(reportPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+}
+
+function describeRegressionRun(run) {
+    return Object.assign({}, run, {
+        results: run.results.map(result => Object.assign({}, result, result.diff ? {
+            diffUrl: `/v1/regression/runs/${run.id}/results/${result.goldenId}/diff`
+        } : {}))
+    });
+}
+
+/**
+ * 重新渲染一个基准并与参考图像对比
+ * @param {Object} run 回归运行
+ * @param {Object} golden 基准
+ * @param {Object} tolerance 本次运行使用的容差
+ * @returns {Promise<Object>} 结果 { goldenId, name, source, status, taskId, tolerance, metrics, failures, diff, error }
+ */
+async function runGoldenComparison(run, golden, tolerance) {
+    const result = { goldenId: golden.id, name: golden.name, source: describeGoldenSource(golden.source), tolerance };
+    const fail = (error) => Object.assign(result, { status: regression.RESULT_STATUS.ERROR, error });
+
+    const rendered = renderGoldenScene(golden);
+    if (rendered.queueFull || rendered.error) {
+        return fail(rendered.error || rendered.queueFull.message);
+    }
+    result.taskId = rendered.job.id;
+    const finishedJob = await waitForJob(rendered.job.id);
+    if (finishedJob.status !== jobStore.JOB_STATUS.SUCCESS) {
+        return fail(`渲染失败: ${finishedJob.error || finishedJob.status}`);
+    }
+
+    const reference = await exrImage.readExr(path.join(getGoldenDir(golden.id), GOLDEN_REFERENCE_FILENAME));
+    const test = await exrImage.readExr(finishedJob.outputPath);
+    try {
+        result.metrics = imageCompare.compareImages(reference, test);
+    } catch (error) {
+        if (error instanceof imageCompare.ImageCompareError) {
+            return fail(error.message);
+        }
+        throw error;
+    }
+    const evaluation = regression.evaluateMetrics(result.metrics, tolerance);
+    result.status = evaluation.passed ? regression.RESULT_STATUS.PASSED : regression.RESULT_STATUS.FAILED;
+    result.failures = evaluation.failures;
+
+    const heatmap = imageCompare.createHeatmap(reference, test, { width: REGRESSION_THUMBNAIL_WIDTH });
+    result.diff = { file: `${golden.id}-diff.png`, max: heatmap.max };
+    fs.writeFileSync(path.join(getRegressionRunDir(run.id), result.diff.file), exrImage.encodePng(heatmap));
+    return result;
+}
+
+/**
+ * 依次重新渲染回归运行中的基准，每完成一个基准更新一次报告
+ * @param {Object} run 回归运行
+ * @param {Array} entries [{ golden, tolerance }]
+ */
+async function executeRegressionRun(run, entries) {
+    for (const { golden, tolerance } of entries) {
+        let result;
+        try {
+            result = await runGoldenComparison(run, golden, tolerance);
+        } catch (error) {
+            console.error(`[Regression] 基准 ${golden.id} 对比出错:`, error);
+            result = { goldenId: golden.id, name: golden.name, source: describeGoldenSource(golden.source), tolerance, status: regression.RESULT_STATUS.ERROR, error: error.message };
+        }
+        console.log(`[Regression] ${run.id} 基准 ${golden.name || golden.id}: ${result.status}${result.error ? ` (${result.error})` : ''}`);
+        run.results.push(result);
+        run.summary = regression.summarizeResults(run.results);
+        saveRegressionRun(run);
+    }
+    Object.assign(run, { status: regression.RUN_STATUS.COMPLETED, finishedAt: new Date().toISOString() });
+    saveRegressionRun(run);
+    console.log(`[Regression] 回归运行 ${run.id} 完成: ${run.summary.passed}/${run.summary.total} 通过`);
+}
+
+// 服务重启后，未完成的回归运行无法继续
+if (fs.existsSync(REGRESSION_RUNS_DIR)) {
+    fs.readdirSync(REGRESSION_RUNS_DIR).map(loadRegressionRun)
+        .filter(run => run && run.status === regression.RUN_STATUS.RUNNING)
+        .forEach(run => {
+            saveRegressionRun(Object.assign(run, { status: regression.RUN_STATUS.INTERRUPTED, finishedAt: new Date().toISOString() }));
+        });
+}
+
+/**
+ * @route POST /v1/regression/goldens
+ * @description 将保存的场景和渲染参数标记为基准：按渲染参数渲染场景，渲染成功后结果保存为参考EXR。场景来源可以是
+ *              组合场景、已转换的模型（与缩略图相同的影棚场景，包围盒在创建基准时固定）或上传的场景文件或场景包。
+ *              组合场景和模型在回归运行时使用模型当前的转换结果，可以检查 /v1/convert 和 /v1/transform 的输出是否变化
+ * @param {Object} [source] - 场景来源 { type: composed, id: 组合场景ID } 或 { type: model, id: 模型ID, fragment: auto|momo|nono,
+ *                            angle, elevation, fov, up }，上传场景时不需要
+ * @param {file} [pbrtFile] - 上传的场景文件或ZIP/RAR场景包（multipart/form-data，此时 render 和 tolerance 为JSON字符串），
+ *                            场景保存在基准中，回归运行时使用保存的副本
+ * @param {string} [entry] - 可选的场景包入口场景
+ * @param {string} [name] - 基准名称，默认为场景名称、模型ID或上传的文件名
+ * @param {Object} [render] - 渲染参数（与 /v1/upload 相同），建议指定 seed 以减少噪声带来的差异
+ * @param {Object} [tolerance] - 容差 { rmse, relMse, psnr, ssim }，默认为 { relMse: 0.01, ssim: 0.95 }，
+ *                               rmse 和 relMse 为上限，psnr 和 ssim 为下限，值为 null 时不检查该指标
+ * @returns {Object} 202 基准信息 { id, name, source, render, tolerance, status, taskId }，status 为 pending，参考图像渲染完成后变为 ready
+ * @throws {400} 参数无效、场景语法错误或场景生成失败时
+ * @throws {403} 上传的场景引用了不安全的路径时
+ * @throws {404} 场景、模型或环境贴图不存在时
+ * @throws {429} 渲染队列已满时
+ */
+app.post('/v1/regression/goldens', upload.single('pbrtFile'), asyncHandler(async (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '将组合场景、模型或上传的场景和渲染参数标记为基准，渲染参考图像'
+    /* #swagger.consumes = ['application/json', 'multipart/form-data']
+       #swagger.parameters['body'] = {
+            in: 'body',
+            required: false,
+            schema: { source: { type: 'composed', id: '场景ID' }, name: 'showroom', render: { pixelsamples: 64, seed: 1 }, tolerance: { relMse: 0.01, ssim: 0.95 } }
+        }
+       #swagger.parameters['pbrtFile'] = {
+            in: 'formData',
+            type: 'file',
+            required: false,
+            description: '上传的场景文件或ZIP/RAR场景包'
+        }
+    */
+    // #swagger.responses[202] = { description: '基准已创建，参考图像渲染中' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[403] = { description: '场景引用了不安全的路径' }
+    // #swagger.responses[404] = { description: '场景或模型不存在' }
+    // #swagger.responses[429] = { description: '渲染队列已满' }
+    const body = req.body || {};
+    const golden = {
+        id: uuid.v4(),
+        name: body.name ? String(body.name) : null
+    };
+    const goldenDir = getGoldenDir(golden.id);
+    // 基准创建失败时删除已保存的上传场景
+    let saved = false;
+    try {
+        let sourceParam;
+        try {
+            golden.render = Object.assign({}, regression.parseObjectParam(body.render, 'render'));
+            golden.tolerance = regression.parseTolerance(regression.parseObjectParam(body.tolerance, 'tolerance'));
+            if (!req.file) {
+                sourceParam = regression.parseObjectParam(body.source, 'source');
+                golden.source = regression.parseGoldenSource(sourceParam);
+            }
+        } catch (error) {
+            if (error instanceof regression.RegressionError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        if (req.file) {
+            // 上传的场景：与调试渲染相同的安全检查，场景包解压到基准目录，单个场景文件引用的资源按上传目录解析
+            const sceneDir = path.join(goldenDir, GOLDEN_SCENE_DIRNAME);
+            golden.source = { type: regression.GOLDEN_SOURCE_TYPES.UPLOAD, filename: req.file.originalname };
+            if (sceneBundle.isSceneBundle(req.file.originalname)) {
+                try {
+                    const files = await sceneBundle.extractSceneBundle(req.file.path, req.file.originalname, sceneDir);
+                    const unsafeReferences = sceneBundle.findUnsafeReferences(sceneDir, files);
+                    if (unsafeReferences.length > 0) {
+                        const { file, reference } = unsafeReferences[0];
+                        return res.status(403).json({ error: `检测到可能的安全问题，场景文件 ${file} 引用了工作区之外的路径 ${reference}` });
+                    }
+                    // 创建基准时检查所有场景文件的语法，之后的渲染只会因为PBRT本身失败
+                    for (const file of sceneBundle.listSceneFiles(files)) {
+                        try {
+                            pbrtParser.parse(fs.readFileSync(path.join(sceneDir, file), 'utf8'));
+                        } catch (error) {
+                            if (error instanceof pbrtParser.PbrtSyntaxError) {
+                                return res.status(error.status).json({
+                                    error: `场景语法错误: ${file} ${error.message}`,
+                                    file,
+                                    line: error.line,
+                                    column: error.column
+                                });
+                            }
+                            throw error;
+                        }
+                    }
+                    Object.assign(golden.source, { bundle: true, entry: sceneBundle.detectEntryScene(sceneDir, files, body.entry) });
+                } catch (error) {
+                    if (error instanceof sceneBundle.SceneBundleError) {
+                        return res.status(error.status).json({ error: error.message });
+                    }
+                    throw error;
+                }
+            } else {
+                const prepared = prepareUploadedScene(fs.readFileSync(req.file.path, 'utf8'), uploadsDir);
+                if (prepared.error) {
+                    console.error(`[Security] 拒绝处理基准场景 ${req.file.originalname}: ${prepared.error}`);
+                    const { status, ...errorBody } = prepared;
+                    return res.status(status).json(errorBody);
+                }
+                fs.mkdirSync(sceneDir, { recursive: true });
+                fs.writeFileSync(path.join(sceneDir, GOLDEN_SCENE_FILENAME), prepared.content, 'utf8');
+                golden.source.bundle = false;
+            }
+            golden.name = golden.name || req.file.originalname;
+        } else if (golden.source.type === regression.GOLDEN_SOURCE_TYPES.COMPOSED) {
+            const record = loadComposedScene(golden.source.id);
+            if (!record) {
+                return res.status(404).json({ error: '场景不存在' });
+            }
+            golden.name = golden.name || record.name || record.id;
+        } else {
+            // 模型：包围盒按创建基准时的模型场景计算并保存，回归运行时相机位置保持不变
+            try {
+                golden.source.view = parseModelGoldenView(sourceParam);
+            } catch (error) {
+                if (error instanceof turntable.TurntableError) {
+                    return res.status(error.status).json({ error: `source.${error.message}` });
+                }
+                throw error;
+            }
+            const fragment = resolveModelGoldenFragment(golden.source);
+            if (fragment.error) {
+                return sendComposeError(res, fragment);
+            }
+            let bounds;
+            try {
+                bounds = sceneBounds.computeSceneBounds(pbrtParser.parse(fs.readFileSync(fragment.path, 'utf8')));
+            } catch (error) {
+                if (error instanceof pbrtParser.PbrtSyntaxError) {
+                    return res.status(error.status).json({ error: `${fragment.name}语法错误: ${error.message}`, line: error.line, column: error.column });
+                }
+                throw error;
+            }
+            if (!bounds.min) {
+                return res.status(400).json({ error: '模型中没有可以计算包围盒的几何体', skipped: bounds.skipped });
+            }
+            golden.source.bounds = { min: bounds.min, max: bounds.max, center: bounds.center, radius: bounds.radius };
+            golden.name = golden.name || golden.source.id;
+        }
+
+        const rendered = renderGoldenScene(golden);
+        if (rendered.queueFull) {
+            return sendQueueFull(res, rendered.queueFull);
+        }
+        if (rendered.error) {
+            return sendComposeError(res, rendered);
+        }
+        Object.assign(golden, {
+            renderSettings: rendered.job.effectiveSettings,
+            status: regression.GOLDEN_STATUS.PENDING,
+            taskId: rendered.job.id,
+            createdAt: new Date().toISOString()
+        });
+        saveGolden(golden);
+        saved = true;
+        watchGoldenReference(golden.id, golden.taskId);
+        console.log(`[Regression] 已创建基准 ${golden.id} (${golden.name})，来源: ${golden.source.type}，参考图像渲染任务: ${golden.taskId}`);
+        res.status(202).json(describeGolden(golden));
+    } finally {
+        if (req.file) {
+            fs.rmSync(req.file.path, { force: true });
+        }
+        if (!saved) {
+            fs.rmSync(goldenDir, { recursive: true, force: true });
+        }
+    }
+}));
+
+/**
+ * @route GET /v1/regression/goldens
+ * @description 获取所有基准
+ * @returns {Array} 基准信息列表，按创建时间排序
+ */
+app.get('/v1/regression/goldens', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '获取所有基准'
+    res.json(listGoldens()
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(describeGolden));
+});
+
+/**
+ * @route GET /v1/regression/goldens/:id
+ * @description 获取基准信息
+ * @param {string} id - 基准ID
+ * @returns {Object} 基准信息
+ * @throws {404} 基准不存在时
+ */
+app.get('/v1/regression/goldens/:id', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '获取基准信息'
+    // #swagger.responses[404] = { description: '基准不存在' }
+    const golden = loadGolden(req.params.id);
+    if (!golden) {
+        return res.status(404).json({ error: '基准不存在' });
+    }
+    res.json(describeGolden(golden));
+});
+
+/**
+ * @route PATCH /v1/regression/goldens/:id
+ * @description 修改基准的名称或容差，容差只更新指定的指标
+ * @param {string} id - 基准ID
+ * @param {string} [name] - 基准名称
+ * @param {Object} [tolerance] - 容差 { rmse, relMse, psnr, ssim }
+ * @returns {Object} 基准信息
+ * @throws {400} 参数无效时
+ * @throws {404} 基准不存在时
+ */
+app.patch('/v1/regression/goldens/:id', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '修改基准的名称或容差'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: true,
+            schema: { name: 'showroom', tolerance: { ssim: 0.98 } }
+        }
+    */
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[404] = { description: '基准不存在' }
+    const golden = loadGolden(req.params.id);
+    if (!golden) {
+        return res.status(404).json({ error: '基准不存在' });
+    }
+    const body = req.body || {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return res.status(400).json({ error: 'name必须是非空字符串' });
+        }
+        golden.name = body.name.trim();
+    }
+    if (body.tolerance !== undefined) {
+        try {
+            golden.tolerance = regression.parseTolerance(body.tolerance, golden.tolerance);
+        } catch (error) {
+            if (error instanceof regression.RegressionError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+    }
+    saveGolden(golden);
+    res.json(describeGolden(golden));
+});
+
+/**
+ * @route DELETE /v1/regression/goldens/:id
+ * @description 删除基准和参考图像，已有的回归报告保留
+ * @param {string} id - 基准ID
+ * @returns {Object} 删除结果
+ * @throws {404} 基准不存在时
+ */
+app.delete('/v1/regression/goldens/:id', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '删除基准'
+    // #swagger.responses[404] = { description: '基准不存在' }
+    const golden = loadGolden(req.params.id);
+    if (!golden) {
+        return res.status(404).json({ error: '基准不存在' });
+    }
+    fs.rmSync(getGoldenDir(golden.id), { recursive: true, force: true });
+    console.log(`[Regression] 已删除基准 ${golden.id} (${golden.name})`);
+    res.json({ message: '基准已删除', id: golden.id });
+});
+
+/**
+ * @route GET /v1/regression/goldens/:id/reference
+ * @description 下载基准的参考EXR图像
+ * @param {string} id - 基准ID
+ * @returns {file} EXR文件
+ * @throws {404} 基准不存在或参考图像尚未渲染完成时
+ */
+app.get('/v1/regression/goldens/:id/reference', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '下载基准的参考EXR图像'
+    // #swagger.produces = ['image/x-exr']
+    // #swagger.responses[404] = { description: '基准不存在或参考图像尚未渲染完成' }
+    const golden = loadGolden(req.params.id);
+    if (!golden) {
+        return res.status(404).json({ error: '基准不存在' });
+    }
+    if (golden.status !== regression.GOLDEN_STATUS.READY) {
+        return res.status(404).json({ error: '参考图像不存在', status: golden.status });
+    }
+    res.download(path.join(getGoldenDir(golden.id), GOLDEN_REFERENCE_FILENAME), `${golden.name}-reference.exr`);
+});
+
+/**
+ * @route POST /v1/regression/run
+ * @description 重新渲染基准并与参考图像对比，生成通过/失败报告和差异热力图缩略图。基准依次渲染，
+ *              通过 /v1/regression/runs/{id} 查询进度和报告，同一时间只允许一次回归运行
+ * @param {Array} [goldenIds] - 要运行的基准ID，默认为所有参考图像已就绪的基准
+ * @param {Object} [tolerance] - 本次运行的容差，覆盖各基准容差中的相同指标
+ * @returns {Object} 202 { runId, status, total, reportUrl }
+ * @throws {400} 参数无效、基准未就绪或没有可运行的基准时
+ * @throws {404} 指定的基准不存在时
+ * @throws {409} 已有回归运行正在进行时
+ */
+app.post('/v1/regression/run', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '重新渲染所有基准并与参考图像对比'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: false,
+            schema: { goldenIds: ['基准ID'], tolerance: { relMse: 0.02 } }
+        }
+    */
+    // #swagger.responses[202] = { description: '回归运行已开始' }
+    // #swagger.responses[400] = { description: '参数无效或没有可运行的基准' }
+    // #swagger.responses[409] = { description: '已有回归运行正在进行' }
+    if (activeRegressionRun) {
+        return res.status(409).json({ error: '已有回归运行正在进行', runId: activeRegressionRun.id });
+    }
+    const body = req.body || {};
+    let goldens;
+    if (body.goldenIds !== undefined) {
+        if (!Array.isArray(body.goldenIds) || body.goldenIds.length === 0) {
+            return res.status(400).json({ error: 'goldenIds必须是非空数组' });
+        }
+        goldens = body.goldenIds.map(id => loadGolden(String(id)));
+        const missing = body.goldenIds.filter((id, index) => !goldens[index]);
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `基准不存在: ${missing.join(', ')}` });
+        }
+        const notReady = goldens.filter(golden => golden.status !== regression.GOLDEN_STATUS.READY);
+        if (notReady.length > 0) {
+            return res.status(400).json({ error: `基准的参考图像未就绪: ${notReady.map(golden => golden.id).join(', ')}` });
+        }
+    } else {
+        goldens = listGoldens()
+            .filter(golden => golden.status === regression.GOLDEN_STATUS.READY)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        if (goldens.length === 0) {
+            return res.status(400).json({ error: '没有参考图像已就绪的基准' });
+        }
+    }
+    let entries;
+    try {
+        entries = goldens.map(golden => ({ golden, tolerance: regression.parseTolerance(body.tolerance, golden.tolerance) }));
+    } catch (error) {
+        if (error instanceof regression.RegressionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    const run = {
+        id: uuid.v4(),
+        status: regression.RUN_STATUS.RUNNING,
+        goldenIds: goldens.map(golden => golden.id),
+        toleranceOverride: body.tolerance || null,
+        results: [],
+        summary: regression.summarizeResults([]),
+        startedAt: new Date().toISOString()
+    };
+    saveRegressionRun(run);
+    activeRegressionRun = run;
+    executeRegressionRun(run, entries)
+        .catch(error => {
+            console.error(`[Regression] 回归运行 ${run.id} 出错:`, error);
+            saveRegressionRun(Object.assign(run, { status: regression.RUN_STATUS.INTERRUPTED, error: error.message, finishedAt: new Date().toISOString() }));
+        })
+        .finally(() => {
+            activeRegressionRun = null;
+        });
+
+    console.log(`[Regression] 开始回归运行 ${run.id}，共 ${goldens.length} 个基准`);
+    res.status(202).json({
+        runId: run.id,
+        status: run.status,
+        total: goldens.length,
+        reportUrl: `/v1/regression/runs/${run.id}`
+    });
+});
+
+/**
+ * @route GET /v1/regression/runs
+ * @description 获取回归运行列表（不含各基准的详细结果）
+ * @returns {Array} [{ id, status, summary, startedAt, finishedAt }]，最近的运行在前
+ */
+app.get('/v1/regression/runs', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '获取回归运行列表'
+    const runs = fs.existsSync(REGRESSION_RUNS_DIR) ? fs.readdirSync(REGRESSION_RUNS_DIR).map(loadRegressionRun).filter(Boolean) : [];
+    res.json(runs
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .map(({ id, status, summary, startedAt, finishedAt }) => ({ id, status, summary, startedAt, finishedAt, reportUrl: `/v1/regression/runs/${id}` })));
+});
+
+/**
+ * @route GET /v1/regression/runs/:id
+ * @description 获取回归运行的报告，运行中时包含已完成的基准
+ * @param {string} id - 回归运行ID
+ * @returns {Object} { id, status, summary: { total, passed, failed, errors, success }, results }，
+ *   results 每项为 { goldenId, name, source, status: passed|failed|error, taskId, tolerance, metrics, failures, diffUrl, error }
+ * @throws {404} 回归运行不存在时
+ */
+app.get('/v1/regression/runs/:id', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '获取回归运行的通过/失败报告'
+    // #swagger.responses[404] = { description: '回归运行不存在' }
+    const run = loadRegressionRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: '回归运行不存在' });
+    }
+    res.json(describeRegressionRun(run));
+});
+
+/**
+ * @route GET /v1/regression/runs/:id/results/:goldenId/diff
+ * @description 获取回归运行中某个基准的差异热力图缩略图
+ * @param {string} id - 回归运行ID
+ * @param {string} goldenId - 基准ID
+ * @returns {Buffer} PNG图像
+ * @throws {404} 回归运行或结果不存在时
+ */
+app.get('/v1/regression/runs/:id/results/:goldenId/diff', (req, res) => {
+    // #swagger.tags = ['回归测试']
+    // #swagger.description = '获取差异热力图缩略图'
+    // #swagger.produces = ['image/png']
+    // #swagger.responses[404] = { description: '回归运行或结果不存在' }
+    const run = loadRegressionRun(req.params.id);
+    const result = run && run.results.find(item => item.goldenId === req.params.goldenId);
+    if (!result || !result.diff) {
+        return res.status(404).json({ error: '差异图像不存在' });
+    }
+    res.sendFile(path.join(getRegressionRunDir(run.id), result.diff.file));
+});
+
+/**
+ * 解析按请求指定的回调地址，这类回调使用配置文件中的 webhooks.secret 签名
+ * @param {string} [value] 回调地址
+ * @returns {Object} { url }，未指定时 url 为 null，地址无效或未配置签名密钥时为 { error }
+ */
+function parseCallbackUrl(value) {
+    if (value === undefined || value === null || value === '') {
+        return { url: null };
+    }
+    if (!webhookSettings.secret) {
+        return { error: '服务端未配置 webhooks.secret，无法使用 callbackUrl，请改用 /v1/webhooks 注册回调' };
+    }
+    try {
+        return { url: webhooks.parseWebhookUrl(value) };
+    } catch (error) {
+        if (error instanceof webhooks.WebhookError) {
+            return { error: `callbackUrl参数无效: ${error.message}` };
+        }
+        throw error;
+    }
+}
+
+// 回调中的地址按 webhooks.publicBaseUrl 转换为绝对地址
+function getPublicUrl(urlPath) {
+    return webhookSettings.publicBaseUrl ? `${String(webhookSettings.publicBaseUrl).replace(/\/+$/, '')}${urlPath}` : urlPath;
+}
+
+function loadWebhookRegistration(webhookId) {
+    const registrationPath = path.join(WEBHOOK_REGISTRATIONS_DIR, `${webhookId}.json`);
+    if (!/^[0-9a-f-]+$/.test(webhookId) || !fs.existsSync(registrationPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(registrationPath, 'utf8'));
+}
+
+function listWebhookRegistrations() {
+    if (!fs.existsSync(WEBHOOK_REGISTRATIONS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(WEBHOOK_REGISTRATIONS_DIR)
+        .map(file => loadWebhookRegistration(path.basename(file, '.json')))
+        .filter(Boolean);
+}
+
+// 注册信息中的签名密钥只在创建时返回
+function describeWebhookRegistration(registration) {
+    const { secret, ...info } = registration;
+    return info;
+}
+
+/**
+ * 向按请求指定的回调地址和用户注册的回调投递事件
+ * @param {string} event 事件类型
+ * @param {Object} target { userId, callbackUrl, subjectId }
+ * @param {Object} payload 事件数据
+ */
+function notifyWebhooks(event, target, payload) {
+    if (target.callbackUrl && webhookSettings.secret) {
+        webhookDispatcher.dispatch({
+            event,
+            url: target.callbackUrl,
+            userId: target.userId,
+            subjectId: target.subjectId,
+            payload
+        });
+    }
+    if (target.userId) {
+        listWebhookRegistrations()
+            .filter(registration => registration.userId === target.userId && registration.events.includes(event))
+            .forEach(registration => webhookDispatcher.dispatch({
+                event,
+                url: registration.url,
+                webhookId: registration.id,
+                userId: target.userId,
+                subjectId: target.subjectId,
+                payload
+            }));
+    }
+}
+
+function getDuration(from, to) {
+    return from && to ? new Date(to).getTime() - new Date(from).getTime() : null;
+}
+
+/**
+ * 渲染任务结束时发送 render.completed 事件。动画的每一帧不单独通知，动画结束时通知一次
+ * @param {string} jobId 任务ID
+ */
+function notifyJobFinished(jobId) {
+    const job = jobStore.getJob(jobId);
+    if (!job || job.animationId || (!job.callbackUrl && !job.userId)) {
+        return;
+    }
+    const success = job.status === jobStore.JOB_STATUS.SUCCESS;
+    const isAnimation = job.type === ANIMATION_JOB_TYPE;
+    notifyWebhooks('render.completed', { userId: job.userId, callbackUrl: job.callbackUrl, subjectId: job.id }, {
+        job: {
+            id: job.id,
+            type: job.type || 'render',
+            source: job.source || 'upload',
+            userId: job.userId || null,
+            filename: job.filename || null,
+            status: job.status,
+            error: job.error || null
+        },
+        timings: {
+            createdAt: job.createdAt,
+            startedAt: job.startedAt || null,
+            finishedAt: job.finishedAt || null,
+            queuedMs: getDuration(job.createdAt, job.startedAt),
+            renderMs: getDuration(job.startedAt, job.finishedAt),
+            totalMs: getDuration(job.createdAt, job.finishedAt)
+        },
+        urls: {
+            status: getPublicUrl(isAnimation ? `/v1/animations/${job.id}` : `/v1/status?id=${job.id}`),
+            result: success ? getPublicUrl(getJobResultUrl(job)) : null,
+            exr: success && !isAnimation ? getPublicUrl(`/v1/jobs/${job.id}/result?format=exr`) : null,
+            log: isAnimation ? null : getPublicUrl(`/v1/jobs/${job.id}/log`),
+            stats: isAnimation ? null : getPublicUrl(`/v1/jobs/${job.id}/stats`)
+        }
+    });
+}
+
+/**
+ * 模型转换结束时发送 conversion.completed 事件
+ * @param {Object} conversion { modelId, userId, callbackUrl, status, error, startedAt, thumbnailTaskId }
+ */
+function notifyConversionFinished(conversion) {
+    if (!conversion.callbackUrl && !conversion.userId) {
+        return;
+    }
+    const finishedAt = new Date().toISOString();
+    const success = conversion.status === 'success';
+    const modelId = encodeURIComponent(conversion.modelId);
+    notifyWebhooks('conversion.completed', conversion, {
+        model: {
+            id: conversion.modelId,
+            userId: conversion.userId,
+            status: conversion.status,
+            error: conversion.error || null,
+            thumbnailTaskId: conversion.thumbnailTaskId || null
+        },
+        timings: {
+            startedAt: conversion.startedAt,
+            finishedAt,
+            totalMs: getDuration(conversion.startedAt, finishedAt)
+        },
+        urls: {
+            model: getPublicUrl(`/v1/model/${modelId}`),
+            nono: success ? getPublicUrl(`/v1/model/nono/${modelId}`) : null,
+            thumbnail: success ? getPublicUrl(`/v1/model/${modelId}/thumbnail`) : null
+        }
+    });
+}
+
+/**
+ * @route POST /v1/webhooks
+ * @description 为用户注册回调：该用户的渲染任务（/v1/upload 等接口的 userId）或模型转换（/v1/convert 的 userId 参数）结束时，
+ *              向回调地址POST JSON事件。请求头 X-Webhook-Signature 为 t={Unix秒},v1={HMAC-SHA256(secret, "{t}.{请求体}")}，
+ *              非2xx响应或超时时按指数退避重试
+ * @param {string} userId - 用户ID
+ * @param {string} url - 回调地址（http 或 https）
+ * @param {Array} [events] - 订阅的事件 render.completed、conversion.completed，默认为全部
+ * @param {string} [secret] - 签名密钥，默认随机生成
+ * @returns {Object} 201 { id, userId, url, events, secret, createdAt }，secret 只在创建时返回
+ * @throws {400} 参数无效时
+ */
+app.post('/v1/webhooks', (req, res) => {
+    // #swagger.tags = ['回调通知']
+    // #swagger.description = '为用户注册渲染和模型转换结束的回调'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: true,
+            schema: { userId: 'user1', url: 'https://example.com/hooks/pbrt', events: ['render.completed', 'conversion.completed'] }
+        }
+    */
+    // #swagger.responses[201] = { description: '回调已注册' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    const body = req.body || {};
+    if (!body.userId || typeof body.userId !== 'string') {
+        return res.status(400).json({ error: '缺少 userId 参数' });
+    }
+    let url;
+    try {
+        url = webhooks.parseWebhookUrl(body.url);
+    } catch (error) {
+        if (error instanceof webhooks.WebhookError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+    const events = body.events === undefined ? webhooks.WEBHOOK_EVENTS : body.events;
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => webhooks.WEBHOOK_EVENTS.includes(event))) {
+        return res.status(400).json({ error: `events必须是非空数组，可用的事件为 ${webhooks.WEBHOOK_EVENTS.join(', ')}` });
+    }
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+        return res.status(400).json({ error: 'secret必须是至少16个字符的字符串' });
+    }
+
+    const registration = {
+        id: uuid.v4(),
+        userId: body.userId,
+        url,
+        events: Array.from(new Set(events)),
+        secret: body.secret || crypto.randomBytes(32).toString('hex'),
+        createdAt: new Date().toISOString()
+    };
+    fs.mkdirSync(WEBHOOK_REGISTRATIONS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(WEBHOOK_REGISTRATIONS_DIR, `${registration.id}.json`), JSON.stringify(registration, null, 4), 'utf8');
+    console.log(`[Webhooks] 用户 ${registration.userId} 注册回调 ${registration.id}: ${registration.url}`);
+    res.status(201).json(registration);
+});
+
+/**
+ * @route GET /v1/webhooks
+ * @description 获取用户注册的回调，不包含签名密钥
+ * @query {string} userId - 用户ID
+ * @returns {Array} 回调列表
+ * @throws {400} 缺少用户ID时
+ */
+app.get('/v1/webhooks', (req, res) => {
+    // #swagger.tags = ['回调通知']
+    // #swagger.description = '获取用户注册的回调'
+    // #swagger.parameters['userId'] = { in: 'query', type: 'string', required: true, description: '用户ID' }
+    if (!req.query.userId) {
+        return res.status(400).json({ error: '缺少 userId 参数' });
+    }
+    res.json(listWebhookRegistrations()
+        .filter(registration => registration.userId === req.query.userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(describeWebhookRegistration));
+});
+
+/**
+ * @route GET /v1/webhooks/deliveries
+ * @description 查询回调的投递记录，包含每次尝试的响应状态、耗时和错误
+ * @query {string} [userId] - 用户ID
+ * @query {string} [webhookId] - 回调ID
+ * @query {string} [subjectId] - 渲染任务ID或模型ID
+ * @query {string} [event] - 事件类型
+ * @query {string} [status] - 投递状态 pending、delivered、failed
+ * @query {number} [limit=100] - 最多返回的记录数
+ * @returns {Array} 投递记录，最近的在前
+ * @throws {400} 没有指定任何查询条件时
+ */
+app.get('/v1/webhooks/deliveries', (req, res) => {
+    // #swagger.tags = ['回调通知']
+    // #swagger.description = '查询回调的投递记录'
+    // #swagger.parameters['userId'] = { in: 'query', type: 'string', required: false, description: '用户ID' }
+    // #swagger.parameters['webhookId'] = { in: 'query', type: 'string', required: false, description: '回调ID' }
+    // #swagger.parameters['subjectId'] = { in: 'query', type: 'string', required: false, description: '渲染任务ID或模型ID' }
+    // #swagger.parameters['event'] = { in: 'query', type: 'string', required: false, description: '事件类型' }
+    // #swagger.parameters['status'] = { in: 'query', type: 'string', required: false, description: '投递状态 pending, delivered, failed' }
+    // #swagger.parameters['limit'] = { in: 'query', type: 'integer', required: false, description: '最多返回的记录数' }
+    const filter = {};
+    for (const field of ['userId', 'webhookId', 'subjectId', 'event', 'status']) {
+        if (req.query[field]) {
+            filter[field] = String(req.query[field]);
+        }
+    }
+    if (Object.keys(filter).length === 0) {
+        return res.status(400).json({ error: '至少需要指定 userId、webhookId、subjectId、event 或 status 之一' });
+    }
+    if (filter.status && !Object.values(webhooks.DELIVERY_STATUS).includes(filter.status)) {
+        return res.status(400).json({ error: `status参数必须是 ${Object.values(webhooks.DELIVERY_STATUS).join(', ')} 之一` });
+    }
+    res.json(webhookDispatcher.list(Object.assign(filter, { limit: req.query.limit })));
+});
+
+/**
+ * @route GET /v1/webhooks/deliveries/:id
+ * @description 获取一次投递的详细记录，包含发送的事件内容
+ * @param {string} id - 投递ID，即回调请求头 X-Webhook-Id
+ * @returns {Object} 投递记录
+ * @throws {404} 投递记录不存在时
+ */
+app.get('/v1/webhooks/deliveries/:id', (req, res) => {
+    // #swagger.tags = ['回调通知']
+    // #swagger.description = '获取一次投递的详细记录'
+    // #swagger.responses[404] = { description: '投递记录不存在' }
+    const delivery = webhookDispatcher.get(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: '投递记录不存在' });
+    }
+    res.json(delivery);
+});
+
+/**
+ * @route DELETE /v1/webhooks/:id
+ * @description 删除注册的回调，已有的投递记录保留
+ * @param {string} id - 回调ID
+ * @returns {Object} 删除结果
+ * @throws {404} 回调不存在时
+ */
+app.delete('/v1/webhooks/:id', (req, res) => {
+    // #swagger.tags = ['回调通知']
+    // #swagger.description = '删除注册的回调'
+    // #swagger.responses[404] = { description: '回调不存在' }
+    const registration = loadWebhookRegistration(req.params.id);
+    if (!registration) {
+        return res.status(404).json({ error: '回调不存在' });
+    }
+    fs.rmSync(path.join(WEBHOOK_REGISTRATIONS_DIR, `${registration.id}.json`), { force: true });
+    console.log(`[Webhooks] 已删除用户 ${registration.userId} 的回调 ${registration.id}`);
+    res.json({ message: '回调已删除', id: registration.id });
+});
+
+/**
+ * @route GET /v1/capabilities
+ * @description 检测PBRT版本、GPU渲染是否可用以及模型转换依赖的工具
+ * @query {string} [refresh] - 为 'true' 时重新检测
+ * @returns {Object} 各工具的可用性和版本
+ */
+app.get('/v1/capabilities', asyncHandler(async (req, res) => {
+    // #swagger.tags = ['系统状态']
+    // #swagger.description = '检测PBRT版本、GPU模式是否可用，以及assimp、ImageMagick convert、ffmpeg、gltf-pipeline是否已安装'
+    /* #swagger.parameters['refresh'] = {
+            in: 'query',
+            description: '为true时忽略缓存重新检测',
+            required: false,
+            type: 'string'
+        }
+    */
+    /* #swagger.responses[200] = {
+            description: '成功获取检测结果',
+            schema: {
+                pbrt: { available: true, version: '4', build: '构建时间', error: null },
+                gpu: { available: false, device: 0, error: '错误信息' },
+                assimp: { available: true, version: '5.2.5', error: null },
+                imagemagick: { available: true, version: '6.9.11-60', error: null },
+                ffmpeg: { available: true, version: '6.1.1', error: null },
+                gltfPipeline: { available: true, version: '4.1.0', error: null },
+                render: { backend: 'auto', resolvedBackend: 'cpu', nthreads: 8, maxConcurrentRenders: 1 },
+                detectedAt: '检测时间'
             }
-        } catch (cleanupError) {
-            console.error(`清理过程出错但不影响主流程: ${cleanupError.message}`);
         }
+    */
+    const gpuDevice = parseInt(renderSettings.gpuDevice, 10) || 0;
+    const capabilities = await detectCapabilities({ gpuDevice, refresh: req.query.refresh === 'true' });
+
+    let resolvedBackend = null;
+    try {
+        resolvedBackend = await resolveRenderBackend();
+    } catch (error) {
+        console.warn(`[Capabilities] 默认渲染后端不可用: ${error.message}`);
     }
+
+    res.json({
+        ...capabilities,
+        render: {
+            backend: renderSettings.backend || 'auto',
+            resolvedBackend: resolvedBackend ? resolvedBackend.mode : null,
+            nthreads: resolvedBackend ? resolvedBackend.nthreads : null,
+            maxConcurrentRenders: renderScheduler.maxConcurrent
+        }
+    });
 }));
 
-// 添加限流中间件防止滥用
-app.use('/v1/debug/render', (req, res, next) => {
-    const MAX_SIZE = 150 * 1024 * 1024; // 150MB
-    if (req.headers['content-length'] > MAX_SIZE) {
-        return res.status(413).json({ error: '文件大小超过限制' });
-    }
-    next();
+/**
+ * @route GET /v1/queue
+ * @description 获取渲染调度器的并发和排队情况
+ * @returns {Object} 正在运行和排队中的任务
+ */
+app.get('/v1/queue', (req, res) => {
+    // #swagger.tags = ['系统状态']
+    // #swagger.description = '获取渲染调度器的并发上限、正在运行的任务和排队中的任务'
+    /* #swagger.responses[200] = {
+            description: '成功获取队列状态',
+            schema: {
+                maxConcurrent: 1,
+                maxQueueLength: 20,
+                running: ['任务ID'],
+                queued: [{ jobId: '任务ID', position: 1, priority: 0, enqueuedAt: '入队时间' }],
+                estimatedWaitSeconds: 30
+            }
+        }
+    */
+    res.json(renderScheduler.getStats());
+});
+
+/**
+ * @route GET /v1/cache/stats
+ * @description 获取渲染结果缓存的占用空间、命中率和条目
+ * @returns {Object} 缓存统计信息
+ */
+app.get('/v1/cache/stats', (req, res) => {
+    // #swagger.tags = ['系统状态']
+    // #swagger.description = '获取渲染结果缓存的条目数、磁盘占用和配额、命中率、淘汰次数，以及按最近使用排序的缓存条目'
+    /* #swagger.responses[200] = {
+            description: '成功获取缓存状态',
+            schema: {
+                entries: 1,
+                totalBytes: 1048576,
+                maxBytes: 2147483648,
+                maxAgeDays: 7,
+                hits: 3,
+                misses: 1,
+                hitRate: 0.75,
+                evictions: 0,
+                items: [{ key: '缓存键', size: 1048576, lastAccess: '最近使用时间', createdAt: '创建时间' }]
+            }
+        }
+    */
+    res.json(renderCache.getStats());
 });
 
 /**
  * @route GET /v1/list
- * @description 获取所有渲染任务列表
+ * @description 获取用户的渲染任务列表
+ * @query {string} userId - 用户ID
  * @returns {Array} 任务列表
  */
 app.get('/v1/list', (req, res) => {
     // #swagger.tags = ['系统状态']
-    // #swagger.description = '获取所有渲染任务列表'
+    // #swagger.description = '获取用户的渲染任务列表'
     /* #swagger.responses[200] = {
             description: '成功获取任务列表',
             schema: {
                 tasks: [
                     {
-                        uuid: '任务UUID',
+                        taskId: '任务ID',
                         filename: '文件名',
                         status: '任务状态',
                         timestamp: '创建时间'
@@ -655,7 +5726,14 @@ app.get('/v1/list', (req, res) => {
         return res.status(400).json({ error: 'Missing userId' });
     }
     console.log(`[List] User ID: ${userId}`);
-    res.json([]);
+    res.json(jobStore.listJobs({ userId }).map(job => ({
+        taskId: job.id,
+        filename: job.filename,
+        status: job.status,
+        timestamp: job.createdAt,
+        imageUrl: job.status === jobStore.JOB_STATUS.SUCCESS ? getJobResultUrl(job) : null,
+        error: job.error
+    })));
 });
 
 /**
@@ -689,7 +5767,8 @@ app.get('/v1/model', (req, res) => {
             const infoPath = path.join(MODELS_DIR, dir, 'info.json');
             if (fs.existsSync(infoPath)) {
                 const info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
-                models.push(info);
+                // 尚未生成缩略图的模型 thumbnail 为 null
+                models.push(Object.assign({ thumbnail: null }, info));
             }
         }
         
@@ -1273,18 +6352,18 @@ function detectAndFixImageFileExtensions(texturesDir, modelId) {
 }
 
 /**
- * 将PBRT文件中的*N占位符替换为实际纹理文件名
- * @param {string} pbrtContent PBRT文件内容
+ * 将场景中的*N占位符替换为实际纹理文件名
+ * @param {Object} scene pbrtParser.parse 返回的语法树，直接修改
  * @param {string} modelDir 模型目录路径
  * @param {string} modelId 模型UUID
- * @returns {string} 处理后的PBRT内容
+ * @returns {number} 替换的占位符数
  */
-function replaceTextureReferences(pbrtContent, modelDir, modelId) {
+function replaceTextureReferences(scene, modelDir, modelId) {
     // 读取模型对应的纹理目录
     const texturesDir = path.join(modelDir, 'textures');
     if (!fs.existsSync(texturesDir)) {
         console.log(`[Texture] 模型 ${modelId} 没有纹理目录，跳过纹理替换`);
-        return pbrtContent;
+        return 0;
     }
     
     // 检测无后缀名的图像文件并修复
@@ -1292,7 +6371,7 @@ function replaceTextureReferences(pbrtContent, modelDir, modelId) {
     
     if (textureFiles.length === 0) {
         console.log(`[Texture] 模型 ${modelId} 的纹理目录为空，跳过纹理替换`);
-        return pbrtContent;
+        return 0;
     }
     
     console.log(`[Texture] 模型 ${modelId} 发现 ${textureFiles.length} 个纹理文件: ${textureFiles.join(', ')}`);
@@ -1300,87 +6379,72 @@ function replaceTextureReferences(pbrtContent, modelDir, modelId) {
     // 对文件进行排序（按名称排序）
     textureFiles.sort();
     
-    // 替换所有 *N 引用
-    let modifiedContent = pbrtContent;
-    
-    // 处理标准格式: "string filename" "models/uuid/textures/*N"
-    const placeholderPattern = /"string filename"\s+"models\/[^\/]+\/textures\/\*(\d+)"/g;
-    let match;
+    // 替换所有 *N 引用，支持以下格式：
+    // 标准格式 "models/{uuid}/textures/*N"、简单格式 "*N" 和绝对路径格式 "/path/to/*N"
+    // 其他模型的标准格式占位符由对应模型处理
     let replaceCount = 0;
-    
-    while ((match = placeholderPattern.exec(pbrtContent)) !== null) {
-        const fullMatch = match[0];
-        const index = parseInt(match[1]);
-        
-        if (index < textureFiles.length) {
-            const replacement = `"string filename" "models/${modelId}/textures/${textureFiles[index]}"`;
-            modifiedContent = modifiedContent.replace(fullMatch, replacement);
-            console.log(`[Texture] 替换占位符 *${index} -> ${textureFiles[index]}`);
-            replaceCount++;
-        } else {
-            console.warn(`[Texture] 警告: 占位符 *${index} 超出可用纹理文件范围(0-${textureFiles.length-1})`);
+    for (const reference of pbrtParser.getFileReferences(scene, ['filename'])) {
+        const match = /(?:^|\/)\*(\d+)$/.exec(reference.value);
+        if (!match || (reference.value.startsWith('models/') && !reference.value.startsWith(`models/${modelId}/`))) {
+            continue;
         }
-    }
-    
-    // 处理简单格式: "string filename" "*N"
-    const simplePlaceholderPattern = /"string filename"\s+"\*(\d+)"/g;
-    while ((match = simplePlaceholderPattern.exec(pbrtContent)) !== null) {
-        const fullMatch = match[0];
         const index = parseInt(match[1]);
-        
         if (index < textureFiles.length) {
-            const replacement = `"string filename" "models/${modelId}/textures/${textureFiles[index]}"`;
-            modifiedContent = modifiedContent.replace(fullMatch, replacement);
-            console.log(`[Texture] 替换简单占位符 *${index} -> ${textureFiles[index]}`);
+            reference.set(`models/${modelId}/textures/${textureFiles[index]}`);
+            console.log(`[Texture] 替换占位符 ${reference.value} -> ${textureFiles[index]}`);
             replaceCount++;
         } else {
-            console.warn(`[Texture] 警告: 简单占位符 *${index} 超出可用纹理文件范围(0-${textureFiles.length-1})`);
-        }
-    }
-    
-    // 处理绝对路径格式中的占位符: "string filename" "/path/to/*N"
-    const absolutePlaceholderPattern = /"string filename"\s+"[^"]*\/\*(\d+)"/g;
-    while ((match = absolutePlaceholderPattern.exec(pbrtContent)) !== null) {
-        const fullMatch = match[0];
-        const index = parseInt(match[1]);
-        
-        // 避免重复处理已经匹配过的模式
-        if (!fullMatch.includes(`models/${modelId}/textures/*${index}`) && 
-            !fullMatch.includes(`"*${index}"`) &&
-            index < textureFiles.length) {
-            const replacement = `"string filename" "models/${modelId}/textures/${textureFiles[index]}"`;
-            modifiedContent = modifiedContent.replace(fullMatch, replacement);
-            console.log(`[Texture] 替换绝对路径占位符 *${index} -> ${textureFiles[index]}`);
-            replaceCount++;
+            console.warn(`[Texture] 警告: 占位符 *${index} 超出可用纹理文件范围(0-${textureFiles.length-1})`);
         }
     }
     
     console.log(`[Texture] 模型 ${modelId} 共替换了 ${replaceCount} 个纹理占位符`);
-    return modifiedContent;
+    return replaceCount;
 }
 
 /**
  * @route GET /v1/convert/:uuid
  * @description 将指定UUID的模型转换为PBRT格式
  * @param {string} uuid - 模型的唯一标识
+ * @query {string} [format] - 为 'true' 时格式化输出的 nono.pbrt
+ * @query {string} [callbackUrl] - 可选的回调地址，转换结束（包括模型不存在等失败）时POST签名的 conversion.completed 事件（需要配置 webhooks.secret）
+ * @query {string} [userId] - 可选的用户ID，转换结束时同时通知该用户注册的回调
  * @returns {Object} 转换结果
+ * @throws {400} 回调地址无效时
  * @throws {404} 模型不存在时
  * @throws {500} 转换失败时
  */
 app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
+    const callback = parseCallbackUrl(req.query.callbackUrl);
+    if (callback.error) {
+        return res.status(400).json({ error: callback.error });
+    }
+    const conversion = {
+        modelId: req.params.uuid,
+        userId: req.query.userId ? String(req.query.userId) : null,
+        callbackUrl: callback.url,
+        startedAt: new Date().toISOString()
+    };
+    // 模型或模型文件不存在时同样通知转换失败
+    const rejectConversion = (status, message) => {
+        notifyConversionFinished(Object.assign(conversion, { status: 'failed', error: message }));
+        return res.status(status).json({ error: message });
+    };
     try {
         const modelId = req.params.uuid;
         const modelDir = path.join(MODELS_DIR, modelId);
+        // 格式化输出，重新缩进并拆分assimp生成的粘连指令
+        const formatOutput = req.query.format === 'true';
 
         // 检查模型目录是否存在
         if (!fs.existsSync(modelDir)) {
-            return res.status(404).json({ error: '模型不存在' });
+            return rejectConversion(404, '模型不存在');
         }
 
         // 读取模型信息
         const infoPath = path.join(modelDir, 'info.json');
         if (!fs.existsSync(infoPath)) {
-            return res.status(404).json({ error: '模型信息文件不存在' });
+            return rejectConversion(404, '模型信息文件不存在');
         }
 
         const modelInfo = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
@@ -1389,7 +6453,7 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
         // 检查模型文件是否存在
         const modelFilePath = path.join(modelDir, modelPath);
         if (!fs.existsSync(modelFilePath)) {
-            return res.status(404).json({ error: '模型文件不存在' });
+            return rejectConversion(404, '模型文件不存在');
         }
 
         // 检查是否已经转换过
@@ -1519,15 +6583,16 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
 
         // 处理nono.pbrt文件内容，删除#Textures之前的所有内容，添加材质前缀
         try {
-            // 读取文件内容
-            const pbrtContent = fs.readFileSync(nonoPbrtPath, 'utf8');
+            // 解析文件内容
+            const scene = pbrtParser.parse(fs.readFileSync(nonoPbrtPath, 'utf8'));
             
-            // 查找# Textures位置
-            const texturesIndex = pbrtContent.indexOf('# Textures');
+            // 查找# Textures注释的位置
+            const texturesIndex = scene.body.findIndex(node => node.type === 'Comment' && node.text.startsWith('# Textures'));
             
             if (texturesIndex !== -1) {
                 // 保留# Textures及其之后的内容
-                let newContent = pbrtContent.substring(texturesIndex);
+                scene.body = scene.body.slice(texturesIndex);
+                scene.body[0].before = '';
                 
                 // 新功能：为纹理和材质添加UUID前缀
                 console.log(`[Convert] 开始处理nono.pbrt文件中的材质和纹理名称`);
@@ -1540,10 +6605,8 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
                 const textureMap = new Map();
                 
                 // 匹配定义的所有纹理
-                const texturePattern = /Texture\s+"([^"]+)"\s+"([^"]+)"\s+"([^"]+)"/g;
-                let textureMatch;
-                while ((textureMatch = texturePattern.exec(newContent)) !== null) {
-                    const originalName = textureMatch[1];
+                for (const texture of pbrtParser.findDirectives(scene, 'Texture')) {
+                    const originalName = texture.args[0];
                     if (!originalName.includes(prefix)) {
                         // 只有不包含前缀的才需要重命名
                         const newName = originalName.startsWith('rgb:') ? 
@@ -1553,118 +6616,53 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
                     }
                 }
                 
-                // 使用通用方法让所有纹理路径使用相对路径，设置useRelativePath为true
-                newContent = sanitizePbrtPaths(newContent, modelDir, true);
+                // 使用通用方法让所有纹理路径使用相对路径，包含材质中的normalmap等纹理属性
+                const textureParameters = ['filename', 'normalmap', 'bumpmap', 'specularmap', 'roughnessmap', 'metallicmap'];
+                sanitizePbrtPaths(scene, modelDir, true, textureParameters);
                 console.log(`[Convert] 已规范化所有纹理路径为相对路径`);
                 
-                // 检查PBRT文件中是否存在特殊的*N引用格式，如果有则更新为标准相对路径格式
-                const pbrtSpecialRegex = /"string filename"\s+"[^"]*\*(\d+)"/g;
-                let pbrtMatch;
-                while ((pbrtMatch = pbrtSpecialRegex.exec(newContent)) !== null) {
-                    const textureIndex = pbrtMatch[1];
-                    console.log(`[Convert] 发现特殊纹理引用格式: *${textureIndex}，转换为相对路径格式`);
-                }
-                
                 // 修正PBRT文件中的纹理路径，确保使用models/{uuid}/textures/*N格式
-                const texPathRegex = /"string filename"\s+"([^"]+)"/g;
-                // 扩展匹配，包含其他纹理属性如normalmap等
-                const allTexPathRegex = /"string (filename|normalmap|bumpmap|specularmap|roughnessmap|metallicmap)"\s+"([^"]+)"/g;
-                const updatedPaths = new Map();
                 const uuidRegex = /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/gm;
                 
                 // 尝试从文件路径中提取UUID
                 const extractedUuid = uuidRegex.exec(modelDir)?.[0] || modelId;
                 console.log(`[Debug Render] Extracted UUID: ${extractedUuid}`);
                 
-                // 首先处理标准的"string filename"路径
-                let texPathMatch;
-                while ((texPathMatch = texPathRegex.exec(newContent)) !== null) {
-                    const originalPath = texPathMatch[1];
-                    
-                    // 处理多种可能的路径情况
-                    const pathConditions = [
-                        // 绝对路径
-                        originalPath.startsWith('/home/pog/pbrtapi/uploads/models/'),
-                        // 相对路径，但不是已经是 models/{uuid}/textures/ 格式
-                        originalPath.startsWith('textures/') && !originalPath.startsWith(`models/${extractedUuid}/textures/`),
-                        // 其他可能的相对路径变体
-                        originalPath.includes('/textures/') && !originalPath.includes(`models/${extractedUuid}/textures/`)
-                    ];
-                    
-                    if (pathConditions.some(Boolean)) {
-                        // 提取实际的纹理文件名
-                        const textureFileName = path.basename(originalPath);
-                        const relativePath = `models/${extractedUuid}/textures/${textureFileName}`;
-                        
-                        updatedPaths.set(originalPath, relativePath);
-                        console.log(`[Convert] 转换纹理路径为标准格式: ${originalPath} -> ${relativePath}`);
-                    }
-                }
-                
-                // 然后处理材质中的其他纹理属性路径（normalmap等）
-                let allTexPathMatch;
-                while ((allTexPathMatch = allTexPathRegex.exec(newContent)) !== null) {
-                    const attrType = allTexPathMatch[1];  // filename, normalmap, etc.
-                    const originalPath = allTexPathMatch[2];
-                    
-                    // 如果是已经处理过的filename属性则跳过
-                    if (attrType === 'filename' && updatedPaths.has(originalPath)) {
-                        continue;
+                for (const reference of pbrtParser.getFileReferences(scene, textureParameters)) {
+                    const originalPath = reference.value;
+                    if (/\*(\d+)$/.test(originalPath)) {
+                        console.log(`[Convert] 发现特殊纹理引用格式: ${originalPath}，转换为相对路径格式`);
                     }
                     
                     // 处理多种可能的路径情况
                     const pathConditions = [
-                        // 绝对路径
-                        originalPath.startsWith('/home/pog/pbrtapi/uploads/models/'),
                         // 相对路径，但不是已经是 models/{uuid}/textures/ 格式
-                        originalPath.startsWith('textures/') && !originalPath.startsWith(`models/${extractedUuid}/textures/`),
+                        originalPath.startsWith('textures/'),
                         // 其他可能的相对路径变体
                         originalPath.includes('/textures/') && !originalPath.includes(`models/${extractedUuid}/textures/`)
                     ];
                     
                     if (pathConditions.some(Boolean)) {
                         // 提取实际的纹理文件名
-                        const textureFileName = path.basename(originalPath);
-                        const relativePath = `models/${extractedUuid}/textures/${textureFileName}`;
-                        
-                        updatedPaths.set(originalPath, relativePath);
-                        console.log(`[Convert] 转换材质中${attrType}纹理路径为标准格式: ${originalPath} -> ${relativePath}`);
+                        const relativePath = `models/${extractedUuid}/textures/${path.basename(originalPath)}`;
+                        reference.set(relativePath);
+                        console.log(`[Convert] 转换${reference.param.name}纹理路径为标准格式: ${originalPath} -> ${relativePath}`);
                     }
                 }
                 
-                // 应用路径更新到所有纹理属性
-                updatedPaths.forEach((newPath, oldPath) => {
-                    const escOldPath = escapeRegExp(oldPath);
-                    
-                    // 对所有类型的纹理属性进行替换
-                    const attrTypes = ['filename', 'normalmap', 'bumpmap', 'specularmap', 'roughnessmap', 'metallicmap'];
-                    attrTypes.forEach(attrType => {
-                        newContent = newContent.replace(
-                            new RegExp(`"string ${attrType}"\\s+"${escOldPath}"`, 'g'),
-                            `"string ${attrType}" "${newPath}"`
-                        );
-                    });
-                });
-                
                 // 检查空名称材质的处理
-                const emptyMaterialPattern = /MakeNamedMaterial\s+""\s+/g;
-                let emptyMatches = [];
-                let emptyMatch;
-                
-                // 查找所有空名称材质
-                while ((emptyMatch = emptyMaterialPattern.exec(newContent)) !== null) {
-                    emptyMatches.push(emptyMatch.index);
-                }
+                const materials = pbrtParser.findDirectives(scene, 'MakeNamedMaterial');
+                const emptyMaterials = materials.filter(material => material.args[0] === '');
                 
                 // 检查是否有多个空名称材质
-                if (emptyMatches.length > 1) {
-                    const errorMsg = `发现${emptyMatches.length}个空名称材质（MakeNamedMaterial ""），每个PBRT文件中只允许有一个空名称材质。`;
+                if (emptyMaterials.length > 1) {
+                    const errorMsg = `发现${emptyMaterials.length}个空名称材质（MakeNamedMaterial ""），每个PBRT文件中只允许有一个空名称材质。`;
                     console.error(`[Convert] ${errorMsg}`);
                     throw new Error(errorMsg);
                 }
                 
                 // 如果有一个空名称材质，为其分配唯一名称
-                if (emptyMatches.length === 1) {
+                if (emptyMaterials.length === 1) {
                     const uniqueEmptyName = `${prefix}noname_material`;
                     console.log(`[Convert] 找到空名称材质，将分配唯一名称: ${uniqueEmptyName}`);
                     
@@ -1672,22 +6670,11 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
                     materialMap.set("", uniqueEmptyName);
                 }
                 
-                // 匹配定义的所有材质
-                const materialPattern = /MakeNamedMaterial\s+"([^"]*)"\s+/g;
-                let materialMatch;
-                let emptyMaterialAlreadyProcessed = materialMap.has("");
-                
-                while ((materialMatch = materialPattern.exec(newContent)) !== null) {
-                    const originalName = materialMatch[1];
-                    // 空材质名称已经在前面处理过，这里跳过
-                    if (originalName === "" && emptyMaterialAlreadyProcessed) {
-                        continue;
-                    }
-                    
-                    // 非空材质名称不添加前缀的情况：已包含前缀的材质
+                // 匹配定义的所有材质，非空材质名称不添加前缀的情况：已包含前缀的材质
+                for (const material of materials) {
+                    const originalName = material.args[0];
                     if (originalName && !originalName.includes(prefix)) {
-                        const newName = `${prefix}${originalName}`;
-                        materialMap.set(originalName, newName);
+                        materialMap.set(originalName, `${prefix}${originalName}`);
                     }
                 }
                 
@@ -1700,47 +6687,36 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
                 console.log(`[Convert] ${materialInfo}`);
                 console.log(`[Convert] 找到 ${textureMap.size} 个纹理需要重命名`);
                 
-                // 替换所有纹理定义
-                textureMap.forEach((newName, originalName) => {
-                    const textureDefRegex = new RegExp(`Texture\\s+"${escapeRegExp(originalName)}"\\s+`, 'g');
-                    newContent = newContent.replace(textureDefRegex, `Texture "${newName}" `);
-                    
-                    // 同时替换引用到该纹理的地方
-                    const textureRefRegex = new RegExp(`"texture\\s+[^"]*"\\s+"${escapeRegExp(originalName)}"`, 'g');
-                    newContent = newContent.replace(textureRefRegex, (match) => {
-                        return match.replace(`"${originalName}"`, `"${newName}"`);
-                    });
-                });
-                
-                // 替换所有材质定义
-                materialMap.forEach((newName, originalName) => {
-                    // 替换材质定义
-                    const materialDefRegex = new RegExp(`MakeNamedMaterial\\s+"${escapeRegExp(originalName)}"\\s+`, 'g');
-                    newContent = newContent.replace(materialDefRegex, `MakeNamedMaterial "${newName}" `);
-                    
-                    // 替换材质引用
-                    if (originalName === "") {
-                        // 特殊处理空名称材质引用
-                        // 先处理有引号的情况
-                        const emptyMaterialRefRegex = new RegExp(`NamedMaterial\\s+""`, 'g');
-                        newContent = newContent.replace(emptyMaterialRefRegex, `NamedMaterial "${newName}"`);
-                    } else {
-                        // 处理正常材质引用
-                        const materialRefRegex = new RegExp(`NamedMaterial\\s+"${escapeRegExp(originalName)}"`, 'g');
-                        newContent = newContent.replace(materialRefRegex, `NamedMaterial "${newName}"`);
+                for (const node of scene.body) {
+                    if (node.type !== 'Directive') {
+                        continue;
                     }
-                });
-                
-                // 写回文件
-                fs.writeFileSync(nonoPbrtPath, newContent, 'utf8');
-                console.log(`[Convert] 成功处理nono.pbrt文件，添加了材质和纹理名称前缀: ${prefix}`);
+                    // 替换纹理和材质的定义和引用
+                    if (node.name === 'Texture' && textureMap.has(node.args[0])) {
+                        pbrtParser.setArgs(node, [textureMap.get(node.args[0])].concat(node.args.slice(1)));
+                    } else if ((node.name === 'MakeNamedMaterial' || node.name === 'NamedMaterial') && materialMap.has(node.args[0])) {
+                        pbrtParser.setArgs(node, [materialMap.get(node.args[0])]);
+                    }
+                    // 替换参数中引用到的纹理
+                    for (const param of node.params) {
+                        if (param.type === 'texture' && param.values.some(value => textureMap.has(value))) {
+                            param.values = param.values.map(value => textureMap.get(value) || value);
+                            pbrtParser.markModified(param);
+                        }
+                    }
+                }
                 
-                // 新增步骤：替换*N占位符为实际纹理文件名
-                const processedContent = replaceTextureReferences(newContent, modelDir, modelId);
-                if (processedContent !== newContent) {
-                    fs.writeFileSync(nonoPbrtPath, processedContent, 'utf8');
+                // 替换*N占位符为实际纹理文件名
+                if (replaceTextureReferences(scene, modelDir, modelId) > 0) {
                     console.log(`[Convert] 成功替换nono.pbrt文件中的纹理占位符为实际文件名`);
                 }
+                
+                // 写回文件
+                fs.writeFileSync(nonoPbrtPath, formatOutput ? sceneFormatter.formatScene(scene) : pbrtParser.serialize(scene), 'utf8');
+                console.log(`[Convert] 成功处理nono.pbrt文件，添加了材质和纹理名称前缀: ${prefix}`);
+            } else if (formatOutput) {
+                console.warn(`[Convert] 未找到#Textures标记，只格式化nono.pbrt`);
+                fs.writeFileSync(nonoPbrtPath, sceneFormatter.formatScene(scene), 'utf8');
             } else {
                 console.warn(`[Convert] 未找到#Textures标记，nono.pbrt保持原样`);
             }
@@ -1756,14 +6732,19 @@ app.get('/v1/convert/:uuid', asyncHandler(async (req, res) => {
         modelInfo.pbrt_convert_date = new Date().toISOString();
         fs.writeFileSync(infoPath, JSON.stringify(modelInfo, null, 4), 'utf8');
 
+        // 转换成功后在后台生成缩略图，已变换的模型以 momo.pbrt 为准
+        const thumbnailJob = generateModelThumbnail(modelId);
+        notifyConversionFinished(Object.assign(conversion, { status: 'success', thumbnailTaskId: thumbnailJob ? thumbnailJob.id : null }));
+
         res.json({ 
             message: alreadyConverted ? '模型已存在，已更新材质前缀' : '模型转换成功', 
             uuid: modelId, 
-            nono_pbrt: 'nono.pbrt' 
+            nono_pbrt: 'nono.pbrt',
+            thumbnailTaskId: thumbnailJob ? thumbnailJob.id : null
         });
     } catch (error) {
         console.error('模型转换失败:', error);
-        res.status(500).json({ error: error.message || '模型转换失败' });
+        rejectConversion(500, error.message || '模型转换失败');
     }
 }));
 
@@ -1855,6 +6836,248 @@ app.get('/v1/model/:uuid', (req, res) => {
     }
 });
 
+/**
+ * @route POST /v1/model/:uuid/turntable
+ * @description 为转换后的模型渲染转盘预览：根据 nono.pbrt 中几何体的包围盒将模型放入带地面和环境光的影棚场景，
+ *              相机绕模型一周在等间隔的角度上渲染，完成后各帧和拼接的预览图保存在模型目录的 turntable 子目录并记录到 info.json
+ * @param {string} uuid - 模型的唯一标识
+ * @param {number} [frames=8] - 可选的帧数（角度数），1 到 72
+ * @param {number} [elevation=20] - 可选的相机仰角（度）
+ * @param {number} [fov=40] - 可选的相机视场角（度）
+ * @param {number} [xresolution=512] - 可选的每帧水平分辨率
+ * @param {number} [yresolution=512] - 可选的每帧垂直分辨率
+ * @param {number} [pixelsamples=64] - 可选的每像素采样数
+ * @param {string} [up=y] - 可选的模型竖直轴 y 或 z
+ * @param {number} [columns] - 可选的预览图每行帧数，默认接近正方形
+ * @param {string} [tonemap=reinhard] - 可选的色调映射算子
+ * @param {number} [exposure=0] - 可选的曝光补偿（EV档）
+ * @param {number} [priority=0] - 可选的排队优先级
+ * @param {string} [backend] - 可选的渲染后端 auto, gpu, cpu
+ * @param {number} [nthreads] - 可选的渲染线程数
+ * @returns {Object} 202 { animationId, modelId, frameCount, angles, bounds, statusUrl, eventsUrl, resultUrl }
+ * @throws {400} 参数无效或模型中没有可以计算包围盒的几何体时
+ * @throws {404} 模型不存在或尚未转换时
+ * @throws {429} 渲染队列已满时
+ */
+app.post('/v1/model/:uuid/turntable', asyncHandler(async (req, res) => {
+    // #swagger.tags = ['模型相关']
+    // #swagger.description = '渲染转换后模型的转盘预览，通过 /v1/animations/{id} 查询每一帧的进度，完成后通过 GET /v1/model/{uuid}/turntable 获取'
+    /* #swagger.parameters['body'] = {
+            in: 'body',
+            required: false,
+            schema: {
+                frames: 8,
+                elevation: 20,
+                xresolution: 512,
+                yresolution: 512,
+                pixelsamples: 64,
+                up: 'y'
+            }
+        }
+    */
+    // #swagger.responses[202] = { description: '转盘渲染任务已创建' }
+    // #swagger.responses[400] = { description: '参数无效或模型没有几何体' }
+    // #swagger.responses[404] = { description: '模型不存在或尚未转换' }
+    // #swagger.responses[429] = { description: '渲染队列已满' }
+    const modelId = req.params.uuid;
+    const modelDir = path.join(MODELS_DIR, modelId);
+    const body = req.body || {};
+    if (!fs.existsSync(path.join(modelDir, 'info.json'))) {
+        return res.status(404).json({ error: '模型不存在' });
+    }
+    const nonoPbrtPath = path.join(modelDir, 'nono.pbrt');
+    if (!fs.existsSync(nonoPbrtPath)) {
+        return res.status(404).json({ error: 'nono.pbrt文件不存在，请先转换模型' });
+    }
+
+    let options;
+    try {
+        options = turntable.parseTurntableOptions(body);
+    } catch (error) {
+        if (error instanceof turntable.TurntableError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+    const outputOptions = parseOutputImageOptions({ tonemap: body.tonemap, exposure: body.exposure }, { format: 'png' });
+    const backendOptions = parseRenderBackendOptions(body);
+    if (outputOptions.error || backendOptions.error) {
+        return res.status(400).json({ error: outputOptions.error || backendOptions.error });
+    }
+
+    let bounds;
+    try {
+        bounds = sceneBounds.computeSceneBounds(pbrtParser.parse(fs.readFileSync(nonoPbrtPath, 'utf8')));
+    } catch (error) {
+        if (error instanceof pbrtParser.PbrtSyntaxError) {
+            return res.status(error.status).json({ error: `nono.pbrt语法错误: ${error.message}`, line: error.line, column: error.column });
+        }
+        throw error;
+    }
+    if (!bounds.min) {
+        return res.status(400).json({ error: '模型中没有可以计算包围盒的几何体', skipped: bounds.skipped });
+    }
+    if (bounds.skipped.length > 0) {
+        console.warn(`[Turntable] 模型 ${modelId} 的包围盒未包含 ${bounds.skipped.length} 个形状或指令: ` +
+            bounds.skipped.map(item => `${item.name}（第 ${item.line} 行）`).join(', '));
+    }
+
+    try {
+        renderScheduler.assertCapacity();
+    } catch (error) {
+        return sendQueueFull(res, error);
+    }
+
+    // 帧场景写在上传目录，与模型纹理一样通过 models/{uuid}/ 相对路径引用模型
+    const angles = Array.from({ length: options.frames }, (value, index) => turntable.getTurntableAngle(index, options.frames));
+    const include = `models/${modelId}/nono.pbrt`;
+    const effectiveSettings = {
+        xresolution: options.xresolution,
+        yresolution: options.yresolution,
+        pixelsamples: options.pixelsamples,
+        maxdepth: 5,
+        integrator: 'volpath',
+        cropwindow: null,
+        seed: null
+    };
+    const animationJob = startAnimation({
+        userId: body.userId || null,
+        filename: `turntable-${modelId}.pbrt`,
+        sceneDir: uploadsDir,
+        frameCount: options.frames,
+        fps: turntable.TURNTABLE_DEFAULTS.fps,
+        buildFrame: frame => turntable.buildTurntableScene(bounds, options, { include, angle: angles[frame] }),
+        output: outputOptions,
+        overrides: {},
+        effectiveSettings,
+        turntable: { modelId, options, bounds: { min: bounds.min, max: bounds.max } },
+        priority: parseInt(body.priority, 10) || 0,
+        backendOptions
+    });
+
+    console.log(`[Turntable] 已创建模型 ${modelId} 的转盘预览 ${animationJob.id}，共 ${options.frames} 帧`);
+    res.status(202).json({
+        animationId: animationJob.id,
+        modelId,
+        frameCount: options.frames,
+        angles,
+        bounds: { min: bounds.min, max: bounds.max, center: bounds.center, size: bounds.size },
+        statusUrl: `/v1/animations/${animationJob.id}`,
+        eventsUrl: `/v1/jobs/${animationJob.id}/events`,
+        resultUrl: getJobResultUrl(animationJob)
+    });
+}));
+
+/**
+ * @route GET /v1/model/:uuid/turntable
+ * @description 获取模型已保存的转盘预览
+ * @param {string} uuid - 模型的唯一标识
+ * @query {string} [file=sheet] - sheet 返回拼接的预览图，zip 返回所有帧和预览图的ZIP，info 返回 info.json 中的转盘记录
+ * @query {number} [frame] - 可选的帧序号，指定时返回该帧的PNG
+ * @returns {Buffer} PNG图像、ZIP文件或转盘记录
+ * @throws {400} 参数无效时
+ * @throws {404} 模型不存在或尚未生成转盘预览时
+ */
+app.get('/v1/model/:uuid/turntable', (req, res) => {
+    // #swagger.tags = ['模型相关']
+    // #swagger.description = '获取模型的转盘预览图、单帧或所有帧的ZIP'
+    // #swagger.produces = ['image/png', 'application/zip', 'application/json']
+    // #swagger.responses[200] = { description: '转盘预览' }
+    // #swagger.responses[400] = { description: '参数无效' }
+    // #swagger.responses[404] = { description: '模型不存在或尚未生成转盘预览' }
+    const modelId = req.params.uuid;
+    const modelDir = path.join(MODELS_DIR, modelId);
+    const infoPath = path.join(modelDir, 'info.json');
+    if (!fs.existsSync(infoPath)) {
+        return res.status(404).json({ error: '模型不存在' });
+    }
+    const record = JSON.parse(fs.readFileSync(infoPath, 'utf8')).turntable;
+    if (!record) {
+        return res.status(404).json({ error: '尚未生成转盘预览，请先调用 POST /v1/model/{uuid}/turntable' });
+    }
+
+    if (req.query.frame !== undefined) {
+        const frame = Number(req.query.frame);
+        if (!Number.isInteger(frame) || frame < 0 || frame >= record.frames.length) {
+            return res.status(400).json({ error: `frame参数必须是 0 到 ${record.frames.length - 1} 之间的整数` });
+        }
+        res.setHeader('Content-Type', 'image/png');
+        return fs.createReadStream(path.join(modelDir, record.frames[frame])).pipe(res);
+    }
+
+    const file = String(req.query.file || 'sheet').toLowerCase();
+    if (file === 'info') {
+        return res.json(record);
+    }
+    if (file === 'zip') {
+        const zip = new AdmZip();
+        record.frames.concat(record.contact_sheet).forEach((relativePath) => {
+            zip.addLocalFile(path.join(modelDir, relativePath));
+        });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="turntable-${modelId}.zip"`);
+        return res.send(zip.toBuffer());
+    }
+    if (file !== 'sheet') {
+        return res.status(400).json({ error: 'file参数必须是 sheet, zip, info 之一' });
+    }
+    res.setHeader('Content-Type', 'image/png');
+    fs.createReadStream(path.join(modelDir, record.contact_sheet)).pipe(res);
+});
+
+/**
+ * @route GET /v1/model/:uuid/thumbnail
+ * @description 获取模型的缩略图。缩略图在模型转换或变换后自动生成，模型场景在缩略图生成后被修改时会在后台重新生成，
+ *              重新生成完成前返回旧的缩略图
+ * @param {string} uuid - 模型的唯一标识
+ * @query {string} [v] - 缩略图版本，info.json 中的缩略图URL带有该参数，带版本的请求可以长期缓存
+ * @returns {Buffer} PNG缩略图
+ * @throws {202} 缩略图正在生成时
+ * @throws {404} 模型不存在或尚未转换时
+ */
+app.get('/v1/model/:uuid/thumbnail', (req, res) => {
+    // #swagger.tags = ['模型相关']
+    // #swagger.description = '获取模型的PNG缩略图，支持 ETag 和 Last-Modified 条件请求'
+    // #swagger.produces = ['image/png']
+    // #swagger.responses[200] = { description: '缩略图' }
+    // #swagger.responses[202] = { description: '缩略图正在生成' }
+    // #swagger.responses[404] = { description: '模型不存在或尚未转换' }
+    const modelId = req.params.uuid;
+    const modelDir = path.join(MODELS_DIR, modelId);
+    if (!fs.existsSync(path.join(modelDir, 'info.json'))) {
+        return res.status(404).json({ error: '模型不存在' });
+    }
+
+    if (isThumbnailStale(modelId) && !modelThumbnailJobs.has(modelId)) {
+        console.log(`[Thumbnail] 模型 ${modelId} 的场景已更新，重新生成缩略图`);
+        generateModelThumbnail(modelId);
+    }
+    const thumbnailPath = path.join(modelDir, THUMBNAIL_FILENAME);
+    if (!fs.existsSync(thumbnailPath)) {
+        if (modelThumbnailJobs.has(modelId)) {
+            return res.status(202).setHeader('Retry-After', '5').json({
+                message: '缩略图正在生成',
+                taskId: modelThumbnailJobs.get(modelId)
+            });
+        }
+        return res.status(404).json({ error: '模型没有缩略图，请先转换模型' });
+    }
+
+    // 带版本的URL内容不会改变，可以长期缓存；不带版本时每次通过 ETag/Last-Modified 验证
+    res.sendFile(thumbnailPath, {
+        headers: {
+            'Cache-Control': req.query.v ? 'public, max-age=31536000, immutable' : 'no-cache'
+        }
+    });
+});
+
+// 变换指令，/v1/transform 在顶层块内最后一条变换指令之后添加新的变换
+const TRANSFORM_DIRECTIVES = ['Translate', 'Rotate', 'Scale', 'Transform', 'ConcatTransform'];
+
+function isFiniteNumber(value) {
+    return value !== null && value !== '' && Number.isFinite(Number(value));
+}
+
 /**
  * @route POST /v1/transform
  * @description 将指定UUID的nono.pbrt文件进行变换并生成momo.pbrt
@@ -1862,29 +7085,30 @@ app.get('/v1/model/:uuid', (req, res) => {
  * @param {array} [translate] - 可选参数，三元组，表示平移量 [x, y, z]
  * @param {array} [rotate] - 可选参数，四元组，表示旋转量 [angle, x, y, z]
  * @param {array} [scale] - 可选参数，三元组，表示缩放量 [x, y, z]
+ * @param {boolean} [format] - 可选参数，为 true 时格式化输出的 momo.pbrt
  * @returns {Object} 转换结果
  * @throws {404} 模型或nono.pbrt文件不存在时
  * @throws {500} 转换失败时
  */
 app.post('/v1/transform', express.json(), asyncHandler(async (req, res) => {
     try {
-        const { uuid, translate, rotate, scale } = req.body;
+        const { uuid, translate, rotate, scale, format } = req.body;
         
         if (!uuid) {
             return res.status(400).json({ error: '缺少必要参数：uuid' });
         }
         
         // 验证参数格式
-        if (translate && (!Array.isArray(translate) || translate.length !== 3)) {
-            return res.status(400).json({ error: 'translate参数必须是长度为3的数组 [x, y, z]' });
+        if (translate && (!Array.isArray(translate) || translate.length !== 3 || !translate.every(isFiniteNumber))) {
+            return res.status(400).json({ error: 'translate参数必须是长度为3的数值数组 [x, y, z]' });
         }
         
-        if (rotate && (!Array.isArray(rotate) || rotate.length !== 4)) {
-            return res.status(400).json({ error: 'rotate参数必须是长度为4的数组 [angle, x, y, z]' });
+        if (rotate && (!Array.isArray(rotate) || rotate.length !== 4 || !rotate.every(isFiniteNumber))) {
+            return res.status(400).json({ error: 'rotate参数必须是长度为4的数值数组 [angle, x, y, z]' });
         }
         
-        if (scale && (!Array.isArray(scale) || scale.length !== 3)) {
-            return res.status(400).json({ error: 'scale参数必须是长度为3的数组 [x, y, z]' });
+        if (scale && (!Array.isArray(scale) || scale.length !== 3 || !scale.every(isFiniteNumber))) {
+            return res.status(400).json({ error: 'scale参数必须是长度为3的数值数组 [x, y, z]' });
         }
         
         const modelDir = path.join(MODELS_DIR, uuid);
@@ -1901,8 +7125,8 @@ app.post('/v1/transform', express.json(), asyncHandler(async (req, res) => {
             return res.status(404).json({ error: 'nono.pbrt文件不存在，请先转换模型' });
         }
         
-        // 读取nono.pbrt文件内容
-        const pbrtContent = fs.readFileSync(nonoPbrtPath, 'utf8');
+        // 解析nono.pbrt文件内容，AttributeEndAttributeBegin 这类粘连的指令在解析时拆开
+        const scene = pbrtParser.parse(fs.readFileSync(nonoPbrtPath, 'utf8'));
         
         // 在文件开头添加注释，记录时间和变换参数
         const timestamp = new Date().toISOString();
@@ -1912,262 +7136,96 @@ app.post('/v1/transform', express.json(), asyncHandler(async (req, res) => {
         headerComment += rotate ? `# - Rotate: [${rotate.join(', ')}]\n` : '# - Rotate: none\n';
         headerComment += scale ? `# - Scale: [${scale.join(', ')}]\n` : '# - Scale: none\n';
         headerComment += `#-------------------------------------------\n\n`;
-          
-        // 修复AttributeEndAttributeBegin问题 - 添加换行符
-        let modifiedContent = pbrtContent.replace(/AttributeEndAttributeBegin/g, "AttributeEnd\nAttributeBegin");
         
-        // 生成变换命令字符串
-        const transformCommands = [];
-        if (translate) {
-            transformCommands.push(`  Translate ${translate[0]} ${translate[1]} ${translate[2]}`);
-        }
-        if (rotate) {
-            transformCommands.push(`  Rotate ${rotate[0]} ${rotate[1]} ${rotate[2]} ${rotate[3]}`);
-        }
-        if (scale) {
-            transformCommands.push(`  Scale ${scale[0]} ${scale[1]} ${scale[2]}`);
-        }
-        
-        // 生成变换命令
-        const transformStr = transformCommands.join('\n');
-        
-        // 如果没有变换命令，直接返回原始内容
-        if (transformCommands.length === 0) {
-            const finalContent = headerComment + modifiedContent;
-            const fixedContent = finalContent.replace(/AttributeEndAttributeBegin/g, "AttributeEnd\nAttributeBegin");
-            const relativePathContent = sanitizePbrtPaths(fixedContent, modelDir, true);
-            fs.writeFileSync(momoPbrtPath, relativePathContent, 'utf8');
-            
-            // 更新info.json
-            if (fs.existsSync(infoPath)) {
-                try {
-                    const modelInfo = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
-                    modelInfo.momo_available = true;
-                    modelInfo.momo_transform = {
-                        timestamp,
-                        translate: translate || null,
-                        rotate: rotate || null,
-                        scale: scale || null
-                    };
-                    fs.writeFileSync(infoPath, JSON.stringify(modelInfo, null, 4), 'utf8');
-                } catch (err) {
-                    console.error(`[Transform] 更新info.json失败: ${err.message}`);
-                    // 不中断流程
-                }
+        // 生成变换指令，每个插入位置使用独立的节点
+        const createTransformNodes = () => {
+            const nodes = [];
+            if (translate) {
+                nodes.push(pbrtParser.createDirective('Translate', translate.map(Number)));
             }
-            
-            return res.json({
-                message: '模型转换成功，但未应用任何变换',
-                uuid,
-                momo_pbrt: 'momo.pbrt',
-                transforms: {
-                    translate: null,
-                    rotate: null,
-                    scale: null
-                }
-            });
-        }
-        
-        // 分析完整的PBRT文本
-        const lines = modifiedContent.split('\n');
-        const resultLines = [];
+            if (rotate) {
+                nodes.push(pbrtParser.createDirective('Rotate', rotate.map(Number)));
+            }
+            if (scale) {
+                nodes.push(pbrtParser.createDirective('Scale', scale.map(Number)));
+            }
+            return nodes;
+        };
+        const hasTransform = createTransformNodes().length > 0;
         
-        // 识别PBRT结构，包括不在AttributeBegin内的变换命令
-        function analyzePbrtStructure(lines) {
-            const result = [];
-            const structure = [];
+        if (hasTransform) {
+            // 识别PBRT结构：变换添加到每个顶层AttributeBegin块内最后一条变换指令之后（没有则紧接AttributeBegin），
+            // 以及不在任何块内的连续变换指令之后；#[no-more-transformation] 注释之后的下一个顶层块不添加变换
+            const insertionPoints = [];
             let depth = 0;
             let inNoTransformBlock = false;
-            let insideAttribute = false;  // 标记是否在AttributeBegin/AttributeEnd块内
+            let currentBlock = null;
+            let topLevelTransform = null;
+            const flushTopLevelTransform = () => {
+                if (topLevelTransform && !inNoTransformBlock) {
+                    insertionPoints.push(topLevelTransform);
+                }
+                topLevelTransform = null;
+            };
             
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-                const isComment = line.startsWith('#');
-                const isAttributeBegin = line === 'AttributeBegin';
-                const isAttributeEnd = line === 'AttributeEnd';
-                const isTransform = line.startsWith('Translate') || 
-                                    line.startsWith('Rotate') || 
-                                    line.startsWith('Scale') ||
-                                    line.startsWith('Transform [');
-                
-                // 检查是否是no-more-transformation注释
-                if (line.includes('#[no-more-transformation]')) {
-                    inNoTransformBlock = true;
+            for (const node of scene.body) {
+                if (node.type === 'Comment') {
+                    if (node.text.includes('#[no-more-transformation]')) {
+                        flushTopLevelTransform();
+                        inNoTransformBlock = true;
+                    }
+                    continue;
+                }
+                const isTransform = TRANSFORM_DIRECTIVES.includes(node.name);
+                if (depth === 0 && !isTransform) {
+                    flushTopLevelTransform();
                 }
                 
-                // 如果遇到AttributeBegin
-                if (isAttributeBegin) {
+                if (node.name === 'AttributeBegin') {
                     depth++;
-                    insideAttribute = true;
-                    
                     // 只关注顶层AttributeBegin块
                     if (depth === 1) {
-                        structure.push({
-                            type: 'attributeBegin',
-                            lineIndex: i,
-                            depth: depth,
-                            isNoTransform: inNoTransformBlock,
-                            hasTransform: false,  // 稍后更新
-                            lastTransformLineIndex: -1,  // 稍后更新
-                            processed: false  // 标记是否已处理过
-                        });
+                        currentBlock = { anchor: node, isNoTransform: inNoTransformBlock };
                     }
-                }
-                // 如果遇到AttributeEnd
-                else if (isAttributeEnd) {
-                    // 找到匹配的AttributeBegin
-                    if (depth === 1) {
-                        // 查找最后一个未闭合的顶层AttributeBegin
-                        const openBeginIndex = structure.findIndex(item => 
-                            item.type === 'attributeBegin' && 
-                            item.depth === depth && 
-                            item.endLineIndex === undefined);
-                            
-                        if (openBeginIndex !== -1) {
-                            structure[openBeginIndex].endLineIndex = i;
+                } else if (node.name === 'AttributeEnd') {
+                    if (depth === 1 && currentBlock) {
+                        if (!currentBlock.isNoTransform) {
+                            insertionPoints.push(currentBlock.anchor);
                         }
-                        
+                        currentBlock = null;
                         inNoTransformBlock = false;
-                        insideAttribute = false;
                     }
-                    
                     depth = Math.max(0, depth - 1);  // 确保深度不会小于0
-                }
-                // 如果是变换命令
-                else if (isTransform) {
-                    // 只处理顶层属性块内的变换命令或直接位于顶层的变换命令
-                    if (depth === 1 && insideAttribute) {
-                        // 查找当前所属的AttributeBegin块
-                        const activeBlockIndex = structure.findIndex(item => 
-                            item.type === 'attributeBegin' && 
-                            item.depth === depth && 
-                            item.endLineIndex === undefined);
-                            
-                        if (activeBlockIndex !== -1) {
-                            structure[activeBlockIndex].hasTransform = true;
-                            structure[activeBlockIndex].lastTransformLineIndex = 
-                                Math.max(structure[activeBlockIndex].lastTransformLineIndex, i);
-                        }
-                    } 
-                    else if (depth === 0) {
-                        // 变换命令不在任何AttributeBegin块内，创建一个虚拟块
-                        structure.push({
-                            type: 'transformOutsideAttribute',
-                            lineIndex: i,
-                            depth: 0,
-                            isNoTransform: inNoTransformBlock,
-                            processed: false
-                        });
+                } else if (isTransform) {
+                    if (depth === 1 && currentBlock) {
+                        currentBlock.anchor = node;
+                    } else if (depth === 0) {
+                        topLevelTransform = node;
                     }
                 }
             }
-            
-            // 处理异常情况：清理没有结束的AttributeBegin块
-            for (let i = 0; i < structure.length; i++) {
-                if (structure[i].type === 'attributeBegin' && structure[i].endLineIndex === undefined) {
-                    structure[i].endLineIndex = lines.length - 1; // 假设在文件末尾结束
-                }
+            // 处理异常情况：没有结束的AttributeBegin块
+            if (currentBlock && !currentBlock.isNoTransform) {
+                insertionPoints.push(currentBlock.anchor);
             }
+            flushTopLevelTransform();
             
-            return structure;
-        }
-        
-        // 修正处理逻辑，确保变换命令添加到正确的位置
-        const structure = analyzePbrtStructure(lines);
-        
-        // 遍历所有AttributeBegin块，添加变换命令
-        function addTransformCommands(lines, structure, transformCommands) {
-            let result = [...lines];
-            let offset = 0;  // 跟踪插入命令后行号的偏移量
-            
-            // 按行索引排序，确保从文件开头到结尾处理
-            structure.sort((a, b) => a.lineIndex - b.lineIndex);
-            
-            // 标记处理过的行范围，避免重复处理
-            const processedRanges = [];
-            
-            for (const block of structure) {
-                // 检查此块是否已经在某个处理过的范围内
-                let skipBlock = false;
-                for (const range of processedRanges) {
-                    if (block.lineIndex >= range.start && block.lineIndex <= range.end) {
-                        skipBlock = true;
-                        break;
-                    }
-                }
-                if (skipBlock || block.processed) continue;
-                
-                // 只处理顶层AttributeBegin块且不是no-more-transformation块
-                if ((block.type === 'attributeBegin' && block.depth === 1 && !block.isNoTransform) ||
-                    (block.type === 'transformOutsideAttribute' && !block.isNoTransform)) {
-                    
-                    // 找到插入位置
-                    let insertIndex;
-                    
-                    if (block.type === 'attributeBegin') {
-                        // 对于AttributeBegin块，在块内部添加变换
-                        if (block.hasTransform) {
-                            // 在最后一个变换命令后插入
-                            insertIndex = block.lastTransformLineIndex + 1 + offset;
-                        } else {
-                            // 在AttributeBegin后直接插入
-                            insertIndex = block.lineIndex + 1 + offset;
-                        }
-                        
-                        // 标记此块的范围为已处理
-                        processedRanges.push({
-                            start: block.lineIndex, 
-                            end: block.endLineIndex
-                        });
-                    } else {
-                        // 对于不在块内的变换命令，在命令后插入
-                        insertIndex = block.lineIndex + 1 + offset;
-                        
-                        // 标记此行为已处理
-                        processedRanges.push({
-                            start: block.lineIndex, 
-                            end: block.lineIndex
-                        });
-                    }
-                    
-                    // 插入变换命令
-                    if (insertIndex > 0 && insertIndex <= result.length) {
-                        const commandLines = transformCommands.map(cmd => cmd);
-                        result.splice(insertIndex, 0, ...commandLines);
-                        offset += commandLines.length;
-                    }
-                    
-                    // 标记为已处理
-                    block.processed = true;
-                }
+            for (const anchor of insertionPoints) {
+                pbrtParser.insertAfter(scene, anchor, createTransformNodes());
             }
-            
-            return result;
+            console.log(`[Transform] 在 ${insertionPoints.length} 处添加了变换指令`);
         }
         
-        // 应用修改
-        const transformedLines = addTransformCommands(lines, structure, transformCommands);
-        
-        // 构建最终文件内容
-        const finalContent = headerComment + transformedLines.join('\n');
-        
-        // 修复AttributeEndAttributeBegin问题 - 添加换行符
-        const fixedContent = finalContent.replace(/AttributeEndAttributeBegin/g, "AttributeEnd\nAttributeBegin");
-        
-        // 添加修复绝对路径为相对路径的处理
-        // 使用通用方法将所有路径规范化为相对路径
-        const relativePathContent = sanitizePbrtPaths(fixedContent, modelDir, true);
-        
-        // 写入momo.pbrt文件
-        fs.writeFileSync(momoPbrtPath, relativePathContent, 'utf8');
-        
-        // 新增步骤：替换*N占位符为实际纹理文件名
-        const processedContent = replaceTextureReferences(relativePathContent, modelDir, uuid);
-        if (processedContent !== relativePathContent) {
-            fs.writeFileSync(momoPbrtPath, processedContent, 'utf8');
+        // 使用通用方法将所有路径规范化为相对路径，并替换*N占位符为实际纹理文件名
+        sanitizePbrtPaths(scene, modelDir, true);
+        if (replaceTextureReferences(scene, modelDir, uuid) > 0) {
             console.log(`[Transform] 成功替换momo.pbrt文件中的纹理占位符为实际文件名`);
         }
         
+        // 写入momo.pbrt文件
+        const output = format === true ? sceneFormatter.formatScene(scene) : pbrtParser.serialize(scene);
+        fs.writeFileSync(momoPbrtPath, headerComment + output, 'utf8');
+        
         // 更新info.json
         if (fs.existsSync(infoPath)) {
             try {
@@ -2185,16 +7243,20 @@ app.post('/v1/transform', express.json(), asyncHandler(async (req, res) => {
                 // 不中断流程
             }
         }
+
+        // momo.pbrt 已变化，重新生成缩略图
+        const thumbnailJob = generateModelThumbnail(uuid);
         
         res.json({
-            message: '模型转换成功',
+            message: hasTransform ? '模型转换成功' : '模型转换成功，但未应用任何变换',
             uuid,
             momo_pbrt: 'momo.pbrt',
             transforms: {
                 translate: translate || null,
                 rotate: rotate || null,
                 scale: scale || null
-            }
+            },
+            thumbnailTaskId: thumbnailJob ? thumbnailJob.id : null
         });
         
     } catch (error) {
@@ -2234,68 +7296,42 @@ app.listen(port, () => {
 });
 
 /**
- * 检查PBRT文件内容中是否存在目录遍历攻击风险
- * @param {string} content PBRT文件内容
+ * 检查场景中引用的文件路径是否存在目录遍历攻击风险
+ * @param {Object} scene pbrtParser.parse 返回的语法树
  * @returns {boolean} true表示存在安全风险
  */
-function hasSuspiciousPbrtPaths(content) {
-    const suspiciousPatterns = [
-        /"filename"\s+"\.\.\//, // "../"形式的路径
-        /"filename"\s+"~\//, // "~/"形式的路径
-        /"filename"\s+"\/etc\//, // "/etc/"形式的系统路径
-        /"filename"\s+"\/var\//, // "/var/"形式的系统路径
-        /"filename"\s+"\\\\/, // Windows网络路径
-    ];
-    
-    return suspiciousPatterns.some(pattern => 
-        new RegExp(pattern).test(content)
-    );
+function hasSuspiciousPbrtPaths(scene) {
+    return pbrtParser.getFileReferences(scene).some(({ value }) => sceneValidator.isSuspiciousPath(value));
 }
 
 /**
- * 规范化PBRT文件中的纹理路径
- * @param {string} content PBRT文件内容
+ * 规范化场景中引用的文件路径
+ * @param {Object} scene pbrtParser.parse 返回的语法树，直接修改
  * @param {string} baseDir 基准目录，用于构建相对路径的绝对路径
  * @param {boolean} useRelativePath 是否使用相对路径而非绝对路径
- * @returns {string} 处理后的内容
+ * @param {Array} [parameterNames] 值为文件路径的参数名，默认为 pbrtParser.FILE_PARAMETERS
+ * @returns {number} 修改的路径数
  */
-function sanitizePbrtPaths(content, baseDir, useRelativePath = false) {
-    // 首先处理绝对路径中的模型纹理引用，将其转换为相对路径格式
-    let processedContent = content.replace(
-        /\/home\/pog\/pbrtapi\/uploads\/models\/([a-f0-9-]+)\/textures\/\*(\d+)/g,
-        (match, modelId, textureIndex) => {
-            // 只有在使用相对路径模式时才转换
-            if (useRelativePath) {
-                return `models/${modelId}/textures/*${textureIndex}`;
-            }
-            return match; // 否则保持原样
+function sanitizePbrtPaths(scene, baseDir, useRelativePath = false, parameterNames = pbrtParser.FILE_PARAMETERS) {
+    const uploadsPrefix = `${path.dirname(MODELS_DIR)}/`;
+    let changed = 0;
+    for (const reference of pbrtParser.getFileReferences(scene, parameterNames)) {
+        const filename = reference.value;
+        let normalized = filename;
+        if (!filename.startsWith('/')) {
+            normalized = useRelativePath ?
+                // 仅确保路径格式正确
+                filename.replace(/\\/g, '/') :
+                path.join(baseDir, filename).replace(/\\/g, '/');
+        } else if (useRelativePath && filename.startsWith(uploadsPrefix)) {
+            // 上传目录下的绝对路径（如模型纹理引用）转换为相对于上传目录的路径，PBRT在上传目录中运行
+            normalized = filename.substring(uploadsPrefix.length);
         }
-    );
-    
-    // 然后处理常规的纹理路径
-    return processedContent.replace(
-        /"string filename"\s+"([^"]+)"/g, 
-        (match, filename) => {
-            // 如果不是绝对路径，则将其转换为绝对路径或保留相对路径
-            if (!filename.startsWith('/')) {
-                if (useRelativePath) {
-                    // 仅确保路径格式正确
-                    const cleanPath = filename.replace(/\\/g, '/');
-                    console.log(`[Security] 规范化纹理相对路径: '${filename}' -> '${cleanPath}'`);
-                    return `"string filename" "${cleanPath}"`;
-                } else {
-                    // 转换为绝对路径
-                    const safePath = path.join(baseDir, filename).replace(/\\/g, '/');
-                    console.log(`[Security] 规范化纹理路径为绝对路径: '${filename}' -> '${safePath}'`);
-                    return `"string filename" "${safePath}"`;
-                }
-            } else if (useRelativePath && filename.startsWith('/home/pog/pbrtapi/uploads/models/')) {
-                // 将绝对路径的模型纹理引用转换为相对路径
-                const relPath = filename.replace('/home/pog/pbrtapi/uploads/', '');
-                console.log(`[Security] 将绝对路径转换为相对路径: '${filename}' -> '${relPath}'`);
-                return `"string filename" "${relPath}"`;
-            }
-            return match;
+        if (normalized !== filename) {
+            console.log(`[Security] 规范化文件路径: '${filename}' -> '${normalized}'`);
+            reference.set(normalized);
+            changed++;
         }
-    );
+    }
+    return changed;
 }
@@ -23,6 +23,26 @@ const doc = {
     {
       name: '系统状态',
       description: '系统状态和调试相关的API'
+    },
+    {
+      name: '场景工具',
+      description: 'PBRT场景文件校验和处理相关的API'
+    },
+    {
+      name: '分块渲染',
+      description: '分块并行渲染的工作节点注册和工作节点接口'
+    },
+    {
+      name: '环境贴图',
+      description: 'HDR环境贴图库的上传、管理和预览'
+    },
+    {
+      name: '回归测试',
+      description: '基准图像回归测试：保存参考渲染结果，重新渲染后对比'
+    },
+    {
+      name: '回调通知',
+      description: '渲染和模型转换结束时的回调注册和投递记录'
     }
   ],
   securityDefinitions: {},